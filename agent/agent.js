@@ -7,47 +7,157 @@
  * captures your screen, and relays input events from your phone.
  *
  * Usage:
- *   1. Copy .env.example to .env
- *   2. Paste your AGENT_KEY from the dashboard
- *   3. npm install
- *   4. npm start
+ *   1. Copy .env.example to .env and set SERVER_URL
+ *   2. npm install
+ *   3. npm start — then enter the pairing code it prints on your dashboard
+ *      (the key it receives is saved to .env; an existing AGENT_KEY skips pairing)
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { io } = require('socket.io-client');
 const { spawn } = require('child_process');
 const ScreenCapture = require('./capture');
 const InputHandler = require('./input');
+const { createApprover, parsePolicy } = require('./consent');
+const { E2ESession, generateSecret } = require('./e2e');
+const { pair, saveAgentKey } = require('./pairing');
+const { PeerLinks } = require('./webrtc');
+const { BitrateController } = require('./bitrate');
+const { AudioCapture } = require('./audio');
+const { WaylandBackend, isWaylandSession } = require('./wayland');
+const { VncBackend } = require('./vnc');
+const { VirtualDisplay } = require('./headless');
+const { FileShare } = require('./files');
 
 // ─── Config ──────────────────────────────────────────────
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3456';
-const AGENT_KEY = process.env.AGENT_KEY;
+const ENV_FILE = path.resolve(process.cwd(), '.env');   // where dotenv read it from
+let agentKey = process.env.AGENT_KEY || null;           // null until paired
 const CAPTURE_QUALITY = parseInt(process.env.CAPTURE_QUALITY) || 92;
 const CAPTURE_FPS = parseInt(process.env.CAPTURE_FPS) || 20;
 const CAPTURE_SCALE = parseFloat(process.env.CAPTURE_SCALE) || 1.0;
+const CAPTURE_TILES = !/^(0|false|no|off)$/i.test(process.env.CAPTURE_TILES || '');   // delta frames (see capture.js)
+const KEYFRAME_INTERVAL = parseFloat(process.env.KEYFRAME_INTERVAL) || 10;           // seconds
+const VIDEO_ENABLED = !/^(0|false|no|off)$/i.test(process.env.VIDEO || '');          // H.264/VP8 via ffmpeg (see video.js)
+const VIDEO_CODECS = (process.env.VIDEO_CODECS || 'h264,vp8').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const AUTO_ACCEPT = process.env.AUTO_ACCEPT;   // true | false | view-only (see consent.js)
+const E2E_ENABLED = /^(1|true|yes|on)$/i.test(process.env.E2E || '') || !!process.env.E2E_SECRET;
+const E2E_SECRET_FILE = path.join(__dirname, '.e2e-secret');
+const ADAPTIVE_BITRATE = !/^(0|false|no|off)$/i.test(process.env.ADAPTIVE_BITRATE || '');   // viewer-driven (see bitrate.js)
+const P2P_ENABLED = !/^(0|false|no|off)$/i.test(process.env.P2P || '');   // WebRTC frames (see webrtc.js)
+const AUDIO_ENABLED = !/^(0|false|no|off)$/i.test(process.env.AUDIO || '');   // Opus loopback via ffmpeg (see audio.js)
+const AUDIO_BITRATE = parseInt(process.env.AUDIO_BITRATE) || 64;             // kbps
+const DESKTOP_BACKEND = (process.env.DESKTOP_BACKEND || 'auto').toLowerCase();   // auto | native | wayland | vnc (see wayland.js, vnc.js)
+const HEADLESS = (process.env.HEADLESS || '').toLowerCase();   // xvfb | xvnc = virtual X display (see headless.js)
+const FILES_ENABLED = !/^(0|false|no|off)$/i.test(process.env.FILES || '');   // file transfer (see files.js)
+const WINDOW_POLL_MS = 1000;   // how often a shared window's position is re-read (see windows.js)
 
-if (!AGENT_KEY) {
-  console.error('');
-  console.error('  ❌ AGENT_KEY is required!');
-  console.error('');
-  console.error('  1. Log into your dashboard at ' + SERVER_URL);
-  console.error('  2. Copy the Agent Key shown on the dashboard');
-  console.error('  3. Create a .env file in this folder with:');
-  console.error('');
-  console.error('     SERVER_URL=' + SERVER_URL);
-  console.error('     AGENT_KEY=your-key-here');
-  console.error('');
-  process.exit(1);
+// ─── Modules ─────────────────────────────────────────────
+// Headless: bring the virtual display up first — everything below captures
+// and injects input on whatever DISPLAY points at
+let virtualDisplay = null;
+if (HEADLESS && !/^(0|false|no|off)$/.test(HEADLESS)) {
+  try {
+    virtualDisplay = new VirtualDisplay({
+      server: HEADLESS === 'true' ? 'xvfb' : HEADLESS,
+      display: process.env.HEADLESS_DISPLAY,
+      resolution: process.env.HEADLESS_RESOLUTION,
+      wm: process.env.HEADLESS_WM
+    }).start();
+  } catch (e) {
+    console.error('   ❌ Headless mode: ' + e.message);
+    process.exit(1);
+  }
+}
+
+// Wayland sessions capture and inject input through xdg-desktop-portal;
+// everything else (X11, macOS, Windows) uses screenshot-desktop + robotjs,
+// unless DESKTOP_BACKEND=vnc points the agent at a VNC server instead.
+// A virtual display is X11 even when the agent was started from Wayland.
+let desktopBackend = null;
+if (DESKTOP_BACKEND === 'vnc') {
+  desktopBackend = new VncBackend({
+    host: process.env.VNC_HOST,
+    port: parseInt(process.env.VNC_PORT) || undefined,
+    password: process.env.VNC_PASSWORD
+  });
+} else if (!virtualDisplay &&
+    (DESKTOP_BACKEND === 'wayland' || (DESKTOP_BACKEND === 'auto' && isWaylandSession()))) {
+  desktopBackend = new WaylandBackend();
 }
 
-// ─── Modules ─────────────────────────────────────────────
 const capture = new ScreenCapture({
   quality: CAPTURE_QUALITY,
   fps: CAPTURE_FPS,
-  scale: CAPTURE_SCALE
+  scale: CAPTURE_SCALE,
+  tiles: CAPTURE_TILES,
+  keyframeInterval: KEYFRAME_INTERVAL * 1000,
+  video: VIDEO_ENABLED,
+  videoCodecs: VIDEO_CODECS,
+  ffmpegPath: process.env.FFMPEG_PATH,
+  backend: desktopBackend
+});
+
+const bitrate = new BitrateController({ capture });
+const audio = AUDIO_ENABLED ? new AudioCapture({
+  ffmpegPath: process.env.FFMPEG_PATH,
+  device: process.env.AUDIO_DEVICE || null,
+  bitrate: AUDIO_BITRATE,
+  onPacket: ({ data, seq }) => {
+    if (!socket?.connected) return;
+    socket.volatile.emit('audio', {
+      data: e2e ? e2e.seal('audio', data) : data,
+      encrypted: !!e2e,
+      seq
+    });
+  }
+}) : null;
+const input = new InputHandler({ backend: desktopBackend });
+const approveGuest = createApprover({ policy: AUTO_ACCEPT });
+const files = FILES_ENABLED ? new FileShare({
+  root: process.env.FILES_DIR || null,
+  maxMB: parseInt(process.env.FILES_MAX_MB) || undefined
+}) : null;
+
+// ─── End-to-End Encryption ───────────────────────────────
+// E2E_SECRET from .env wins; E2E=true alone generates one and keeps it
+// in .e2e-secret so viewers don't have to re-pair after every restart.
+function loadE2ESecret() {
+  if (process.env.E2E_SECRET) return process.env.E2E_SECRET;
+  if (fs.existsSync(E2E_SECRET_FILE)) return fs.readFileSync(E2E_SECRET_FILE, 'utf8').trim();
+  const secret = generateSecret();
+  fs.writeFileSync(E2E_SECRET_FILE, secret + '\n', { mode: 0o600 });
+  return secret;
+}
+
+const e2eSecret = E2E_ENABLED ? loadE2ESecret() : null;
+const e2e = e2eSecret ? new E2ESession(e2eSecret) : null;
+
+// ─── Peer-to-Peer Frames ─────────────────────────────────
+// Viewers that manage a direct WebRTC channel get frames over it; the
+// server relays only to the rest (it reports how many via 'relay-demand').
+let relayViewers = null;   // null = unknown, keep relaying
+
+const peers = new PeerLinks({
+  enabled: P2P_ENABLED,
+  onSignal: (viewerId, event, payload) => {
+    if (socket?.connected) socket.emit(event, { viewerId, ...payload });
+  },
+  onChange: () => console.log(`   🔗 Direct (P2P) viewers: ${peers.openCount}`)
 });
 
-const input = new InputHandler();
+// Screen info plus what viewers need for E2E key derivation, P2P, video and audio
+function withCapabilities(info) {
+  if (e2e) info.e2e = e2e.params;
+  if (peers.available) info.webrtc = peers.params;
+  if (capture.videoCodecs.length) info.video = { codecs: capture.videoCodecs };
+  if (audio?.available) info.audio = audio.params;
+  if (capture.windowsAvailable) info.windows = true;
+  if (files) info.files = true;
+  return info;
+}
 
 // ─── Sleep Prevention ────────────────────────────────────
 // Keeps the OS awake while a viewer is actively streaming.
@@ -96,13 +206,31 @@ function connect() {
   console.log('═══════════════════════════════════════════');
   console.log('');
   console.log('   Server: ' + SERVER_URL);
+  if (e2e) {
+    console.log('   🔒 End-to-end encryption: ON');
+    console.log('      Pairing secret: ' + e2eSecret + '  (enter this in the viewer)');
+  }
+  console.log('   Guests: ' + {
+    accept: 'admitted automatically',
+    ask: 'ask before admitting',
+    'view-only': 'view-only admitted, ask before control'
+  }[parsePolicy(AUTO_ACCEPT)]);
+  console.log('   Frames: ' + (peers.available ? 'peer-to-peer when possible, relay fallback' : 'relay via server'));
+  console.log('   Video: ' + (capture.videoCodecs.length ? capture.videoCodecs.join(', ').toUpperCase() + ' when viewers support it' : 'off (JPEG frames)'));
+  console.log('   Bitrate: ' + (ADAPTIVE_BITRATE ? 'adapts to viewer feedback' : 'fixed (viewer sliders only)'));
+  console.log('   Desktop: ' + (capture.backend ? capture.backend.describe() : 'native') +
+    (virtualDisplay ? ' — headless, ' + virtualDisplay.describe() : ''));
+  console.log('   Audio: ' + (audio?.available ? `Opus ${AUDIO_BITRATE} kbps when a viewer unmutes` : 'off'));
+  console.log('   Files: ' + (files ? files.describe() : 'off'));
   console.log('   Connecting...');
   console.log('');
 
   socket = io(SERVER_URL, {
     auth: {
-      agentKey: AGENT_KEY,
-      role: 'agent'
+      agentKey,
+      role: 'agent',
+      approval: true,    // server will ask before admitting invited guests
+      webrtc: peers.available
     },
     reconnection: true,
     reconnectionDelay: 2000,
@@ -111,12 +239,18 @@ function connect() {
     timeout: 10000
   });
 
-  socket.on('connect', () => {
+  socket.on('connect', async () => {
     reconnectAttempts = 0;
     console.log('   ✅ Connected to server!');
     console.log('   Waiting for viewer to connect...');
     console.log('');
 
+    await capture.ready;   // Wayland: the sharing dialog may still be open; VNC: still connecting
+    if (capture.backend) {
+      input.screenWidth = capture.screenWidth;
+      input.screenHeight = capture.screenHeight;
+    }
+
     // Send screen info (include logical input resolution)
     const screenInfo = capture.getScreenInfo();
     screenInfo.inputWidth = input.screenWidth;
@@ -124,13 +258,20 @@ function connect() {
     // Initialise input offset to match primary/active display
     input.setDisplayOffset(screenInfo.offsetX || 0, screenInfo.offsetY || 0);
     console.log(`   📐 Screen: ${screenInfo.width}x${screenInfo.height} capture, ${screenInfo.inputWidth}x${screenInfo.inputHeight} input`);
-    socket.emit('screen-info', screenInfo);
+    socket.emit('screen-info', withCapabilities(screenInfo));
+    if (capture.window) watchWindow();
   });
 
   socket.on('disconnect', (reason) => {
     console.log('   ⚠️  Disconnected: ' + reason);
     stopSleepPrevention();
     capture.stopStreaming();
+    capture.setVideoCodec(null);   // renegotiated after reconnecting
+    peers.closeAll();
+    relayViewers = null;
+    if (audio) audio.stop();
+    clearInterval(windowWatch);
+    windowWatch = null;
   });
 
   socket.on('connect_error', (err) => {
@@ -139,9 +280,11 @@ function connect() {
       console.error('   ❌ Connection failed: ' + err.message);
       if (err.message === 'Invalid agent key') {
         console.error('');
-        console.error('   Your AGENT_KEY is invalid or expired.');
-        console.error('   Get a new one from your dashboard.');
-        process.exit(1);
+        console.error('   Your AGENT_KEY is invalid, revoked or was rotated — pairing again.');
+        socket.close();
+        agentKey = null;
+        reconnectAttempts = 0;
+        return start();
       }
       console.log('   Retrying...');
     }
@@ -153,25 +296,84 @@ function connect() {
     capture.stopStreaming();
   });
 
+  // Our key was replaced but still works for a grace period
+  socket.on('key-rotated', (data) => {
+    const until = data?.expiresAt ? new Date(data.expiresAt).toLocaleString() : 'soon';
+    console.log('   🔑 ' + (data?.reason || 'Agent key was rotated'));
+    console.log('      This key stops working ' + until + '.');
+  });
+
+  // ─── Guest Approval ────────────────────────────────────
+  socket.on('approval-request', async (request, ack) => {
+    if (typeof ack !== 'function') return;
+    const approved = await approveGuest(request || {});
+    const who = request?.guest?.device || 'guest';
+    console.log(approved ? `   ✅ Guest allowed: ${who}` : `   🚫 Guest declined: ${who}`);
+    ack({ approved });
+  });
+
   // ─── Streaming Control ─────────────────────────────────
   socket.on('start-streaming', () => {
     console.log('   📱 Viewer connected — streaming started');
     startSleepPrevention();
+    bitrate.reset();
     capture.startStreaming((frameData) => {
       if (socket.connected) {
-        // Send frame as binary Buffer — 33% smaller than base64 encoding
-        socket.volatile.emit('frame', {
-          data: frameData.buf,              // raw Buffer (Socket.IO handles binary natively)
+        const frame = {
+          // raw Buffer (Socket.IO handles binary natively); sealed in E2E mode
+          data: e2e ? e2e.seal('frame', frameData.buf) : frameData.buf,
+          encrypted: !!e2e,
+          delta: frameData.delta,   // changed tiles only (see capture.js), or a video inter frame
+          codec: frameData.codec,   // 'h264' / 'vp8' in video mode, else JPEG
+          config: frameData.config ? frameData.config.toString('base64') : undefined,
           width: frameData.width,
           height: frameData.height,
           timestamp: frameData.timestamp,
           frame: frameData.frame,
-          quality: capture.quality  // send current adaptive quality so viewer knows
-        });
+          quality: capture.quality, // send current adaptive quality so viewer knows
+          fps: capture.fps
+        };
+        peers.sendFrame(frame);
+        // Send frame as binary Buffer — 33% smaller than base64 encoding
+        if (relayViewers !== 0) socket.volatile.emit('frame', frame);
       }
     });
   });
 
+  // ─── WebRTC Signaling (relayed by the server) ─────────
+  socket.on('relay-demand', (data) => {
+    relayViewers = typeof data?.viewers === 'number' ? data.viewers : null;
+  });
+
+  socket.on('rtc-offer', (data) => {
+    if (data?.viewerId) peers.handleOffer(data.viewerId, data.sdp);
+  });
+
+  socket.on('rtc-ice', (data) => {
+    if (data?.viewerId) peers.addIceCandidate(data.viewerId, data.candidate);
+  });
+
+  socket.on('rtc-close', (data) => {
+    if (data?.viewerId) peers.close(data.viewerId);
+  });
+
+  // Server picked the codec every viewer can decode (null = JPEG)
+  socket.on('video-codec', (data) => {
+    capture.setVideoCodec(data?.codec || null);
+  });
+
+  // Number of viewers that unmuted — capture audio only while someone listens
+  socket.on('audio-demand', (data) => {
+    if (!audio) return;
+    if (data?.listeners > 0) audio.start();
+    else audio.stop();
+  });
+
+  // A viewer joined or missed a delta frame and needs a full picture
+  socket.on('request-keyframe', () => {
+    capture.requestKeyframe();
+  });
+
   socket.on('stop-streaming', () => {
     console.log('   📱 Viewer disconnected — streaming stopped');
     stopSleepPrevention();
@@ -187,81 +389,190 @@ function connect() {
     capture.setFPS(data.fps);
   });
 
+  // RTT, decode time and drops as seen by a viewer — drives quality, FPS and
+  // resolution unless the viewer picked manual settings
+  socket.on('viewer-feedback', (data) => {
+    if (ADAPTIVE_BITRATE) bitrate.report(data);
+  });
+
   // ─── Multi-Monitor ────────────────────────────────────
   socket.on('list-screens', () => {
     const displays = capture.getDisplays();
     socket.emit('displays-list', displays);
   });
 
+  // Sync input handler to the new display's logical dimensions and tell
+  // viewers. capture.screenWidth is raw pixels (e.g. 2560 on Retina); RobotJS
+  // moveMouse() uses logical points (e.g. 1280).  Multiply by scale (0.5 on
+  // Retina) to convert raw → logical, matching the initial-connect values
+  // that came from robot.getScreenSize().
+  function applyScreenInfo(newInfo) {
+    const logicalW = Math.round(capture.screenWidth  * capture.scale);
+    const logicalH = Math.round(capture.screenHeight * capture.scale);
+    input.screenWidth  = logicalW;
+    input.screenHeight = logicalH;
+    input.setDisplayOffset(newInfo.offsetX || 0, newInfo.offsetY || 0);
+    newInfo.inputWidth  = logicalW;
+    newInfo.inputHeight = logicalH;
+    socket.emit('screen-info', withCapabilities(newInfo));
+    // Also send updated display list (active flag changes)
+    socket.emit('displays-list', capture.getDisplays());
+  }
+
   socket.on('switch-screen', async (data) => {
     if (!data || data.displayId == null) return;
     const newInfo = await capture.switchDisplay(data.displayId);
-    if (newInfo) {
-      // Sync input handler to the new display's logical dimensions.
-      // capture.screenWidth is raw pixels (e.g. 2560 on Retina); RobotJS
-      // moveMouse() uses logical points (e.g. 1280).  Multiply by scale
-      // (0.5 on Retina) to convert raw → logical, matching the initial-
-      // connect values that came from robot.getScreenSize().
-      const logicalW = Math.round(capture.screenWidth  * capture.scale);
-      const logicalH = Math.round(capture.screenHeight * capture.scale);
-      input.screenWidth  = logicalW;
-      input.screenHeight = logicalH;
-      input.setDisplayOffset(newInfo.offsetX || 0, newInfo.offsetY || 0);
-      newInfo.inputWidth  = logicalW;
-      newInfo.inputHeight = logicalH;
-      socket.emit('screen-info', newInfo);
-      // Also send updated display list (active flag changes)
-      socket.emit('displays-list', capture.getDisplays());
-    }
+    if (newInfo) applyScreenInfo(newInfo);
+  });
+
+  // ─── Window Streaming ─────────────────────────────────
+  socket.on('list-windows', async () => {
+    socket.emit('windows-list', await capture.getWindows());
   });
 
+  socket.on('switch-window', async (data) => {
+    if (!data || data.windowId == null) return;
+    const newInfo = await capture.switchWindow(String(data.windowId));
+    if (!newInfo) return;
+    applyScreenInfo(newInfo);
+    socket.emit('windows-list', await capture.getWindows());
+    watchWindow();
+  });
+
+  // Follow the shared window as it moves, resizes or closes
+  let windowWatch = null;
+  function watchWindow() {
+    if (windowWatch) return;
+    windowWatch = setInterval(async () => {
+      if (!capture.window) {
+        clearInterval(windowWatch);
+        windowWatch = null;
+        return;
+      }
+      const { screenWidth, screenHeight } = capture;
+      const newInfo = await capture.refreshWindow();
+      if (!newInfo) return;
+      if (capture.window && capture.screenWidth === screenWidth && capture.screenHeight === screenHeight) {
+        // Only moved — viewers' coordinates are window-relative, nothing for them to redo
+        input.setDisplayOffset(newInfo.offsetX, newInfo.offsetY);
+        return;
+      }
+      applyScreenInfo(newInfo);
+      if (!capture.window) socket.emit('windows-list', await capture.getWindows());
+    }, WINDOW_POLL_MS);
+  }
+
   // ─── Input Relay ───────────────────────────────────────
-  socket.on('mouse-move', (data) => {
+  // In E2E mode anything the server didn't get from a paired viewer —
+  // plaintext, forged, stale or replayed — is dropped here.
+  function onInput(event, handler) {
+    socket.on(event, (data) => {
+      const msg = e2e ? e2e.openInput(event, data) : data;
+      if (!msg) return;
+      // Streaming one window: keep the pointer inside it
+      if (capture.window && typeof msg.x === 'number' && typeof msg.y === 'number') {
+        msg.x = Math.max(0, Math.min(input.screenWidth - 1, msg.x));
+        msg.y = Math.max(0, Math.min(input.screenHeight - 1, msg.y));
+      }
+      handler(msg);
+    });
+  }
+
+  onInput('mouse-move', (data) => {
     input.moveMouse(data.x, data.y);
   });
 
-  socket.on('mouse-click', (data) => {
+  onInput('mouse-click', (data) => {
     input.click(data.x, data.y, data.button || 'left');
   });
 
-  socket.on('mouse-double-click', (data) => {
+  onInput('mouse-double-click', (data) => {
     input.doubleClick(data.x, data.y);
   });
 
-  socket.on('mouse-right-click', (data) => {
+  onInput('mouse-right-click', (data) => {
     input.rightClick(data.x, data.y);
   });
 
-  socket.on('mouse-scroll', (data) => {
+  onInput('mouse-scroll', (data) => {
     input.scroll(data.x, data.y, data.deltaX, data.deltaY);
   });
 
-  socket.on('mouse-down', (data) => {
+  onInput('mouse-down', (data) => {
     input.mouseDown(data.x, data.y, data.button || 'left');
   });
 
-  socket.on('mouse-up', (data) => {
+  onInput('mouse-up', (data) => {
     input.mouseUp(data.x, data.y, data.button || 'left');
   });
 
-  socket.on('key-press', (data) => {
+  onInput('key-press', (data) => {
     input.keyPress(data.key, data.modifiers || []);
   });
 
-  socket.on('key-type', (data) => {
-    input.typeText(data.text);
+  onInput('key-type', (data) => {
+    if (typeof data.text === 'string') input.typeText(data.text);
   });
 
   // ─── Clipboard Sync ─────────────────────────────────────
-  socket.on('clipboard-write', (data) => {
+  onInput('clipboard-write', (data) => {
     // Viewer sent text → write to desktop clipboard
-    input.setClipboard(data.text);
+    if (typeof data.text === 'string') input.setClipboard(data.text);
   });
 
   socket.on('clipboard-read', () => {
     // Viewer requests clipboard → read and send back
     const text = input.getClipboard();
-    if (text) socket.emit('clipboard-content', { text });
+    if (text) socket.emit('clipboard-content', e2e ? e2e.sealJson('clipboard-content', { text }) : { text });
+  });
+
+  // ─── File Transfer ──────────────────────────────────────
+  // Request/response over Socket.IO acks. In E2E mode both directions are
+  // sealed, with file bytes as base64 inside the JSON.
+  function onFileRequest(event, handler) {
+    socket.on(event, async (data, ack) => {
+      if (typeof ack !== 'function') return;
+      if (!files) return ack({ error: 'File transfer is off on this machine' });
+      const msg = e2e ? e2e.openInput(event, data) : data;
+      if (!msg || typeof msg !== 'object') return ack({ error: e2e ? 'Not encrypted with the pairing key' : 'Bad request' });
+      if (e2e && typeof msg.data === 'string') msg.data = Buffer.from(msg.data, 'base64');
+
+      let res;
+      try {
+        res = await handler(msg);
+      } catch (err) {
+        res = { error: FileShare.errorMessage(err) };
+      }
+      if (!e2e) return ack(res);
+      if (Buffer.isBuffer(res.data)) res = { ...res, data: res.data.toString('base64') };
+      ack(e2e.sealJson(event, res));
+    });
+  }
+
+  onFileRequest('file-list', (data) => files.list(data.path));
+
+  onFileRequest('file-download', async (data) => {
+    const chunk = await files.read(data.path, data.offset || 0);
+    if (chunk.offset === 0) console.log(`   📤 Download: ${chunk.path} (${chunk.size} bytes)`);
+    return chunk;
+  });
+
+  onFileRequest('file-upload', async (data) => {
+    const res = await files.write(data);
+    if (res.done) console.log(`   📥 Upload: ${res.path} (${res.written} bytes)`);
+    return res;
+  });
+
+  onFileRequest('file-rename', async (data) => {
+    const res = await files.rename(data.path, data.name);
+    console.log(`   ✏️  Renamed: ${data.path} → ${res.path}`);
+    return res;
+  });
+
+  onFileRequest('file-delete', async (data) => {
+    const res = await files.remove(data.path);
+    console.log(`   🗑️  Deleted: ${data.path}`);
+    return res;
   });
 }
 
@@ -269,19 +580,43 @@ function connect() {
 process.on('SIGINT', () => {
   console.log('\n   Shutting down...');
   stopSleepPrevention();
+  if (audio) audio.stop();
+  if (desktopBackend) desktopBackend.stop();
   input.destroy();
+  if (files) files.stop();
+  if (virtualDisplay) virtualDisplay.stop();
   capture.stopStreaming();
+  peers.closeAll();
   if (socket) socket.disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   stopSleepPrevention();
+  if (audio) audio.stop();
+  if (desktopBackend) desktopBackend.stop();
   input.destroy();
+  if (files) files.stop();
+  if (virtualDisplay) virtualDisplay.stop();
   capture.stopStreaming();
+  peers.closeAll();
   if (socket) socket.disconnect();
   process.exit(0);
 });
 
 // ─── Start ───────────────────────────────────────────────
-connect();
+// Without a key, pair with a code from the dashboard first
+function start() {
+  if (agentKey) return connect();
+  pair(SERVER_URL).then((paired) => {
+    agentKey = paired.agentKey;
+    saveAgentKey(ENV_FILE, agentKey);
+    console.log('   ✅ Paired as "' + paired.machineName + '" — key saved to ' + ENV_FILE);
+    connect();
+  }).catch((err) => {
+    console.error('   ❌ Pairing failed: ' + err.message);
+    process.exit(1);
+  });
+}
+
+start();
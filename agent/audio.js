@@ -0,0 +1,165 @@
+/**
+ * LogInTo — Audio Streaming (Opus)
+ *
+ * Captures what the machine is playing (loopback, not the microphone) with
+ * an ffmpeg child process and encodes it to Opus in 20 ms packets. Each
+ * packet goes out as an 'audio' event; the server relays it to viewers that
+ * unmuted, and they decode it with the WebCodecs AudioDecoder. Capture only
+ * runs while at least one viewer is listening ('audio-demand').
+ *
+ * Loopback source per platform (AUDIO_DEVICE overrides it):
+ *   linux   PulseAudio / PipeWire (pipewire-pulse): the default sink's
+ *           monitor, or any source name from `pactl list short sources`
+ *   darwin  AVFoundation has no loopback of its own — install a virtual
+ *           device such as BlackHole and route the output through it
+ *   win32   DirectShow "Stereo Mix" (enable it under Sound → Recording)
+ *           or a virtual capturer
+ *
+ * ffmpeg output is Ogg with one page per packet; the OpusHead/OpusTags
+ * header packets are dropped since viewers configure the decoder from the
+ * fixed parameters in `params`.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const FRAME_MS = 20;
+const RESTART_DELAY = 5000;   // device went away — try again after this long
+
+const SOURCES = {
+  linux: (device) => ['-f', 'pulse', '-i', device || '@DEFAULT_MONITOR@'],
+  darwin: (device) => ['-f', 'avfoundation', '-i', ':' + (device || 'BlackHole 2ch')],
+  win32: (device) => ['-f', 'dshow', '-i', 'audio=' + (device || 'Stereo Mix')]
+};
+
+/** Whether this ffmpeg can encode Opus. False if ffmpeg isn't installed. */
+function detectOpus(ffmpegPath = 'ffmpeg') {
+  try {
+    const out = execFileSync(ffmpegPath, ['-hide_banner', '-encoders'], { timeout: 5000, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true });
+    return /\slibopus\s/.test(out);
+  } catch (_) {
+    return false;
+  }
+}
+
+// ─── Ogg parser ──────────────────────────────────────────
+// Fed ffmpeg's stdout in arbitrary chunks; calls onPacket(buffer) per Opus packet.
+
+class OggParser {
+  constructor(onPacket) {
+    this.onPacket = onPacket;
+    this.buf = Buffer.alloc(0);
+    this.partial = [];   // segments of a packet continued on the next page
+  }
+
+  push(chunk) {
+    this.buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+    while (this.buf.length >= 27) {
+      if (this.buf.readUInt32BE(0) !== 0x4F676753) {   // "OggS" — resync
+        const next = this.buf.indexOf('OggS', 1);
+        this.buf = next === -1 ? Buffer.alloc(0) : this.buf.subarray(next);
+        this.partial = [];
+        continue;
+      }
+      const segments = this.buf[26];
+      if (this.buf.length < 27 + segments) return;
+      const lacing = this.buf.subarray(27, 27 + segments);
+      const bodySize = lacing.reduce((sum, n) => sum + n, 0);
+      const end = 27 + segments + bodySize;
+      if (this.buf.length < end) return;
+
+      if (!(this.buf[5] & 0x01)) this.partial = [];   // not a continuation page
+      let off = 27 + segments;
+      for (const n of lacing) {
+        this.partial.push(this.buf.subarray(off, off + n));
+        off += n;
+        if (n < 255) this._packet(Buffer.concat(this.partial.splice(0)));
+      }
+      this.buf = this.buf.subarray(end);
+    }
+  }
+
+  _packet(packet) {
+    if (!packet.length) return;
+    const magic = packet.toString('latin1', 0, 8);
+    if (magic === 'OpusHead' || magic === 'OpusTags') return;
+    this.onPacket(packet);
+  }
+}
+
+// ─── Capture process ─────────────────────────────────────
+
+class AudioCapture {
+  /**
+   * onPacket({ data, seq }) receives each Opus packet in order; seq counts
+   * 20 ms packets since capture started, so viewers can spot gaps.
+   */
+  constructor({ ffmpegPath = 'ffmpeg', device = null, bitrate = 64, onPacket } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.device = device;
+    this.bitrate = bitrate;
+    this.onPacket = onPacket || (() => {});
+    this.available = !!SOURCES[process.platform] && detectOpus(ffmpegPath);
+    this.proc = null;
+    this.seq = 0;
+    this._restartTimer = null;
+  }
+
+  /** What viewers need to set up their decoder (sent with screen-info) */
+  get params() {
+    return { codec: 'opus', sampleRate: SAMPLE_RATE, channels: CHANNELS, frameMs: FRAME_MS };
+  }
+
+  start() {
+    if (!this.available || this.proc || this._restartTimer) return;
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      '-fflags', 'nobuffer',
+      ...SOURCES[process.platform](this.device),
+      '-ac', String(CHANNELS), '-ar', String(SAMPLE_RATE),
+      '-c:a', 'libopus', '-b:a', this.bitrate + 'k', '-application', 'lowdelay',
+      '-frame_duration', String(FRAME_MS),
+      '-page_duration', String(FRAME_MS * 1000),   // µs — one packet per page, no batching
+      '-flush_packets', '1',
+      '-f', 'ogg', 'pipe:1'
+    ];
+
+    const proc = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    const parser = new OggParser((data) => {
+      if (this.proc === proc) this.onPacket({ data, seq: this.seq++ });
+    });
+    let stderr = '';
+
+    proc.stdout.on('data', (chunk) => parser.push(chunk));
+    proc.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+    const fail = (reason) => {
+      if (this.proc !== proc) return;
+      this.proc = null;
+      console.error(`❌ Audio capture stopped: ${reason}`);
+      // Keep trying while viewers still listen (device unplugged, sound server restarted)
+      this._restartTimer = setTimeout(() => {
+        this._restartTimer = null;
+        this.start();
+      }, RESTART_DELAY);
+    };
+    proc.on('error', (err) => fail(err.message));
+    proc.on('exit', (code) => fail(`exit ${code} ${stderr.trim()}`));
+
+    this.proc = proc;
+    this.seq = 0;
+    console.log('   🔊 Audio capture started');
+  }
+
+  stop() {
+    clearTimeout(this._restartTimer);
+    this._restartTimer = null;
+    const proc = this.proc;
+    if (!proc) return;
+    this.proc = null;
+    proc.kill();
+    console.log('   🔇 Audio capture stopped');
+  }
+}
+
+module.exports = { AudioCapture };
@@ -0,0 +1,168 @@
+/**
+ * LogInTo — Adaptive Bitrate
+ *
+ * Every couple of seconds each viewer reports how the stream looks from its
+ * end ('viewer-feedback', relayed by the server): round-trip time from the
+ * latency ping, average decode time and frames it had to drop. Relayed
+ * viewers also carry the server's ack time and skipped-frame count for them.
+ * The controller moves quality, FPS and resolution together along a ladder
+ * so the worst viewer stays inside the latency budget of the profile:
+ *
+ *   smooth    keep the frame rate, give up sharpness first
+ *   balanced  a bit of both
+ *   sharp     keep the picture crisp, give up frame rate first
+ *
+ * The profile is whichever a viewer picked most recently. 'manual' (a viewer
+ * moved the quality/FPS sliders) hands control back to those sliders and to
+ * ScreenCapture's own FPS-based quality check, as does having no feedback.
+ */
+
+// Best to worst. Every ladder has the same number of steps so a profile
+// switch keeps the current step.
+const PROFILES = {
+  smooth: {
+    budget: 150,
+    ladder: [
+      { quality: 80, fps: 30, resolution: 1 },
+      { quality: 70, fps: 30, resolution: 1 },
+      { quality: 60, fps: 25, resolution: 1 },
+      { quality: 50, fps: 25, resolution: 1 },
+      { quality: 45, fps: 20, resolution: 0.75 },
+      { quality: 40, fps: 20, resolution: 0.6 },
+      { quality: 35, fps: 15, resolution: 0.5 }
+    ]
+  },
+  balanced: {
+    budget: 300,
+    ladder: [
+      { quality: 85, fps: 20, resolution: 1 },
+      { quality: 75, fps: 20, resolution: 1 },
+      { quality: 65, fps: 15, resolution: 1 },
+      { quality: 55, fps: 15, resolution: 1 },
+      { quality: 50, fps: 12, resolution: 0.75 },
+      { quality: 45, fps: 10, resolution: 0.6 },
+      { quality: 40, fps: 8, resolution: 0.5 }
+    ]
+  },
+  sharp: {
+    budget: 600,
+    ladder: [
+      { quality: 92, fps: 15, resolution: 1 },
+      { quality: 90, fps: 10, resolution: 1 },
+      { quality: 85, fps: 8, resolution: 1 },
+      { quality: 80, fps: 5, resolution: 1 },
+      { quality: 75, fps: 4, resolution: 1 },
+      { quality: 70, fps: 3, resolution: 0.75 },
+      { quality: 65, fps: 2, resolution: 0.75 }
+    ]
+  }
+};
+
+const ADAPT_INTERVAL = 2000;   // evaluate at most this often
+const FEEDBACK_TTL = 6000;     // a viewer that stopped reporting no longer counts
+const DROP_LIMIT = 0.1;        // step down when more than 10% of frames are lost
+const HEALTHY_DROPS = 0.02;
+const HEALTHY_RATIO = 0.6;     // latency under 60% of the budget counts as headroom
+const UPGRADE_AFTER = 3;       // consecutive healthy evaluations before stepping up
+
+class BitrateController {
+  constructor({ capture, profile = 'balanced' }) {
+    this.capture = capture;
+    this.profile = profile;
+    this.step = 0;
+    this.active = false;        // driving the capture settings right now
+    this.viewers = new Map();   // viewerId → { profile, latency, lossRate, at }
+    this._healthy = 0;
+    this._lastEval = 0;
+  }
+
+  /** Fresh start for a new streaming session */
+  reset() {
+    this.viewers.clear();
+    this.step = 0;
+    this._healthy = 0;
+    this._lastEval = 0;
+    this._deactivate();
+  }
+
+  report(fb) {
+    if (!fb || typeof fb.viewerId !== 'string') return;
+    const prev = this.viewers.get(fb.viewerId);
+    if (fb.profile && (!prev || prev.profile !== fb.profile)) {
+      // A newly joined viewer, or one that just changed its mind
+      if (fb.profile !== this.profile) console.log(`📶 Adaptive profile: ${fb.profile}`);
+      this.profile = fb.profile;
+      this._lastEval = 0;
+    }
+
+    const entry = { profile: fb.profile, latency: null, lossRate: 0, at: Date.now() };
+    const rtt = Math.max(fb.rtt || 0, fb.ackMs || 0);
+    if (rtt) entry.latency = rtt + (fb.decodeMs || 0);
+    const dropped = (fb.dropped || 0) + (fb.relayDropped || 0);
+    if (dropped) entry.lossRate = dropped / Math.max(1, (fb.received || 0) + dropped);
+    this.viewers.set(fb.viewerId, entry);
+
+    if (Date.now() - this._lastEval >= ADAPT_INTERVAL) this._evaluate();
+  }
+
+  _evaluate() {
+    const now = Date.now();
+    this._lastEval = now;
+    for (const [id, v] of this.viewers) if (now - v.at > FEEDBACK_TTL) this.viewers.delete(id);
+
+    const spec = PROFILES[this.profile];
+    const measured = [...this.viewers.values()].filter(v => v.latency != null);
+    if (!spec || !measured.length) return this._deactivate();
+
+    const latency = Math.max(...measured.map(v => v.latency));
+    const lossRate = Math.max(...measured.map(v => v.lossRate));
+    let step = this.step;
+
+    if (latency > spec.budget || lossRate > DROP_LIMIT) {
+      step = Math.min(spec.ladder.length - 1, step + 1);
+      this._healthy = 0;
+    } else if (latency < spec.budget * HEALTHY_RATIO && lossRate < HEALTHY_DROPS) {
+      if (++this._healthy >= UPGRADE_AFTER && step > 0) {
+        step--;
+        this._healthy = 0;
+      }
+    } else {
+      this._healthy = 0;
+    }
+
+    // Also re-apply when something else (a profile switch, a manual slider,
+    // a hidden tab) moved the capture off the ladder
+    const target = spec.ladder[step];
+    const c = this.capture;
+    const drifted = c.quality !== target.quality || c.fps !== target.fps || c.resolution !== target.resolution;
+    if (step !== this.step || !this.active || drifted) {
+      this.step = step;
+      this._apply(target, latency, lossRate);
+    }
+  }
+
+  _apply(settings, latency, lossRate) {
+    const capture = this.capture;
+    this.active = true;
+    capture.adaptiveEnabled = false;
+    console.log(`📶 Adaptive: ${this.profile} step ${this.step + 1}/${PROFILES[this.profile].ladder.length} ` +
+      `— q${settings.quality} ${settings.fps}fps ${settings.resolution}x (latency ${Math.round(latency)}ms, ${Math.round(lossRate * 100)}% dropped)`);
+
+    const requant = capture.quality !== settings.quality;
+    if (requant) capture.setQuality(settings.quality);
+    if (capture.fps !== settings.fps) capture.setFPS(settings.fps);
+    if (capture.resolution !== settings.resolution) capture.setResolution(settings.resolution);
+    // The video encoder only picks up a new quality when it restarts
+    else if (requant && capture.video) capture.requestKeyframe();
+  }
+
+  _deactivate() {
+    if (!this.active) return;
+    this.active = false;
+    this.capture.adaptiveEnabled = true;
+    this.capture.setResolution(1);
+    console.log('📶 Adaptive: off — using viewer settings');
+  }
+}
+
+module.exports = { BitrateController, PROFILES };
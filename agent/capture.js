@@ -9,27 +9,140 @@
  *  - 4:4:4 chroma subsampling (no color blur on text)
  *  - lanczos3 resampling (sharp downscale, no jagged edges)
  *  - Multi-monitor support via listDisplays / switchDisplay
+ *
+ * Delta frames: the screen is compared tile by tile against the previous
+ * capture and only changed regions are JPEG-encoded (neighbouring tiles are
+ * merged into rectangles). A full keyframe goes out on start, on resize,
+ * when a viewer asks for one (it missed a frame), every keyframeInterval
+ * while the screen changes, and whenever most of the screen changed anyway.
+ *
+ * Delta payload (big-endian), before any E2E sealing:
+ *   u16 count, then count × { u16 x, u16 y, u16 w, u16 h, u32 bytes },
+ *   then the JPEGs back to back in the same order
+ *
+ * Video mode (setVideoCodec, see video.js) replaces both with an H.264/VP8
+ * stream; the tile comparison then only decides whether a capture is idle.
+ *
+ * Composite mode (switchDisplay('all')) stitches every display into one
+ * frame, laid out by the offsets from _detectDisplayOffsets in input points.
+ * Input coordinates then cover the whole virtual desktop; the display offset
+ * handed to InputHandler is its top-left corner.
+ *
+ * Window mode (switchWindow, X11 only — see windows.js) streams a single
+ * application window. Frames are that window's size, the input offset is
+ * its top-left corner, and refreshWindow() follows it when it's moved or
+ * resized.
+ *
+ * With a desktop backend (options.backend) frames come from it instead of
+ * screenshot-desktop, as one screen: the ScreenCast portal on Wayland
+ * (picked in the desktop's sharing dialog, see wayland.js), or a VNC
+ * server's framebuffer (see vnc.js).
+ *
+ * sharp is optional for backend frames: without it, downscaling is a plain
+ * box filter and JPEGs come from jpeg-js (pure JS, slower). Screenshots
+ * always need it.
  */
 
 const screenshot = require('screenshot-desktop');
-const sharp = require('sharp');
-const crypto = require('crypto');
+const { VideoEncoder, detectCodecs } = require('./video');
+const windows = require('./windows');
+
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) { /* only the VNC / Wayland backends work without it — see _jpeg */ }
+let jpegJs = null;       // loaded on first use without sharp
+
+const TILE_SIZE = 64;                   // multiple of 8 so JPEG blocks line up
+const KEYFRAME_INTERVAL = 10 * 1000;    // periodic full frame for resync
+const KEYFRAME_MIN_GAP = 500;           // requested keyframes at most this often
+const FULL_FRAME_RATIO = 0.5;           // more of the screen changed → send it whole
+const MAX_RECTS = 64;                   // more separate regions → send it whole
+const RECT_HEADER_BYTES = 12;
+const ALL_DISPLAYS = 'all';             // switchDisplay id for the composite view
+
+/** Retina-sized captures are halved so capture pixels line up with input points */
+function pointScale(width, height) {
+  return width > 2500 || height > 1600 ? 0.5 : 1.0;
+}
+
+/** Area-average downscale of an RGB frame, for backend frames when sharp isn't installed */
+function boxDownscale(raw, width, height) {
+  width = Math.max(1, width);
+  height = Math.max(1, height);
+  const src = raw.data;
+  const out = Buffer.alloc(width * height * 3);
+  const sx = raw.width / width;
+  const sy = raw.height / height;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+      let r = 0, g = 0, b = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let i = (yy * raw.width + x0) * 3, end = (yy * raw.width + x1) * 3; i < end; i += 3) {
+          r += src[i];
+          g += src[i + 1];
+          b += src[i + 2];
+        }
+      }
+      const n = (x1 - x0) * (y1 - y0);
+      const o = (y * width + x) * 3;
+      out[o] = r / n;
+      out[o + 1] = g / n;
+      out[o + 2] = b / n;
+    }
+  }
+  return { data: out, width, height };
+}
+
+/** JPEG of an RGB frame (or a region of it) through jpeg-js, when sharp isn't installed */
+function encodeJpegJs(raw, region, quality) {
+  if (!jpegJs) jpegJs = require('jpeg-js');
+  const { left = 0, top = 0, width = raw.width, height = raw.height } = region || {};
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    let s = ((top + y) * raw.width + left) * 3;
+    let d = y * width * 4;
+    for (let x = 0; x < width; x++, s += 3, d += 4) {
+      rgba[d] = raw.data[s];
+      rgba[d + 1] = raw.data[s + 1];
+      rgba[d + 2] = raw.data[s + 2];
+      rgba[d + 3] = 255;
+    }
+  }
+  return jpegJs.encode({ data: rgba, width, height }, quality).data;
+}
 
 class ScreenCapture {
   constructor(options = {}) {
     this.quality = options.quality || 92;
     this.fps = options.fps || 20;
     this.scale = options.scale || 1.0;
+    this.resolution = 1;            // extra downscale from the bitrate controller, on top of scale
     this.streaming = false;
     this.interval = null;
     this.screenWidth = 1920;
     this.screenHeight = 1080;
-    this.lastFrame = null;
-    this.lastFrameHash = null;
     this.frameCount = 0;
     this.skippedFrames = 0;
     this.capturing = false;
 
+    // Delta frames
+    this.tiles = options.tiles !== false;
+    this.keyframeInterval = options.keyframeInterval || KEYFRAME_INTERVAL;
+    this.keyframeCount = 0;
+    this._prevRaw = null;           // { data, width, height } of the last frame sent
+    this._lastKeyframe = 0;
+    this._keyframeRequested = false;
+
+    // Video mode — codecs this machine's ffmpeg can encode, and the active encoder
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    this.videoCodecs = options.video === false ? [] : detectCodecs(this.ffmpegPath, options.videoCodecs);
+    this.video = null;
+
     // Adaptive quality
     this.adaptiveEnabled = true;
     this.targetFPS = this.fps;
@@ -44,12 +157,40 @@ class ScreenCapture {
     this.activeDisplayId = null; // null = default/primary
     this.activeDisplayOffset = { x: 0, y: 0 }; // top-left of active display in global desktop coords
     this._displayOffsets = {};  // displayId → { x, y }
+    this.composite = null;      // { displays, width, height, originX, originY } while showing all displays
+    this.window = null;         // { id, name, x, y, width, height } while streaming one window
 
-    // Detect screen resolution + displays
-    this._detectScreen();
+    // Desktop backend: frames from Wayland's portal or a VNC server (null = screenshot-desktop)
+    this.backend = options.backend || null;
+    this.windowsAvailable = windows.isAvailable() && !this.backend;
+
+    // Detect screen resolution + displays (the Wayland portal may wait on the user)
+    this.ready = this._detectScreen();
   }
 
   async _detectScreen() {
+    if (this.backend) {
+      try {
+        const { width, height, name } = await this.backend.start();
+        this.displays = [{ id: 0, name: name || 'Shared screen' }];
+        this.activeDisplayId = 0;
+        this.screenWidth = width;
+        this.screenHeight = height;
+        console.log(`🖥️  Active screen: ${width}x${height} (${this.backend.name})`);
+        return;
+      } catch (e) {
+        console.warn(`⚠️  ${this.backend.name} capture unavailable: ${e.message}`);
+        console.warn('   Falling back to screenshot-desktop' +
+          (this.backend.name === 'Wayland' ? ' — expect a black screen outside XWayland' : ''));
+        this.backend = null;
+      }
+    }
+
+    if (!sharp) {
+      console.error('❌ sharp is not installed — screenshots need it (npm install sharp), or use DESKTOP_BACKEND=vnc');
+      return;
+    }
+
     try {
       // List all displays
       try {
@@ -91,10 +232,26 @@ class ScreenCapture {
   }
 
   getDisplays() {
-    return this.displays.map((d, i) => ({
+    const list = this.displays.map((d, i) => ({
       id: d.id,
       name: d.name || 'Display ' + (i + 1),
-      active: d.id === this.activeDisplayId
+      active: !this.window && d.id === this.activeDisplayId
+    }));
+    if (list.length > 1) {
+      list.push({ id: ALL_DISPLAYS, name: 'All displays', active: !this.window && this.activeDisplayId === ALL_DISPLAYS });
+    }
+    return list;
+  }
+
+  /** Windows that can be streamed on their own ([] where unsupported) */
+  async getWindows() {
+    const list = await windows.list();
+    return list.map(w => ({
+      id: w.id,
+      name: w.name,
+      width: w.width,
+      height: w.height,
+      active: !!this.window && w.id === this.window.id
     }));
   }
 
@@ -154,6 +311,12 @@ class ScreenCapture {
             this._displayOffsets[String(d.id)] = { x: parseInt(parts[0]) || 0, y: parseInt(parts[1]) || 0 };
           }
         });
+
+      } else if (this.displays.every(d => typeof d.left === 'number' && typeof d.top === 'number')) {
+        // Linux: screenshot-desktop already reports xrandr positions
+        this.displays.forEach((d) => {
+          this._displayOffsets[String(d.id)] = { x: d.left, y: d.top };
+        });
       }
 
       if (Object.keys(this._displayOffsets).length > 0) {
@@ -168,6 +331,8 @@ class ScreenCapture {
   }
 
   async switchDisplay(displayId) {
+    if (this.backend) return this.getScreenInfo();   // the one screen the backend shares
+    if (String(displayId) === ALL_DISPLAYS) return this._switchToComposite();
     const display = this.displays.find(d => d.id === displayId || String(d.id) === String(displayId));
     if (!display) {
       console.warn(`⚠️  Display ${displayId} not found`);
@@ -179,6 +344,8 @@ class ScreenCapture {
     if (wasStreaming) this.stopStreaming();
 
     this.activeDisplayId = display.id;
+    this.composite = null;
+    this.window = null;
     console.log(`📺 Switched to display: ${display.name || display.id}`);
 
     // Re-detect resolution for new display
@@ -189,10 +356,7 @@ class ScreenCapture {
       this.screenHeight = metadata.height;
 
       // Re-check retina for this display
-      this.scale = 1.0;
-      if (this.screenWidth > 2500 || this.screenHeight > 1600) {
-        this.scale = 0.5;
-      }
+      this.scale = pointScale(this.screenWidth, this.screenHeight);
       console.log(`🖥️  New screen: ${this.screenWidth}x${this.screenHeight} (scale ${this.scale}x)`);
     } catch (e) {
       console.warn('⚠️  Could not detect new display size');
@@ -208,9 +372,138 @@ class ScreenCapture {
     return this.getScreenInfo();
   }
 
+  async _switchToComposite() {
+    if (this.displays.length < 2) return null;
+    let layout;
+    try {
+      layout = await this._compositeLayout();
+    } catch (e) {
+      console.warn('⚠️  Could not capture all displays:', e.message);
+      return null;
+    }
+
+    const wasStreaming = this.streaming;
+    const cb = this._currentCallback;
+    if (wasStreaming) this.stopStreaming();
+
+    this.composite = layout;
+    this.window = null;
+    this.activeDisplayId = ALL_DISPLAYS;
+    this.screenWidth = layout.width;    // already in input points
+    this.screenHeight = layout.height;
+    this.scale = 1.0;
+    this.activeDisplayOffset = { x: layout.originX, y: layout.originY };
+    console.log(`📺 Showing all ${layout.displays.length} displays: ${layout.width}x${layout.height} from (${layout.originX}, ${layout.originY})`);
+
+    if (wasStreaming && cb) this.startStreaming(cb);
+    return this.getScreenInfo();
+  }
+
+  /**
+   * Stream only window `windowId`. Returns the new screen info, or null if
+   * the window can't be found or window streaming isn't available here.
+   */
+  async switchWindow(windowId) {
+    if (!this.windowsAvailable) return null;
+    const win = await windows.geometry(windowId);
+    if (!win) {
+      console.warn(`⚠️  Window ${windowId} not found`);
+      return null;
+    }
+    await windows.activate(win.id);
+
+    const wasStreaming = this.streaming;
+    const cb = this._currentCallback;
+    if (wasStreaming) this.stopStreaming();
+
+    this._setWindow(win);
+    console.log(`🪟 Streaming window: ${win.name} (${win.width}x${win.height} at ${win.x}, ${win.y})`);
+
+    if (wasStreaming && cb) this.startStreaming(cb);
+    return this.getScreenInfo();
+  }
+
+  _setWindow(win) {
+    this.window = win;
+    this.composite = null;
+    this.screenWidth = win.width;     // X11: pixels are input points
+    this.screenHeight = win.height;
+    this.scale = 1.0;
+    this.activeDisplayOffset = { x: win.x, y: win.y };
+  }
+
+  /**
+   * Re-read the shared window's position and size. Returns the new screen
+   * info when it moved or was resized, null when nothing changed. If the
+   * window has closed, falls back to the display that was active before.
+   */
+  async refreshWindow() {
+    const current = this.window;
+    if (!current) return null;
+    const win = await windows.geometry(current.id);
+    if (this.window !== current) return null;   // switched away meanwhile
+    if (!win) {
+      console.log(`🪟 Window ${current.name} closed — back to the display`);
+      this.window = null;
+      if (this.activeDisplayId === ALL_DISPLAYS) {
+        const info = await this._switchToComposite();
+        if (info) return info;
+        this.activeDisplayId = this.displays.length ? this.displays[0].id : null;
+      }
+      if (this.activeDisplayId != null) return this.switchDisplay(this.activeDisplayId);
+      // Display ids unknown (listDisplays unsupported) — back to the default screen
+      this.activeDisplayOffset = { x: 0, y: 0 };
+      try {
+        const metadata = await sharp(await screenshot({ format: 'png' })).metadata();
+        this.screenWidth = metadata.width;
+        this.screenHeight = metadata.height;
+        this.scale = pointScale(this.screenWidth, this.screenHeight);
+      } catch (e) {
+        console.warn('⚠️  Could not detect screen size');
+      }
+      return this.getScreenInfo();
+    }
+    if (win.x === current.x && win.y === current.y && win.width === current.width && win.height === current.height) {
+      this.window.name = win.name;
+      return null;
+    }
+    this._setWindow(win);
+    return this.getScreenInfo();
+  }
+
+  /**
+   * Where each display sits on the virtual desktop, in input points relative
+   * to its top-left corner. Displays without a detected offset are placed
+   * side by side to the right.
+   */
+  async _compositeLayout() {
+    const sizes = [];
+    for (const d of this.displays) {
+      sizes.push(await sharp(await screenshot({ format: 'png', screen: d.id })).metadata());
+    }
+    let nextX = 0;
+    const placed = this.displays.map((d, i) => {
+      const s = pointScale(sizes[i].width, sizes[i].height);
+      const width = Math.round(sizes[i].width * s);
+      const height = Math.round(sizes[i].height * s);
+      const offset = this._displayOffsets[String(d.id)];
+      const x = offset ? offset.x : nextX;
+      const y = offset ? offset.y : 0;
+      nextX = Math.max(nextX, x + width);
+      return { id: d.id, name: d.name || 'Display ' + (i + 1), x, y, width, height };
+    });
+
+    const originX = Math.min(...placed.map(d => d.x));
+    const originY = Math.min(...placed.map(d => d.y));
+    const width = Math.max(...placed.map(d => d.x + d.width)) - originX;
+    const height = Math.max(...placed.map(d => d.y + d.height)) - originY;
+    placed.forEach((d) => { d.x -= originX; d.y -= originY; });
+    return { displays: placed, width, height, originX, originY };
+  }
+
   getScreenInfo() {
-    const sw = Math.round(this.screenWidth * this.scale);
-    const sh = Math.round(this.screenHeight * this.scale);
+    const sw = Math.round(this.screenWidth * this.scale * this.resolution);
+    const sh = Math.round(this.screenHeight * this.scale * this.resolution);
     return {
       width: this.screenWidth,
       height: this.screenHeight,
@@ -222,7 +515,11 @@ class ScreenCapture {
       displayId: this.activeDisplayId,
       displayCount: this.displays.length,
       offsetX: this.activeDisplayOffset?.x || 0,
-      offsetY: this.activeDisplayOffset?.y || 0
+      offsetY: this.activeDisplayOffset?.y || 0,
+      // Composite mode: each display's rectangle in input points, for hit-testing
+      composite: this.composite ? this.composite.displays : undefined,
+      // Window mode: which window is being shown
+      window: this.window ? { id: this.window.id, name: this.window.name } : undefined
     };
   }
 
@@ -245,11 +542,24 @@ class ScreenCapture {
     console.log(`🔍 Scale set to ${this.scale}`);
   }
 
+  /**
+   * Adaptive downscale (0.1–1). Kept apart from `scale`, which also maps
+   * Retina pixels to input points. The next frame is a keyframe at the new size.
+   */
+  setResolution(factor) {
+    const resolution = Math.min(1, Math.max(0.1, factor));
+    if (resolution === this.resolution) return;
+    this.resolution = resolution;
+    console.log(`🔍 Resolution set to ${this.resolution}x`);
+  }
+
   startStreaming(callback) {
     if (this.streaming) this.stopStreaming();
     this.streaming = true;
     this._currentCallback = callback;
     this.frameCount = 0;
+    this.keyframeCount = 0;
+    this._prevRaw = null;           // first frame is always a keyframe
     console.log(`🎬 Streaming: ${this.fps} FPS, quality ${this.quality}, scale ${this.scale}x, display ${this.activeDisplayId}`);
     this._startInterval(callback);
   }
@@ -274,21 +584,23 @@ class ScreenCapture {
       const loopStart = Date.now();
 
       try {
-        const frame = await this._captureFrame();
-        if (frame && this.streaming) {
-          // Idle frame detection: hash & skip if identical
-          const hash = crypto.createHash('md5').update(frame).digest('hex');
-          if (hash === this.lastFrameHash) {
+        const raw = await this._captureFrame();
+        if (raw && this.streaming && this.video) {
+          this._encodeVideo(raw);
+        } else if (raw && this.streaming) {
+          const encoded = await this._encodeFrame(raw);
+          // Idle frame detection: nothing changed since the last frame sent
+          if (!encoded) {
             this.skippedFrames++;
-          } else {
-            this.lastFrameHash = hash;
+          } else if (this.streaming) {
             this.frameCount++;
             this._fpsCounter++;
             // Send raw buffer (binary) instead of base64 — 33% less bandwidth
             callback({
-              buf: frame,
-              width: Math.round(this.screenWidth * this.scale),
-              height: Math.round(this.screenHeight * this.scale),
+              buf: encoded.buf,
+              delta: encoded.delta,
+              width: raw.width,
+              height: raw.height,
               timestamp: Date.now(),
               frame: this.frameCount
             });
@@ -329,30 +641,251 @@ class ScreenCapture {
     }
   }
 
+  /**
+   * Switch between a video codec ('h264' / 'vp8') and JPEG frames (null).
+   * The first frame after a switch is always a keyframe.
+   */
+  setVideoCodec(codec) {
+    if ((this.video?.codec || null) === (codec || null)) return;
+    if (codec && !this.videoCodecs.includes(codec)) return;
+    if (this.video) this.video.stop();
+    this.video = codec ? new VideoEncoder({
+      codec,
+      ffmpegPath: this.ffmpegPath,
+      onFrame: (frame) => this._onVideoFrame(frame)
+    }) : null;
+    this._prevRaw = null;
+    console.log(`🎥 Frames: ${codec ? codec.toUpperCase() + ' video' : 'JPEG'}`);
+  }
+
+  /**
+   * Ask for a full frame next tick — a viewer joined or missed a delta
+   */
+  requestKeyframe() {
+    this._keyframeRequested = true;
+  }
+
   async _captureFrame() {
+    if (this.backend) return this._captureBackend();
+    if (this.composite) return this._captureComposite();
+    if (!sharp) throw new Error('sharp is not installed (npm install sharp)');
     const captureOpts = { format: 'png' };
     if (this.activeDisplayId != null) captureOpts.screen = this.activeDisplayId;
-    const img = await screenshot(captureOpts);
+    const img = this.window ? await windows.capture(this.window.id) : await screenshot(captureOpts);
 
     let pipeline = sharp(img);
 
-    if (this.scale < 0.99) {
+    const scale = this.scale * this.resolution;
+    if (this.window) {
+      // Keep frames the announced size until refreshWindow() catches a resize
       pipeline = pipeline.resize(
-        Math.round(this.screenWidth * this.scale),
-        Math.round(this.screenHeight * this.scale),
+        Math.max(1, Math.round(this.screenWidth * scale)),
+        Math.max(1, Math.round(this.screenHeight * scale)),
+        { fit: 'fill', kernel: sharp.kernel.lanczos3 }
+      );
+    } else if (scale < 0.99) {
+      pipeline = pipeline.resize(
+        Math.round(this.screenWidth * scale),
+        Math.round(this.screenHeight * scale),
         { fit: 'fill', kernel: sharp.kernel.lanczos3 }
       );
     }
 
-    const frame = await pipeline
+    // Raw RGB so tiles can be compared; encoding happens in _encodeFrame
+    const { data, info } = await pipeline.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  /** Latest frame from the backend (PipeWire or VNC), scaled like a screenshot */
+  async _captureBackend() {
+    const raw = await this.backend.frame();
+    const scale = this.scale * this.resolution;
+    if (scale >= 0.99) return raw;
+    if (!sharp) return boxDownscale(raw, Math.round(raw.width * scale), Math.round(raw.height * scale));
+    const { data, info } = await sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: 3 } })
+      .resize(Math.round(raw.width * scale), Math.round(raw.height * scale), { fit: 'fill', kernel: sharp.kernel.lanczos3 })
+      .raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  /** Every display, scaled and placed on one black canvas the size of the virtual desktop */
+  async _captureComposite() {
+    const scale = this.scale * this.resolution;
+    const width = Math.max(1, Math.round(this.composite.width * scale));
+    const height = Math.max(1, Math.round(this.composite.height * scale));
+    const layers = await Promise.all(this.composite.displays.map(async (d) => {
+      const left = Math.min(width - 1, Math.round(d.x * scale));
+      const top = Math.min(height - 1, Math.round(d.y * scale));
+      const w = Math.max(1, Math.min(width - left, Math.round(d.width * scale)));
+      const h = Math.max(1, Math.min(height - top, Math.round(d.height * scale)));
+      const img = await screenshot({ format: 'png', screen: d.id });
+      const data = await sharp(img)
+        .resize(w, h, { fit: 'fill', kernel: sharp.kernel.lanczos3 })
+        .removeAlpha().raw().toBuffer();
+      return { input: data, raw: { width: w, height: h, channels: 3 }, left, top };
+    }));
+
+    const { data, info } = await sharp({ create: { width, height, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+      .composite(layers)
+      .removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  _jpeg(raw, region) {
+    if (!sharp) return encodeJpegJs(raw, region, this.quality);
+    let pipeline = sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: 3 } });
+    if (region) pipeline = pipeline.extract(region);
+    return pipeline
       .jpeg({
         quality: this.quality,
         mozjpeg: false,
         chromaSubsampling: '4:4:4'
       })
       .toBuffer();
+  }
+
+  /**
+   * Encode a captured frame as a keyframe or as changed tiles.
+   * Returns { buf, delta }, or null when nothing changed (idle).
+   */
+  async _encodeFrame(raw) {
+    const prev = this._prevRaw;
+    const now = Date.now();
+    const sameSize = prev && prev.width === raw.width && prev.height === raw.height;
+    const requested = this._keyframeRequested && now - this._lastKeyframe >= KEYFRAME_MIN_GAP;
+
+    let rects = null;
+    if (sameSize && !requested) {
+      rects = this._changedRects(prev, raw);
+      if (!rects) return null;
+      const area = rects.reduce((sum, r) => sum + r.width * r.height, 0);
+      if (!this.tiles || now - this._lastKeyframe >= this.keyframeInterval ||
+          rects.length > MAX_RECTS || area > raw.width * raw.height * FULL_FRAME_RATIO) {
+        rects = null;
+      }
+    }
+
+    this._prevRaw = raw;
+    if (!rects) {
+      this._keyframeRequested = false;
+      this._lastKeyframe = now;
+      this.keyframeCount++;
+      return { buf: await this._jpeg(raw), delta: false };
+    }
+
+    const jpegs = await Promise.all(rects.map(r => this._jpeg(raw, r)));
+    const header = Buffer.alloc(2 + rects.length * RECT_HEADER_BYTES);
+    header.writeUInt16BE(rects.length, 0);
+    rects.forEach((r, i) => {
+      const off = 2 + i * RECT_HEADER_BYTES;
+      header.writeUInt16BE(r.left, off);
+      header.writeUInt16BE(r.top, off + 2);
+      header.writeUInt16BE(r.width, off + 4);
+      header.writeUInt16BE(r.height, off + 6);
+      header.writeUInt32BE(jpegs[i].length, off + 8);
+    });
+    return { buf: Buffer.concat([header, ...jpegs]), delta: true };
+  }
+
+  /**
+   * Hand a capture to the video encoder unless nothing changed.
+   * Encoded frames come back through _onVideoFrame.
+   */
+  _encodeVideo(raw) {
+    if (this.video.failed) {
+      // ffmpeg died (missing codec, bad build) — stop offering it, back to JPEG
+      this.videoCodecs = this.videoCodecs.filter(c => c !== this.video.codec);
+      this.setVideoCodec(null);
+      return;
+    }
+    const prev = this._prevRaw;
+    const now = Date.now();
+    const sameSize = prev && prev.width === raw.width && prev.height === raw.height;
+    const requested = this._keyframeRequested && now - this._lastKeyframe >= KEYFRAME_MIN_GAP;
+    if (sameSize && !requested && !this._changedRects(prev, raw)) {
+      this.skippedFrames++;
+      return;
+    }
+
+    const sent = this.video.encode(raw, {
+      quality: this.quality,
+      fps: this.fps,
+      gop: Math.max(1, Math.round(this.fps * this.keyframeInterval / 1000)),
+      keyframe: requested || !prev
+    });
+    if (!sent) return;   // encoder busy — the next capture still differs
+    this._prevRaw = raw;
+    if (requested) {
+      this._keyframeRequested = false;
+      this._lastKeyframe = now;
+    }
+  }
+
+  _onVideoFrame({ data, key, config }) {
+    if (!this.streaming || !this._currentCallback) return;
+    this.frameCount++;
+    this._fpsCounter++;
+    if (key) this.keyframeCount++;
+    this._currentCallback({
+      buf: data,
+      delta: !key,
+      codec: this.video.codec,
+      config,   // H.264 decoder configuration (avcC), on keyframes
+      width: this.video.width,
+      height: this.video.height,
+      timestamp: Date.now(),
+      frame: this.frameCount
+    });
+  }
 
-    return frame;
+  /**
+   * Pixel regions that differ between two same-sized frames, as sharp
+   * extract() rectangles. Changed tiles in a row merge into runs, and a run
+   * spanning the same columns as one in the row above extends it downward.
+   * Returns null if the frames are identical.
+   */
+  _changedRects(prev, cur) {
+    const { width, height } = cur;
+    const stride = width * 3;
+    const cols = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const rects = [];
+    let open = new Map();   // "c0:c1" → rect still growing downward
+
+    for (let ty = 0; ty < rows; ty++) {
+      const changed = new Uint8Array(cols);
+      const yEnd = Math.min(height, (ty + 1) * TILE_SIZE);
+      for (let y = ty * TILE_SIZE; y < yEnd; y++) {
+        const rowStart = y * stride;
+        // Whole row first — most rows are untouched
+        if (prev.data.subarray(rowStart, rowStart + stride).equals(cur.data.subarray(rowStart, rowStart + stride))) continue;
+        for (let tx = 0; tx < cols; tx++) {
+          if (changed[tx]) continue;
+          const a = rowStart + tx * TILE_SIZE * 3;
+          const b = rowStart + Math.min(width, (tx + 1) * TILE_SIZE) * 3;
+          if (!prev.data.subarray(a, b).equals(cur.data.subarray(a, b))) changed[tx] = 1;
+        }
+      }
+
+      const next = new Map();
+      for (let tx = 0; tx < cols; tx++) {
+        if (!changed[tx]) continue;
+        const c0 = tx;
+        while (tx + 1 < cols && changed[tx + 1]) tx++;
+        const id = c0 + ':' + tx;
+        let rect = open.get(id);
+        if (rect) {
+          rect.height = yEnd - rect.top;
+        } else {
+          const left = c0 * TILE_SIZE;
+          rect = { left, top: ty * TILE_SIZE, width: Math.min(width, (tx + 1) * TILE_SIZE) - left, height: yEnd - ty * TILE_SIZE };
+          rects.push(rect);
+        }
+        next.set(id, rect);
+      }
+      open = next;
+    }
+    return rects.length ? rects : null;
   }
 
   stopStreaming() {
@@ -365,7 +898,10 @@ class ScreenCapture {
       clearInterval(this._adaptiveInterval);
       this._adaptiveInterval = null;
     }
-    console.log(`⏹️  Streaming stopped (${this.frameCount} frames sent, ${this.skippedFrames} idle skipped)`);
+    this._prevRaw = null;
+    if (this.video) this.video.stop();
+    if (this.backend) this.backend.pause();
+    console.log(`⏹️  Streaming stopped (${this.frameCount} frames sent, ${this.keyframeCount} keyframes, ${this.skippedFrames} idle skipped)`);
   }
 }
 
@@ -0,0 +1,137 @@
+/**
+ * LogInTo — Guest Approval
+ *
+ * Decides whether an invited guest may start a session on this machine.
+ * Policy comes from AUTO_ACCEPT in .env:
+ *
+ *   true       Admit every guest without asking (default — same as older agents)
+ *   false      Always ask the owner
+ *   view-only  Admit view-only guests, ask before anyone gets control
+ *
+ * The owner is asked with a native dialog (osascript / PowerShell / zenity),
+ * falling back to the terminal. The prompt is injectable, so the whole flow
+ * can be driven without a desktop:
+ *
+ *   const approve = createApprover({ policy: 'false', prompt: async () => true });
+ *   await approve({ guest: { device: 'iPhone · Safari' }, permissions: { input: true } });
+ */
+
+const { execFile } = require('child_process');
+const readline = require('readline');
+
+const PROMPT_TIMEOUT = 60 * 1000; // unanswered prompts are declined
+
+function parsePolicy(value) {
+  const v = String(value ?? 'true').trim().toLowerCase();
+  if (v === 'view-only' || v === 'viewonly') return 'view-only';
+  if (['false', '0', 'no', 'off', 'ask'].includes(v)) return 'ask';
+  return 'accept';
+}
+
+/** True if the guest would get more than a picture of the screen */
+function wantsControl(permissions) {
+  return !!(permissions && (permissions.input || permissions.clipboard || permissions.displays || permissions.files || permissions.audio));
+}
+
+function describeRequest({ guest = {}, permissions = {} } = {}) {
+  const extras = [];
+  if (permissions.input) extras.push('control the mouse and keyboard');
+  if (permissions.clipboard) extras.push('use the clipboard');
+  if (permissions.displays) extras.push('switch displays');
+  if (permissions.files) extras.push('transfer files');
+  if (permissions.audio) extras.push('hear its sound');
+  const what = extras.length ? 'view your screen and ' + extras.join(', ') : 'view your screen';
+  const who = [guest.device, guest.ip].filter(Boolean).join(' from ') || 'A guest';
+  return `${who} wants to ${what} using an invite link.\n\nAllow this session?`;
+}
+
+// ─── Native Prompts ──────────────────────────────────────
+
+function run(cmd, args, opts) {
+  return new Promise((resolve) => {
+    execFile(cmd, args, { windowsHide: true, ...opts }, (err, stdout) => {
+      resolve({ err, stdout: String(stdout || '') });
+    });
+  });
+}
+
+function terminalPrompt(message, timeoutMs) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const timer = setTimeout(() => { rl.close(); resolve(false); }, timeoutMs);
+    console.log('');
+    rl.question('   🙋 ' + message.replace(/\n+/g, ' ') + ' [y/N] ', (answer) => {
+      clearTimeout(timer);
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Ask the person at this machine. Resolves true (allow) or false (deny / no answer).
+ */
+async function askOwner(message, { timeoutMs = PROMPT_TIMEOUT } = {}) {
+  const title = 'LogInTo — Guest Request';
+  const secs = Math.round(timeoutMs / 1000);
+
+  if (process.platform === 'darwin') {
+    // Message passed as argv — never interpolated into the script
+    const { err, stdout } = await run('osascript', [
+      '-e', 'on run argv',
+      '-e', `display dialog (item 1 of argv) with title (item 2 of argv) buttons {"Deny", "Allow"} default button "Deny" giving up after ${secs}`,
+      '-e', 'end run',
+      message, title
+    ], { timeout: timeoutMs + 5000 });
+    if (!err) return /button returned:Allow/.test(stdout) && !/gave up:true/.test(stdout);
+  } else if (process.platform === 'win32') {
+    // Message passed via environment — never interpolated into the command
+    const ps = [
+      'Add-Type -AssemblyName System.Windows.Forms',
+      '[System.Windows.Forms.MessageBox]::Show($env:LOGINTO_PROMPT, $env:LOGINTO_TITLE, "YesNo", "Question", "Button2", "ServiceNotification")'
+    ].join('; ');
+    const { err, stdout } = await run('powershell', ['-NoProfile', '-NonInteractive', '-Command', ps], {
+      timeout: timeoutMs,
+      env: { ...process.env, LOGINTO_PROMPT: message, LOGINTO_TITLE: title }
+    });
+    if (!err) return stdout.trim() === 'Yes';
+  } else if (process.env.DISPLAY || process.env.WAYLAND_DISPLAY) {
+    const { err } = await run('zenity', [
+      '--question', '--no-markup', '--title', title, '--text', message,
+      '--ok-label', 'Allow', '--cancel-label', 'Deny', '--timeout', String(secs)
+    ], { timeout: timeoutMs + 5000 });
+    if (!err) return true;
+    // Exit 1 = Deny, 5 = timed out; anything else means zenity isn't usable
+    if (err.code === 1 || err.code === 5) return false;
+  }
+
+  if (process.stdin.isTTY) return terminalPrompt(message, timeoutMs);
+
+  console.log('   ⚠️  Guest request declined — no way to ask (set AUTO_ACCEPT=true to admit guests automatically)');
+  return false;
+}
+
+/**
+ * Build the approve(request) function the agent calls for 'approval-request'.
+ */
+function createApprover({ policy = process.env.AUTO_ACCEPT, prompt = askOwner, timeoutMs = PROMPT_TIMEOUT } = {}) {
+  const mode = parsePolicy(policy);
+
+  return async function approve(request = {}) {
+    if (mode === 'accept') return true;
+    if (mode === 'view-only' && !wantsControl(request.permissions)) return true;
+
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(false), timeoutMs); });
+    try {
+      const answer = await Promise.race([prompt(describeRequest(request), { timeoutMs }), timeout]);
+      return answer === true;
+    } catch (_) {
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { createApprover, askOwner, parsePolicy, describeRequest };
@@ -0,0 +1,122 @@
+/**
+ * LogInTo — End-to-End Encryption
+ *
+ * Optional mode where frames, input and clipboard travel between agent and
+ * viewer as AES-256-GCM ciphertext; the relay server only sees event names
+ * and sizes. Both ends derive the key from a pairing secret shown by the
+ * agent and typed into the viewer:
+ *
+ *   bits  = PBKDF2-SHA256(secret, salt, 200k iterations, 512 bits)
+ *   key   = bits[0..32]        AES-GCM key
+ *   check = bits[32..40] (hex) lets the viewer tell a mistyped secret apart
+ *
+ * Wire format of a sealed payload: 12-byte random IV ‖ ciphertext ‖ 16-byte tag,
+ * with the Socket.IO event name as additional data so a payload can't be
+ * replayed under a different event. Input also carries a timestamp (on the
+ * agent's clock — viewers correct for skew using `time` from params), and the
+ * agent refuses stale or repeated messages so the server can't replay keystrokes.
+ *
+ * Mirrors the WebCrypto implementation in public/js/viewer.js.
+ */
+
+const crypto = require('crypto');
+
+const PBKDF2_ITERATIONS = 200000;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const REPLAY_WINDOW = 2 * 60 * 1000;   // input older/newer than this is dropped
+const SECRET_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+
+/** Human-friendly pairing secret, e.g. "K7QX-M2PD-9HWA-T4NE" (~80 bits) */
+function generateSecret() {
+  const bytes = crypto.randomBytes(16);
+  let out = '';
+  for (let i = 0; i < 16; i++) {
+    if (i && i % 4 === 0) out += '-';
+    out += SECRET_ALPHABET[bytes[i] % SECRET_ALPHABET.length];
+  }
+  return out;
+}
+
+/** Secrets are compared without dashes/spaces and case-insensitively */
+function normalizeSecret(secret) {
+  return String(secret || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+class E2ESession {
+  constructor(secret) {
+    this.salt = crypto.randomBytes(16);
+    const bits = crypto.pbkdf2Sync(normalizeSecret(secret), this.salt, PBKDF2_ITERATIONS, 64, 'sha256');
+    this.key = bits.subarray(0, 32);
+    this.check = bits.subarray(32, 40).toString('hex');
+    this._seen = new Map();   // iv hex → received at (replay guard)
+    this._lastPrune = 0;
+  }
+
+  /** What viewers need to derive the same key (sent with screen-info) */
+  get params() {
+    return {
+      salt: this.salt.toString('base64'),
+      check: this.check,
+      iterations: PBKDF2_ITERATIONS,
+      time: Date.now()
+    };
+  }
+
+  /** Encrypt a Buffer for `event` */
+  seal(event, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(event));
+    const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, body, cipher.getAuthTag()]);
+  }
+
+  /** Decrypt a sealed payload for `event`. Returns a Buffer, or null if it doesn't authenticate. */
+  open(event, sealed) {
+    if (!Buffer.isBuffer(sealed) || sealed.length < IV_BYTES + TAG_BYTES) return null;
+    try {
+      const iv = sealed.subarray(0, IV_BYTES);
+      const tag = sealed.subarray(sealed.length - TAG_BYTES);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+      decipher.setAAD(Buffer.from(event));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Seal a JSON-able message (clipboard, etc.) as { e2e: Buffer } */
+  sealJson(event, obj) {
+    return { e2e: this.seal(event, Buffer.from(JSON.stringify(obj))) };
+  }
+
+  /**
+   * Open a viewer → agent message. Returns the inner object, or null if it is
+   * plaintext, forged, stale or a replay — in E2E mode those are all dropped.
+   */
+  openInput(event, data, now = Date.now()) {
+    if (!data || !Buffer.isBuffer(data.e2e)) return null;
+    const plain = this.open(event, data.e2e);
+    if (!plain) return null;
+
+    let msg;
+    try { msg = JSON.parse(plain.toString('utf8')); } catch (_) { return null; }
+    if (!msg || typeof msg.t !== 'number' || Math.abs(now - msg.t) > REPLAY_WINDOW) return null;
+
+    const iv = data.e2e.subarray(0, IV_BYTES).toString('hex');
+    if (this._seen.has(iv)) return null;
+    this._seen.set(iv, now);
+    if (now - this._lastPrune > 10000) {
+      this._lastPrune = now;
+      for (const [k, at] of this._seen) {
+        if (now - at > REPLAY_WINDOW) this._seen.delete(k);
+      }
+    }
+    delete msg.t;
+    return msg;
+  }
+}
+
+module.exports = { E2ESession, generateSecret, normalizeSecret };
@@ -0,0 +1,295 @@
+/**
+ * LogInTo — File Transfer
+ *
+ * Lets viewers browse one folder on this machine (FILES_DIR, default
+ * "~/LogInTo Files") and move files in and out of it: list, download,
+ * upload, rename and delete. Nothing outside that folder is reachable —
+ * paths are resolved against it, and symlinks that lead out of it are
+ * refused rather than followed.
+ *
+ * Paths on the wire are relative and "/"-separated ("" is the folder
+ * itself). Files travel in CHUNK_BYTES pieces, each its own request, so the
+ * relay server never holds more than one chunk per viewer:
+ *
+ *   download  read(path, offset) until `done`
+ *   upload    write({ dir, name, size, offset: 0, data }) returns an `id`;
+ *             later chunks send { id, offset, data }. The file is written
+ *             to a hidden temp name in the target folder and renamed into
+ *             place after its last byte, never overwriting — "a.txt"
+ *             becomes "a (1).txt" if the name is taken.
+ *
+ * Errors thrown as FileError carry a message meant for the viewer; other
+ * failures are reported by error code only, so absolute paths stay here.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHUNK_BYTES = 256 * 1024;
+const DEFAULT_MAX_MB = 100;
+const UPLOAD_IDLE_MS = 2 * 60 * 1000;   // a half-finished upload is discarded after this
+const TEMP_PREFIX = '.loginto-upload-';
+const MAX_ENTRIES = 2000;               // per listing
+
+const ERROR_MESSAGES = {
+  ENOENT: 'Not found',
+  EACCES: 'Permission denied',
+  EPERM: 'Permission denied',
+  EEXIST: 'Already exists',
+  ENOTEMPTY: 'Folder is not empty',
+  ENOTDIR: 'Not a folder',
+  EISDIR: 'Is a folder',
+  ENOSPC: 'Disk full',
+  EBUSY: 'File is in use'
+};
+
+class FileError extends Error {}
+
+/** One path component a viewer may create: no separators, no "." / ".." */
+function validName(name) {
+  if (typeof name !== 'string' || !name || name.length > 255) return false;
+  if (name === '.' || name === '..' || /[\/\\\0]/.test(name)) return false;
+  if (process.platform === 'win32' && /[<>:"|?*\x00-\x1f]|[. ]$/.test(name)) return false;
+  return true;
+}
+
+/** "report.pdf" → "report (1).pdf", "report (2).pdf", … */
+function numbered(name, n) {
+  const ext = path.extname(name);
+  const base = ext && ext !== name ? name.slice(0, -ext.length) : name;
+  return `${base} (${n})${ext && ext !== name ? ext : ''}`;
+}
+
+class FileShare {
+  /**
+   * @param {object} options
+   * @param {string} [options.root]     shared folder (created if missing)
+   * @param {number} [options.maxMB]    largest file that may be uploaded or downloaded
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || path.join(os.homedir(), 'LogInTo Files'));
+    this.maxBytes = (options.maxMB || DEFAULT_MAX_MB) * 1024 * 1024;
+    this.realRoot = null;
+    this.uploads = new Map();   // id → { tmp, dir, name, size, written, timer }
+  }
+
+  /** One line for the agent's startup banner */
+  describe() {
+    const home = os.homedir();
+    const shown = this.root.startsWith(home + path.sep) ? '~' + this.root.slice(home.length) : this.root;
+    return `${shown} (up to ${Math.round(this.maxBytes / 1024 / 1024)} MB per file)`;
+  }
+
+  /** { path, entries: [{ name, type: 'dir'|'file', size, mtime }] }, folders first */
+  async list(rel) {
+    const { full, rel: clean } = await this._resolve(rel);
+    const stat = await fs.promises.stat(full);
+    if (!stat.isDirectory()) throw new FileError('Not a folder');
+
+    const names = (await fs.promises.readdir(full)).filter(n => !n.startsWith(TEMP_PREFIX));
+    const entries = [];
+    for (const name of names.slice(0, MAX_ENTRIES)) {
+      try {
+        // Symlinks are listed only if they stay inside the shared folder
+        const real = await fs.promises.realpath(path.join(full, name));
+        if (!this._inside(real)) continue;
+        const s = await fs.promises.stat(real);
+        if (!s.isDirectory() && !s.isFile()) continue;
+        entries.push({ name, type: s.isDirectory() ? 'dir' : 'file', size: s.isFile() ? s.size : 0, mtime: s.mtimeMs });
+      } catch (_) { /* vanished or unreadable — leave it out */ }
+    }
+    entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1));
+    return { path: clean, entries, truncated: names.length > MAX_ENTRIES };
+  }
+
+  /** The chunk of a file starting at `offset`: { path, name, size, offset, data, done } */
+  async read(rel, offset = 0) {
+    const { full, rel: clean } = await this._resolve(rel);
+    const fh = await fs.promises.open(full, 'r');
+    try {
+      const stat = await fh.stat();
+      if (!stat.isFile()) throw new FileError('Not a file');
+      if (stat.size > this.maxBytes) throw new FileError(`Larger than ${this._limit()}`);
+      if (!Number.isInteger(offset) || offset < 0 || offset > stat.size) throw new FileError('Bad offset');
+
+      const buf = Buffer.alloc(Math.min(CHUNK_BYTES, stat.size - offset));
+      const { bytesRead } = await fh.read(buf, 0, buf.length, offset);
+      const data = buf.subarray(0, bytesRead);
+      return {
+        path: clean, name: path.basename(full), size: stat.size, offset,
+        data, done: offset + bytesRead >= stat.size
+      };
+    } finally {
+      await fh.close();
+    }
+  }
+
+  /**
+   * Write one upload chunk. The first (offset 0) names the folder, file
+   * name and total size and gets back an `id` for the rest. The last one
+   * returns the name the file was saved under.
+   */
+  async write({ id, dir, name, size, offset, data } = {}) {
+    if (!Buffer.isBuffer(data) || data.length > CHUNK_BYTES) throw new FileError('Bad chunk');
+    let up = id ? this.uploads.get(id) : null;
+
+    if (!up) {
+      if (id) throw new FileError('Upload expired — start again');
+      if (offset !== 0) throw new FileError('Bad offset');
+      if (!validName(name)) throw new FileError('Bad file name');
+      if (!Number.isInteger(size) || size < 0) throw new FileError('Bad size');
+      if (size > this.maxBytes) throw new FileError(`Larger than ${this._limit()}`);
+      const target = await this._resolve(dir);
+      if (!(await fs.promises.stat(target.full)).isDirectory()) throw new FileError('Not a folder');
+
+      id = crypto.randomBytes(8).toString('hex');
+      up = { id, tmp: path.join(target.full, TEMP_PREFIX + id), dir: target.full, name, size, written: 0, timer: null };
+      await fs.promises.writeFile(up.tmp, Buffer.alloc(0), { flag: 'wx' });
+      this.uploads.set(id, up);
+    }
+
+    if (offset !== up.written || up.written + data.length > up.size) {
+      this._discard(up);
+      throw new FileError('Bad offset');
+    }
+    try {
+      await fs.promises.appendFile(up.tmp, data);
+    } catch (e) {
+      this._discard(up);
+      throw e;
+    }
+    up.written += data.length;
+    clearTimeout(up.timer);
+
+    if (up.written < up.size) {
+      up.timer = setTimeout(() => this._discard(up), UPLOAD_IDLE_MS);
+      return { id: up.id, written: up.written, done: false };
+    }
+
+    this.uploads.delete(up.id);
+    try {
+      const saved = await this._place(up.tmp, up.dir, up.name);
+      return { id: up.id, written: up.written, done: true, name: saved, path: this._relative(path.join(up.dir, saved)) };
+    } catch (e) {
+      fs.promises.unlink(up.tmp).catch(() => {});
+      throw e;
+    }
+  }
+
+  /** Rename a file or folder within its folder; returns the new relative path */
+  async rename(rel, name) {
+    if (!validName(name)) throw new FileError('Bad name');
+    const { dir, base } = await this._resolveEntry(rel);
+    const from = path.join(dir, base);
+    const to = path.join(dir, name);
+    if (to === from) return { path: this._relative(to) };
+    // On case-insensitive disks a case-only rename finds the file itself
+    const [src, existing] = await Promise.all([fs.promises.lstat(from), fs.promises.lstat(to).catch(() => null)]);
+    if (existing && (existing.ino !== src.ino || existing.dev !== src.dev)) throw new FileError('A file with that name already exists');
+    await fs.promises.rename(from, to);
+    return { path: this._relative(to) };
+  }
+
+  /** Delete a file, or a folder that is empty */
+  async remove(rel) {
+    const { dir, base } = await this._resolveEntry(rel);
+    const full = path.join(dir, base);
+    const stat = await fs.promises.lstat(full);
+    if (stat.isDirectory()) await fs.promises.rmdir(full);
+    else await fs.promises.unlink(full);
+    return { ok: true };
+  }
+
+  /** Drop unfinished uploads (agent shutting down) */
+  stop() {
+    for (const up of this.uploads.values()) this._discard(up);
+  }
+
+  /** Message to show the viewer for any error from the methods above */
+  static errorMessage(err) {
+    if (err instanceof FileError) return err.message;
+    return ERROR_MESSAGES[err && err.code] || 'Failed' + (err && err.code ? ` (${err.code})` : '');
+  }
+
+  // ─── Internals ─────────────────────────────────────────
+
+  _limit() {
+    return Math.round(this.maxBytes / 1024 / 1024) + ' MB';
+  }
+
+  async _realRoot() {
+    if (!this.realRoot) {
+      await fs.promises.mkdir(this.root, { recursive: true });
+      this.realRoot = await fs.promises.realpath(this.root);
+    }
+    return this.realRoot;
+  }
+
+  _inside(real) {
+    return real === this.realRoot || real.startsWith(this.realRoot + path.sep);
+  }
+
+  _relative(full) {
+    return path.relative(this.realRoot, full).split(path.sep).join('/');
+  }
+
+  _parts(rel) {
+    if (rel == null) rel = '';
+    if (typeof rel !== 'string' || rel.length > 4096 || rel.includes('\0')) throw new FileError('Bad path');
+    const parts = rel.split(/[\/\\]+/).filter(p => p && p !== '.');
+    if (parts.some(p => p === '..' || !validName(p))) throw new FileError('Bad path');
+    return parts;
+  }
+
+  /** Existing path → its real location, which must be inside the shared folder */
+  async _resolve(rel) {
+    const root = await this._realRoot();
+    const real = await fs.promises.realpath(path.join(root, ...this._parts(rel)));
+    if (!this._inside(real)) throw new FileError('Outside the shared folder');
+    return { full: real, rel: this._relative(real) };
+  }
+
+  /**
+   * An entry to rename or delete: its parent is resolved, the entry itself
+   * is not — deleting a symlink removes the link, never what it points to.
+   */
+  async _resolveEntry(rel) {
+    const parts = this._parts(rel);
+    if (!parts.length) throw new FileError("Can't change the shared folder itself");
+    const parent = await this._resolve(parts.slice(0, -1).join('/'));
+    const base = parts[parts.length - 1];
+    await fs.promises.lstat(path.join(parent.full, base));   // ENOENT → "Not found"
+    return { dir: parent.full, base };
+  }
+
+  /** Move a finished upload to `name`, or the first free "name (n)" */
+  async _place(tmp, dir, name) {
+    for (let n = 0; n < 1000; n++) {
+      const candidate = n ? numbered(name, n) : name;
+      try {
+        // link + unlink instead of rename: fails if the name was taken meanwhile
+        await fs.promises.link(tmp, path.join(dir, candidate));
+        await fs.promises.unlink(tmp);
+        return candidate;
+      } catch (e) {
+        if (e.code === 'EEXIST') continue;
+        if (e.code !== 'EPERM' && e.code !== 'ENOTSUP' && e.code !== 'EXDEV') throw e;
+        // No hard links here (FAT, some network shares) — check, then rename
+        if (await fs.promises.lstat(path.join(dir, candidate)).catch(() => null)) continue;
+        await fs.promises.rename(tmp, path.join(dir, candidate));
+        return candidate;
+      }
+    }
+    throw new FileError('Too many files with that name');
+  }
+
+  _discard(up) {
+    clearTimeout(up.timer);
+    this.uploads.delete(up.id);
+    fs.promises.unlink(up.tmp).catch(() => {});
+  }
+}
+
+module.exports = { FileShare, FileError, CHUNK_BYTES };
@@ -0,0 +1,184 @@
+/**
+ * LogInTo — Headless Mode (virtual X display)
+ *
+ * For servers and CI containers with no monitor: runs the desktop on a
+ * virtual X server instead of a physical one.
+ *
+ *   xvfb   Xvfb, a bare in-memory framebuffer
+ *   xvnc   TigerVNC's Xvnc — the same, plus a VNC server on
+ *          localhost:5900+N (no password) to look in from the machine itself
+ *
+ * If an X server is already running on the display number (left over from
+ * an earlier run, or started by the container's entrypoint), start()
+ * attaches to it instead of launching one. A window manager (openbox,
+ * fluxbox, xfwm4…) is started on a display we launched, if configured.
+ *
+ * start() sets process.env.DISPLAY, which everything that touches the
+ * screen inherits — screenshot-desktop, windows.js, the input worker,
+ * xclip. It blocks until the server accepts connections (startup only), so
+ * ScreenCapture and InputHandler can be constructed right after it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVERS = { xvfb: 'Xvfb', xvnc: 'Xvnc' };
+const DEFAULT_RESOLUTION = '1920x1080x24';
+const START_TIMEOUT = 10000;
+const POLL_MS = 50;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/** Running and not a zombie — a child that died isn't reaped while we block */
+function alive(pid) {
+  try {
+    return !/\) Z /.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/** "1280x800" or "1280x800x16" → [width, height, depth] */
+function parseResolution(value) {
+  const m = String(value || DEFAULT_RESOLUTION).trim().match(/^(\d+)x(\d+)(?:x(\d+))?$/i);
+  if (!m) throw new Error(`bad resolution "${value}" — use WIDTHxHEIGHT or WIDTHxHEIGHTxDEPTH`);
+  const [width, height, depth] = [parseInt(m[1]), parseInt(m[2]), parseInt(m[3] || 24)];
+  if (width < 320 || height < 200 || width > 8192 || height > 8192) throw new Error(`resolution ${width}x${height} out of range`);
+  if (![8, 16, 24].includes(depth)) throw new Error(`color depth ${depth} unsupported (8, 16 or 24)`);
+  return [width, height, depth];
+}
+
+class VirtualDisplay {
+  /**
+   * @param {object} options
+   * @param {string} [options.server]      xvfb | xvnc
+   * @param {string} [options.display]     X display, e.g. ":99"
+   * @param {string} [options.resolution]  e.g. "1920x1080" or "1920x1080x24"
+   * @param {string} [options.wm]          window manager command, e.g. "openbox"
+   */
+  constructor(options = {}) {
+    this.server = (options.server || 'xvfb').toLowerCase();
+    this.display = options.display || ':99';
+    this.resolution = options.resolution || DEFAULT_RESOLUTION;
+    this.wm = options.wm || null;
+
+    this.proc = null;        // the X server, if we launched it
+    this.wmProc = null;
+    this.attached = false;   // true = someone else's X server; leave it running on stop()
+    this.stopping = false;
+  }
+
+  /** Launch or attach, then point DISPLAY at it. Throws if that fails. */
+  start() {
+    if (process.platform !== 'linux') throw new Error('needs Linux (Xvfb or Xvnc)');
+    const bin = SERVERS[this.server];
+    if (!bin) throw new Error(`unknown server "${this.server}" — use xvfb or xvnc`);
+    const m = String(this.display).match(/^:?(\d+)$/);
+    if (!m) throw new Error(`bad display "${this.display}" — use e.g. :99`);
+    const num = parseInt(m[1]);
+    this.display = ':' + num;
+    const [width, height, depth] = parseResolution(this.resolution);
+    this.resolution = `${width}x${height}x${depth}`;
+
+    if (this._running(num)) {
+      this.attached = true;
+    } else {
+      this._launch(bin, num, width, height, depth);
+    }
+
+    process.env.DISPLAY = this.display;
+    if (this.wm && !this.attached) this._startWm();
+    return this;
+  }
+
+  /** One line for the agent's startup banner */
+  describe() {
+    if (this.attached) return `attached to X server on ${this.display}`;
+    const vnc = this.server === 'xvnc' ? `, VNC on localhost:${5900 + parseInt(this.display.slice(1))}` : '';
+    const wm = this.wmProc ? ` + ${this.wm}` : '';
+    return `${SERVERS[this.server]} ${this.display} (${this.resolution})${wm}${vnc}`;
+  }
+
+  /** Kill what we started; an attached server keeps running */
+  stop() {
+    this.stopping = true;
+    if (this.wmProc) {
+      try { this.wmProc.kill(); } catch (_) {}
+      this.wmProc = null;
+    }
+    if (this.proc) {
+      try { this.proc.kill(); } catch (_) {}
+      this.proc = null;
+    }
+  }
+
+  /** An X server holds the display's lock file and its socket exists */
+  _running(num) {
+    try {
+      const pid = parseInt(fs.readFileSync(`/tmp/.X${num}-lock`, 'utf8').trim());
+      return pid > 0 && alive(pid) && fs.existsSync(`/tmp/.X11-unix/X${num}`);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  _launch(bin, num, width, height, depth) {
+    const args = bin === 'Xvnc'
+      ? [this.display, '-geometry', `${width}x${height}`, '-depth', String(depth), '-localhost', '-SecurityTypes', 'None', '-nolisten', 'tcp']
+      : [this.display, '-screen', '0', `${width}x${height}x${depth}`, '-nolisten', 'tcp'];
+
+    // stderr to a file: while start() blocks, a pipe would never be read
+    const logFile = path.join(os.tmpdir(), `loginto-x${num}.log`);
+    const logFd = fs.openSync(logFile, 'w');
+    const proc = spawn(bin, args, { stdio: ['ignore', 'ignore', logFd] });
+    fs.closeSync(logFd);
+    proc.on('error', () => { /* ENOENT — no pid, reported below */ });
+    if (!proc.pid) {
+      throw new Error(`${bin} not found — install ${bin === 'Xvnc' ? 'tigervnc-standalone-server' : 'xvfb'}`);
+    }
+
+    const lastLine = () => {
+      try {
+        return fs.readFileSync(logFile, 'utf8').trim().split('\n').filter(Boolean).pop() || '';
+      } catch (e) { return ''; }
+    };
+    const deadline = Date.now() + START_TIMEOUT;
+    while (!fs.existsSync(`/tmp/.X11-unix/X${num}`)) {
+      if (!alive(proc.pid)) throw new Error(`${bin} exited: ${lastLine() || 'no output'} (see ${logFile})`);
+      if (Date.now() > deadline) {
+        proc.kill();
+        throw new Error(`${bin} didn't start within ${START_TIMEOUT / 1000}s (see ${logFile})`);
+      }
+      sleepSync(POLL_MS);
+    }
+
+    this.proc = proc;
+    proc.on('exit', (code, signal) => {
+      if (this.stopping) return;
+      // Nothing left to capture or control — exit so a service manager restarts us
+      console.error(`   ❌ ${bin} ${this.display} exited (${signal || 'code ' + code}) — ${lastLine() || 'see ' + logFile}`);
+      process.exit(1);
+    });
+  }
+
+  _startWm() {
+    const [cmd, ...args] = this.wm.trim().split(/\s+/);
+    const proc = spawn(cmd, args, { stdio: 'ignore' });
+    proc.on('error', (err) => {
+      console.warn(`   ⚠️  Window manager "${cmd}" failed to start: ${err.message}`);
+      if (this.wmProc === proc) this.wmProc = null;
+    });
+    proc.on('exit', (code) => {
+      if (this.wmProc !== proc || this.stopping) return;
+      console.warn(`   ⚠️  Window manager "${cmd}" exited (code ${code})`);
+      this.wmProc = null;
+    });
+    if (proc.pid) this.wmProc = proc;
+  }
+}
+
+module.exports = { VirtualDisplay };
@@ -11,6 +11,15 @@
  * All input commands are piped to it via stdin — eliminates the ~500 ms
  * per-event cost of spawning a new powershell.exe process every mouse-move.
  * Uses SendInput() (modern Win32 API) instead of the deprecated mouse_event().
+ *
+ * Linux / macOS fallback: the same idea with ONE persistent Python worker —
+ * XTest through ctypes on X11 (libXtst, which xdotool needs too), Quartz
+ * CGEvents on macOS (Apple's python3, as in capture.js). If it can't start
+ * (no python3, no X display) every event runs xdotool / osascript instead.
+ *
+ * Both workers get mouse moves coalesced: a burst of moves that arrives
+ * before the last one was written, or while the worker's stdin is backed
+ * up, goes out as one move to the latest position.
  */
 
 // ─── PowerShell worker script (embedded, written to a temp .ps1 on Windows) ─
@@ -133,13 +142,275 @@ while ($true) {
 }
 `;
 
+// ─── Python worker script (embedded, written to a temp .py on Linux/macOS) ──
+// Protocol, one command per line:
+//   MOVE|x|y   CLICK|x|y|button   DCLICK|x|y   DOWN|x|y|button   UP|x|y|button
+//   SCROLL|x|y|sy|sx   (lines; sy > 0 = up, sx > 0 = left)
+//   KEY|["key", ["ctrl", ...]]   TYPE|"text"   (JSON, so any character fits on one line)
+const UNIX_PY_WORKER = String.raw`
+import sys, os, json
+
+BUTTONS = {'left': 1, 'middle': 2, 'right': 3}
+
+
+class X11:
+    NAMES = {
+        'Enter': 'Return', 'Backspace': 'BackSpace', 'Escape': 'Escape', 'Tab': 'Tab', 'Delete': 'Delete',
+        'ArrowUp': 'Up', 'ArrowDown': 'Down', 'ArrowLeft': 'Left', 'ArrowRight': 'Right',
+        'Home': 'Home', 'End': 'End', 'PageUp': 'Prior', 'PageDown': 'Next', 'Insert': 'Insert',
+        'Space': 'space', 'CapsLock': 'Caps_Lock', 'PrintScreen': 'Print',
+        'Shift': 'Shift_L', 'Control': 'Control_L', 'Alt': 'Alt_L', 'Meta': 'Super_L',
+    }
+    MODS = {'ctrl': 'Control_L', 'shift': 'Shift_L', 'alt': 'Alt_L', 'meta': 'Super_L', 'cmd': 'Super_L'}
+
+    def __init__(self):
+        import ctypes, ctypes.util
+        c = self.c = ctypes
+        load = lambda name, so: c.cdll.LoadLibrary(c.util.find_library(name) or so)
+        X = self.X = load('X11', 'libX11.so.6')
+        T = self.T = load('Xtst', 'libXtst.so.6')
+        vp, ul, i, ui, ub = c.c_void_p, c.c_ulong, c.c_int, c.c_uint, c.c_ubyte
+        X.XOpenDisplay.restype = vp
+        X.XOpenDisplay.argtypes = [c.c_char_p]
+        X.XFlush.argtypes = [vp]
+        X.XSync.argtypes = [vp, i]
+        X.XStringToKeysym.restype = ul
+        X.XStringToKeysym.argtypes = [c.c_char_p]
+        X.XKeysymToKeycode.restype = ub
+        X.XKeysymToKeycode.argtypes = [vp, ul]
+        X.XKeycodeToKeysym.restype = ul
+        X.XKeycodeToKeysym.argtypes = [vp, ub, i]
+        X.XDisplayKeycodes.argtypes = [vp, c.POINTER(i), c.POINTER(i)]
+        X.XGetKeyboardMapping.restype = c.POINTER(ul)
+        X.XGetKeyboardMapping.argtypes = [vp, ub, i, c.POINTER(i)]
+        X.XChangeKeyboardMapping.argtypes = [vp, i, i, c.POINTER(ul), i]
+        X.XFree.argtypes = [vp]
+        T.XTestFakeMotionEvent.argtypes = [vp, i, i, i, ul]
+        T.XTestFakeButtonEvent.argtypes = [vp, ui, i, ul]
+        T.XTestFakeKeyEvent.argtypes = [vp, ui, i, ul]
+        self.d = X.XOpenDisplay(None)
+        if not self.d:
+            raise RuntimeError('cannot open display ' + os.environ.get('DISPLAY', '(DISPLAY not set)'))
+        self.spare = self._spare_keycode()
+
+    def _spare_keycode(self):
+        # A keycode with nothing bound, to type characters the layout lacks
+        c = self.c
+        lo, hi, per = c.c_int(), c.c_int(), c.c_int()
+        self.X.XDisplayKeycodes(self.d, c.byref(lo), c.byref(hi))
+        syms = self.X.XGetKeyboardMapping(self.d, lo.value, hi.value - lo.value + 1, c.byref(per))
+        try:
+            for code in range(hi.value, lo.value - 1, -1):
+                base = (code - lo.value) * per.value
+                if not any(syms[base + k] for k in range(per.value)):
+                    return code
+        finally:
+            self.X.XFree(syms)
+        return 0
+
+    def keysym(self, key):
+        key = self.NAMES.get(key, key)
+        if len(key) == 1:
+            cp = ord(key)
+            if cp == 10:
+                return self.X.XStringToKeysym(b'Return')
+            return cp if cp < 0x100 else 0x01000000 + cp
+        return self.X.XStringToKeysym(key.encode())
+
+    def move(self, x, y):
+        self.T.XTestFakeMotionEvent(self.d, -1, x, y, 0)
+        self.X.XFlush(self.d)
+
+    def button(self, name, down):
+        self.T.XTestFakeButtonEvent(self.d, BUTTONS.get(name, 1), 1 if down else 0, 0)
+        self.X.XFlush(self.d)
+
+    def click(self, name, count):
+        for _ in range(count):
+            self.button(name, True)
+            self.button(name, False)
+
+    def scroll(self, sy, sx):
+        for button, steps in ((4 if sy > 0 else 5, abs(sy)), (6 if sx > 0 else 7, abs(sx))):
+            for _ in range(steps):
+                self.T.XTestFakeButtonEvent(self.d, button, 1, 0)
+                self.T.XTestFakeButtonEvent(self.d, button, 0, 0)
+        self.X.XFlush(self.d)
+
+    def tap(self, sym, mods=()):
+        X, d = self.X, self.d
+        code = X.XKeysymToKeycode(d, sym)
+        remapped = False
+        if not code and self.spare:
+            X.XChangeKeyboardMapping(d, self.spare, 1, (self.c.c_ulong * 1)(sym), 1)
+            X.XSync(d, 0)
+            code, remapped = self.spare, True
+        if not code:
+            return
+        held = [X.XKeysymToKeycode(d, X.XStringToKeysym(self.MODS[m].encode())) for m in mods if m in self.MODS]
+        if not remapped and X.XKeycodeToKeysym(d, code, 0) != sym and X.XKeycodeToKeysym(d, code, 1) == sym:
+            shift = X.XKeysymToKeycode(d, X.XStringToKeysym(b'Shift_L'))
+            if shift not in held:
+                held.append(shift)
+        for m in held:
+            self.T.XTestFakeKeyEvent(d, m, 1, 0)
+        self.T.XTestFakeKeyEvent(d, code, 1, 0)
+        self.T.XTestFakeKeyEvent(d, code, 0, 0)
+        for m in reversed(held):
+            self.T.XTestFakeKeyEvent(d, m, 0, 0)
+        X.XSync(d, 0)
+        if remapped:
+            X.XChangeKeyboardMapping(d, self.spare, 1, (self.c.c_ulong * 1)(0), 1)
+            X.XFlush(d)
+
+    def key(self, key, mods):
+        sym = self.keysym(key)
+        if sym:
+            self.tap(sym, mods)
+
+    def type(self, text):
+        for ch in text:
+            sym = self.keysym(ch)
+            if sym:
+                self.tap(sym)
+
+
+class Mac:
+    # (down, up, dragged, button) CGEvent types per button
+    EVENTS = {'left': (1, 2, 6, 0), 'right': (3, 4, 7, 1), 'middle': (25, 26, 27, 2)}
+    FLAGS = {'shift': 0x20000, 'ctrl': 0x40000, 'alt': 0x80000, 'meta': 0x100000, 'cmd': 0x100000}
+    KEYCODES = {
+        'Enter': 36, 'Tab': 48, 'Space': 49, ' ': 49, 'Backspace': 51, 'Escape': 53, 'Delete': 117,
+        'Home': 115, 'End': 119, 'PageUp': 116, 'PageDown': 121,
+        'ArrowLeft': 123, 'ArrowRight': 124, 'ArrowDown': 125, 'ArrowUp': 126,
+        'F1': 122, 'F2': 120, 'F3': 99, 'F4': 118, 'F5': 96, 'F6': 97, 'F7': 98, 'F8': 100,
+        'F9': 101, 'F10': 109, 'F11': 103, 'F12': 111,
+        'Meta': 55, 'Shift': 56, 'CapsLock': 57, 'Alt': 58, 'Control': 59,
+        'a': 0, 's': 1, 'd': 2, 'f': 3, 'h': 4, 'g': 5, 'z': 6, 'x': 7, 'c': 8, 'v': 9, 'b': 11,
+        'q': 12, 'w': 13, 'e': 14, 'r': 15, 'y': 16, 't': 17, '1': 18, '2': 19, '3': 20, '4': 21,
+        '6': 22, '5': 23, '=': 24, '9': 25, '7': 26, '-': 27, '8': 28, '0': 29, ']': 30, 'o': 31,
+        'u': 32, '[': 33, 'i': 34, 'p': 35, 'l': 37, 'j': 38, "'": 39, 'k': 40, ';': 41, '\\': 42,
+        ',': 43, '/': 44, 'n': 45, 'm': 46, '.': 47, '\x60': 50,
+    }
+
+    def __init__(self):
+        import Quartz
+        self.Q = Quartz
+        self.pos = (0, 0)
+        self.held = None
+
+    def _mouse(self, kind, button, clicks=1):
+        Q = self.Q
+        e = Q.CGEventCreateMouseEvent(None, kind, self.pos, button)
+        Q.CGEventSetIntegerValueField(e, Q.kCGMouseEventClickState, clicks)
+        Q.CGEventPost(Q.kCGHIDEventTap, e)
+
+    def move(self, x, y):
+        self.pos = (x, y)
+        if self.held:
+            ev = self.EVENTS[self.held]
+            self._mouse(ev[2], ev[3])
+        else:
+            self._mouse(5, 0)
+
+    def button(self, name, down, clicks=1):
+        name = name if name in self.EVENTS else 'left'
+        ev = self.EVENTS[name]
+        self.held = name if down else None
+        self._mouse(ev[0] if down else ev[1], ev[3], clicks)
+
+    def click(self, name, count):
+        for n in range(1, count + 1):
+            self.button(name, True, n)
+            self.button(name, False, n)
+
+    def scroll(self, sy, sx):
+        Q = self.Q
+        Q.CGEventPost(Q.kCGHIDEventTap, Q.CGEventCreateScrollWheelEvent(None, Q.kCGScrollEventUnitLine, 2, sy, sx))
+
+    def _key(self, code, flags):
+        Q = self.Q
+        for down in (True, False):
+            e = Q.CGEventCreateKeyboardEvent(None, code, down)
+            Q.CGEventSetFlags(e, flags)
+            Q.CGEventPost(Q.kCGHIDEventTap, e)
+
+    def key(self, key, mods):
+        code = self.KEYCODES.get(key, self.KEYCODES.get(key.lower()))
+        flags = 0
+        for m in mods:
+            flags |= self.FLAGS.get(m, 0)
+        if code is None:
+            if not flags:
+                self.type(key)
+            return
+        if len(key) == 1 and key != key.lower():
+            flags |= self.FLAGS['shift']
+        self._key(code, flags)
+
+    def type(self, text):
+        Q = self.Q
+        for ch in text:
+            if ch == '\n':
+                self._key(self.KEYCODES['Enter'], 0)
+                continue
+            for down in (True, False):
+                e = Q.CGEventCreateKeyboardEvent(None, 0, down)
+                Q.CGEventKeyboardSetUnicodeString(e, len(ch.encode('utf-16-le')) // 2, ch)
+                Q.CGEventPost(Q.kCGHIDEventTap, e)
+
+
+def main():
+    try:
+        dev = Mac() if sys.platform == 'darwin' else X11()
+    except Exception as e:
+        sys.stderr.write('%s\n' % e)
+        sys.exit(2)
+    sys.stdout.write('READY\n')
+    sys.stdout.flush()
+
+    for line in sys.stdin:
+        cmd, _, rest = line.rstrip('\n').partition('|')
+        p = rest.split('|')
+        try:
+            if cmd in ('MOVE', 'CLICK', 'DCLICK', 'DOWN', 'UP', 'SCROLL'):
+                dev.move(int(p[0]), int(p[1]))
+            if cmd == 'CLICK':
+                dev.click(p[2], 1)
+            elif cmd == 'DCLICK':
+                dev.click('left', 2)
+            elif cmd in ('DOWN', 'UP'):
+                dev.button(p[2], cmd == 'DOWN')
+            elif cmd == 'SCROLL':
+                dev.scroll(int(p[2]), int(p[3]))
+            elif cmd == 'KEY':
+                key, mods = json.loads(rest)
+                dev.key(key, [m.lower() for m in mods])
+            elif cmd == 'TYPE':
+                dev.type(json.loads(rest))
+        except Exception as e:
+            sys.stderr.write('%s: %s\n' % (cmd, e))
+            sys.stderr.flush()
+
+
+main()
+`;
+
 class InputHandler {
-  constructor() {
+  /**
+   * options.backend: a started-or-starting WaylandBackend or VncBackend (see
+   * wayland.js, vnc.js). Pointer and keyboard go through it once it has an
+   * input path; until then the xdotool fallbacks below are used.
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || null;
     this.robot = null;
     this.useRobot = false;
     this.screenWidth = 1920;
     this.screenHeight = 1080;
     this._winPs = null;   // persistent PowerShell worker (Windows only)
+    this._worker = null;  // persistent Python worker (Linux/macOS), once it reported READY
+    this._pendingMove = null;  // latest coalesced mouse move not yet written
     this._offsetX = 0;    // global desktop offset of active display (for multi-monitor)
     this._offsetY = 0;
 
@@ -147,6 +418,13 @@ class InputHandler {
   }
 
   _init() {
+    if (this.backend) {
+      // robotjs would only reach XWayland windows — or the wrong desktop, for VNC
+      this.useRobot = false;
+      this.platform = process.platform;
+      console.log('🎮 Input handler: ' + this.backend.describe());
+      return;
+    }
     try {
       this.robot = require('robotjs');
       this.robot.setMouseDelay(0);
@@ -206,6 +484,8 @@ class InputHandler {
 
       // Spawn the persistent PowerShell worker
       this._initWindowsPS();
+    } else if (this.platform === 'linux' || this.platform === 'darwin') {
+      this._initUnixWorker();
     }
   }
 
@@ -236,6 +516,7 @@ class InputHandler {
       this._winPs.on('exit', (code) => {
         console.warn(`⚠️  Windows input worker exited (code ${code}) — restarting...`);
         this._winPs = null;
+        this._pendingMove = null;
         // Restart after a short delay to avoid rapid-loop on persistent failures
         setTimeout(() => { if (this.platform === 'win32') this._initWindowsPS(); }, 2000);
       });
@@ -251,11 +532,103 @@ class InputHandler {
     }
   }
 
-  /** Send a command line to the persistent PS worker (non-blocking). */
-  _winSend(cmd) {
-    if (!this._winPs || !this._winPs.stdin.writable) return;
+  // ─── Linux / macOS: persistent Python worker ────────────────────────────────
+
+  _initUnixWorker() {
+    const { spawn } = require('child_process');
+    const fs   = require('fs');
+    const path = require('path');
+    const os   = require('os');
+
+    const scriptPath = path.join(os.tmpdir(), 'loginto-input-worker.py');
+    try {
+      fs.writeFileSync(scriptPath, UNIX_PY_WORKER, { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      console.warn('⚠️  Input worker: failed to write script:', e.message);
+      return;
+    }
+
+    // Apple's python3 has PyObjC (Quartz); a Homebrew one earlier in PATH usually doesn't
+    const python = this.platform === 'darwin' && fs.existsSync('/usr/bin/python3') ? '/usr/bin/python3' : 'python3';
+    const tool = this.platform === 'darwin' ? 'osascript' : 'xdotool';
+    let proc;
+    try {
+      proc = spawn(python, ['-u', scriptPath], { stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (e) {
+      console.warn(`⚠️  Input worker: failed to spawn ${python}: ${e.message} — using ${tool} per event`);
+      return;
+    }
+
+    let ready = false;
+    let stderr = '';
+    proc.stdout.on('data', (chunk) => {
+      if (ready || !chunk.toString().includes('READY')) return;
+      ready = true;
+      this._worker = proc;
+      console.log(`🎮 Input worker started (persistent ${this.platform === 'darwin' ? 'Quartz' : 'XTest'} process)`);
+    });
+    proc.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-500);
+      if (ready) console.warn('⚠️  Input worker:', chunk.toString().trim());
+    });
+    proc.stdin.on('error', () => { /* exit handler deals with it */ });
+
+    proc.on('error', (err) => {
+      if (!ready) console.warn(`⚠️  Input worker unavailable (${err.message}) — using ${tool} per event`);
+    });
+    proc.on('exit', (code) => {
+      if (this._worker === proc) {
+        console.warn(`⚠️  Input worker exited (code ${code}) — restarting...`);
+        this._worker = null;
+        this._pendingMove = null;
+        setTimeout(() => this._initUnixWorker(), 2000);
+      } else if (!ready && code !== null) {
+        const reason = stderr.trim().split('\n').pop() || `exit code ${code}`;
+        console.warn(`⚠️  Input worker unavailable (${reason}) — using ${tool} per event`);
+      }
+    });
+  }
+
+  /**
+   * Send a command line to the persistent worker (non-blocking). A pending
+   * coalesced move goes first so the command lands where the pointer should be.
+   */
+  _workerSend(cmd) {
+    const proc = this._winPs || this._worker;
+    if (!proc || !proc.stdin.writable) return;
     try {
-      this._winPs.stdin.write(cmd + '\n');
+      if (this._pendingMove) {
+        const { x, y } = this._pendingMove;
+        this._pendingMove = null;
+        proc.stdin.write(`MOVE|${x}|${y}\n`);
+      }
+      proc.stdin.write(cmd + '\n');
+    } catch (e) { /* ignore */ }
+  }
+
+  /**
+   * Queue a mouse move. Moves arriving before the queued one is written — in
+   * the same tick, or while the worker's stdin is backed up — replace it, so
+   * a slow worker always catches up to the latest position.
+   */
+  _workerMove(x, y) {
+    const queued = this._pendingMove;
+    this._pendingMove = { x, y };
+    if (!queued) setImmediate(() => this._flushMove());
+  }
+
+  _flushMove() {
+    const proc = this._winPs || this._worker;
+    const move = this._pendingMove;
+    if (!move) return;
+    if (proc?.stdin.writableNeedDrain) {
+      proc.stdin.once('drain', () => this._flushMove());
+      return;
+    }
+    this._pendingMove = null;
+    if (!proc || !proc.stdin.writable) return;
+    try {
+      proc.stdin.write(`MOVE|${move.x}|${move.y}\n`);
     } catch (e) { /* ignore */ }
   }
 
@@ -286,7 +659,7 @@ class InputHandler {
     if (this.useRobot) {
       try { this.robot.moveMouse(gx, gy); } catch (e) { /* ignore */ }
     } else if (this.platform === 'win32') {
-      this._winSend(`MOVE|${gx}|${gy}`);
+      this._workerMove(gx, gy);
     } else {
       this._fallbackMoveMouse(gx, gy);
     }
@@ -301,7 +674,7 @@ class InputHandler {
         this.robot.mouseClick(button);
       } catch (e) { /* ignore */ }
     } else if (this.platform === 'win32') {
-      this._winSend(`CLICK|${gx}|${gy}|${button}`);
+      this._workerSend(`CLICK|${gx}|${gy}|${button}`);
     } else {
       this._fallbackClick(gx, gy, button);
     }
@@ -316,7 +689,7 @@ class InputHandler {
         this.robot.mouseClick('left', true);
       } catch (e) { /* ignore */ }
     } else if (this.platform === 'win32') {
-      this._winSend(`DCLICK|${gx}|${gy}`);
+      this._workerSend(`DCLICK|${gx}|${gy}`);
     } else {
       this._fallbackDoubleClick(gx, gy);
     }
@@ -339,9 +712,16 @@ class InputHandler {
       // Positive sy = WHEEL_DELTA positive = scroll up; negate deltaY (browser positive = down)
       const sy = deltaY !== 0 ? (deltaY > 0 ? -3 : 3) : 0;
       const sx = deltaX !== 0 ? (deltaX > 0 ? -3 : 3) : 0;
-      this._winSend(`SCROLL|${gx}|${gy}|${sy}|${sx}`);
+      this._workerSend(`SCROLL|${gx}|${gy}|${sy}|${sx}`);
+    } else if (this.backend?.input) {
+      this.backend.scroll(gx, gy, deltaX, deltaY);
+    } else if (this._worker) {
+      // Same signs as Windows: positive sy = up, positive sx = left
+      const sy = deltaY !== 0 ? (deltaY > 0 ? -3 : 3) : 0;
+      const sx = deltaX !== 0 ? (deltaX > 0 ? -3 : 3) : 0;
+      this._workerSend(`SCROLL|${gx}|${gy}|${sy}|${sx}`);
     }
-    // Linux: no scroll fallback (xdotool scroll not reliable without click)
+    // No worker: no scroll fallback (xdotool scroll not reliable without click)
   }
 
   mouseDown(x, y, button = 'left') {
@@ -353,7 +733,7 @@ class InputHandler {
         this.robot.mouseToggle('down', button);
       } catch (e) { /* ignore */ }
     } else if (this.platform === 'win32') {
-      this._winSend(`DOWN|${gx}|${gy}|${button}`);
+      this._workerSend(`DOWN|${gx}|${gy}|${button}`);
     } else {
       this._fallbackMouseDown(gx, gy, button);
     }
@@ -368,7 +748,7 @@ class InputHandler {
         this.robot.mouseToggle('up', button);
       } catch (e) { /* ignore */ }
     } else if (this.platform === 'win32') {
-      this._winSend(`UP|${gx}|${gy}|${button}`);
+      this._workerSend(`UP|${gx}|${gy}|${button}`);
     } else {
       this._fallbackMouseUp(gx, gy, button);
     }
@@ -416,7 +796,7 @@ class InputHandler {
         else if (m === 'shift') sendKey = '+'  + sendKey;
         else if (m === 'meta' || m === 'cmd') sendKey = '^' + sendKey; // Best effort: Ctrl as Win-key sub
       }
-      this._winSend('KEY|' + sendKey);
+      this._workerSend('KEY|' + sendKey);
     } else {
       this._fallbackKeyPress(key, modifiers);
     }
@@ -428,7 +808,7 @@ class InputHandler {
     } else if (this.platform === 'win32') {
       // Escape special SendKeys characters: + ^ % ~ { } [ ] ( )
       const escaped = text.replace(/([+^%~{}[\]()])/g, '{$1}');
-      this._winSend('TYPE|' + escaped);
+      this._workerSend('TYPE|' + escaped);
     } else {
       this._fallbackTypeText(text);
     }
@@ -437,6 +817,8 @@ class InputHandler {
   // ─── macOS / Linux fallback methods ──────────────────────────────────────────
 
   _fallbackMoveMouse(x, y) {
+    if (this.backend?.input) return this.backend.moveMouse(x, y);
+    if (this._worker) return this._workerMove(Math.round(x), Math.round(y));
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'darwin') {
@@ -448,6 +830,8 @@ class InputHandler {
   }
 
   _fallbackClick(x, y, button = 'left') {
+    if (this.backend?.input) return this.backend.click(x, y, button);
+    if (this._worker) return this._workerSend(`CLICK|${Math.round(x)}|${Math.round(y)}|${button}`);
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'darwin') {
@@ -464,6 +848,8 @@ class InputHandler {
   }
 
   _fallbackDoubleClick(x, y) {
+    if (this.backend?.input) return this.backend.doubleClick(x, y);
+    if (this._worker) return this._workerSend(`DCLICK|${Math.round(x)}|${Math.round(y)}`);
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'linux') {
@@ -473,6 +859,8 @@ class InputHandler {
   }
 
   _fallbackMouseDown(x, y, button = 'left') {
+    if (this.backend?.input) return this.backend.mouseDown(x, y, button);
+    if (this._worker) return this._workerSend(`DOWN|${Math.round(x)}|${Math.round(y)}|${button}`);
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'linux') {
@@ -483,6 +871,8 @@ class InputHandler {
   }
 
   _fallbackMouseUp(x, y, button = 'left') {
+    if (this.backend?.input) return this.backend.mouseUp(x, y, button);
+    if (this._worker) return this._workerSend(`UP|${Math.round(x)}|${Math.round(y)}|${button}`);
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'linux') {
@@ -493,6 +883,8 @@ class InputHandler {
   }
 
   _fallbackKeyPress(key, modifiers) {
+    if (this.backend?.input) return this.backend.keyPress(key, modifiers);
+    if (this._worker) return this._workerSend('KEY|' + JSON.stringify([key, modifiers]));
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'linux') {
@@ -507,6 +899,8 @@ class InputHandler {
   }
 
   _fallbackTypeText(text) {
+    if (this.backend?.input) return this.backend.typeText(text);
+    if (this._worker) return this._workerSend('TYPE|' + JSON.stringify(text));
     const { execSync } = require('child_process');
     try {
       if (this.platform === 'linux') {
@@ -544,13 +938,19 @@ class InputHandler {
     } catch (e) { /* ignore */ }
   }
 
-  /** Clean up worker process on agent shutdown. */
+  /** Clean up worker processes on agent shutdown. */
   destroy() {
     if (this._winPs) {
       try { this._winPs.stdin.end(); } catch (_) {}
       try { this._winPs.kill(); } catch (_) {}
       this._winPs = null;
     }
+    if (this._worker) {
+      const worker = this._worker;
+      this._worker = null;   // before kill, so the exit handler doesn't restart it
+      try { worker.stdin.end(); } catch (_) {}
+      try { worker.kill(); } catch (_) {}
+    }
   }
 }
 
@@ -60,15 +60,10 @@ echo.
 
 :: Check if .env exists
 if not exist .env (
-    echo  [!] You need to create a .env file.
-    echo.
-    echo  1. Log into: https://loginto.kingpinstrategies.com
-    echo  2. Copy your Agent Key from the dashboard
-    echo  3. Copy .env.example to .env and paste your key
-    echo.
     copy .env.example .env >nul 2>&1
     echo  A .env file has been created from the example.
-    echo  Edit it with Notepad and paste your AGENT_KEY:
+    echo  Check SERVER_URL in it, then start the agent. It prints a
+    echo  pairing code - enter it on your dashboard to link this PC.
     echo.
     echo     notepad .env
     echo.
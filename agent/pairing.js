@@ -0,0 +1,75 @@
+/**
+ * LogInTo — Agent Pairing
+ *
+ * Enrolls an agent that has no AGENT_KEY yet. It connects as 'pairing',
+ * prints the short code the server hands out, and waits for the owner to
+ * type that code into the dashboard. The server then sends the machine's
+ * key over this same socket and it is saved to .env — so the key never
+ * shows up in a URL, shell history or proxy log.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { io } = require('socket.io-client');
+
+/**
+ * Wait to be paired. Resolves { agentKey, machineId, machineName }.
+ */
+function pair(serverUrl) {
+  return new Promise((resolve, reject) => {
+    let failures = 0;
+    const socket = io(serverUrl, {
+      auth: { role: 'pairing', hostname: os.hostname(), platform: process.platform },
+      reconnection: true,
+      reconnectionDelay: 2000,
+      reconnectionDelayMax: 30000,
+      reconnectionAttempts: Infinity,
+      timeout: 10000
+    });
+
+    socket.on('connect', () => { failures = 0; });
+
+    socket.on('connect_error', (err) => {
+      if (++failures === 1) console.error('   ❌ Connection failed: ' + err.message + ' — retrying...');
+    });
+
+    socket.on('pairing-code', ({ code, expiresAt }) => {
+      const mins = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+      console.log('');
+      console.log('   🔗 Pair this computer from your dashboard:');
+      console.log('');
+      console.log('         ' + code);
+      console.log('');
+      console.log('      Open ' + serverUrl + ', choose "Enter pairing code"');
+      console.log('      on a machine and type the code above (valid ' + mins + ' min).');
+      console.log('');
+    });
+
+    socket.on('pairing-error', (data) => {
+      socket.close();
+      reject(new Error(data?.error || 'Pairing refused'));
+    });
+
+    socket.on('paired', (data) => {
+      socket.close();
+      if (!data || typeof data.agentKey !== 'string') return reject(new Error('Server sent no agent key'));
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Write AGENT_KEY into a .env file, replacing any existing value
+ */
+function saveAgentKey(envFile, agentKey) {
+  let text = fs.existsSync(envFile) ? fs.readFileSync(envFile, 'utf8') : '';
+  if (/^AGENT_KEY=.*$/m.test(text)) {
+    text = text.replace(/^AGENT_KEY=.*$/m, 'AGENT_KEY=' + agentKey);
+  } else {
+    text += (text && !text.endsWith('\n') ? '\n' : '') + 'AGENT_KEY=' + agentKey + '\n';
+  }
+  fs.writeFileSync(envFile, text, { mode: 0o600 });
+  try { fs.chmodSync(envFile, 0o600); } catch (_) {}
+}
+
+module.exports = { pair, saveAgentKey };
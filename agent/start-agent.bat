@@ -11,7 +11,7 @@ echo.
 :: Check .env
 if not exist .env (
     echo  [!] No .env file found!
-    echo  Run install-windows.bat first, then edit .env with your AGENT_KEY.
+    echo  Run install-windows.bat first, then check SERVER_URL in .env.
     echo.
     pause
     exit /b 1
@@ -0,0 +1,204 @@
+/**
+ * LogInTo — Video Codec Streaming (H.264 / VP8)
+ *
+ * Optional alternative to JPEG frames: raw captures are piped into an ffmpeg
+ * child process running a software encoder (libx264 or libvpx), and each
+ * encoded frame goes out as a 'frame' event. Viewers decode it with the
+ * WebCodecs VideoDecoder. The codec is negotiated through the server:
+ * screen-info lists what this ffmpeg can encode, each viewer reports what it
+ * can decode, and the server picks one every viewer supports — or none, in
+ * which case the agent stays on JPEG.
+ *
+ * ffmpeg output is read as a container so frame boundaries are explicit:
+ *   h264  FLV — AVC sequence header (avcC, sent to viewers as `config`), then
+ *         length-prefixed NAL units per frame
+ *   vp8   IVF — 12-byte header (u32 LE size, u64 LE pts) per frame
+ *
+ * A keyframe on demand restarts the encoder (its first frame is always one);
+ * otherwise there is one every `gop` frames.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+
+const CODECS = {
+  h264: {
+    encoder: 'libx264',
+    format: 'flv',
+    args: (crf) => ['-c:v', 'libx264', '-preset', 'ultrafast', '-tune', 'zerolatency',
+      '-profile:v', 'baseline', '-crf', String(crf), '-bf', '0']
+  },
+  vp8: {
+    encoder: 'libvpx',
+    format: 'ivf',
+    args: (crf) => ['-c:v', 'libvpx', '-deadline', 'realtime', '-cpu-used', '8',
+      '-crf', String(Math.max(4, crf)), '-b:v', '8M', '-auto-alt-ref', '0', '-lag-in-frames', '0']
+  }
+};
+
+const MAX_PENDING_FRAMES = 2;   // frames in the encoder before new captures are dropped
+
+/** JPEG-style quality (10–100) → CRF (higher = smaller, blurrier) */
+function qualityToCrf(quality) {
+  return Math.round(Math.min(45, Math.max(18, 51 - quality * 0.35)));
+}
+
+/**
+ * Which of CODECS the ffmpeg binary can encode, in preference order.
+ * Empty if ffmpeg isn't installed.
+ */
+function detectCodecs(ffmpegPath = 'ffmpeg', preferred = Object.keys(CODECS)) {
+  let out;
+  try {
+    out = execFileSync(ffmpegPath, ['-hide_banner', '-encoders'], { timeout: 5000, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true });
+  } catch (_) {
+    return [];
+  }
+  return preferred.filter(name => CODECS[name] && new RegExp('\\s' + CODECS[name].encoder + '\\s').test(out));
+}
+
+// ─── Container parsers ───────────────────────────────────
+// Fed ffmpeg's stdout in arbitrary chunks; call onFrame({ data, key, config }).
+
+class FlvParser {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.buf = Buffer.alloc(0);
+    this.headerDone = false;
+    this.config = null;   // avcC from the AVC sequence header
+  }
+
+  push(chunk) {
+    this.buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+    if (!this.headerDone) {
+      if (this.buf.length < 13) return;
+      this.buf = this.buf.subarray(this.buf.readUInt32BE(5) + 4);   // file header + PreviousTagSize0
+      this.headerDone = true;
+    }
+    while (this.buf.length >= 11) {
+      const size = this.buf.readUIntBE(1, 3);
+      if (this.buf.length < 11 + size + 4) return;
+      const type = this.buf[0];
+      const body = this.buf.subarray(11, 11 + size);
+      this.buf = this.buf.subarray(11 + size + 4);
+      // Video tag: [frameType:4 codecId:4] [AVCPacketType] [CompositionTime:3] payload
+      if (type !== 9 || body.length < 5 || (body[0] & 0x0f) !== 7) continue;
+      const payload = Buffer.from(body.subarray(5));
+      if (body[1] === 0) {
+        this.config = payload;
+      } else if (body[1] === 1 && payload.length) {
+        const key = (body[0] >> 4) === 1;
+        this.onFrame({ data: payload, key, config: key ? this.config : null });
+      }
+    }
+  }
+}
+
+class IvfParser {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.buf = Buffer.alloc(0);
+    this.headerDone = false;
+  }
+
+  push(chunk) {
+    this.buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+    if (!this.headerDone) {
+      if (this.buf.length < 32) return;
+      this.buf = this.buf.subarray(this.buf.readUInt16LE(6));   // header length, normally 32
+      this.headerDone = true;
+    }
+    while (this.buf.length >= 12) {
+      const size = this.buf.readUInt32LE(0);
+      if (this.buf.length < 12 + size) return;
+      const data = Buffer.from(this.buf.subarray(12, 12 + size));
+      this.buf = this.buf.subarray(12 + size);
+      // VP8 frame tag: bit 0 clear = keyframe
+      if (data.length) this.onFrame({ data, key: (data[0] & 1) === 0, config: null });
+    }
+  }
+}
+
+// ─── Encoder process ─────────────────────────────────────
+
+class VideoEncoder {
+  /**
+   * onFrame({ data, key, config }) receives each encoded frame in order.
+   */
+  constructor({ codec, ffmpegPath = 'ffmpeg', onFrame }) {
+    if (!CODECS[codec]) throw new Error('Unsupported codec: ' + codec);
+    this.codec = codec;
+    this.ffmpegPath = ffmpegPath;
+    this.onFrame = onFrame || (() => {});
+    this.proc = null;
+    this.width = 0;
+    this.height = 0;
+    this.pending = 0;     // written to ffmpeg, not yet out
+    this.failed = false;  // ffmpeg exited on its own — caller should fall back
+  }
+
+  /**
+   * Feed one raw RGB frame. (Re)starts ffmpeg when the size changes or a
+   * keyframe is wanted. Returns false if the frame was dropped.
+   */
+  encode(raw, { quality, fps, gop, keyframe = false }) {
+    if (this.failed) return false;
+    if (keyframe || !this.proc || raw.width !== this.width || raw.height !== this.height) {
+      this._start(raw.width, raw.height, quality, fps, gop);
+    }
+    if (this.pending >= MAX_PENDING_FRAMES || !this.proc.stdin.writable) return false;
+    this.pending++;
+    this.proc.stdin.write(raw.data);
+    return true;
+  }
+
+  _start(width, height, quality, fps, gop) {
+    this.stop();
+    const spec = CODECS[this.codec];
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-s', `${width}x${height}`, '-r', String(fps), '-i', 'pipe:0',
+      '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',   // 4:2:0 needs even dimensions
+      '-pix_fmt', 'yuv420p',
+      ...spec.args(qualityToCrf(quality)),
+      '-g', String(gop),
+      '-flush_packets', '1',
+      '-f', spec.format, 'pipe:1'
+    ];
+
+    const proc = spawn(this.ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    const Parser = spec.format === 'flv' ? FlvParser : IvfParser;
+    const parser = new Parser((frame) => {
+      if (this.proc !== proc) return;
+      this.pending = Math.max(0, this.pending - 1);
+      this.onFrame(frame);
+    });
+    let stderr = '';
+
+    proc.stdout.on('data', (chunk) => parser.push(chunk));
+    proc.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+    const fail = (reason) => {
+      if (this.proc !== proc) return;
+      this.proc = null;
+      this.failed = true;
+      console.error(`❌ ${spec.encoder} encoder stopped: ${reason}`);
+    };
+    proc.stdin.on('error', () => {});   // EPIPE if ffmpeg dies — 'exit' reports it
+    proc.on('error', (err) => fail(err.message));
+    proc.on('exit', (code) => fail(`exit ${code} ${stderr.trim()}`));
+
+    this.proc = proc;
+    this.width = width;
+    this.height = height;
+    this.pending = 0;
+  }
+
+  stop() {
+    const proc = this.proc;
+    if (!proc) return;
+    this.proc = null;
+    proc.stdin.end();
+    proc.kill();
+  }
+}
+
+module.exports = { VideoEncoder, detectCodecs };
@@ -0,0 +1,513 @@
+/**
+ * LogInTo — VNC Backend
+ *
+ * For machines that already run a VNC server (x11vnc, TigerVNC, Xvnc from
+ * headless mode, macOS Screen Sharing…): the agent connects to it as an
+ * RFB client instead of taking screenshots and injecting input itself, so
+ * neither sharp nor robotjs has to be installed.
+ *
+ *   frames  FramebufferUpdates (Raw and CopyRect) kept in an RGB framebuffer;
+ *           capture.js diffs and encodes it like a screenshot
+ *   input   viewer mouse-* / key-* events → RFB PointerEvent / KeyEvent
+ *
+ * Security types None and VNC Authentication (DES challenge; OpenSSL 3
+ * dropped single DES, but triple DES with three equal keys is the same
+ * cipher). The connection is meant to stay on the machine — RFB itself is
+ * unencrypted — so the default server is 127.0.0.1:5900. If it drops, the
+ * backend reconnects by itself; frames and input pause meanwhile.
+ *
+ * Same interface as WaylandBackend (see wayland.js); agent.js picks it with
+ * DESKTOP_BACKEND=vnc.
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const { keysym, MODIFIER_KEYSYMS } = require('./wayland');
+
+const CONNECT_TIMEOUT = 10000;       // TCP connect + handshake
+const FIRST_FRAME_TIMEOUT = 5000;
+const RECONNECT_DELAY = 3000;
+const SCROLL_STEPS = 3;              // per wheel event, like robotjs in input.js
+
+const SECURITY_NONE = 1;
+const SECURITY_VNC_AUTH = 2;
+const ENCODING_RAW = 0;
+const ENCODING_COPYRECT = 1;
+
+// Client → server message types
+const MSG_SET_PIXEL_FORMAT = 0;
+const MSG_SET_ENCODINGS = 2;
+const MSG_UPDATE_REQUEST = 3;
+const MSG_KEY = 4;
+const MSG_POINTER = 5;
+
+// Server → client message types
+const MSG_FRAMEBUFFER_UPDATE = 0;
+const MSG_COLOUR_MAP = 1;
+const MSG_BELL = 2;
+const MSG_CUT_TEXT = 3;
+
+// PointerEvent button mask bits; 8/16 and 32/64 are the wheel
+const BUTTON_MASKS = { left: 1, middle: 2, right: 4 };
+const WHEEL_UP = 8, WHEEL_DOWN = 16, WHEEL_LEFT = 32, WHEEL_RIGHT = 64;
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+/** VNC Authentication: the challenge DES-encrypted with the password, bits of each key byte reversed */
+function vncAuthResponse(password, challenge) {
+  const key = Buffer.alloc(8);
+  Buffer.from(password, 'latin1').copy(key, 0, 0, 8);
+  for (let i = 0; i < 8; i++) {
+    let b = key[i], r = 0;
+    for (let bit = 0; bit < 8; bit++) { r = (r << 1) | (b & 1); b >>= 1; }
+    key[i] = r;
+  }
+  const cipher = crypto.createCipheriv('des-ede3-ecb', Buffer.concat([key, key, key]), null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(challenge), cipher.final()]);
+}
+
+class VncBackend {
+  /**
+   * @param {object} options
+   * @param {string} [options.host]      VNC server host (default 127.0.0.1)
+   * @param {number} [options.port]      VNC server port (default 5900)
+   * @param {string} [options.password]  for VNC Authentication (first 8 characters count)
+   */
+  constructor(options = {}) {
+    this.name = 'VNC';
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 5900;
+    this.password = options.password || null;
+
+    this.width = 0;
+    this.height = 0;
+    this.desktopName = '';
+    this.connected = false;
+    this.input = null;          // 'rfb' once connected — InputHandler routes here from then on
+
+    this._socket = null;
+    this._chunks = [];          // received bytes not yet consumed by _read()
+    this._buffered = 0;
+    this._want = null;          // { n, resolve, reject } — the pending _read()
+    this._fb = null;            // RGB framebuffer, width × height × 3
+    this._fbReady = false;      // holds a complete picture
+    this._waiters = [];
+    this._fullRequested = false;  // a non-incremental update is on its way
+    this._paused = true;        // no frames wanted — stop requesting updates
+    this._buttons = 0;          // current PointerEvent button mask
+    this._starting = null;
+    this._stopped = false;
+    this._reconnectTimer = null;
+  }
+
+  /**
+   * Connect and authenticate. Resolves { width, height, name } of the remote
+   * desktop; rejects if the server can't be reached or refuses us. Safe to
+   * call again.
+   */
+  start() {
+    if (!this._starting) this._starting = this._connect();
+    return this._starting;
+  }
+
+  /** One line for the agent's startup banner */
+  describe() {
+    return `VNC (${this.host}:${this.port})`;
+  }
+
+  async _connect() {
+    const socket = net.connect({ host: this.host, port: this.port });
+    socket.setNoDelay(true);
+    this._socket = socket;
+    this._chunks = [];
+    this._buffered = 0;
+
+    socket.on('data', (chunk) => {
+      if (this._socket !== socket) return;
+      this._chunks.push(chunk);
+      this._buffered += chunk.length;
+      this._pump();
+    });
+    const closed = (err) => {
+      if (this._socket !== socket) return;
+      this._onClose(err || new Error('connection closed'));
+    };
+    socket.on('error', closed);
+    socket.on('close', () => closed());
+
+    const timer = setTimeout(() => socket.destroy(new Error(`no answer from ${this.host}:${this.port}`)), CONNECT_TIMEOUT);
+    try {
+      await this._handshake();
+    } catch (err) {
+      socket.destroy();
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.connected = true;
+    this.input = 'rfb';
+    this._readLoop();
+    return { width: this.width, height: this.height, name: this.desktopName };
+  }
+
+  async _handshake() {
+    const greeting = (await this._read(12)).toString('latin1');
+    const m = greeting.match(/^RFB (\d{3})\.(\d{3})\n$/);
+    if (!m) throw new Error('not a VNC server');
+    const minor = parseInt(m[1]) > 3 ? 8 : Math.min(parseInt(m[2]), 8);   // 3.889 (Apple) speaks 3.8
+    if (minor < 3) throw new Error(`unsupported RFB version ${m[1]}.${m[2]}`);
+    const version = minor >= 8 ? 8 : minor >= 7 ? 7 : 3;
+    this._write(Buffer.from(`RFB 003.00${version}\n`, 'latin1'));
+
+    let type;
+    if (version === 3) {
+      type = (await this._read(4)).readUInt32BE(0);
+      if (type === 0) throw new Error(await this._readReason());
+    } else {
+      const count = (await this._read(1))[0];
+      if (count === 0) throw new Error(await this._readReason());
+      const offered = [...await this._read(count)];
+      type = this.password && offered.includes(SECURITY_VNC_AUTH) ? SECURITY_VNC_AUTH
+        : offered.includes(SECURITY_NONE) ? SECURITY_NONE
+        : offered.includes(SECURITY_VNC_AUTH) ? SECURITY_VNC_AUTH
+        : null;
+      if (type == null) throw new Error(`no supported security type (server offers ${offered.join(', ')}; we speak None and VNC Authentication)`);
+      this._write(Buffer.from([type]));
+    }
+
+    if (type === SECURITY_VNC_AUTH) {
+      if (!this.password) throw new Error('the server wants a password — set VNC_PASSWORD');
+      this._write(vncAuthResponse(this.password, await this._read(16)));
+    } else if (type !== SECURITY_NONE) {
+      throw new Error(`unsupported security type ${type}`);
+    }
+    if (type === SECURITY_VNC_AUTH || version === 8) {
+      if ((await this._read(4)).readUInt32BE(0) !== 0) {
+        throw new Error(version === 8 ? await this._readReason() : 'authentication failed');
+      }
+    }
+
+    this._write(Buffer.from([1]));   // ClientInit: shared — don't kick other viewers off the server
+    const init = await this._read(24);
+    this.width = init.readUInt16BE(0);
+    this.height = init.readUInt16BE(2);
+    this.desktopName = (await this._read(init.readUInt32BE(20))).toString('utf8');
+    if (!this.width || !this.height) throw new Error('the server reports an empty desktop');
+    this._fb = Buffer.alloc(this.width * this.height * 3);
+    this._fbReady = false;
+
+    // 32 bpp true colour, little-endian, R/G/B in the first three bytes of each pixel
+    const format = Buffer.alloc(20);
+    format[0] = MSG_SET_PIXEL_FORMAT;
+    format[4] = 32;                  // bits per pixel
+    format[5] = 24;                  // depth
+    format[6] = 0;                   // big-endian
+    format[7] = 1;                   // true colour
+    format.writeUInt16BE(255, 8);
+    format.writeUInt16BE(255, 10);
+    format.writeUInt16BE(255, 12);
+    format[14] = 0;                  // red shift
+    format[15] = 8;                  // green shift
+    format[16] = 16;                 // blue shift
+    this._write(format);
+
+    const encodings = [ENCODING_COPYRECT, ENCODING_RAW];
+    const msg = Buffer.alloc(4 + encodings.length * 4);
+    msg[0] = MSG_SET_ENCODINGS;
+    msg.writeUInt16BE(encodings.length, 2);
+    encodings.forEach((e, i) => msg.writeInt32BE(e, 4 + i * 4));
+    this._write(msg);
+  }
+
+  async _readReason() {
+    const len = (await this._read(4)).readUInt32BE(0);
+    return 'refused: ' + ((await this._read(len)).toString('utf8') || 'no reason given');
+  }
+
+  // ─── Socket plumbing ────────────────────────────────────
+
+  /** The next n bytes from the server */
+  _read(n) {
+    return new Promise((resolve, reject) => {
+      this._want = { n, resolve, reject };
+      this._pump();
+    });
+  }
+
+  _pump() {
+    const want = this._want;
+    if (!want || this._buffered < want.n) return;
+    this._want = null;
+    let out;
+    if (this._chunks[0].length >= want.n) {
+      out = this._chunks[0].subarray(0, want.n);
+      this._chunks[0] = this._chunks[0].subarray(want.n);
+      if (!this._chunks[0].length) this._chunks.shift();
+    } else {
+      out = Buffer.allocUnsafe(want.n);
+      let filled = 0;
+      while (filled < want.n) {
+        const chunk = this._chunks[0];
+        const take = Math.min(chunk.length, want.n - filled);
+        chunk.copy(out, filled, 0, take);
+        filled += take;
+        if (take === chunk.length) this._chunks.shift();
+        else this._chunks[0] = chunk.subarray(take);
+      }
+    }
+    this._buffered -= want.n;
+    want.resolve(out);
+  }
+
+  _write(buf) {
+    if (this._socket && !this._socket.destroyed) this._socket.write(buf);
+  }
+
+  _onClose(err) {
+    const wasConnected = this.connected;
+    this._socket = null;
+    this.connected = false;
+    this._fbReady = false;
+    this._fullRequested = false;
+    this._buttons = 0;
+    if (this._want) {
+      this._want.reject(err);
+      this._want = null;
+    }
+    this._waiters.splice(0).forEach(w => w.reject(err));
+    if (!wasConnected || this._stopped) return;   // start() reports a failed first connect itself
+    console.warn(`⚠️  VNC connection lost (${err.message}) — reconnecting...`);
+    this._reconnect(true);
+  }
+
+  _reconnect(first) {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._stopped) return;
+      const [width, height] = [this.width, this.height];
+      this._connect().then(() => {
+        console.log(`🖥️  VNC reconnected: ${this.width}x${this.height}`);
+        if (this.width !== width || this.height !== height) {
+          console.warn(`⚠️  The VNC desktop was ${width}x${height} — restart the agent so viewers and input follow the new size`);
+        }
+      }).catch((err) => {
+        if (first) console.warn(`⚠️  VNC reconnect failed: ${err.message} — retrying every ${RECONNECT_DELAY / 1000}s`);
+        this._reconnect(false);
+      });
+    }, RECONNECT_DELAY);
+  }
+
+  // ─── Frames ─────────────────────────────────────────────
+
+  async _readLoop() {
+    const socket = this._socket;
+    try {
+      while (this._socket === socket) {
+        const type = (await this._read(1))[0];
+        if (type === MSG_FRAMEBUFFER_UPDATE) {
+          await this._readUpdate();
+        } else if (type === MSG_COLOUR_MAP) {
+          const head = await this._read(5);
+          await this._read(head.readUInt16BE(3) * 6);   // only used for palette formats; ours is true colour
+        } else if (type === MSG_BELL) {
+          // nothing to do
+        } else if (type === MSG_CUT_TEXT) {
+          const head = await this._read(7);
+          await this._read(head.readUInt32BE(3));        // clipboard stays with InputHandler (xclip/pbcopy)
+        } else {
+          throw new Error(`unknown server message ${type}`);
+        }
+      }
+    } catch (err) {
+      if (this._socket === socket) socket.destroy(err);
+    }
+  }
+
+  async _readUpdate() {
+    const count = (await this._read(3)).readUInt16BE(1);
+    for (let i = 0; i < count; i++) {
+      const head = await this._read(12);
+      const x = head.readUInt16BE(0), y = head.readUInt16BE(2);
+      const w = head.readUInt16BE(4), h = head.readUInt16BE(6);
+      const encoding = head.readInt32BE(8);
+      if (x + w > this.width || y + h > this.height) throw new Error('update outside the framebuffer');
+      if (encoding === ENCODING_RAW) {
+        this._blitRaw(x, y, w, h, await this._read(w * h * 4));
+      } else if (encoding === ENCODING_COPYRECT) {
+        const src = await this._read(4);
+        this._copyRect(src.readUInt16BE(0), src.readUInt16BE(2), x, y, w, h);
+      } else {
+        throw new Error(`unrequested encoding ${encoding}`);
+      }
+    }
+    this._fbReady = true;
+    this._fullRequested = false;
+    this._waiters.splice(0).forEach(w => w.resolve());
+    if (!this._paused) this._requestUpdate(true);
+  }
+
+  /** RGBX pixels (our pixel format) into the RGB framebuffer */
+  _blitRaw(x, y, w, h, pixels) {
+    const fb = this._fb;
+    for (let row = 0; row < h; row++) {
+      let s = row * w * 4;
+      let d = ((y + row) * this.width + x) * 3;
+      for (let col = 0; col < w; col++, s += 4, d += 3) {
+        fb[d] = pixels[s];
+        fb[d + 1] = pixels[s + 1];
+        fb[d + 2] = pixels[s + 2];
+      }
+    }
+  }
+
+  _copyRect(sx, sy, x, y, w, h) {
+    if (sx + w > this.width || sy + h > this.height) throw new Error('CopyRect source outside the framebuffer');
+    const fb = this._fb;
+    const rowBytes = w * 3;
+    const tmp = Buffer.allocUnsafe(rowBytes * h);   // source and destination may overlap
+    for (let row = 0; row < h; row++) {
+      fb.copy(tmp, row * rowBytes, ((sy + row) * this.width + sx) * 3, ((sy + row) * this.width + sx) * 3 + rowBytes);
+    }
+    for (let row = 0; row < h; row++) {
+      tmp.copy(fb, ((y + row) * this.width + x) * 3, row * rowBytes, (row + 1) * rowBytes);
+    }
+  }
+
+  _requestUpdate(incremental) {
+    const msg = Buffer.alloc(10);
+    msg[0] = MSG_UPDATE_REQUEST;
+    msg[1] = incremental ? 1 : 0;
+    msg.writeUInt16BE(this.width, 6);
+    msg.writeUInt16BE(this.height, 8);
+    this._write(msg);
+  }
+
+  /**
+   * Current picture as { data, width, height } RGB (a copy — capture.js keeps
+   * the previous frame for diffing). While frames are being taken, the next
+   * update is always requested as soon as one arrives.
+   */
+  async frame() {
+    if (!this.connected) throw new Error('VNC server not connected');
+    if (!this._fbReady) {
+      const arrived = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this._waiters = this._waiters.filter(w => w !== waiter);
+          reject(new Error('No framebuffer update from the VNC server'));
+        }, FIRST_FRAME_TIMEOUT);
+        const waiter = {
+          resolve: () => { clearTimeout(timer); resolve(); },
+          reject: (err) => { clearTimeout(timer); reject(err); }
+        };
+        this._waiters.push(waiter);
+      });
+      if (!this._fullRequested) {
+        this._requestUpdate(false);   // nothing yet, or updates missed while paused — ask for everything
+        this._fullRequested = true;
+      }
+      this._paused = false;
+      await arrived;
+    }
+    return { data: Buffer.from(this._fb), width: this.width, height: this.height };
+  }
+
+  /** Stop asking for updates while nobody watches. The connection stays open. */
+  pause() {
+    this._paused = true;
+    this._fbReady = false;
+  }
+
+  stop() {
+    this._stopped = true;
+    this._paused = true;
+    clearTimeout(this._reconnectTimer);
+    const socket = this._socket;
+    this._socket = null;
+    this.connected = false;
+    if (socket) socket.destroy();
+  }
+
+  // ─── Input ──────────────────────────────────────────────
+  // Same calls as InputHandler, in framebuffer pixels. TCP keeps them in order.
+
+  moveMouse(x, y) {
+    this._sendPointer(x, y, this._buttons);
+  }
+
+  click(x, y, button = 'left') {
+    this.mouseDown(x, y, button);
+    this.mouseUp(x, y, button);
+  }
+
+  doubleClick(x, y) {
+    this.click(x, y);
+    this.click(x, y);
+  }
+
+  mouseDown(x, y, button = 'left') {
+    this._buttons |= BUTTON_MASKS[button] || BUTTON_MASKS.left;
+    this._sendPointer(x, y, this._buttons);
+  }
+
+  mouseUp(x, y, button = 'left') {
+    this._buttons &= ~(BUTTON_MASKS[button] || BUTTON_MASKS.left);
+    this._sendPointer(x, y, this._buttons);
+  }
+
+  scroll(x, y, deltaX, deltaY) {
+    // Browser deltas: positive = down / right
+    const wheel = (deltaY > 0 ? WHEEL_DOWN : deltaY < 0 ? WHEEL_UP : 0) |
+      (deltaX > 0 ? WHEEL_RIGHT : deltaX < 0 ? WHEEL_LEFT : 0);
+    if (!wheel) return;
+    for (let i = 0; i < SCROLL_STEPS; i++) {
+      this._sendPointer(x, y, this._buttons | wheel);
+      this._sendPointer(x, y, this._buttons);
+    }
+  }
+
+  keyPress(key, modifiers = []) {
+    if (!this.connected) return;
+    if (MODIFIER_KEYS.includes(key) && modifiers.length === 0) return;
+    const sym = keysym(key);
+    if (sym == null) return;
+    const held = modifiers.map(m => MODIFIER_KEYSYMS[m.toLowerCase()]).filter(Boolean);
+    for (const m of held) this._sendKey(m, true);
+    this._sendKey(sym, true);
+    this._sendKey(sym, false);
+    for (const m of held.reverse()) this._sendKey(m, false);
+  }
+
+  typeText(text) {
+    if (!this.connected || !text) return;
+    for (const ch of text) {
+      const sym = keysym(ch);
+      if (sym == null) continue;
+      this._sendKey(sym, true);
+      this._sendKey(sym, false);
+    }
+  }
+
+  _sendPointer(x, y, mask) {
+    if (!this.connected) return;
+    const px = Math.max(0, Math.min(this.width - 1, Math.round(x)));
+    const py = Math.max(0, Math.min(this.height - 1, Math.round(y)));
+    const msg = Buffer.alloc(6);
+    msg[0] = MSG_POINTER;
+    msg[1] = mask;
+    msg.writeUInt16BE(px, 2);
+    msg.writeUInt16BE(py, 4);
+    this._write(msg);
+  }
+
+  _sendKey(sym, down) {
+    const msg = Buffer.alloc(8);
+    msg[0] = MSG_KEY;
+    msg[1] = down ? 1 : 0;
+    msg.writeUInt32BE(sym, 4);
+    this._write(msg);
+  }
+}
+
+module.exports = { VncBackend };
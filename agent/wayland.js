@@ -0,0 +1,471 @@
+/**
+ * LogInTo — Wayland Backend
+ *
+ * On a Wayland session (GNOME, KDE, wlroots) screenshot-desktop and xdotool
+ * only reach XWayland: captures come back black and input misses native
+ * windows. This backend goes through xdg-desktop-portal instead:
+ *
+ *   frames  ScreenCast portal → PipeWire stream, read as raw RGB by a
+ *           gst-launch-1.0 pipewiresrc child (GStreamer + its PipeWire plugin)
+ *   input   RemoteDesktop portal, in the same session as the screencast; or
+ *           ydotool (with ydotoold running) where the portal has no
+ *           RemoteDesktop, as on wlroots
+ *
+ * The desktop asks once which screen to share and whether to allow remote
+ * control. The restore token it hands back is kept in .wayland-token, so
+ * later starts go straight through until the user revokes it.
+ *
+ * D-Bus is spoken through dbus-next (optional dependency). agent.js picks
+ * this backend when XDG_SESSION_TYPE=wayland; DESKTOP_BACKEND overrides it.
+ * Coordinates are in the stream's logical size, which is also what
+ * NotifyPointerMotionAbsolute expects — no Retina-style scaling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+
+const run = promisify(execFile);
+const PORTAL_BUS = 'org.freedesktop.portal.Desktop';
+const PORTAL_PATH = '/org/freedesktop/portal/desktop';
+const TOKEN_FILE = path.join(__dirname, '.wayland-token');
+const MAX_FPS = 30;                  // frames read from PipeWire; capture.js samples these
+const FIRST_FRAME_TIMEOUT = 5000;
+const RESTART_DELAY = 3000;          // gst-launch died (PipeWire restarted) — retry after this long
+const EXEC_TIMEOUT = 2000;
+const SCROLL_STEPS = 3;              // per wheel event, like robotjs in input.js
+
+const DEVICE_KEYBOARD = 1;
+const DEVICE_POINTER = 2;
+const SOURCE_MONITOR = 1;
+const CURSOR_HIDDEN = 1;             // viewers draw their own cursor
+const PERSIST_UNTIL_REVOKED = 2;
+
+// Portal buttons are evdev codes (BTN_LEFT…); ydotool numbers them 0–2
+const BUTTONS = { left: 0x110, right: 0x111, middle: 0x112 };
+const YDOTOOL_BUTTONS = { left: 0, right: 1, middle: 2 };
+
+// X keysyms for KeyboardEvent.key names; single characters are mapped in keysym()
+const KEYSYMS = {
+  Enter: 0xff0d, Backspace: 0xff08, Tab: 0xff09, Escape: 0xff1b, Delete: 0xffff,
+  ArrowLeft: 0xff51, ArrowUp: 0xff52, ArrowRight: 0xff53, ArrowDown: 0xff54,
+  Home: 0xff50, End: 0xff57, PageUp: 0xff55, PageDown: 0xff56, Insert: 0xff63,
+  PrintScreen: 0xff61, CapsLock: 0xffe5, Space: 0x20,
+  Shift: 0xffe1, Control: 0xffe3, Alt: 0xffe9, Meta: 0xffeb
+};
+for (let i = 1; i <= 12; i++) KEYSYMS['F' + i] = 0xffbe + i - 1;
+const MODIFIER_KEYSYMS = { shift: 0xffe1, ctrl: 0xffe3, alt: 0xffe9, meta: 0xffeb, cmd: 0xffeb };
+
+// Linux input event codes (US layout) for ydotool key
+const KEYCODES = {
+  Escape: 1, Backspace: 14, Tab: 15, Enter: 28, Control: 29, Shift: 42, Alt: 56, Space: 57, ' ': 57,
+  CapsLock: 58, F11: 87, F12: 88, PrintScreen: 99, Home: 102, ArrowUp: 103, PageUp: 104,
+  ArrowLeft: 105, ArrowRight: 106, End: 107, ArrowDown: 108, PageDown: 109, Insert: 110,
+  Delete: 111, Meta: 125,
+  '-': 12, '=': 13, '[': 26, ']': 27, ';': 39, "'": 40, '`': 41, '\\': 43, ',': 51, '.': 52, '/': 53
+};
+[...'1234567890'].forEach((c, i) => { KEYCODES[c] = 2 + i; });
+[...'qwertyuiop'].forEach((c, i) => { KEYCODES[c] = 16 + i; });
+[...'asdfghjkl'].forEach((c, i) => { KEYCODES[c] = 30 + i; });
+[...'zxcvbnm'].forEach((c, i) => { KEYCODES[c] = 44 + i; });
+for (let i = 1; i <= 10; i++) KEYCODES['F' + i] = 58 + i;
+const MODIFIER_KEYCODES = { ctrl: 29, shift: 42, alt: 56, meta: 125, cmd: 125 };
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+/** Whether the agent runs inside a Wayland session */
+function isWaylandSession() {
+  return process.platform === 'linux' &&
+    (process.env.XDG_SESSION_TYPE === 'wayland' || !!process.env.WAYLAND_DISPLAY);
+}
+
+function keysym(key) {
+  if (KEYSYMS[key] != null) return KEYSYMS[key];
+  if ([...key].length !== 1) return null;
+  const cp = key.codePointAt(0);
+  if (cp === 0x0a) return KEYSYMS.Enter;
+  return cp < 0x100 ? cp : 0x01000000 + cp;   // Latin-1 keysyms are the code point
+}
+
+function randomToken() {
+  return 'loginto_' + Math.random().toString(36).slice(2, 10);
+}
+
+function readRestoreToken() {
+  try { return fs.readFileSync(TOKEN_FILE, 'utf8').trim() || null; } catch (e) { return null; }
+}
+
+function saveRestoreToken(token) {
+  try { fs.writeFileSync(TOKEN_FILE, token + '\n', { mode: 0o600 }); } catch (e) { /* asked again next start */ }
+}
+
+async function hasYdotool() {
+  try {
+    await run('ydotool', ['help'], { timeout: EXEC_TIMEOUT });
+    return true;
+  } catch (err) {
+    return err.code !== 'ENOENT';   // installed — just unhappy with the argument
+  }
+}
+
+class WaylandBackend {
+  constructor() {
+    this.name = 'Wayland';
+    this.width = 0;
+    this.height = 0;
+    this.active = false;      // portal session started
+    this.input = null;        // 'portal' | 'ydotool' | null (no input on this desktop)
+
+    this._dbus = null;
+    this._bus = null;
+    this._screenCast = null;
+    this._remoteDesktop = null;
+    this._session = null;     // portal session object path
+    this._node = null;        // PipeWire node id of the shared screen
+    this._fd = null;          // PipeWire remote handed out by the portal
+
+    this._gst = null;
+    this._frame = null;       // latest { data, width, height } RGB
+    this._waiters = [];
+    this._restartTimer = null;
+    this._starting = null;
+
+    this._queue = Promise.resolve();   // input events go out one at a time, in order
+    this._pendingMove = null;
+  }
+
+  /**
+   * Open the portal session (asking the user if there's no restore token).
+   * Resolves { width, height } of the shared screen; rejects if the portal
+   * or dbus-next is missing or sharing was declined. Safe to call again.
+   */
+  start() {
+    if (!this._starting) this._starting = this._start();
+    return this._starting;
+  }
+
+  /** One line for the agent's startup banner */
+  describe() {
+    return 'Wayland (xdg-desktop-portal)';
+  }
+
+  async _start() {
+    try {
+      this._dbus = require('dbus-next');
+    } catch (e) {
+      throw new Error('dbus-next is not installed (npm install dbus-next)');
+    }
+    const { Variant } = this._dbus;
+    this._bus = this._dbus.sessionBus({ negotiateUnixFd: true });
+    const portal = await this._bus.getProxyObject(PORTAL_BUS, PORTAL_PATH);
+    try {
+      this._screenCast = portal.getInterface('org.freedesktop.portal.ScreenCast');
+    } catch (e) {
+      throw new Error('xdg-desktop-portal has no ScreenCast support on this desktop');
+    }
+    try {
+      this._remoteDesktop = portal.getInterface('org.freedesktop.portal.RemoteDesktop');
+    } catch (e) {
+      this._remoteDesktop = null;   // screencast only — input through ydotool
+    }
+
+    // A RemoteDesktop session carries the screencast too, so one dialog covers both
+    const host = this._remoteDesktop || this._screenCast;
+    const created = await this._request(
+      (options) => host.CreateSession(options),
+      { session_handle_token: new Variant('s', randomToken()) }
+    );
+    this._session = created.session_handle.value;
+
+    const persist = { persist_mode: new Variant('u', PERSIST_UNTIL_REVOKED) };
+    const restoreToken = readRestoreToken();
+    if (restoreToken) persist.restore_token = new Variant('s', restoreToken);
+
+    console.log('🖥️  Wayland: asking the desktop for screen access — approve the dialog on this machine');
+    if (this._remoteDesktop) {
+      await this._request(
+        (options) => this._remoteDesktop.SelectDevices(this._session, options),
+        { types: new Variant('u', DEVICE_KEYBOARD | DEVICE_POINTER), ...persist }
+      );
+    }
+    await this._request(
+      (options) => this._screenCast.SelectSources(this._session, options),
+      {
+        types: new Variant('u', SOURCE_MONITOR),
+        multiple: new Variant('b', false),
+        cursor_mode: new Variant('u', CURSOR_HIDDEN),
+        ...(this._remoteDesktop ? {} : persist)   // remote desktop sessions persist through SelectDevices
+      }
+    );
+    const started = await this._request((options) => host.Start(this._session, '', options), {});
+
+    const streams = started.streams ? started.streams.value : [];
+    if (!streams.length) throw new Error('No screen was shared');
+    const [node, props] = streams[0];
+    const size = props.size ? props.size.value : [1920, 1080];
+    this._node = node;
+    this.width = size[0];
+    this.height = size[1];
+    if (started.restore_token) saveRestoreToken(started.restore_token.value);
+
+    this._fd = await this._screenCast.OpenPipeWireRemote(this._session, {});
+    const devices = started.devices ? started.devices.value : 0;
+    if (this._remoteDesktop && (devices & DEVICE_POINTER)) this.input = 'portal';
+    else if (await hasYdotool()) this.input = 'ydotool';
+    this.active = true;
+
+    console.log(`🖥️  Wayland: sharing PipeWire node ${node} (${this.width}x${this.height}), ` +
+      `input ${this.input === 'portal' ? 'via RemoteDesktop portal' : this.input || 'unavailable (install ydotool)'}`);
+    return { width: this.width, height: this.height };
+  }
+
+  /**
+   * Call a portal method that answers through a Request object. Its path is
+   * known from handle_token, so the Response match goes in before the call
+   * — no window for the answer to slip past. Resolves the results dict.
+   */
+  async _request(call, options) {
+    const { Variant, Message } = this._dbus;
+    const handle = randomToken();
+    const sender = this._bus.name.slice(1).replace(/\./g, '_');
+    const requestPath = `${PORTAL_PATH}/request/${sender}/${handle}`;
+    await this._bus.call(new Message({
+      destination: 'org.freedesktop.DBus',
+      path: '/org/freedesktop/DBus',
+      interface: 'org.freedesktop.DBus',
+      member: 'AddMatch',
+      signature: 's',
+      body: [`type='signal',interface='org.freedesktop.portal.Request',member='Response',path='${requestPath}'`]
+    }));
+
+    return new Promise((resolve, reject) => {
+      const onMessage = (msg) => {
+        if (msg.path !== requestPath || msg.member !== 'Response') return;
+        this._bus.off('message', onMessage);
+        const [code, results] = msg.body;
+        if (code === 0) resolve(results);
+        else reject(new Error(code === 1 ? 'Screen sharing was declined on this machine' : 'The portal request failed'));
+      };
+      this._bus.on('message', onMessage);
+      call({ ...options, handle_token: new Variant('s', handle) }).catch((err) => {
+        this._bus.off('message', onMessage);
+        reject(err);
+      });
+    });
+  }
+
+  // ─── Frames ─────────────────────────────────────────────
+
+  /** Latest frame as { data, width, height } RGB. Starts reading PipeWire on first use. */
+  async frame() {
+    if (!this.active) throw new Error('Wayland session not started');
+    this._startPipeline();
+    if (this._frame) return this._frame;
+    return new Promise((resolve, reject) => {
+      const waiter = (frame) => { clearTimeout(timer); resolve(frame); };
+      const timer = setTimeout(() => {
+        this._waiters = this._waiters.filter(w => w !== waiter);
+        reject(new Error('No frames from PipeWire'));
+      }, FIRST_FRAME_TIMEOUT);
+      this._waiters.push(waiter);
+    });
+  }
+
+  _startPipeline() {
+    if (this._gst || this._restartTimer) return;
+    const args = [
+      '-q',
+      'pipewiresrc', 'fd=3', `path=${this._node}`, 'always-copy=true', '!',
+      'videorate', 'drop-only=true', `max-rate=${MAX_FPS}`, '!',
+      'videoconvert', '!', 'videoscale', '!',
+      // Fixed size so every frame on stdout is exactly width × height × 3 bytes
+      `video/x-raw,format=RGB,width=${this.width},height=${this.height}`, '!',
+      'fdsink', 'fd=1', 'sync=false'
+    ];
+    const proc = spawn('gst-launch-1.0', args, { stdio: ['ignore', 'pipe', 'pipe', this._fd] });
+    const frameBytes = this.width * this.height * 3;
+    let buf = Buffer.allocUnsafe(frameBytes);
+    let filled = 0;
+    let stderr = '';
+
+    proc.stdout.on('data', (chunk) => {
+      if (this._gst !== proc) return;
+      for (let off = 0; off < chunk.length;) {
+        const n = Math.min(frameBytes - filled, chunk.length - off);
+        chunk.copy(buf, filled, off, off + n);
+        filled += n;
+        off += n;
+        if (filled === frameBytes) {
+          this._frame = { data: buf, width: this.width, height: this.height };
+          this._waiters.splice(0).forEach(w => w(this._frame));
+          buf = Buffer.allocUnsafe(frameBytes);   // capture.js keeps the previous frame for diffing
+          filled = 0;
+        }
+      }
+    });
+    proc.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+    const fail = (reason) => {
+      if (this._gst !== proc) return;
+      this._gst = null;
+      console.error(`❌ PipeWire capture stopped: ${reason}`);
+      this._restartTimer = setTimeout(() => {
+        this._restartTimer = null;
+        this._startPipeline();
+      }, RESTART_DELAY);
+    };
+    proc.on('error', (err) => fail(err.code === 'ENOENT' ? 'gst-launch-1.0 not found (install GStreamer and its PipeWire plugin)' : err.message));
+    proc.on('exit', (code) => fail(`exit ${code} ${stderr.trim()}`));
+    this._gst = proc;
+  }
+
+  /** Stop reading frames while nobody watches. The portal session stays open. */
+  pause() {
+    clearTimeout(this._restartTimer);
+    this._restartTimer = null;
+    const proc = this._gst;
+    this._gst = null;
+    this._frame = null;
+    if (proc) proc.kill();
+  }
+
+  /** Close the portal session (the desktop's "sharing" indicator goes away) */
+  stop() {
+    this.pause();
+    if (!this.active) return;
+    this.active = false;
+    const { Message } = this._dbus;
+    this._bus.call(new Message({
+      destination: PORTAL_BUS,
+      path: this._session,
+      interface: 'org.freedesktop.portal.Session',
+      member: 'Close'
+    })).catch(() => {}).finally(() => this._bus.disconnect());
+  }
+
+  // ─── Input ──────────────────────────────────────────────
+  // Same calls as InputHandler, in absolute stream coordinates.
+
+  moveMouse(x, y) {
+    if (!this.input) return;
+    const queued = this._pendingMove;
+    this._pendingMove = { x, y };
+    if (queued) return;   // the queued move will pick up the newest position
+    this._enqueue(() => {
+      const move = this._pendingMove;
+      this._pendingMove = null;
+      return move && this._move(move.x, move.y);
+    });
+  }
+
+  click(x, y, button = 'left') {
+    this._pointer(x, y, [[button, true], [button, false]]);
+  }
+
+  doubleClick(x, y) {
+    this._pointer(x, y, [['left', true], ['left', false], ['left', true], ['left', false]]);
+  }
+
+  mouseDown(x, y, button = 'left') {
+    this._pointer(x, y, [[button, true]]);
+  }
+
+  mouseUp(x, y, button = 'left') {
+    this._pointer(x, y, [[button, false]]);
+  }
+
+  scroll(x, y, deltaX, deltaY) {
+    if (!this.input) return;
+    this._pendingMove = null;
+    this._enqueue(async () => {
+      await this._move(x, y);
+      // Steps follow the browser: positive = down / right
+      if (deltaY) await this._scroll(0, deltaY > 0 ? SCROLL_STEPS : -SCROLL_STEPS);
+      if (deltaX) await this._scroll(1, deltaX > 0 ? SCROLL_STEPS : -SCROLL_STEPS);
+    });
+  }
+
+  keyPress(key, modifiers = []) {
+    if (!this.input) return;
+    if (MODIFIER_KEYS.includes(key) && modifiers.length === 0) return;
+    const mods = modifiers.map(m => m.toLowerCase());
+    this._enqueue(() => (this.input === 'portal' ? this._portalKeys(key, mods) : this._ydotoolKeys(key, mods)));
+  }
+
+  typeText(text) {
+    if (!this.input || !text) return;
+    this._enqueue(async () => {
+      if (this.input === 'ydotool') {
+        await run('ydotool', ['type', '--', text], { timeout: EXEC_TIMEOUT + text.length * 20 });
+        return;
+      }
+      for (const ch of text) {
+        const sym = keysym(ch);
+        if (sym == null) continue;
+        await this._notifyKey(sym, true);
+        await this._notifyKey(sym, false);
+      }
+    });
+  }
+
+  _pointer(x, y, presses) {
+    if (!this.input) return;
+    this._pendingMove = null;   // this event moves there itself
+    this._enqueue(async () => {
+      await this._move(x, y);
+      for (const [button, down] of presses) await this._button(button, down);
+    });
+  }
+
+  _enqueue(task) {
+    this._queue = this._queue.then(task).catch(() => { /* a dropped event isn't worth stopping input for */ });
+  }
+
+  _move(x, y) {
+    if (this.input === 'portal') {
+      return this._remoteDesktop.NotifyPointerMotionAbsolute(this._session, {}, this._node, x, y);
+    }
+    return run('ydotool', ['mousemove', '--absolute', '-x', String(Math.round(x)), '-y', String(Math.round(y))], { timeout: EXEC_TIMEOUT });
+  }
+
+  _button(button, down) {
+    if (this.input === 'portal') {
+      return this._remoteDesktop.NotifyPointerButton(this._session, {}, BUTTONS[button] || BUTTONS.left, down ? 1 : 0);
+    }
+    const code = (down ? 0x40 : 0x80) | (YDOTOOL_BUTTONS[button] || 0);
+    return run('ydotool', ['click', '0x' + code.toString(16)], { timeout: EXEC_TIMEOUT });
+  }
+
+  _scroll(axis, steps) {
+    if (this.input === 'portal') {
+      return this._remoteDesktop.NotifyPointerAxisDiscrete(this._session, {}, axis, steps);
+    }
+    // Wheel events: positive y scrolls up, positive x scrolls right
+    const [dx, dy] = axis === 0 ? [0, -steps] : [steps, 0];
+    return run('ydotool', ['mousemove', '--wheel', '-x', String(dx), '-y', String(dy)], { timeout: EXEC_TIMEOUT });
+  }
+
+  _notifyKey(sym, down) {
+    return this._remoteDesktop.NotifyKeyboardKeysym(this._session, {}, sym, down ? 1 : 0);
+  }
+
+  async _portalKeys(key, mods) {
+    const sym = keysym(key);
+    if (sym == null) return;
+    const held = mods.map(m => MODIFIER_KEYSYMS[m]).filter(Boolean);
+    for (const m of held) await this._notifyKey(m, true);
+    await this._notifyKey(sym, true);
+    await this._notifyKey(sym, false);
+    for (const m of held.reverse()) await this._notifyKey(m, false);
+  }
+
+  async _ydotoolKeys(key, mods) {
+    const code = KEYCODES[key] != null ? KEYCODES[key] : KEYCODES[key.toLowerCase()];
+    if (code == null) return;
+    const held = mods.map(m => MODIFIER_KEYCODES[m]).filter(Boolean);
+    if (/^[A-Z]$/.test(key) && !held.includes(MODIFIER_KEYCODES.shift)) held.push(MODIFIER_KEYCODES.shift);
+    const seq = [...held.map(c => c + ':1'), code + ':1', code + ':0', ...held.reverse().map(c => c + ':0')];
+    await run('ydotool', ['key', ...seq], { timeout: EXEC_TIMEOUT });
+  }
+}
+
+module.exports = { WaylandBackend, isWaylandSession, keysym, MODIFIER_KEYSYMS };
@@ -0,0 +1,150 @@
+/**
+ * LogInTo — Peer-to-Peer Frames (WebRTC)
+ *
+ * Frames normally travel agent → server → viewer over Socket.IO. When both
+ * ends support it, a viewer also opens a WebRTC data channel straight to
+ * this agent; the existing Socket.IO connection carries the SDP/ICE
+ * signaling, so the server never sees the media. Once the channel is open
+ * the viewer tells the server, which stops relaying frames to it. If the
+ * peer connection fails the viewer falls back to the relay.
+ *
+ * No STUN/TURN by default — host candidates are all a LAN needs. Set
+ * RTC_ICE_SERVERS (comma-separated stun:/turn: URLs) to cross NATs.
+ * Uses node-datachannel (optional dependency); without it, or with P2P=false,
+ * the agent stays on the relay path.
+ *
+ * Channel "frames" (ordered, reliable), per frame:
+ *   text    JSON header — same fields as the 'frame' event minus `data`, plus `size`
+ *   binary  the payload in ≤64KB chunks, `size` bytes in total
+ * A viewer whose channel is backed up skips frames, like a volatile emit.
+ */
+
+const CHUNK_BYTES = 64 * 1024;
+const MAX_BUFFERED = 1024 * 1024;   // skip frames for a peer with more than this queued
+const MAX_PEERS = 8;
+
+let RTCPeerConnection = null;
+try {
+  ({ RTCPeerConnection } = require('node-datachannel/polyfill'));
+} catch (_) {
+  // Optional — relay only
+}
+
+function parseIceServers(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean).map(urls => ({ urls }));
+}
+
+class PeerLinks {
+  /**
+   * onSignal(viewerId, event, payload) sends 'rtc-answer' / 'rtc-ice' back via the server.
+   * onChange() is called when a data channel opens or closes.
+   */
+  constructor({ enabled = true, iceServers = parseIceServers(process.env.RTC_ICE_SERVERS), onSignal, onChange } = {}) {
+    this.enabled = enabled && !!RTCPeerConnection;
+    this.iceServers = iceServers;
+    this.onSignal = onSignal || (() => {});
+    this.onChange = onChange || (() => {});
+    this.peers = new Map();   // viewerId → { pc, channel, remoteSet, pendingIce }
+  }
+
+  get available() {
+    return this.enabled;
+  }
+
+  /** What viewers need to open a peer connection (sent with screen-info) */
+  get params() {
+    return { iceServers: this.iceServers };
+  }
+
+  /** Number of viewers with an open data channel */
+  get openCount() {
+    let n = 0;
+    for (const [, peer] of this.peers) if (peer.channel?.readyState === 'open') n++;
+    return n;
+  }
+
+  /**
+   * Answer a viewer's offer. Answer and ICE candidates go out through onSignal.
+   */
+  async handleOffer(viewerId, sdp) {
+    if (!this.enabled || typeof sdp !== 'string') return;
+    this.close(viewerId);
+    if (this.peers.size >= MAX_PEERS) return;   // viewer times out and stays on the relay
+
+    const pc = new RTCPeerConnection({ iceServers: this.iceServers });
+    const peer = { pc, channel: null, remoteSet: false, pendingIce: [] };
+    this.peers.set(viewerId, peer);
+
+    pc.onicecandidate = (e) => {
+      if (e.candidate?.candidate) {
+        this.onSignal(viewerId, 'rtc-ice', { candidate: { candidate: e.candidate.candidate, sdpMid: e.candidate.sdpMid } });
+      }
+    };
+    pc.ondatachannel = (e) => {
+      if (e.channel.label !== 'frames') return;
+      peer.channel = e.channel;
+      e.channel.onclose = () => this.close(viewerId);
+      if (e.channel.readyState === 'open') this.onChange();
+      else e.channel.onopen = () => this.onChange();
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') this.close(viewerId);
+    };
+
+    try {
+      await pc.setRemoteDescription({ type: 'offer', sdp });
+      peer.remoteSet = true;
+      for (const c of peer.pendingIce.splice(0)) pc.addIceCandidate(c).catch(() => {});
+      await pc.setLocalDescription(await pc.createAnswer());
+      if (this.peers.get(viewerId) !== peer) return;
+      this.onSignal(viewerId, 'rtc-answer', { sdp: pc.localDescription.sdp });
+    } catch (_) {
+      this.close(viewerId);
+    }
+  }
+
+  addIceCandidate(viewerId, candidate) {
+    const peer = this.peers.get(viewerId);
+    if (!peer || !candidate || typeof candidate.candidate !== 'string') return;
+    if (!peer.remoteSet) return void peer.pendingIce.push(candidate);
+    peer.pc.addIceCandidate(candidate).catch(() => {});
+  }
+
+  close(viewerId) {
+    const peer = this.peers.get(viewerId);
+    if (!peer) return;
+    this.peers.delete(viewerId);
+    const wasOpen = peer.channel?.readyState === 'open';
+    try { peer.pc.close(); } catch (_) {}
+    if (wasOpen) this.onChange();
+  }
+
+  closeAll() {
+    for (const id of [...this.peers.keys()]) this.close(id);
+  }
+
+  /**
+   * Send a frame (the object emitted as 'frame') to every open channel.
+   * Returns how many viewers it went to.
+   */
+  sendFrame(frame) {
+    if (!this.peers.size) return 0;
+    const { data, ...fields } = frame;
+    const header = JSON.stringify({ ...fields, size: data.length });
+    let sent = 0;
+    for (const [, peer] of this.peers) {
+      const ch = peer.channel;
+      if (!ch || ch.readyState !== 'open' || ch.bufferedAmount > MAX_BUFFERED) continue;
+      try {
+        ch.send(header);
+        for (let off = 0; off < data.length; off += CHUNK_BYTES) ch.send(data.subarray(off, off + CHUNK_BYTES));
+        sent++;
+      } catch (_) {
+        // Channel closing — its onclose cleans up
+      }
+    }
+    return sent;
+  }
+}
+
+module.exports = { PeerLinks, parseIceServers };
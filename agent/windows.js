@@ -0,0 +1,87 @@
+/**
+ * LogInTo — Window Streaming (X11)
+ *
+ * Lists the top-level windows on the desktop and captures a single one, so a
+ * session can show one application instead of a whole display (see
+ * ScreenCapture.switchWindow). Linux/X11 only for now:
+ *
+ *   listing   xdotool search --onlyvisible, then xwininfo per window for its
+ *             title and absolute position (xdotool is already the Linux input
+ *             fallback; xwininfo ships with x11-utils)
+ *   capture   ImageMagick `import -window <id>`, the same tool
+ *             screenshot-desktop uses for the whole screen
+ *
+ * Without a compositing window manager X11 keeps no picture of covered
+ * windows, so whatever overlaps the shared window shows up in its frames.
+ * activate() raises it when a viewer switches to it.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const run = promisify(execFile);
+const EXEC_TIMEOUT = 5000;
+const MIN_SIZE = 32;             // smaller windows are tooltips, docks and the like
+const MAX_WINDOWS = 100;
+
+/** Title, absolute position and size of window `id`, or null if it's gone or unmapped */
+async function geometry(id) {
+  let out;
+  try {
+    ({ stdout: out } = await run('xwininfo', ['-id', String(id)], { timeout: EXEC_TIMEOUT }));
+  } catch (e) {
+    return null;
+  }
+  const field = (label) => {
+    const m = out.match(new RegExp('^\\s*' + label + ':\\s*(-?\\d+)', 'm'));
+    return m ? parseInt(m[1]) : null;
+  };
+  if (!/Map State:\s*IsViewable/.test(out)) return null;
+  const title = out.match(/^xwininfo: Window id: \S+ "(.*)"$/m);
+  const x = field('Absolute upper-left X');
+  const y = field('Absolute upper-left Y');
+  const width = field('Width');
+  const height = field('Height');
+  if (x == null || y == null || !width || !height) return null;
+  return { id: String(id), name: title ? title[1] : '', x, y, width, height };
+}
+
+/** Visible, named windows big enough to be worth sharing, in stacking order */
+async function list() {
+  if (!isAvailable()) return [];
+  let ids;
+  try {
+    const { stdout } = await run('xdotool', ['search', '--onlyvisible', '--name', '.'], { timeout: EXEC_TIMEOUT });
+    ids = stdout.split('\n').map(s => s.trim()).filter(s => /^\d+$/.test(s));
+  } catch (e) {
+    return [];   // exit 1 = nothing matched; or xdotool isn't installed
+  }
+  const windows = [];
+  for (const id of [...new Set(ids)].slice(0, MAX_WINDOWS)) {
+    const win = await geometry(id);
+    if (win && win.name && win.width >= MIN_SIZE && win.height >= MIN_SIZE) windows.push(win);
+  }
+  return windows;
+}
+
+/** PNG of the window's contents (including anything drawn over it) */
+async function capture(id) {
+  const { stdout } = await run('import', ['-silent', '-window', String(id), 'png:-'], {
+    timeout: EXEC_TIMEOUT, encoding: 'buffer', maxBuffer: 256 * 1024 * 1024
+  });
+  return stdout;
+}
+
+/** Raise and focus the window so it isn't covered and receives the keyboard */
+async function activate(id) {
+  try {
+    await run('xdotool', ['windowactivate', String(id)], { timeout: EXEC_TIMEOUT });
+  } catch (e) { /* some window managers refuse — the window can still be shared */ }
+}
+
+/** X11 tools can reach a display — checked on use, since headless mode sets DISPLAY at startup */
+function isAvailable() {
+  return process.platform === 'linux' && !!process.env.DISPLAY;
+}
+
+module.exports = { isAvailable, list, geometry, capture, activate };
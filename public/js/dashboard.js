@@ -23,9 +23,14 @@
   const logoutBtn = document.getElementById('logout-btn');
   const container = document.getElementById('machines-container');
   const addMachineBtn = document.getElementById('btn-add-machine');
+  const securityContainer = document.getElementById('security-container');
+  const sessionsContainer = document.getElementById('sessions-container');
+  const invitesContainer = document.getElementById('invites-container');
+  const activityContainer = document.getElementById('activity-container');
+  const recordingsContainer = document.getElementById('recordings-container');
 
   // ─── State ─────────────────────────────────────────────
-  let machines = [];  // [{ id, name, agentKey, connected, macAddress, broadcastAddress }]
+  let machines = [];  // [{ id, name, agentKey, connected, macAddress, broadcastAddress, record }]
   const wakePollers = new Map(); // machineId → intervalId (active wake-polling)
 
   // ─── HTML Entity Escaping ──────────────────────────────
@@ -49,7 +54,9 @@
     if (!res.ok) {
       localStorage.clear();
       window.location.href = '/';
+      return;
     }
+    return res.json().then(data => renderSecurity(data.totpEnabled));
   }).catch(() => {});
 
   // ─── Load Machines ─────────────────────────────────────
@@ -80,8 +87,14 @@
 
     container.innerHTML = machines.map(m => {
       const online = m.connected;
-      const macCmd = `curl -sL "${location.origin}/api/setup/${m.agentKey}" | bash`;
-      const winCmd = `powershell -ExecutionPolicy Bypass -Command "irm '${location.origin}/api/setup-win/${m.agentKey}' | iex"`;
+      // Keyless installers — the agent prints a pairing code instead
+      const macCmd = `curl -sL "${location.origin}/api/setup" | bash`;
+      const winCmd = `powershell -ExecutionPolicy Bypass -Command "irm '${location.origin}/api/setup-win' | iex"`;
+      const keyGrace = m.previousKeyExpiresAt ? `
+        <div class="key-grace">
+          <span>&#128273; Previous agent key works until ${new Date(m.previousKeyExpiresAt).toLocaleString()}</span>
+          <button class="btn-revoke-key" data-id="${m.id}">Revoke now</button>
+        </div>` : '';
 
       return `
         <div class="machine-card" data-machine-id="${m.id}">
@@ -90,15 +103,19 @@
               <span class="dot ${online ? 'online' : 'offline'}"></span>
               <span class="machine-name" title="${escHtml(m.name)}">${escHtml(m.name)}</span>
               <span class="machine-status-label">${online ? 'Online' : 'Offline'}</span>
+              ${m.record ? '<span class="rec-badge" title="Sessions on this machine are recorded">REC</span>' : ''}
             </div>
             <div class="machine-actions">
+              <button class="btn-icon btn-record" data-id="${m.id}" title="${m.record ? 'Stop recording sessions' : 'Record sessions'}">🎥</button>
               <button class="btn-icon btn-rename" data-id="${m.id}" title="Rename">✏️</button>
+              <button class="btn-icon btn-rotate-key" data-id="${m.id}" title="Rotate agent key">🔑</button>
               <button class="btn-icon btn-delete" data-id="${m.id}" title="Delete">🗑️</button>
             </div>
           </div>
 
           ${online ? `
             <div class="machine-body">
+              ${keyGrace}
               <a href="/viewer.html?machine=${m.id}" class="btn-primary btn-connect">Connect</a>
               <button class="btn-share" data-id="${m.id}">Share &#128279;</button>
               <details class="advanced-toggle" style="margin-top: 16px;">
@@ -113,6 +130,7 @@
                 <div class="setup-panel-win-${m.id} setup-panel-mini">
                   <div class="code-block setup-oneliner copy-cmd" title="Click to copy">${winCmd}</div>
                 </div>
+                <button class="btn-pair" data-id="${m.id}">Enter pairing code</button>
               </details>
               <details class="advanced-toggle" style="margin-top: 8px;">
                 <summary class="text-muted text-sm">Auto-start on boot (run as service)</summary>
@@ -132,6 +150,7 @@
             </div>
           ` : `
             <div class="machine-body">
+              ${keyGrace}
               <p class="text-muted text-sm" style="margin-bottom: 12px;">Agent not connected. Run the setup command on your computer:</p>
 
               ${m.macAddress ? `
@@ -156,7 +175,8 @@
               <div class="setup-panel-win-${m.id} setup-panel-mini">
                 <div class="code-block setup-oneliner copy-cmd" title="Click to copy">${winCmd}</div>
               </div>
-              <p class="text-muted text-sm" style="margin-top: 8px;">Keep the terminal open. Status will switch to <span class="text-success">&#9679; Online</span>.</p>
+              <p class="text-muted text-sm" style="margin-top: 8px;">It prints a pairing code — enter it here. Keep the terminal open; status will switch to <span class="text-success">&#9679; Online</span>.</p>
+              <button class="btn-pair" data-id="${m.id}">Enter pairing code</button>
 
               <details class="advanced-toggle" style="margin-top: 12px;">
                 <summary class="text-muted text-sm">Auto-start on boot (run as service)</summary>
@@ -200,24 +220,18 @@
     });
 
     // Copy commands
-    container.querySelectorAll('.copy-cmd').forEach(el => {
-      el.addEventListener('click', () => {
-        const text = el.textContent;
-        if (text && !text.startsWith('Loading')) {
-          navigator.clipboard.writeText(text).then(() => {
-            const orig = el.textContent;
-            el.textContent = '✅ Copied!';
-            setTimeout(() => { el.textContent = orig; }, 1500);
-          }).catch(() => {});
-        }
-      });
-    });
+    wireCopy(container);
 
     // Share buttons (all cards — invite link works whether machine is online or offline)
     container.querySelectorAll('.btn-share').forEach(btn => {
       btn.addEventListener('click', () => shareInvite(btn.dataset.id));
     });
 
+    // Session recording on/off
+    container.querySelectorAll('.btn-record').forEach(btn => {
+      btn.addEventListener('click', () => toggleRecording(btn.dataset.id));
+    });
+
     // Rename buttons
     container.querySelectorAll('.btn-rename').forEach(btn => {
       btn.addEventListener('click', () => renameMachine(btn.dataset.id));
@@ -228,6 +242,19 @@
       btn.addEventListener('click', () => deleteMachine(btn.dataset.id));
     });
 
+    // Pair a freshly installed agent with this machine
+    container.querySelectorAll('.btn-pair').forEach(btn => {
+      btn.addEventListener('click', () => pairAgent(btn.dataset.id));
+    });
+
+    // Agent key rotation / early revocation of the old key
+    container.querySelectorAll('.btn-rotate-key').forEach(btn => {
+      btn.addEventListener('click', () => rotateAgentKey(btn.dataset.id));
+    });
+    container.querySelectorAll('.btn-revoke-key').forEach(btn => {
+      btn.addEventListener('click', () => revokePreviousKey(btn.dataset.id));
+    });
+
     // Wake button (offline cards with MAC address)
     container.querySelectorAll('.btn-wake').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -247,6 +274,22 @@
     });
   }
 
+  // Click-to-copy for .copy-cmd blocks inside `root`
+  function wireCopy(root) {
+    root.querySelectorAll('.copy-cmd').forEach(el => {
+      el.addEventListener('click', () => {
+        const text = el.innerText;
+        if (text && !text.startsWith('Loading')) {
+          navigator.clipboard.writeText(text).then(() => {
+            const orig = el.innerHTML;
+            el.textContent = '✅ Copied!';
+            setTimeout(() => { el.innerHTML = orig; }, 1500);
+          }).catch(() => {});
+        }
+      });
+    });
+  }
+
   // ─── Add Machine ──────────────────────────────────────
   addMachineBtn.addEventListener('click', () => {
     const name = prompt('Machine name:', 'My Computer');
@@ -288,6 +331,27 @@
     }).catch(() => alert('Error renaming machine'));
   }
 
+  // ─── Session Recording ───────────────────────────────
+  function toggleRecording(machineId) {
+    const m = machines.find(x => x.id === machineId);
+    if (!m) return;
+    const enable = !m.record;
+    if (enable && !confirm(`Record every session on "${m.name}"?\n\nThe screen and all mouse/keyboard input — including anything typed — are saved on the server until you delete them.`)) return;
+    fetch(`/api/machines/${userId}/${machineId}/recording`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': 'Bearer ' + token,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ enabled: enable })
+    }).then(res => {
+      if (res.ok) {
+        m.record = enable;
+        renderMachines();
+      }
+    }).catch(() => alert('Error changing recording'));
+  }
+
   // ─── Delete Machine ──────────────────────────────────
   function deleteMachine(machineId) {
     const m = machines.find(x => x.id === machineId);
@@ -304,6 +368,76 @@
     }).catch(() => alert('Error deleting machine'));
   }
 
+  // ─── Pair Agent ──────────────────────────────────────
+  function pairAgent(machineId) {
+    const m = machines.find(x => x.id === machineId);
+    if (!m) return;
+    const code = prompt(`Enter the pairing code shown by the agent on "${m.name}":`, '');
+    if (!code || !code.trim()) return;
+    fetch(`/api/pairing/${userId}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Bearer ' + token,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ code: code.trim(), machineId })
+    }).then(res => res.json())
+      .then(data => {
+        if (data.error) return alert(data.error);
+        alert('Paired! The agent on "' + m.name + '" is connecting now.');
+        loadMachines();
+      }).catch(() => alert('Error pairing agent'));
+  }
+
+  // ─── Rotate Agent Key ────────────────────────────────
+  function rotateAgentKey(machineId) {
+    const m = machines.find(x => x.id === machineId);
+    if (!m) return;
+    if (!confirm(`Issue a new agent key for "${m.name}"?\n\nThe current key and its setup commands stop working.`)) return;
+
+    // A grace period lets you re-run setup on a remote machine over its own session
+    const hours = prompt(
+      'Keep the old key working for how many hours?\n\n' +
+      '0 = disconnect the agent now. Use a grace period if you need the current session to install the new key.',
+      m.connected ? '1' : '0'
+    );
+    if (hours === null) return;
+    const graceMinutes = Math.round(parseFloat(hours) * 60);
+    if (!(graceMinutes >= 0) || graceMinutes > 7 * 24 * 60) {
+      alert('Enter a number of hours from 0 to 168.');
+      return;
+    }
+
+    fetch(`/api/machines/${userId}/${machineId}/rotate-key`, {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Bearer ' + token,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ graceMinutes })
+    }).then(res => res.json())
+      .then(data => {
+        if (data.error) return alert(data.error);
+        loadMachines();
+        alert('New agent key issued. The agent on "' + m.name + '" pairs again when it reconnects (or run the setup command there) — use "Enter pairing code" with the code it prints.' +
+          (data.previousKeyExpiresAt
+            ? '\n\nThe old key keeps working until ' + new Date(data.previousKeyExpiresAt).toLocaleString() + '.'
+            : '\n\nThe old key no longer works.'));
+      }).catch(() => alert('Error rotating agent key'));
+  }
+
+  function revokePreviousKey(machineId) {
+    const m = machines.find(x => x.id === machineId);
+    if (!m) return;
+    if (!confirm(`Revoke the previous agent key for "${m.name}" now?\n\nAn agent still using it is disconnected.`)) return;
+    fetch(`/api/machines/${userId}/${machineId}/previous-key`, {
+      method: 'DELETE',
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => {
+      if (res.ok) loadMachines();
+    }).catch(() => alert('Error revoking agent key'));
+  }
+
   // ─── Real-Time Status via Socket.IO ────────────────────
   const socket = io({
     auth: { token, role: 'dashboard' },
@@ -345,6 +479,12 @@
     }
   });
 
+  // This session was revoked from another device
+  socket.on('session-revoked', () => {
+    localStorage.clear();
+    window.location.href = '/';
+  });
+
   // Poll as backup — only re-render if a machine's status actually changed
   // (unconditional renderMachines() would destroy DOM every 10s, collapsing
   // any <details> setup panels the user had open)
@@ -515,27 +655,491 @@
     const m = machines.find(x => x.id === machineId);
     if (!m) return;
 
+    // Invites are view-only unless each extra capability is granted
+    const permissions = {
+      input:     confirm('Allow guests to control the mouse and keyboard on "' + m.name + '"?\n\nCancel = view only.'),
+      clipboard: confirm('Allow guests to read and write the clipboard?'),
+      displays:  confirm('Allow guests to switch between displays?'),
+      files:     confirm('Allow guests to browse, upload and download files in the shared folder?'),
+      audio:     confirm('Allow guests to hear the machine\'s sound?')
+    };
+
+    const days = prompt('How many days should the link stay valid? (max 30)', '7');
+    if (days === null) return;
+    const usesInput = prompt('How many people may use this link? Leave blank for unlimited.', '');
+    if (usesInput === null) return;
+
+    const body = { permissions, expiresInHours: (parseFloat(days) || 7) * 24 };
+    if (usesInput.trim()) body.maxUses = parseInt(usesInput, 10);
+
     fetch(`/api/invites/${userId}/${machineId}`, {
       method: 'POST',
-      headers: { 'Authorization': 'Bearer ' + token }
+      headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
     })
       .then(res => res.json())
       .then(data => {
         if (!data.inviteUrl) { alert('Error: ' + (data.error || 'Could not create invite.')); return; }
+        loadInvites();
+        const scope = describePermissions(data.permissions || permissions);
+        const until = new Date(data.expiresAt).toLocaleString();
+        const limit = data.maxUses ? ' Up to ' + data.maxUses + (data.maxUses === 1 ? ' person' : ' people') + ' can use it.' : '';
         if (navigator.clipboard && window.isSecureContext) {
           navigator.clipboard.writeText(data.inviteUrl).then(() => {
-            alert('Invite link copied!\n\n' + data.inviteUrl + '\n\nAnyone with this link can view and control your machine for 7 days.');
+            alert('Invite link copied!\n\n' + data.inviteUrl + '\n\nAnyone with this link can ' + scope + ' until ' + until + '.' + limit);
           }).catch(() => {
-            prompt('Share this invite link (valid 7 days):', data.inviteUrl);
+            prompt('Share this invite link (valid until ' + until + '):', data.inviteUrl);
           });
         } else {
-          prompt('Share this invite link (valid 7 days):', data.inviteUrl);
+          prompt('Share this invite link (valid until ' + until + '):', data.inviteUrl);
         }
       })
       .catch(() => alert('Network error creating invite link.'));
   }
 
+  function permissionList(p) {
+    const extras = [];
+    if (p.input) extras.push('mouse/keyboard control');
+    if (p.clipboard) extras.push('clipboard');
+    if (p.displays) extras.push('display switching');
+    if (p.files) extras.push('file transfer');
+    if (p.audio) extras.push('sound');
+    return extras;
+  }
+
+  function describePermissions(p) {
+    const extras = permissionList(p);
+    return extras.length ? 'view your machine (with ' + extras.join(', ') + ')' : 'view (but not control) your machine';
+  }
+
+  // ─── Two-Factor Auth ───────────────────────────────────
+
+  function totpRequest(action, body) {
+    return fetch(`/api/totp/${userId}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Bearer ' + token,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body || {})
+    }).then(res => res.json().then(data => ({ ok: res.ok, data })));
+  }
+
+  function renderSecurity(totpEnabled) {
+    securityContainer.innerHTML = totpEnabled ? `
+      <div class="machine-status">
+        <span class="dot online"></span>
+        <span>Two-factor authentication</span>
+        <span class="machine-status-label">On</span>
+      </div>
+      <div class="totp-row">
+        <button class="btn-share" id="btn-totp-codes" style="margin-left:0;">New recovery codes</button>
+        <button class="btn-set-mac-empty" id="btn-totp-disable" style="margin-bottom:0;">Turn off</button>
+      </div>
+    ` : `
+      <div class="machine-status">
+        <span class="dot offline"></span>
+        <span>Two-factor authentication</span>
+        <span class="machine-status-label">Off</span>
+      </div>
+      <p class="text-muted text-sm" style="margin-top:8px;">Require a code from an authenticator app (Google Authenticator, 1Password, Authy…) when signing in.</p>
+      <div class="totp-row">
+        <button class="btn-share" id="btn-totp-setup" style="margin-left:0;">Set up two-factor</button>
+      </div>
+    `;
+
+    const setupBtn = document.getElementById('btn-totp-setup');
+    if (setupBtn) setupBtn.addEventListener('click', startTotpSetup);
+    const codesBtn = document.getElementById('btn-totp-codes');
+    if (codesBtn) codesBtn.addEventListener('click', regenerateRecoveryCodes);
+    const disableBtn = document.getElementById('btn-totp-disable');
+    if (disableBtn) disableBtn.addEventListener('click', disableTotp);
+  }
+
+  function startTotpSetup() {
+    totpRequest('setup').then(({ ok, data }) => {
+      if (!ok) { alert('Error: ' + (data.error || 'Could not start setup.')); return; }
+      securityContainer.innerHTML = `
+        <p class="text-sm">1. Add this account to your authenticator app — scan the QR code, open the link on your phone, or enter the key manually:</p>
+        ${data.qrDataUrl ? `<img class="totp-qr" src="${escHtml(data.qrDataUrl)}" alt="Authenticator QR code" width="200" height="200">` : ''}
+        <div class="code-block copy-cmd" title="Click to copy">${escHtml(data.otpauthUrl)}</div>
+        <div class="code-block copy-cmd" title="Click to copy">${escHtml(data.secret)}</div>
+        <p class="text-sm" style="margin-top:12px;">2. Enter the 6-digit code it shows:</p>
+        <div class="totp-row">
+          <input type="text" id="totp-confirm-code" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" maxlength="6">
+          <button class="btn-share" id="btn-totp-confirm" style="margin-left:0;">Verify &amp; enable</button>
+          <button class="btn-set-mac-empty" id="btn-totp-cancel" style="margin-bottom:0;">Cancel</button>
+        </div>
+        <div class="wake-status" id="totp-status"></div>
+      `;
+      wireCopy(securityContainer);
+      document.getElementById('btn-totp-cancel').addEventListener('click', () => renderSecurity(false));
+      document.getElementById('btn-totp-confirm').addEventListener('click', () => {
+        const code = document.getElementById('totp-confirm-code').value.trim();
+        if (!code) return;
+        totpRequest('enable', { code }).then(({ ok, data }) => {
+          if (!ok) {
+            const st = document.getElementById('totp-status');
+            st.textContent = data.error || 'Invalid code';
+            st.className = 'wake-status wake-error';
+            st.style.display = 'block';
+            return;
+          }
+          showRecoveryCodes(data.recoveryCodes);
+        });
+      });
+    }).catch(() => alert('Network error starting two-factor setup.'));
+  }
+
+  function showRecoveryCodes(codes) {
+    securityContainer.innerHTML = `
+      <p class="text-sm">Two-factor is <span class="text-success">on</span>. Save these recovery codes somewhere safe — each works once if you lose your phone. They won't be shown again.</p>
+      <div class="code-block copy-cmd" title="Click to copy">${codes.map(escHtml).join('<br>')}</div>
+      <div class="totp-row">
+        <button class="btn-share" id="btn-totp-done" style="margin-left:0;">I've saved them</button>
+      </div>
+    `;
+    wireCopy(securityContainer);
+    document.getElementById('btn-totp-done').addEventListener('click', () => renderSecurity(true));
+  }
+
+  function regenerateRecoveryCodes() {
+    const code = prompt('Enter a current code from your authenticator app to generate new recovery codes.\nYour old recovery codes will stop working.');
+    if (!code) return;
+    totpRequest('recovery-codes', { code: code.trim() }).then(({ ok, data }) => {
+      if (!ok) { alert('Error: ' + (data.error || 'Could not generate codes.')); return; }
+      showRecoveryCodes(data.recoveryCodes);
+    }).catch(() => alert('Network error generating recovery codes.'));
+  }
+
+  function disableTotp() {
+    const password = prompt('Turn off two-factor authentication?\n\nEnter your password:');
+    if (!password) return;
+    const code = prompt('Enter a current authenticator code (or a recovery code):');
+    if (!code) return;
+    totpRequest('disable', { password, code: code.trim() }).then(({ ok, data }) => {
+      if (!ok) { alert('Error: ' + (data.error || 'Could not turn off two-factor.')); return; }
+      renderSecurity(false);
+    }).catch(() => alert('Network error turning off two-factor.'));
+  }
+
+  // ─── Active Sessions ───────────────────────────────────
+
+  function timeAgo(ts) {
+    const s = Math.round((Date.now() - ts) / 1000);
+    if (s < 60) return 'just now';
+    if (s < 3600) return Math.floor(s / 60) + ' min ago';
+    if (s < 86400) return Math.floor(s / 3600) + ' h ago';
+    return Math.floor(s / 86400) + ' d ago';
+  }
+
+  function loadSessions() {
+    fetch('/api/sessions', {
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => res.json())
+      .then(data => renderSessions(data.sessions || []))
+      .catch(() => {
+        sessionsContainer.innerHTML = '<p class="text-muted text-sm">Error loading sessions</p>';
+      });
+  }
+
+  function renderSessions(list) {
+    sessionsContainer.innerHTML = list.map(s => `
+      <div class="session-row">
+        <div>
+          <div class="session-device">${escHtml(s.device)}</div>
+          <div class="session-meta">${escHtml(s.ip || 'unknown IP')} &middot; active ${timeAgo(s.lastActive)} &middot; signed in ${new Date(s.created).toLocaleDateString()}</div>
+        </div>
+        ${s.current
+          ? '<span class="session-current">This device</span>'
+          : `<button class="btn-icon btn-revoke-session" data-id="${escHtml(s.id)}" title="Sign out this device">✕</button>`}
+      </div>
+    `).join('') + `
+      <div class="totp-row">
+        <button class="btn-set-mac-empty" id="btn-signout-others" style="margin-bottom:0;">Sign out other devices</button>
+        <button class="btn-set-mac-empty" id="btn-signout-all" style="margin-bottom:0;">Sign out everywhere</button>
+      </div>`;
+
+    sessionsContainer.querySelectorAll('.btn-revoke-session').forEach(btn => {
+      btn.addEventListener('click', () => {
+        fetch('/api/sessions/' + btn.dataset.id, {
+          method: 'DELETE',
+          headers: { 'Authorization': 'Bearer ' + token }
+        }).then(() => loadSessions()).catch(() => alert('Error signing out device'));
+      });
+    });
+    document.getElementById('btn-signout-others').addEventListener('click', () => signOutEverywhere(true));
+    document.getElementById('btn-signout-all').addEventListener('click', () => signOutEverywhere(false));
+  }
+
+  function signOutEverywhere(keepCurrent) {
+    const msg = keepCurrent
+      ? 'Sign out all other devices?'
+      : 'Sign out everywhere, including this device?';
+    if (!confirm(msg)) return;
+    fetch('/api/sessions' + (keepCurrent ? '?keepCurrent=true' : ''), {
+      method: 'DELETE',
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(() => {
+      if (keepCurrent) { loadSessions(); return; }
+      socket.disconnect();
+      localStorage.clear();
+      window.location.href = '/';
+    }).catch(() => alert('Error signing out'));
+  }
+
+  // ─── Invite Links ──────────────────────────────────────
+
+  function loadInvites() {
+    fetch(`/api/invites/${userId}`, {
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => res.json())
+      .then(data => renderInvites(data.invites || []))
+      .catch(() => {
+        invitesContainer.innerHTML = '<p class="text-muted text-sm">Error loading invites</p>';
+      });
+  }
+
+  function renderInvites(list) {
+    if (list.length === 0) {
+      invitesContainer.innerHTML = '<p class="text-muted text-sm">No active invite links. Use Share on a machine to create one.</p>';
+      return;
+    }
+    invitesContainer.innerHTML = list.map(inv => {
+      const used = inv.redemptions.length;
+      const uses = inv.maxUses ? `${used}/${inv.maxUses} used` : `${used} used`;
+      const extras = permissionList(inv.permissions);
+      const scope = extras.length ? 'view + ' + extras.join(', ') : 'view only';
+      const guests = inv.redemptions.map(r =>
+        `<div class="session-meta">↳ ${escHtml(r.device)} &middot; ${escHtml(r.ip || 'unknown IP')} &middot; joined ${timeAgo(r.at)}</div>`
+      ).join('');
+      return `
+      <div class="session-row">
+        <div>
+          <div class="session-device">${escHtml(inv.machineName)} &middot; ${scope}</div>
+          <div class="session-meta">${uses} &middot; created ${timeAgo(inv.created)} &middot; expires ${new Date(inv.expiresAt).toLocaleDateString()}</div>
+          ${guests}
+        </div>
+        <button class="btn-icon btn-revoke-invite" data-id="${escHtml(inv.id)}" title="Revoke this link">✕</button>
+      </div>`;
+    }).join('');
+
+    invitesContainer.querySelectorAll('.btn-revoke-invite').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (!confirm('Revoke this invite link? Anyone using it will be disconnected.')) return;
+        fetch(`/api/invites/${userId}/${btn.dataset.id}`, {
+          method: 'DELETE',
+          headers: { 'Authorization': 'Bearer ' + token }
+        }).then(() => loadInvites()).catch(() => alert('Error revoking invite'));
+      });
+    });
+  }
+
+  // ─── Recordings ───────────────────────────────────────
+
+  function formatBytes(n) {
+    if (n < 1024 * 1024) return Math.max(1, Math.round(n / 1024)) + ' KB';
+    return (n / 1048576).toFixed(1) + ' MB';
+  }
+
+  function loadRecordings() {
+    fetch('/api/recordings', {
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => res.json())
+      .then(data => renderRecordings(data.recordings || []))
+      .catch(() => {
+        recordingsContainer.innerHTML = '<p class="text-muted text-sm">Error loading recordings</p>';
+      });
+  }
+
+  function renderRecordings(list) {
+    const rows = list.length === 0
+      ? '<p class="text-muted text-sm">No recordings. Turn on 🎥 for a machine to record its sessions.</p>'
+      : list.map(r => `
+      <div class="session-row">
+        <div>
+          <div class="session-device">${escHtml(r.machineName || r.machineId)} &middot; ${new Date(r.startedAt).toLocaleString()}</div>
+          <div class="session-meta">${r.endedAt ? formatDuration(r.durationMs) + ' &middot; ' + formatBytes(r.bytes) + (r.incomplete ? ' &middot; incomplete' : '') : '&#9679; Recording now'}</div>
+        </div>
+        ${r.endedAt ? `
+        <div class="recording-actions">
+          <a class="btn-icon" href="/viewer.html?recording=${encodeURIComponent(r.id)}&machine=${encodeURIComponent(r.machineId)}" title="Play">▶️</a>
+          <button class="btn-icon btn-download-recording" data-id="${escHtml(r.id)}" title="Download">⬇️</button>
+          <button class="btn-icon btn-export-recording" data-id="${escHtml(r.id)}" title="Export to MP4/WebM">🎞️</button>
+          <button class="btn-icon btn-delete-recording" data-id="${escHtml(r.id)}" title="Delete">✕</button>
+        </div>` : ''}
+      </div>
+    `).join('');
+    recordingsContainer.innerHTML = rows + `
+      <div class="totp-row">
+        <button class="btn-set-mac-empty" id="btn-refresh-recordings" style="margin-bottom:0;">Refresh</button>
+      </div>`;
+    document.getElementById('btn-refresh-recordings').addEventListener('click', loadRecordings);
+
+    recordingsContainer.querySelectorAll('.btn-download-recording').forEach(btn => {
+      btn.addEventListener('click', () => {
+        fetch('/api/recordings/' + btn.dataset.id, {
+          headers: { 'Authorization': 'Bearer ' + token }
+        }).then(res => {
+          if (!res.ok) throw new Error();
+          return saveDownload(res, btn.dataset.id + '.lrec');
+        }).catch(() => alert('Error downloading recording'));
+      });
+    });
+
+    recordingsContainer.querySelectorAll('.btn-export-recording').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const format = (prompt('Export as mp4 or webm?', 'mp4') || '').trim().toLowerCase();
+        if (!format) return;
+        if (format !== 'mp4' && format !== 'webm') return alert('Choose mp4 or webm');
+        btn.disabled = true;
+        fetch('/api/recordings/' + btn.dataset.id + '/export', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+          body: JSON.stringify({ format })
+        }).then(res => res.json().then(data => {
+          if (!res.ok && res.status !== 202) throw new Error(data.error || 'Error starting export');
+          pollExport(btn, btn.dataset.id, format);
+        })).catch(err => {
+          btn.disabled = false;
+          alert(err.message);
+        });
+      });
+    });
+
+    recordingsContainer.querySelectorAll('.btn-delete-recording').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (!confirm('Delete this recording? This cannot be undone.')) return;
+        fetch('/api/recordings/' + btn.dataset.id, {
+          method: 'DELETE',
+          headers: { 'Authorization': 'Bearer ' + token }
+        }).then(() => loadRecordings()).catch(() => alert('Error deleting recording'));
+      });
+    });
+  }
+
+  // Downloads need the auth header, so fetch the file and hand it over as a blob
+  function saveDownload(res, fallbackName) {
+    const name = /filename="?([^"]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+    return res.blob().then(blob => {
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = name ? name[1] : fallbackName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    });
+  }
+
+  // The button shows progress until the export is ready, then downloads it
+  function pollExport(btn, id, format) {
+    fetch('/api/recordings/' + id + '/export/' + format, {
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => {
+      if (res.status === 202) {
+        return res.json().then(data => {
+          btn.textContent = Math.round((data.export?.progress || 0) * 100) + '%';
+          setTimeout(() => pollExport(btn, id, format), 1500);
+        });
+      }
+      btn.textContent = '🎞️';
+      btn.disabled = false;
+      if (res.ok) return saveDownload(res, id + '.' + format);
+      return res.json().then(data => alert('Export failed: ' + (data.error || res.status)));
+    }).catch(() => {
+      btn.textContent = '🎞️';
+      btn.disabled = false;
+      alert('Error exporting recording');
+    });
+  }
+
+  // ─── Recent Activity ──────────────────────────────────
+
+  const ACTIVITY_ICONS = {
+    'login': '🔑', 'login-failed': '⚠️', 'logout': '👋',
+    'viewer-connect': '📱', 'viewer-disconnect': '📴',
+    'guest-approved': '✅', 'guest-declined': '🚫',
+    'invite-create': '🔗', 'invite-redeem': '🎟️', 'invite-revoke': '✂️',
+    'wake': '⏰', 'machine-add': '➕', 'machine-remove': '🗑️',
+    'agent-key-rotate': '🔑', 'agent-key-revoke': '✂️', 'agent-pair': '🤝',
+    'recording-enable': '🎥', 'recording-disable': '🎥', 'recording-start': '⏺️',
+    'recording-stop': '⏹️', 'recording-delete': '🗑️', 'recording-export': '🎞️',
+    'file-upload': '📥', 'file-download': '📤', 'file-rename': '✏️', 'file-delete': '🗑️'
+  };
+
+  function formatDuration(ms) {
+    const m = Math.round(ms / 60000);
+    if (m < 1) return 'under a minute';
+    if (m < 60) return m + ' min';
+    return Math.floor(m / 60) + ' h ' + (m % 60) + ' min';
+  }
+
+  function describeActivity(e) {
+    const machine = e.machineName ? '"' + e.machineName + '"' : 'a machine';
+    const who = e.guest ? 'Guest' : 'You';
+    switch (e.type) {
+      case 'login':             return 'Signed in' + (e.mfa ? ' with two-factor' : '');
+      case 'login-failed':      return 'Failed sign-in (' + (e.reason === 'totp' ? 'wrong code' : 'wrong password') + ')';
+      case 'logout':            return 'Signed out';
+      case 'viewer-connect':    return who + ' connected to ' + machine;
+      case 'viewer-disconnect': return who + ' disconnected from ' + machine + ' after ' + formatDuration(e.durationMs || 0);
+      case 'guest-approved':    return 'Guest approved on ' + machine;
+      case 'guest-declined':    return 'Guest ' + (e.reason === 'timeout' ? 'not answered' : 'declined') + ' on ' + machine;
+      case 'invite-create':     return 'Invite link created for ' + machine;
+      case 'invite-redeem':     return 'Invite link used for ' + machine;
+      case 'invite-revoke':     return 'Invite link revoked for ' + machine;
+      case 'wake':              return 'Wake ' + (e.result === 'sent' ? 'sent to ' : e.result === 'error' ? 'failed for ' : 'skipped (online) for ') + machine;
+      case 'machine-add':       return 'Added ' + machine;
+      case 'machine-remove':    return 'Removed ' + machine;
+      case 'agent-key-rotate':  return 'Agent key rotated for ' + machine + (e.graceMinutes ? ' (old key kept ' + formatDuration(e.graceMinutes * 60000) + ')' : '');
+      case 'agent-key-revoke':  return 'Previous agent key revoked for ' + machine;
+      case 'agent-pair':        return 'Agent' + (e.hostname ? ' on ' + e.hostname : '') + ' paired with ' + machine;
+      case 'recording-enable':  return 'Session recording turned on for ' + machine;
+      case 'recording-disable': return 'Session recording turned off for ' + machine;
+      case 'recording-start':   return 'Recording started on ' + machine;
+      case 'recording-stop':    return 'Recording saved for ' + machine + ' (' + formatDuration(e.durationMs || 0) + ')';
+      case 'recording-delete':  return 'Recording deleted for ' + machine;
+      case 'recording-export':  return 'Recording for ' + machine + ' exported to ' + String(e.format || 'video').toUpperCase();
+      case 'file-upload':       return who + ' uploaded "' + e.path + '" to ' + machine;
+      case 'file-download':     return who + ' downloaded "' + e.path + '" from ' + machine;
+      case 'file-rename':       return who + ' renamed "' + e.from + '" to "' + e.path + '" on ' + machine;
+      case 'file-delete':       return who + ' deleted "' + e.path + '" on ' + machine;
+      default:                  return e.type;
+    }
+  }
+
+  function loadActivity() {
+    fetch('/api/audit?limit=20', {
+      headers: { 'Authorization': 'Bearer ' + token }
+    }).then(res => res.json())
+      .then(data => renderActivity(data.entries || []))
+      .catch(() => {
+        activityContainer.innerHTML = '<p class="text-muted text-sm">Error loading activity</p>';
+      });
+  }
+
+  function renderActivity(list) {
+    const rows = list.length === 0
+      ? '<p class="text-muted text-sm">No activity yet.</p>'
+      : list.map(e => `
+      <div class="session-row">
+        <div>
+          <div class="session-device">${ACTIVITY_ICONS[e.type] || '•'} ${escHtml(describeActivity(e))}</div>
+          <div class="session-meta">${timeAgo(e.at)}${e.ip ? ' &middot; ' + escHtml(e.ip) : ''}${e.device ? ' &middot; ' + escHtml(e.device) : ''}</div>
+        </div>
+      </div>
+    `).join('');
+    activityContainer.innerHTML = rows + `
+      <div class="totp-row">
+        <button class="btn-set-mac-empty" id="btn-refresh-activity" style="margin-bottom:0;">Refresh</button>
+      </div>`;
+    document.getElementById('btn-refresh-activity').addEventListener('click', loadActivity);
+  }
+
   // ─── Initial Load ─────────────────────────────────────
   loadMachines();
+  loadInvites();
+  loadRecordings();
+  loadActivity();
+  loadSessions();
 
 })();
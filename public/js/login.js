@@ -5,17 +5,35 @@
   'use strict';
 
   const loginForm = document.getElementById('login-form');
+  const usernameInput = document.getElementById('username-input');
   const passwordInput = document.getElementById('password-input');
+  const totpInput = document.getElementById('totp-input');
+  const credentialsGroup = document.getElementById('credentials-group');
+  const passwordGroup = document.getElementById('password-group');
+  const totpGroup = document.getElementById('totp-group');
   const loginBtn = document.getElementById('login-btn');
   const loginError = document.getElementById('login-error');
 
+  // Set after step 1 when the account has two-factor enabled
+  let mfaToken = null;
+
+  // Pre-fill the last username used on this device
+  const lastUsername = localStorage.getItem('loginto_username');
+  if (lastUsername) {
+    usernameInput.value = lastUsername;
+    passwordInput.focus();
+  }
+
   // Check for existing session on page load
   checkExistingSession();
 
   loginForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    if (mfaToken) return submitTotp();
+
+    const username = usernameInput.value.trim().toLowerCase();
     const password = passwordInput.value.trim();
-    if (!password) return;
+    if (!username || !password) return;
 
     setLoading(true);
     hideError();
@@ -24,7 +42,7 @@
       const res = await fetch('/api/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username, password })
       });
 
       const data = await res.json();
@@ -35,13 +53,17 @@
         return;
       }
 
-      // Store session
-      localStorage.setItem('loginto_token', data.token);
-      localStorage.setItem('loginto_userId', data.userId);
-      localStorage.setItem('loginto_displayName', data.displayName);
+      localStorage.setItem('loginto_username', username);
+
+      // Password ok, second factor required — switch the form to step 2
+      if (data.mfaRequired) {
+        mfaToken = data.mfaToken;
+        showTotpStep();
+        setLoading(false);
+        return;
+      }
 
-      // Redirect to dashboard
-      window.location.href = '/dashboard.html';
+      completeLogin(data);
 
     } catch (err) {
       showError('Connection failed. Is the server running?');
@@ -49,6 +71,75 @@
     }
   });
 
+  async function submitTotp() {
+    const code = totpInput.value.trim();
+    if (!code) return;
+
+    setLoading(true);
+    hideError();
+
+    try {
+      const res = await fetch('/api/login/totp', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfaToken, code })
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        showError(data.error || 'Verification failed');
+        setLoading(false);
+        totpInput.value = '';
+        totpInput.focus();
+        // MFA token expired or burned — restart from the password step
+        if (res.status === 401 && data.error !== 'Invalid code') resetToPasswordStep();
+        return;
+      }
+
+      if (data.recoveryCodesRemaining !== undefined && data.recoveryCodesRemaining <= 2) {
+        alert(`Only ${data.recoveryCodesRemaining} recovery codes left. Generate new ones from the dashboard.`);
+      }
+      completeLogin(data);
+
+    } catch (err) {
+      showError('Connection failed. Is the server running?');
+      setLoading(false);
+    }
+  }
+
+  function completeLogin(data) {
+    // Store session
+    localStorage.setItem('loginto_token', data.token);
+    localStorage.setItem('loginto_userId', data.userId);
+    localStorage.setItem('loginto_displayName', data.displayName);
+
+    // Redirect to dashboard
+    window.location.href = '/dashboard.html';
+  }
+
+  function showTotpStep() {
+    credentialsGroup.style.display = 'none';
+    passwordGroup.style.display = 'none';
+    usernameInput.required = false;
+    passwordInput.required = false;
+    totpGroup.style.display = '';
+    totpInput.value = '';
+    totpInput.focus();
+    loginBtn.querySelector('.btn-text').textContent = 'Verify';
+  }
+
+  function resetToPasswordStep() {
+    mfaToken = null;
+    totpGroup.style.display = 'none';
+    credentialsGroup.style.display = '';
+    passwordGroup.style.display = '';
+    usernameInput.required = true;
+    passwordInput.required = true;
+    passwordInput.value = '';
+    loginBtn.querySelector('.btn-text').textContent = 'Sign In';
+  }
+
   async function checkExistingSession() {
     const token = localStorage.getItem('loginto_token');
     if (!token) return;
@@ -19,6 +19,7 @@
   const urlParams = new URLSearchParams(window.location.search);
   const machineId   = urlParams.get('machine') || null;
   const inviteToken = urlParams.get('invite')  || null;
+  const recordingId = urlParams.get('recording') || null;   // play back instead of connecting
 
   // Invite links bypass login — owners must be logged in
   if (!inviteToken && (!token || !userId)) { window.location.href = '/'; return; }
@@ -32,6 +33,8 @@
   const EDGE_MARGIN = 0.12;     // 12% of viewport as auto-pan zone
   const PAN_LERP = 0.35;        // auto-pan smoothing factor (0=frozen, 1=instant)
   const TOUCH_SMOOTH = 0.6;     // touch delta EMA smoothing (0=raw, 1=max smooth)
+  const KEYFRAME_RETRY_MS = 1000;  // ask the agent for a full frame at most this often
+  const MAX_QUEUED_DELTAS = 8;     // decoder this far behind → drop them, wait for a keyframe
 
   // ─── State ──────────────────────────────────────────────
   const S = {
@@ -69,9 +72,88 @@
     lastFrameTime: 0, avgInterval: 50,
     lastMoveEmit: 0,
     currentQuality: 92, currentFPSSetting: 20,
+    profile: localStorage.getItem('loginto_profile') || 'balanced',   // smooth | balanced | sharp | manual
+    relayStats: null,   // { fps, kbps, ackMs, dropped, inFlight } from the server's pacing
+
+    // Delta frames (changed tiles only) — see agent/capture.js
+    frameSeq: 0,             // number of the last frame accepted
+    needKeyframe: true,      // canvas is blank or missed a delta
+    keyframeAskedAt: 0,
 
     // Panels
     panelOpen: null,
+
+    // What this viewer may do — narrowed by the server for invite guests
+    permissions: { view: true, input: true, clipboard: true, displays: true, files: true, audio: true },
+  };
+
+  // End-to-end encryption (agent started with E2E) — see agent/e2e.js
+  const E2E = {
+    required: false,   // agent advertised E2E params in screen-info
+    params: null,      // { salt, check, iterations, time }
+    key: null,         // AES-GCM CryptoKey once paired
+    offset: 0,         // agent clock − our clock (input timestamps use agent time)
+    pairing: false,
+    queue: Promise.resolve()   // keeps sealed input in order
+  };
+
+  // Peer-to-peer frames over a WebRTC data channel — see agent/webrtc.js.
+  // Signaling goes through the server; frames fall back to the relay on failure.
+  const RTC_CONNECT_TIMEOUT = 8000;
+  const RTC_RETRY_MIN = 30000, RTC_RETRY_MAX = 5 * 60 * 1000;
+  const RTC = {
+    pc: null, channel: null,
+    active: false,          // frames are arriving over the data channel
+    timer: null,            // connect timeout / retry timer
+    retryDelay: RTC_RETRY_MIN,
+    remoteSet: false, pendingIce: [],
+    header: null, chunks: [], received: 0   // frame being reassembled
+  };
+
+  // Video mode (H.264 / VP8 decoded with WebCodecs) — see agent/video.js.
+  // We tell the server which of the agent's codecs we can decode; without
+  // WebCodecs the agent keeps sending JPEG.
+  const VIDEO_PROBE = { h264: 'avc1.42E028', vp8: 'vp8' };
+  const VID = {
+    decoder: null,
+    codec: null, config: null,   // what the decoder is configured for
+    width: 0, height: 0,
+    active: false,               // the last frame was video
+    failed: false                // decoder errored — stay on JPEG
+  };
+
+  // Adaptive bitrate — what the stream looks like from here, reported to the
+  // agent every FEEDBACK_INTERVAL (see agent/bitrate.js). Counters reset per report.
+  const FEEDBACK_INTERVAL = 2000;
+  const FB = {
+    rtts: [],                    // recent latency-ping round trips
+    received: 0, dropped: 0,     // frames in / frames never drawn
+    decoded: 0, decodeMs: 0,     // frames drawn, total time spent decoding them
+    decodeStart: 0
+  };
+
+  // Machine audio (Opus decoded with WebCodecs) — see agent/audio.js. Muted
+  // until the user taps the toggle; browsers won't start sound without one anyway.
+  const AUDIO_LEAD = 0.08;      // s scheduled ahead of the clock, absorbs jitter
+  const AUDIO_MAX_LAG = 0.4;    // s queued beyond the lead → skip ahead
+  const AUD = {
+    ctx: null, decoder: null,
+    enabled: false,
+    nextTime: 0,                 // AudioContext time the next packet starts at
+    queue: Promise.resolve()     // keeps E2E-decrypted packets in order
+  };
+
+  // Playback of a recorded session (viewer.html?recording=<id>) — see
+  // src/recordings.js. Frames go through the same renderer as live ones.
+  const REC = { SCREEN_INFO: 1, FRAME: 2, INPUT: 3 };
+  const PB = {
+    active: false,
+    records: [], duration: 0,     // [{ type, t, meta, data }], ms
+    index: 0,                     // next record to apply
+    position: 0,                  // ms into the recording when the clock last stopped
+    playing: false, clockStart: 0, timer: null,
+    seeking: 0,                   // bumped per seek so an older one gives up
+    onIdle: null                  // resolved once everything queued has been drawn
   };
 
   let keyboardOpen = false;
@@ -86,6 +168,7 @@
   const box      = $('#canvas-container');
   const cursor   = $('#cursor-indicator');
   const overlay  = $('#offline-overlay');
+  const approvalOverlay = $('#approval-overlay');
   const statText = $('#status-text');
   const statDot  = $('.status-dot');
   const fpsEl    = $('#fps-display');
@@ -98,17 +181,28 @@
   const qualVal   = $('#quality-value');
   const fpsSlider = $('#fps-slider');
   const fpsVal    = $('#fps-value');
+  const profileBtns = $$('#profile-toggle [data-profile]');
   const kbInput   = $('#keyboard-input');
   const displaysPanel = $('#displays-panel');
   const displaysList  = $('#displays-list');
+  const windowsSection = $('#windows-section');
+  const windowsList   = $('#windows-list');
   const clipboardPanel = $('#clipboard-panel');
   const clipboardText  = $('#clipboard-text');
+  const filesPanel    = $('#files-panel');
+  const filesList     = $('#files-list');
+  const filesPath     = $('#files-path');
+  const filesInput    = $('#files-input');
   const moreMenu      = $('#more-menu');
+  const pbBar  = $('#playback-bar');
+  const pbPlayBtn = $('#pb-play');
+  const pbSeek = $('#pb-seek');
+  const pbTime = $('#pb-time');
 
   // Frame rendering pipeline
   const img = new Image();
   let framePending = false;
-  let pendingFrameData = null;       // queues the LATEST frame while one is decoding
+  let pendingFrames = [];            // waiting while one decodes: the latest full frame + deltas after it
   let rafId = null;
   let transformDirty = false;
 
@@ -150,8 +244,11 @@
   qualVal.textContent = S.currentQuality + '%';
   fpsSlider.value = S.currentFPSSetting;
   fpsVal.textContent = S.currentFPSSetting;
+  renderProfile();
 
-  if (inviteToken) {
+  if (recordingId) {
+    initPlayback();
+  } else if (inviteToken) {
     // Validate invite and show host info, then connect
     fetch('/api/invite-info/' + inviteToken)
       .then(r => r.json())
@@ -176,9 +273,13 @@
   //  SOCKET
   // ───────────────────────────────────────────────────────
 
+  // Guest token the server issued on this browser's first use of the invite —
+  // presenting it again reconnects without using up another invite slot
+  const GUEST_TOKEN_KEY = 'loginto_guest_token:' + inviteToken;
+
   function initSocket() {
     const authPayload = inviteToken
-      ? { inviteToken, role: 'viewer' }
+      ? { inviteToken, guestToken: localStorage.getItem(GUEST_TOKEN_KEY) || undefined, role: 'viewer' }
       : { token, role: 'viewer', machineId };
 
     S.socket = io({
@@ -194,48 +295,92 @@
     });
     S.socket.on('disconnect', () => {
       S.connected = false; S._wasDisconnected = true;
+      rtcStop(false);
       setStatus('Reconnecting…', true); showToast('Connection lost — reconnecting…', true);
     });
     S.socket.on('connect_error', err => {
       if (err.message === 'Authentication required') { localStorage.clear(); window.location.href = '/'; }
-      if (err.message === 'Invalid or expired invite link') { alert('This invite link is invalid or has expired.'); window.location.href = '/'; }
+      if (err.message === 'Invalid or expired invite link') { alert('This invite link is invalid, has expired, or has already been used.'); window.location.href = '/'; }
     });
     S.socket.on('kicked', () => { alert('Another device connected.'); window.location.href = '/dashboard.html'; });
+    S.socket.on('session-revoked', () => { localStorage.clear(); window.location.href = '/'; });
+    S.socket.on('invite-revoked', () => { alert('The owner has revoked this invite link.'); window.location.href = '/'; });
 
     // Server restart notification
     S.socket.on('server-shutdown', () => {
       showToast('Server restarting — will reconnect automatically', true);
     });
 
+    S.socket.on('permissions', applyPermissions);
+    S.socket.on('guest-token', (data) => {
+      if (typeof data?.guestToken !== 'string') return;
+      localStorage.setItem(GUEST_TOKEN_KEY, data.guestToken);
+      S.socket.auth.guestToken = data.guestToken;   // socket.io re-sends auth on reconnect
+    });
+
+    // Invited guests: the owner may have to approve us before frames arrive
+    S.socket.on('approval-pending', () => {
+      if (approvalOverlay) approvalOverlay.style.display = 'flex';
+      setStatus('Awaiting approval…', true);
+    });
+    S.socket.on('approval-denied', d => {
+      alert(d && d.reason === 'timeout'
+        ? 'The owner did not respond to your request.'
+        : 'The owner declined your request to connect.');
+      window.location.href = '/';
+    });
+
     S.socket.on('agent-status', d => {
+      if (approvalOverlay) approvalOverlay.style.display = 'none';
+      if (!d.connected) rtcStop(false);
       if (d.connected) { overlay.style.display = 'none'; setStatus('Connected', false); }
       else { overlay.style.display = 'flex'; setStatus('Machine Offline', true); }
     });
 
     S.socket.on('screen-info', info => {
-      S.screenInfo = info;
-      canvas.width = info.scaledWidth;
-      canvas.height = info.scaledHeight;
-      S.cursorX = (info.inputWidth || info.width) / 2;
-      S.cursorY = (info.inputHeight || info.height) / 2;
-      S.zoom = 1;
-      computeFit();
-      // Show cursor at center after layout settles
-      setTimeout(() => updateCursor(), 50);
-      S.socket.emit('update-quality', { quality: S.currentQuality });
-      S.socket.emit('update-fps', { fps: S.currentFPSSetting });
+      applyScreenInfo(info);
+      if (info.video) videoNegotiate(info.video.codecs);
+      audioOffered(info.audio);
+      if (S.profile === 'manual') {
+        S.socket.emit('update-quality', { quality: S.currentQuality });
+        S.socket.emit('update-fps', { fps: S.currentFPSSetting });
+      } else {
+        sendFeedback();
+      }
+      if (info.webrtc) rtcStart(info.webrtc);
     });
 
-    S.socket.on('frame', onFrame);
+    // Ack on arrival — the server paces each viewer by its unacknowledged frames
+    S.socket.on('frame', (data, ack) => {
+      if (typeof ack === 'function') ack();
+      onFrame(data);
+    });
+    S.socket.on('relay-stats', stats => { S.relayStats = stats; });
+    S.socket.on('audio', onAudio);
+
+    // WebRTC signaling replies from the agent
+    S.socket.on('rtc-answer', d => {
+      if (!RTC.pc || !d || typeof d.sdp !== 'string') return;
+      const pc = RTC.pc;
+      pc.setRemoteDescription({ type: 'answer', sdp: d.sdp }).then(() => {
+        if (RTC.pc !== pc) return;
+        RTC.remoteSet = true;
+        RTC.pendingIce.splice(0).forEach(c => pc.addIceCandidate(c).catch(() => {}));
+      }).catch(() => rtcStop(true));
+    });
+    S.socket.on('rtc-ice', d => {
+      if (!RTC.pc || !d || !d.candidate) return;
+      if (!RTC.remoteSet) { RTC.pendingIce.push(d.candidate); return; }
+      RTC.pc.addIceCandidate(d.candidate).catch(() => {});
+    });
 
     // Latency measurement — real roundtrip ping/pong
-    let latencyHistory = [];
     S.socket.on('latency-pong', (data) => {
       if (data && data.t) {
         const rtt = performance.now() - data.t;
         latEl.textContent = Math.round(rtt) + 'ms';
-        latencyHistory.push(rtt);
-        if (latencyHistory.length > 10) latencyHistory.shift();
+        FB.rtts.push(rtt);
+        if (FB.rtts.length > 10) FB.rtts.shift();
         updateQualityPill(rtt);
       }
     });
@@ -245,24 +390,77 @@
       renderDisplays(displays);
     });
 
+    // Window streaming: receive window list from agent
+    S.socket.on('windows-list', windows => {
+      renderWindows(windows);
+    });
+
     // Clipboard: receive remote clipboard content
     S.socket.on('clipboard-content', data => {
+      if (data && data.e2e) {
+        e2eOpenJson('clipboard-content', data.e2e).then(msg => { if (msg) showRemoteClipboard(msg); });
+        return;
+      }
+      showRemoteClipboard(data);
+    });
+
+    function showRemoteClipboard(data) {
       if (clipboardText) clipboardText.value = data.text || '';
       // Also copy to local clipboard if possible
       if (navigator.clipboard && data.text) {
         navigator.clipboard.writeText(data.text).catch(() => {});
       }
-    });
+    }
 
     setInterval(() => {
       S.currentFPS = S.fpsCounter; S.fpsCounter = 0;
-      fpsEl.textContent = S.currentFPS + ' FPS';
+      fpsEl.textContent = S.currentFPS + ' FPS' + (VID.active ? ' · ' + (VID.codec === 'h264' ? 'H.264' : 'VP8') : '') + (RTC.active ? ' · P2P' : '');
+      const rs = S.relayStats;
+      fpsEl.title = rs && !RTC.active ? `Relay: ${rs.kbps} kbps, ${rs.dropped} frames skipped (last 2s)` : '';
     }, 1000);
 
     // Latency ping every 2 seconds
     setInterval(() => {
       if (S.socket && S.connected) S.socket.emit('latency-ping', { t: performance.now() });
     }, 2000);
+
+    setInterval(sendFeedback, FEEDBACK_INTERVAL);
+  }
+
+  // Not while hidden — the tab asked for 1 FPS and the agent shouldn't undo that
+  function sendFeedback() {
+    if (!S.socket || !S.connected || !S.screenInfo || document.visibilityState === 'hidden') return;
+    const recent = FB.rtts.slice(-3);
+    S.socket.emit('viewer-feedback', {
+      profile: S.profile,
+      rtt: recent.length ? Math.round(recent.reduce((a, b) => a + b, 0) / recent.length) : null,
+      decodeMs: FB.decoded ? Math.round(FB.decodeMs / FB.decoded) : null,
+      received: FB.received,
+      dropped: FB.dropped
+    });
+    FB.received = FB.dropped = FB.decoded = FB.decodeMs = 0;
+  }
+
+  // Live from the agent, or from a recording
+  function applyScreenInfo(info) {
+    if (info.window && info.window.id !== S.screenInfo?.window?.id) {
+      showToast('Sharing window: ' + (info.window.name || info.window.id));
+    }
+    S.screenInfo = info;
+    if (windowsSection) windowsSection.classList.toggle('hidden', !info.windows);
+    updateFilesButton();
+    if (info.e2e) e2eSetup(info.e2e);
+    else { E2E.required = false; E2E.key = null; }
+    canvas.width = info.scaledWidth;
+    canvas.height = info.scaledHeight;
+    S.needKeyframe = true;   // resizing cleared the canvas
+    const center = clampToDisplays((info.inputWidth || info.width) / 2, (info.inputHeight || info.height) / 2);
+    S.cursorX = center.x;
+    S.cursorY = center.y;
+    S.zoom = 1;
+    computeFit();
+    // Show cursor at center after layout settles
+    setTimeout(() => updateCursor(), 50);
   }
 
   function setStatus(t, err) {
@@ -289,6 +487,208 @@
     qualPill.textContent = '● ' + label;
   }
 
+  // ───────────────────────────────────────────────────────
+  //  END-TO-END ENCRYPTION
+  //  AES-256-GCM, key = PBKDF2(pairing secret, salt from agent).
+  //  Sealed payload = 12-byte IV ‖ ciphertext ‖ tag, AAD = event name.
+  // ───────────────────────────────────────────────────────
+
+  const te = new TextEncoder();
+  const td = new TextDecoder();
+  const e2eStorageKey = 'loginto_e2e_' + (machineId || inviteToken || 'default');
+
+  function b64ToBytes(b64) {
+    const bin = atob(b64);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function bytesToB64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Resolves to an AES key, or null if the secret doesn't match the agent's check value
+  async function e2eDerive(secret, params) {
+    const normalized = String(secret || '').replace(/[\s-]/g, '').toUpperCase();
+    const base = await crypto.subtle.importKey('raw', te.encode(normalized), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: b64ToBytes(params.salt), iterations: params.iterations },
+      base, 512
+    ));
+    if (toHex(bits.slice(32, 40)) !== params.check) return null;
+    return crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async function e2eSetup(params) {
+    E2E.required = true;
+    E2E.offset = (params.time || Date.now()) - Date.now();
+    if (E2E.key && E2E.params && E2E.params.salt === params.salt) return;
+    E2E.params = params;
+    E2E.key = null;
+    if (E2E.pairing) return;
+
+    if (!window.crypto || !crypto.subtle) {
+      showToast('🔒 This machine is end-to-end encrypted — open the viewer over HTTPS', true);
+      return;
+    }
+
+    E2E.pairing = true;
+    try {
+      // Remembered secret first, then ask (agent restarts change the salt, not the secret)
+      let secret = localStorage.getItem(e2eStorageKey);
+      for (let attempt = 0; attempt < 4; attempt++) {
+        if (secret) {
+          const key = await e2eDerive(secret, params);
+          if (key) {
+            E2E.key = key;
+            localStorage.setItem(e2eStorageKey, secret);
+            showToast('🔒 End-to-end encrypted');
+            if (S.needKeyframe) requestKeyframe();
+            return;
+          }
+          localStorage.removeItem(e2eStorageKey);
+        }
+        secret = prompt((attempt ? 'That pairing secret didn\u2019t match.\n\n' : '') +
+          'This machine uses end-to-end encryption.\nEnter the pairing secret shown by the agent:');
+        if (secret === null) break;
+      }
+      showToast('🔒 Encrypted — pairing secret needed to view this machine', true);
+    } finally {
+      E2E.pairing = false;
+    }
+  }
+
+  async function e2eSeal(event, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const body = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: te.encode(event) }, E2E.key, bytes
+    ));
+    const out = new Uint8Array(iv.length + body.length);
+    out.set(iv, 0);
+    out.set(body, iv.length);
+    return out;
+  }
+
+  // Resolves to the plaintext bytes, or null if the payload doesn't authenticate
+  async function e2eOpen(event, sealed) {
+    if (!E2E.key) return null;
+    const bytes = sealed instanceof Uint8Array ? sealed : new Uint8Array(sealed);
+    try {
+      return await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: bytes.subarray(0, 12), additionalData: te.encode(event) },
+        E2E.key, bytes.subarray(12)
+      );
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function e2eOpenJson(event, sealed) {
+    const plain = await e2eOpen(event, sealed);
+    if (!plain) return null;
+    try { return JSON.parse(td.decode(plain)); } catch (e) { return null; }
+  }
+
+  // Viewer → agent input. In E2E mode it's sealed with an agent-clock
+  // timestamp (replay guard) and dropped entirely until we're paired.
+  function sendInput(event, data) {
+    if (!S.socket) return;
+    if (!E2E.required) { S.socket.emit(event, data); return; }
+    if (!E2E.key) return;
+    const msg = Object.assign({}, data, { t: Date.now() + E2E.offset });
+    E2E.queue = E2E.queue
+      .then(() => e2eSeal(event, te.encode(JSON.stringify(msg))))
+      .then(sealed => S.socket.emit(event, { e2e: sealed }))
+      .catch(() => {});
+  }
+
+  // ───────────────────────────────────────────────────────
+  //  PEER-TO-PEER FRAMES (WebRTC)
+  // ───────────────────────────────────────────────────────
+
+  // Offer a data channel to the agent. No ICE servers unless the agent
+  // advertises some — host candidates are enough on a LAN.
+  function rtcStart(params) {
+    if (typeof RTCPeerConnection !== 'function' || RTC.pc || RTC.timer) return;
+    let pc;
+    try { pc = new RTCPeerConnection({ iceServers: params.iceServers || [] }); } catch (e) { return; }
+    const ch = pc.createDataChannel('frames', { ordered: true });
+    ch.binaryType = 'arraybuffer';
+    Object.assign(RTC, { pc, channel: ch, remoteSet: false, pendingIce: [], header: null, chunks: [], received: 0 });
+
+    pc.onicecandidate = e => {
+      if (e.candidate && e.candidate.candidate && S.socket) {
+        S.socket.emit('rtc-ice', { candidate: { candidate: e.candidate.candidate, sdpMid: e.candidate.sdpMid } });
+      }
+    };
+    pc.onconnectionstatechange = () => {
+      if (RTC.pc === pc && (pc.connectionState === 'failed' || pc.connectionState === 'disconnected')) rtcStop(true);
+    };
+    ch.onopen = () => {
+      if (RTC.pc !== pc) return;
+      clearTimeout(RTC.timer); RTC.timer = null;
+      RTC.active = true;
+      RTC.retryDelay = RTC_RETRY_MIN;
+      S.socket.emit('rtc-state', { p2p: true });
+      showToast('Direct connection');
+    };
+    ch.onclose = () => { if (RTC.pc === pc) rtcStop(true); };
+    ch.onmessage = rtcMessage;
+
+    RTC.timer = setTimeout(() => { RTC.timer = null; rtcStop(true); }, RTC_CONNECT_TIMEOUT);
+    pc.createOffer()
+      .then(offer => pc.setLocalDescription(offer))
+      .then(() => { if (RTC.pc === pc) S.socket.emit('rtc-offer', { sdp: pc.localDescription.sdp }); })
+      .catch(() => rtcStop(true));
+  }
+
+  // Tear down the peer connection and go back to relayed frames.
+  // retry: try again later with backoff (P2P may just be unreachable).
+  function rtcStop(retry) {
+    clearTimeout(RTC.timer); RTC.timer = null;
+    if (!RTC.pc) return;
+    const wasActive = RTC.active;
+    try { RTC.pc.close(); } catch (e) {}
+    Object.assign(RTC, { pc: null, channel: null, active: false, header: null, chunks: [], received: 0 });
+    if (S.socket && S.connected) S.socket.emit('rtc-state', { p2p: false });
+    if (wasActive) showToast('Direct connection lost — using relay', true);
+    if (retry) {
+      const delay = RTC.retryDelay;
+      RTC.retryDelay = Math.min(RTC.retryDelay * 2, RTC_RETRY_MAX);
+      RTC.timer = setTimeout(() => {
+        RTC.timer = null;
+        if (S.connected && S.screenInfo && S.screenInfo.webrtc) rtcStart(S.screenInfo.webrtc);
+      }, delay);
+    }
+  }
+
+  // Data channel: a JSON header, then the payload in binary chunks
+  function rtcMessage(e) {
+    if (typeof e.data === 'string') {
+      try { RTC.header = JSON.parse(e.data); } catch (err) { RTC.header = null; }
+      RTC.chunks = []; RTC.received = 0;
+      return;
+    }
+    if (!RTC.header) return;
+    RTC.chunks.push(new Uint8Array(e.data));
+    RTC.received += e.data.byteLength;
+    if (RTC.received < RTC.header.size) return;
+
+    const buf = new Uint8Array(RTC.received);
+    let off = 0;
+    for (const c of RTC.chunks) { buf.set(c, off); off += c.length; }
+    const frame = Object.assign({}, RTC.header, { data: buf });
+    RTC.header = null; RTC.chunks = []; RTC.received = 0;
+    onFrame(frame);
+  }
+
   // ───────────────────────────────────────────────────────
   //  FRAME RENDERING
   // ───────────────────────────────────────────────────────
@@ -298,6 +698,7 @@
     S.avgInterval = S.avgInterval * 0.9 + (now - S.lastFrameTime) * 0.1;
     S.lastFrameTime = now;
     S.fpsCounter++;
+    FB.received++;
 
     // Update quality slider to show adaptive quality from agent
     if (data.quality && Math.abs(data.quality - S.currentQuality) > 1) {
@@ -305,19 +706,75 @@
       qualSlider.value = data.quality;
       qualVal.textContent = data.quality + '%';
     }
+    // ...and the frame rate the bitrate controller picked
+    if (data.fps && S.profile !== 'manual' && data.fps !== S.currentFPSSetting) {
+      S.currentFPSSetting = data.fps;
+      fpsSlider.value = data.fps;
+      fpsVal.textContent = data.fps;
+    }
 
-    // Queue latest frame — if one is already decoding, keep the newest
+    VID.active = !!data.codec;
+    if (!sequenceFrame(data)) { FB.dropped++; return; }
+
+    // Queue while one is decoding — keep the newest full frame, plus every
+    // delta after it (each one patches the picture before it)
     if (framePending) {
-      pendingFrameData = data;
+      if (!data.delta) { FB.dropped += pendingFrames.length; pendingFrames = [data]; }
+      else if (pendingFrames.length >= MAX_QUEUED_DELTAS) { FB.dropped++; lostFrame(); }
+      else pendingFrames.push(data);
       return;
     }
 
     decodeAndRender(data);
   }
 
+  // A delta only applies on top of the frame right before it. Full frames
+  // always go through; after a gap we wait for one.
+  function sequenceFrame(data) {
+    if (!data.delta) {
+      S.frameSeq = data.frame;
+      S.needKeyframe = false;
+      return true;
+    }
+    if (S.needKeyframe) { requestKeyframe(); return false; }
+    if (data.frame <= S.frameSeq) return false;   // already had it (P2P ↔ relay handover)
+    if (data.frame !== S.frameSeq + 1) { lostFrame(); return false; }
+    S.frameSeq = data.frame;
+    return true;
+  }
+
+  // The picture is out of date — drop queued deltas and ask for a full frame
+  function lostFrame() {
+    S.needKeyframe = true;
+    const queued = pendingFrames.length;
+    pendingFrames = pendingFrames.filter(f => !f.delta);
+    FB.dropped += queued - pendingFrames.length;
+    requestKeyframe();
+  }
+
+  function requestKeyframe() {
+    const now = Date.now();
+    if (!S.socket || (E2E.required && !E2E.key) || now - S.keyframeAskedAt < KEYFRAME_RETRY_MS) return;
+    S.keyframeAskedAt = now;
+    S.socket.emit('request-keyframe');
+  }
+
   function decodeAndRender(data) {
+    if (!framePending) FB.decodeStart = performance.now();
     framePending = true;
 
+    // E2E: decrypt first, then decode as usual (frames we can't open are skipped)
+    if (data.encrypted) {
+      e2eOpen('frame', data.data).then(plain => {
+        if (!plain) { lostFrame(); finishFrame(); return; }
+        decodeAndRender(Object.assign({}, data, { data: plain, encrypted: false }));
+      });
+      return;
+    }
+
+    if (data.codec) { videoDecode(data); return; }
+    if (data.delta) { renderTiles(data); return; }
+
     // Prefer createImageBitmap for off-thread decode (huge mobile perf win)
     if (typeof createImageBitmap === 'function' && (data.data instanceof ArrayBuffer || data.data instanceof Uint8Array)) {
       const blob = new Blob([data.data], { type: 'image/jpeg' });
@@ -325,7 +782,7 @@
         paintFrame(bmp, data.width, data.height);
         bmp.close();
         finishFrame();
-      }).catch(() => { finishFrame(); });
+      }).catch(() => { lostFrame(); finishFrame(); });
       return;
     }
 
@@ -341,10 +798,55 @@
       if (blobUrl) URL.revokeObjectURL(blobUrl);
       finishFrame();
     };
-    img.onerror = () => { if (blobUrl) URL.revokeObjectURL(blobUrl); finishFrame(); };
+    img.onerror = () => { if (blobUrl) URL.revokeObjectURL(blobUrl); lostFrame(); finishFrame(); };
     img.src = blobUrl || ('data:image/jpeg;base64,' + data.data);
   }
 
+  // Delta frame: JPEG tiles drawn over the current picture
+  function renderTiles(data) {
+    const tiles = canvas.width === data.width && canvas.height === data.height ? parseTiles(data.data) : null;
+    if (!tiles) { lostFrame(); finishFrame(); return; }
+    Promise.all(tiles.map(t => loadTile(t.bytes))).then(images => {
+      images.forEach((image, i) => {
+        ctx.drawImage(image, tiles[i].x, tiles[i].y);
+        if (image.close) image.close();
+      });
+      scheduleTransform();
+      finishFrame();
+    }).catch(() => { lostFrame(); finishFrame(); });
+  }
+
+  // u16 count, count × { u16 x, y, w, h, u32 bytes }, then the JPEGs (big-endian)
+  function parseTiles(buf) {
+    const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+    if (bytes.length < 2) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = view.getUint16(0);
+    let off = 2 + count * 12;
+    if (off > bytes.length) return null;
+    const tiles = [];
+    for (let i = 0; i < count; i++) {
+      const h = 2 + i * 12;
+      const len = view.getUint32(h + 8);
+      if (off + len > bytes.length) return null;
+      tiles.push({ x: view.getUint16(h), y: view.getUint16(h + 2), bytes: bytes.subarray(off, off + len) });
+      off += len;
+    }
+    return tiles;
+  }
+
+  function loadTile(bytes) {
+    const blob = new Blob([bytes], { type: 'image/jpeg' });
+    if (typeof createImageBitmap === 'function') return createImageBitmap(blob);
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const el = new Image();
+      el.onload = () => { URL.revokeObjectURL(url); resolve(el); };
+      el.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Bad tile')); };
+      el.src = url;
+    });
+  }
+
   function paintFrame(source, w, h) {
     if (canvas.width !== w || canvas.height !== h) {
       canvas.width = w;
@@ -356,13 +858,362 @@
   }
 
   function finishFrame() {
+    FB.decoded++;
+    FB.decodeMs += performance.now() - FB.decodeStart;
     framePending = false;
-    // If a newer frame was queued while we were decoding, render it now
-    if (pendingFrameData) {
-      const next = pendingFrameData;
-      pendingFrameData = null;
-      decodeAndRender(next);
+    // Render whatever was queued while we were decoding, in order
+    if (pendingFrames.length) decodeAndRender(pendingFrames.shift());
+    else if (PB.onIdle) { const done = PB.onIdle; PB.onIdle = null; done(); }
+  }
+
+  // ───────────────────────────────────────────────────────
+  //  PLAYBACK (recorded sessions)
+  // ───────────────────────────────────────────────────────
+
+  function initPlayback() {
+    PB.active = true;
+    applyPermissions({ view: true });
+    if (modeBdg) modeBdg.textContent = 'Playback';
+    $('#action-bar').style.display = 'none';
+    pbBar.style.display = '';
+    fpsEl.textContent = '';
+    latEl.textContent = '';
+    setStatus('Loading recording…', false);
+
+    fetch('/api/recordings/' + encodeURIComponent(recordingId), { headers: { Authorization: 'Bearer ' + token } })
+      .then(r => {
+        if (r.status === 401) { localStorage.clear(); window.location.href = '/'; return null; }
+        if (!r.ok) throw new Error('HTTP ' + r.status);
+        return r.arrayBuffer();
+      })
+      .then(buf => {
+        if (!buf) return;
+        const records = parseRecording(buf);
+        if (!records || !records.length) throw new Error('Empty recording');
+        PB.records = records;
+        PB.duration = records[records.length - 1].t;
+        pbSeek.max = PB.duration;
+        setStatus('Recorded session', false);
+        pbSeekTo(0).then(pbPlay);
+      })
+      .catch(() => {
+        setStatus('Recording unavailable', true);
+        showToast('Could not load this recording', true);
+      });
+  }
+
+  // "LREC" u8 version, then records of { u8 type, u32 ms, u32 meta bytes,
+  // u32 data bytes, JSON meta, data } (big-endian). A truncated tail is ignored.
+  function parseRecording(buf) {
+    const bytes = new Uint8Array(buf);
+    const view = new DataView(buf);
+    if (bytes.length < 5 || td.decode(bytes.subarray(0, 4)) !== 'LREC') return null;
+    const records = [];
+    let off = 5;
+    while (off + 13 <= bytes.length) {
+      const metaLen = view.getUint32(off + 5);
+      const dataLen = view.getUint32(off + 9);
+      const end = off + 13 + metaLen + dataLen;
+      if (end > bytes.length) break;
+      let meta;
+      try { meta = JSON.parse(td.decode(bytes.subarray(off + 13, off + 13 + metaLen))); } catch (e) { break; }
+      records.push({
+        type: bytes[off],
+        t: view.getUint32(off + 1),
+        meta,
+        data: dataLen ? bytes.subarray(end - dataLen, end) : null
+      });
+      off = end;
+    }
+    return records;
+  }
+
+  function pbApply(rec) {
+    if (rec.type === REC.SCREEN_INFO) applyScreenInfo(rec.meta);
+    else if (rec.type === REC.FRAME) onFrame(Object.assign({}, rec.meta, { data: rec.data }));
+    else if (rec.type === REC.INPUT) pbInput(rec);
+  }
+
+  // Recorded input moves the cursor indicator (sealed input needs the E2E key)
+  function pbInput(rec) {
+    const show = d => {
+      if (!d || typeof d.x !== 'number') return;
+      S.cursorX = d.x; S.cursorY = d.y;
+      updateCursor();
+      if (/click|down/.test(rec.meta.event)) flashCursorClick();
+    };
+    if (!rec.data) show(rec.meta.data);
+    else if (E2E.key) e2eOpenJson(rec.meta.event, rec.data).then(show);
+  }
+
+  function pbClock() {
+    return PB.playing ? PB.position + (performance.now() - PB.clockStart) : PB.position;
+  }
+
+  function pbPlay() {
+    if (PB.playing || !PB.records.length) return;
+    if (PB.index >= PB.records.length) { pbSeekTo(0).then(pbPlay); return; }
+    PB.playing = true;
+    PB.clockStart = performance.now();
+    pbPlayBtn.querySelector('.action-icon').textContent = '⏸️';
+    pbTick();
+  }
+
+  function pbPause() {
+    if (!PB.playing) return;
+    PB.position = pbClock();
+    PB.playing = false;
+    clearTimeout(PB.timer);
+    pbPlayBtn.querySelector('.action-icon').textContent = '▶️';
+    pbShowTime(PB.position);
+  }
+
+  function pbTick() {
+    if (!PB.playing) return;
+    const now = pbClock();
+    while (PB.index < PB.records.length && PB.records[PB.index].t <= now) pbApply(PB.records[PB.index++]);
+    if (PB.index >= PB.records.length) {
+      pbPause();
+      PB.position = PB.duration;
+      pbShowTime(PB.duration);
+      return;
+    }
+    pbShowTime(now);
+    PB.timer = setTimeout(pbTick, Math.max(0, Math.min(250, PB.records[PB.index].t - now)));
+  }
+
+  function pbIdle() {
+    if (!framePending && !pendingFrames.length) return Promise.resolve();
+    return new Promise(resolve => { PB.onIdle = resolve; });
+  }
+
+  // Jump to `t`: draw the last full frame at or before it, then every
+  // record from there up to `t`, one frame at a time
+  async function pbSeekTo(t) {
+    const resume = PB.playing;
+    pbPause();
+    const seek = ++PB.seeking;
+    const recs = PB.records;
+    let end = 0;
+    while (end < recs.length && recs[end].t <= t) end++;
+    let start = end - 1;
+    while (start > 0 && !(recs[start].type === REC.FRAME && !recs[start].meta.delta)) start--;
+    start = Math.max(0, start);
+    let info = start;
+    while (info >= 0 && recs[info].type !== REC.SCREEN_INFO) info--;
+
+    pendingFrames = [];
+    await pbIdle();
+    if (seek !== PB.seeking) return;
+    if (info >= 0 && S.screenInfo !== recs[info].meta) applyScreenInfo(recs[info].meta);
+    S.needKeyframe = true;
+    for (let i = start; i < end; i++) {
+      if (recs[i].type === REC.SCREEN_INFO && i === info) continue;
+      pbApply(recs[i]);
+      await pbIdle();
+      if (seek !== PB.seeking) return;
+    }
+    PB.index = end;
+    PB.position = t;
+    pbShowTime(t);
+    if (resume) pbPlay();
+  }
+
+  function pbShowTime(t) {
+    const fmt = ms => { const s = Math.floor(ms / 1000); return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0'); };
+    if (document.activeElement !== pbSeek) pbSeek.value = t;
+    pbTime.textContent = fmt(t) + ' / ' + fmt(PB.duration);
+  }
+
+  if (pbBar) {
+    pbPlayBtn.addEventListener('click', () => { if (PB.playing) pbPause(); else pbPlay(); });
+    pbSeek.addEventListener('input', () => pbShowTime(+pbSeek.value));
+    pbSeek.addEventListener('change', () => { pbSeekTo(+pbSeek.value); pbSeek.blur(); });
+  }
+
+  // ───────────────────────────────────────────────────────
+  //  VIDEO DECODING (WebCodecs)
+  // ───────────────────────────────────────────────────────
+
+  // Report which of the agent's codecs this browser can decode
+  function videoNegotiate(codecs) {
+    if (!Array.isArray(codecs)) return;
+    if (typeof VideoDecoder !== 'function' || VID.failed) { S.socket.emit('video-codecs', { codecs: [] }); return; }
+    Promise.all(codecs.filter(c => VIDEO_PROBE[c]).map(c =>
+      VideoDecoder.isConfigSupported({ codec: VIDEO_PROBE[c], optimizeForLatency: true })
+        .then(r => r.supported ? c : null)
+        .catch(() => null)
+    )).then(supported => {
+      if (S.socket) S.socket.emit('video-codecs', { codecs: supported.filter(Boolean) });
+    });
+  }
+
+  // Frames are decoded in order by the VideoDecoder itself; output is painted as it comes
+  function videoDecode(data) {
+    const bytes = data.data instanceof Uint8Array ? data.data : new Uint8Array(data.data);
+    if (!VID.decoder || VID.decoder.state !== 'configured' || VID.codec !== data.codec ||
+        (data.config && data.config !== VID.config)) {
+      if (data.delta || !videoConfigure(data)) { lostFrame(); finishFrame(); return; }
+    }
+    VID.width = data.width;
+    VID.height = data.height;
+    try {
+      VID.decoder.decode(new EncodedVideoChunk({
+        type: data.delta ? 'delta' : 'key',
+        timestamp: data.timestamp * 1000,
+        data: bytes
+      }));
+    } catch (e) {
+      videoFail();
+    }
+    finishFrame();
+  }
+
+  function videoConfigure(data) {
+    if (typeof VideoDecoder !== 'function') return false;
+    const config = { codec: VIDEO_PROBE[data.codec], optimizeForLatency: true };
+    if (data.codec === 'h264') {
+      // Codec string from the avcC record: profile, constraints, level
+      if (!data.config) return false;
+      const avcc = b64ToBytes(data.config);
+      config.codec = 'avc1.' + toHex(avcc.subarray(1, 4));
+      config.description = avcc;
+    }
+    if (!config.codec) return false;
+    try {
+      if (!VID.decoder || VID.decoder.state === 'closed') {
+        VID.decoder = new VideoDecoder({
+          output: frame => { paintFrame(frame, VID.width, VID.height); frame.close(); },
+          error: videoFail
+        });
+      }
+      VID.decoder.configure(config);
+    } catch (e) {
+      videoFail();
+      return false;
+    }
+    VID.codec = data.codec;
+    VID.config = data.config || null;
+    return true;
+  }
+
+  // Decoder broke — tell the server we're JPEG-only from now on
+  function videoFail() {
+    if (VID.failed) return;
+    VID.failed = true;
+    try { if (VID.decoder && VID.decoder.state !== 'closed') VID.decoder.close(); } catch (e) {}
+    VID.decoder = null;
+    if (S.socket) S.socket.emit('video-codecs', { codecs: [] });
+    showToast('Video decoding failed — using JPEG frames', true);
+    lostFrame();
+  }
+
+  // ───────────────────────────────────────────────────────
+  //  AUDIO (WebCodecs)
+  // ───────────────────────────────────────────────────────
+
+  function audioSupported() {
+    return typeof AudioDecoder === 'function' && typeof (window.AudioContext || window.webkitAudioContext) === 'function';
+  }
+
+  // Screen-info says whether the agent streams audio. The server forgets who
+  // listens when we reconnect, so an unmuted viewer asks again here.
+  function audioOffered(params) {
+    const usable = !!params && params.codec === 'opus' && audioSupported() && S.permissions.audio;
+    const btn = $('#btn-audio');
+    if (btn) btn.style.display = usable ? '' : 'none';
+    if (AUD.enabled) audioSetEnabled(usable);
+  }
+
+  function audioSetEnabled(enabled) {
+    const params = S.screenInfo && S.screenInfo.audio;
+    if (enabled && (!params || !audioConfigure(params))) {
+      showToast('Sound is not available', true);
+      enabled = false;
     }
+    if (!enabled) audioReset();
+    AUD.enabled = enabled;
+    if (AUD.ctx) (enabled ? AUD.ctx.resume() : AUD.ctx.suspend()).catch(() => {});
+    if (S.socket) S.socket.emit('audio-listen', { enabled });
+    renderAudio();
+  }
+
+  // The AudioContext is created on the first unmute — it needs the user's tap
+  function audioConfigure(params) {
+    try {
+      if (!AUD.ctx) AUD.ctx = new (window.AudioContext || window.webkitAudioContext)();
+      if (!AUD.decoder || AUD.decoder.state === 'closed') {
+        AUD.decoder = new AudioDecoder({
+          output: audioPlay,
+          error: () => { showToast('Sound decoding failed', true); audioSetEnabled(false); }
+        });
+      }
+      AUD.decoder.configure({ codec: 'opus', sampleRate: params.sampleRate, numberOfChannels: params.channels });
+    } catch (e) {
+      audioReset();
+      return false;
+    }
+    AUD.nextTime = 0;
+    return true;
+  }
+
+  function audioReset() {
+    try { if (AUD.decoder && AUD.decoder.state !== 'closed') AUD.decoder.close(); } catch (e) {}
+    AUD.decoder = null;
+    AUD.nextTime = 0;
+  }
+
+  function onAudio(packet) {
+    if (!AUD.enabled || !packet || !packet.data) return;
+    if (!packet.encrypted) { audioDecode(packet.data, packet.seq); return; }
+    AUD.queue = AUD.queue
+      .then(() => e2eOpen('audio', packet.data))
+      .then(plain => { if (plain) audioDecode(plain, packet.seq); })
+      .catch(() => {});
+  }
+
+  function audioDecode(data, seq) {
+    if (!AUD.decoder || AUD.decoder.state !== 'configured') return;
+    const frameUs = ((S.screenInfo && S.screenInfo.audio && S.screenInfo.audio.frameMs) || 20) * 1000;
+    try {
+      AUD.decoder.decode(new EncodedAudioChunk({
+        type: 'key',
+        timestamp: (seq || 0) * frameUs,
+        data: data instanceof Uint8Array ? data : new Uint8Array(data)
+      }));
+    } catch (e) {}
+  }
+
+  // Decoded packets play back to back, slightly ahead of the clock
+  function audioPlay(data) {
+    const ctx = AUD.ctx;
+    try {
+      if (!AUD.enabled || !ctx) return;
+      const buffer = ctx.createBuffer(data.numberOfChannels, data.numberOfFrames, data.sampleRate);
+      for (let ch = 0; ch < data.numberOfChannels; ch++) {
+        data.copyTo(buffer.getChannelData(ch), { planeIndex: ch, format: 'f32-planar' });
+      }
+      const now = ctx.currentTime;
+      // Ran dry (network hiccup) or drifted too far behind — restart just ahead of now
+      if (AUD.nextTime < now || AUD.nextTime > now + AUDIO_LEAD + AUDIO_MAX_LAG) AUD.nextTime = now + AUDIO_LEAD;
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(ctx.destination);
+      src.start(AUD.nextTime);
+      AUD.nextTime += buffer.duration;
+    } catch (e) {
+      // Unsupported sample format — skip the packet
+    } finally {
+      data.close();
+    }
+  }
+
+  function renderAudio() {
+    const btn = $('#btn-audio');
+    if (!btn) return;
+    btn.classList.toggle('active', AUD.enabled);
+    btn.querySelector('.action-icon').textContent = AUD.enabled ? '🔊' : '🔇';
+    btn.querySelector('.action-label').textContent = AUD.enabled ? 'Sound' : 'Muted';
   }
 
   // ───────────────────────────────────────────────────────
@@ -474,10 +1325,29 @@
     // Map to INPUT coordinates (logical/robotjs), not capture coordinates
     const iw = S.screenInfo.inputWidth || S.screenInfo.width;
     const ih = S.screenInfo.inputHeight || S.screenInfo.height;
-    return {
-      x: Math.round(Math.max(0, Math.min(iw, px / canvas.width  * iw))),
-      y: Math.round(Math.max(0, Math.min(ih, py / canvas.height * ih)))
-    };
+    const p = clampToDisplays(
+      Math.max(0, Math.min(iw, px / canvas.width  * iw)),
+      Math.max(0, Math.min(ih, py / canvas.height * ih))
+    );
+    return { x: Math.round(p.x), y: Math.round(p.y) };
+  }
+
+  // All-displays view (screen-info `composite`, see agent/capture.js): the
+  // virtual desktop's bounding box has dead areas where displays of different
+  // sizes or offsets don't line up. Points there move to the nearest display,
+  // so input always lands on a real screen.
+  function clampToDisplays(x, y) {
+    const rects = S.screenInfo && S.screenInfo.composite;
+    if (!rects || !rects.length) return { x, y };
+    let best = null, bestDist = Infinity;
+    for (const r of rects) {
+      const cx = Math.max(r.x, Math.min(r.x + r.width - 1, x));
+      const cy = Math.max(r.y, Math.min(r.y + r.height - 1, y));
+      const dist = (cx - x) * (cx - x) + (cy - y) * (cy - y);
+      if (dist < bestDist) { best = { x: cx, y: cy }; bestDist = dist; }
+      if (!dist) break;
+    }
+    return best;
   }
 
   // ───────────────────────────────────────────────────────
@@ -493,7 +1363,7 @@
   }
 
   function updateCursor() {
-    if (!S.screenInfo || !cursor) return;
+    if (!S.screenInfo || !cursor || !(S.permissions.input || PB.active)) return;
     const ts = totalScale();
     const iw = S.screenInfo.inputWidth || S.screenInfo.width;
     const ih = S.screenInfo.inputHeight || S.screenInfo.height;
@@ -515,7 +1385,7 @@
     const now = performance.now();
     if (now - S.lastMoveEmit < MOVE_THROTTLE_MS) return;
     S.lastMoveEmit = now;
-    S.socket?.emit('mouse-move', { x: Math.round(S.cursorX), y: Math.round(S.cursorY) });
+    sendInput('mouse-move', { x: Math.round(S.cursorX), y: Math.round(S.cursorY) });
   }
 
   function moveCursorDelta(dx, dy) {
@@ -525,8 +1395,12 @@
     smoothDY = smoothDY * TOUCH_SMOOTH + dy * (1 - TOUCH_SMOOTH);
     const iw = S.screenInfo.inputWidth || S.screenInfo.width;
     const ih = S.screenInfo.inputHeight || S.screenInfo.height;
-    S.cursorX = Math.max(0, Math.min(iw, S.cursorX + smoothDX * TRACKPAD_SPEED));
-    S.cursorY = Math.max(0, Math.min(ih, S.cursorY + smoothDY * TRACKPAD_SPEED));
+    const p = clampToDisplays(
+      Math.max(0, Math.min(iw, S.cursorX + smoothDX * TRACKPAD_SPEED)),
+      Math.max(0, Math.min(ih, S.cursorY + smoothDY * TRACKPAD_SPEED))
+    );
+    S.cursorX = p.x;
+    S.cursorY = p.y;
     emitMove();
     autoPan();
     scheduleTransform();
@@ -579,6 +1453,7 @@
     if (name === 'toolbar')   toolbar.classList.remove('hidden');
     if (name === 'displays')  displaysPanel.classList.remove('hidden');
     if (name === 'clipboard') clipboardPanel.classList.remove('hidden');
+    if (name === 'files')     filesPanel.classList.remove('hidden');
     if (name === 'more')      { if (moreMenu) moreMenu.classList.remove('hidden'); }
   }
 
@@ -588,6 +1463,7 @@
     toolbar.classList.add('hidden');
     displaysPanel.classList.add('hidden');
     clipboardPanel.classList.add('hidden');
+    filesPanel.classList.add('hidden');
     if (moreMenu) moreMenu.classList.add('hidden');
   }
 
@@ -616,6 +1492,8 @@
       // Reset EMA smoothing state on each new touch — prevents drift
       smoothDX = 0; smoothDY = 0;
 
+      if (!S.permissions.input) return;  // view-only: single finger pans
+
       clearTimeout(S.longPressTimer);
       S.longPressTimer = setTimeout(() => {
         if (!S.touchMoved) {
@@ -623,10 +1501,10 @@
           if (navigator.vibrate) navigator.vibrate(25);
           if (S.mode === 'trackpad') {
             S.isDragging = true;
-            S.socket?.emit('mouse-down', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
+            sendInput('mouse-down', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
             updateCursor();
           } else {
-            S.socket?.emit('mouse-right-click', clientToRemote(p.clientX, p.clientY));
+            sendInput('mouse-right-click', clientToRemote(p.clientX, p.clientY));
             flashCursorClick();
           }
         }
@@ -674,11 +1552,11 @@
         S.panY += (my - S.pinchMidY);
         applyTransformImmediate();  // instant for pinch (no rAF delay)
         S.pinchMidX = mx; S.pinchMidY = my;
-      } else if (S.twoFingerAction === 'scroll') {
+      } else if (S.twoFingerAction === 'scroll' && S.permissions.input) {
         S.scrollAccX += (S.pinchMidX - mx) * SCROLL_SPEED;
         S.scrollAccY += (S.pinchMidY - my) * SCROLL_SPEED;
         if (Math.abs(S.scrollAccX) > 2 || Math.abs(S.scrollAccY) > 2) {
-          S.socket?.emit('mouse-scroll', {
+          sendInput('mouse-scroll', {
             x: Math.round(S.cursorX), y: Math.round(S.cursorY),
             deltaX: S.scrollAccX, deltaY: S.scrollAccY
           });
@@ -704,6 +1582,12 @@
         if (!S.longPressFired) clearTimeout(S.longPressTimer);
       }
 
+      if (!S.permissions.input) {
+        // View-only: drag pans the zoomed view instead of moving the remote cursor
+        if (S.zoom > 1) { S.panX += mx; S.panY += my; scheduleTransform(); }
+        return;
+      }
+
       if (S.mode === 'trackpad') {
         // ALWAYS move cursor in trackpad mode (even when zoomed)
         // Auto-pan handles keeping cursor visible
@@ -736,13 +1620,13 @@
 
     if (S.isDragging && now === 0) {
       S.isDragging = false;
-      S.socket?.emit('mouse-up', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
+      sendInput('mouse-up', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
       updateCursor();
       return;
     }
 
     // Tap
-    if (now === 0 && !S.longPressFired && prev === 1) {
+    if (now === 0 && !S.longPressFired && prev === 1 && S.permissions.input) {
       const dur = Date.now() - S.touchStartTime;
       if (!S.touchMoved && dur < 300) {
         flashCursorClick();
@@ -753,7 +1637,7 @@
           const pos = S.mode === 'trackpad'
             ? { x: Math.round(S.cursorX), y: Math.round(S.cursorY) }
             : clientToRemote(S.touchStartX, S.touchStartY);
-          S.socket?.emit('mouse-double-click', pos);
+          sendInput('mouse-double-click', pos);
           S.lastTapTime = 0;
         } else {
           // Single tap
@@ -762,7 +1646,7 @@
             ? { x: Math.round(S.cursorX), y: Math.round(S.cursorY) }
             : clientToRemote(S.touchStartX, S.touchStartY);
           if (evt === 'mouse-click') pos.button = 'left';
-          S.socket?.emit(evt, pos);
+          sendInput(evt, pos);
           S.lastTapTime = ts;
         }
       }
@@ -786,6 +1670,7 @@
     // Pointer events cover mouse, pen, and Vision Pro gaze+pinch
     canvas.addEventListener('pointermove', e => {
       if (e.pointerType === 'touch') return; // handled by touchmove
+      if (!S.permissions.input) return;
       const c = clientToRemote(e.clientX, e.clientY);
       S.cursorX = c.x; S.cursorY = c.y;
       if (desktopDragging) desktopDragMoved = true;
@@ -794,6 +1679,7 @@
 
     canvas.addEventListener('pointerdown', e => {
       if (e.pointerType === 'touch') return; // handled by touchstart
+      if (!S.permissions.input) return;
       updateBoxRect(); // refresh container rect for accurate coordinates
       if (e.button === 0) {
         desktopDragging = true;
@@ -801,7 +1687,7 @@
         canvas.setPointerCapture(e.pointerId);
         const c = clientToRemote(e.clientX, e.clientY);
         S.cursorX = c.x; S.cursorY = c.y;
-        S.socket?.emit('mouse-down', { x: c.x, y: c.y, button: 'left' });
+        sendInput('mouse-down', { x: c.x, y: c.y, button: 'left' });
         updateCursor();
       }
     });
@@ -811,9 +1697,9 @@
       if (!desktopDragging) return;
       desktopDragging = false;
       const c = clientToRemote(e.clientX, e.clientY);
-      S.socket?.emit('mouse-up', { x: c.x, y: c.y, button: 'left' });
+      sendInput('mouse-up', { x: c.x, y: c.y, button: 'left' });
       if (!desktopDragMoved) {
-        S.socket?.emit('mouse-click', { x: c.x, y: c.y, button: 'left' });
+        sendInput('mouse-click', { x: c.x, y: c.y, button: 'left' });
         flashCursorClick();
       }
     });
@@ -821,24 +1707,26 @@
     canvas.addEventListener('pointercancel', () => {
       if (desktopDragging) {
         desktopDragging = false;
-        S.socket?.emit('mouse-up', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
+        sendInput('mouse-up', { x: Math.round(S.cursorX), y: Math.round(S.cursorY), button: 'left' });
       }
     });
   } else {
     // Fallback: plain mouse events
     canvas.addEventListener('mousemove', e => {
+      if (!S.permissions.input) return;
       const c = clientToRemote(e.clientX, e.clientY);
       S.cursorX = c.x; S.cursorY = c.y;
       emitMove(); updateCursor();
     });
 
     canvas.addEventListener('mousedown', e => {
+      if (!S.permissions.input) return;
       if (e.button === 0) {
         desktopDragging = true;
         desktopDragMoved = false;
         const c = clientToRemote(e.clientX, e.clientY);
         S.cursorX = c.x; S.cursorY = c.y;
-        S.socket?.emit('mouse-down', { x: c.x, y: c.y, button: 'left' });
+        sendInput('mouse-down', { x: c.x, y: c.y, button: 'left' });
         updateCursor();
       }
     });
@@ -855,9 +1743,9 @@
       if (!desktopDragging) return;
       desktopDragging = false;
       const c = clientToRemote(e.clientX, e.clientY);
-      S.socket?.emit('mouse-up', { x: c.x, y: c.y, button: 'left' });
+      sendInput('mouse-up', { x: c.x, y: c.y, button: 'left' });
       if (!desktopDragMoved) {
-        S.socket?.emit('mouse-click', { x: c.x, y: c.y, button: 'left' });
+        sendInput('mouse-click', { x: c.x, y: c.y, button: 'left' });
         flashCursorClick();
       }
     });
@@ -865,12 +1753,14 @@
 
   canvas.addEventListener('contextmenu', e => {
     e.preventDefault();
-    S.socket?.emit('mouse-right-click', clientToRemote(e.clientX, e.clientY));
+    if (!S.permissions.input) return;
+    sendInput('mouse-right-click', clientToRemote(e.clientX, e.clientY));
     flashCursorClick();
   });
 
   canvas.addEventListener('dblclick', e => {
-    S.socket?.emit('mouse-double-click', clientToRemote(e.clientX, e.clientY));
+    if (!S.permissions.input) return;
+    sendInput('mouse-double-click', clientToRemote(e.clientX, e.clientY));
     flashCursorClick();
   });
 
@@ -879,8 +1769,8 @@
     if (e.ctrlKey || e.metaKey) {
       const off = containerOffset();
       zoomTo(S.zoom * (1 - e.deltaY * 0.003), e.clientX - off.x, e.clientY - off.y);
-    } else {
-      S.socket?.emit('mouse-scroll', {
+    } else if (S.permissions.input) {
+      sendInput('mouse-scroll', {
         ...clientToRemote(e.clientX, e.clientY),
         deltaX: e.deltaX, deltaY: e.deltaY
       });
@@ -890,6 +1780,7 @@
   document.addEventListener('keydown', e => {
     // Don't intercept when user is typing in any input or textarea (clipboard panel, etc.)
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (!S.permissions.input) return;
     if ((e.ctrlKey || e.metaKey) && ['r','t','w','l','n'].includes(e.key.toLowerCase())) return;
     e.preventDefault();
     const m = [];
@@ -897,8 +1788,8 @@
     if (e.altKey) m.push('alt');
     if (e.shiftKey) m.push('shift');
     if (e.metaKey) m.push('meta');
-    if (e.key.length === 1 && m.length === 0) S.socket?.emit('key-type', { text: e.key });
-    else S.socket?.emit('key-press', { key: e.key, modifiers: m });
+    if (e.key.length === 1 && m.length === 0) sendInput('key-type', { text: e.key });
+    else sendInput('key-press', { key: e.key, modifiers: m });
   });
 
   // ───────────────────────────────────────────────────────
@@ -908,7 +1799,7 @@
   kbInput.addEventListener('input', () => {
     const t = kbInput.value;
     if (t) {
-      S.socket?.emit('key-type', { text: t });
+      sendInput('key-type', { text: t });
       kbInput.value = '';
     }
   });
@@ -923,7 +1814,7 @@
       if (e.altKey) m.push('alt');
       if (e.shiftKey) m.push('shift');
       if (e.metaKey) m.push('meta');
-      S.socket?.emit('key-press', { key: e.key, modifiers: m });
+      sendInput('key-press', { key: e.key, modifiers: m });
     }
   });
 
@@ -932,7 +1823,8 @@
   // ───────────────────────────────────────────────────────
 
   function updateModeUI() {
-    if (modeBdg) modeBdg.textContent = S.mode === 'trackpad' ? 'Trackpad' : 'Direct';
+    if (modeBdg) modeBdg.textContent = !S.permissions.input ? 'View only'
+      : S.mode === 'trackpad' ? 'Trackpad' : 'Direct';
     const btn = $('#btn-mode');
     if (btn) {
       const lbl = btn.querySelector('.action-label');
@@ -941,6 +1833,34 @@
   }
   updateModeUI();
 
+  /**
+   * Hide controls the server won't honour for this viewer (invite scopes).
+   * The server enforces the same rules — this just keeps the UI honest.
+   */
+  function applyPermissions(p) {
+    S.permissions = Object.assign({ view: true, input: false, clipboard: false, displays: false, files: false, audio: false }, p);
+    const show = (id, yes) => { const el = $('#' + id); if (el) el.style.display = yes ? '' : 'none'; };
+    show('btn-mode', S.permissions.input);
+    show('btn-rclick', S.permissions.input);
+    show('btn-keyboard-top', S.permissions.input);
+    show('btn-settings', S.permissions.input);   // quality / FPS apply to every viewer
+    show('btn-clipboard', S.permissions.clipboard);
+    show('btn-screens', S.permissions.displays);
+    updateFilesButton();
+    audioOffered(S.screenInfo && S.screenInfo.audio);
+    if (!S.permissions.input) {
+      if (keyboardOpen) closeKeyboard();
+      if (cursor) cursor.style.display = 'none';
+    }
+    updateModeUI();
+  }
+
+  // Files needs the permission and an agent that shares a folder
+  function updateFilesButton() {
+    const b = $('#btn-files');
+    if (b) b.style.display = S.permissions.files && S.screenInfo?.files && !PB.active ? '' : 'none';
+  }
+
   on('btn-mode', () => {
     S.mode = S.mode === 'trackpad' ? 'direct' : 'trackpad';
     localStorage.setItem('loginto_mode', S.mode);
@@ -997,6 +1917,7 @@
   on('btn-screens', () => {
     closeAllPanels();
     S.socket?.emit('list-screens');
+    if (S.screenInfo?.windows) S.socket?.emit('list-windows');
     openPanel('displays');
   });
 
@@ -1010,6 +1931,8 @@
     if (b) b.classList.toggle('active', S.rightClickMode);
   });
 
+  on('btn-audio', () => audioSetEnabled(!AUD.enabled));
+
   on('btn-clipboard', () => {
     if (S.panelOpen === 'clipboard') { closeAllPanels(); return; }
     openPanel('clipboard');
@@ -1018,7 +1941,7 @@
   on('clipboard-send', () => {
     const text = clipboardText?.value;
     if (text) {
-      S.socket?.emit('clipboard-write', { text });
+      sendInput('clipboard-write', { text });
       clipboardText.value = '';
       closeAllPanels();
     }
@@ -1028,6 +1951,20 @@
     S.socket?.emit('clipboard-read');
   });
 
+  on('btn-files', () => {
+    if (S.panelOpen === 'files') { closeAllPanels(); return; }
+    openPanel('files');
+    loadFiles(FILES.path);
+  });
+  on('files-up', () => loadFiles(FILES.path.split('/').slice(0, -1).join('/')));
+  on('files-refresh', () => loadFiles(FILES.path));
+  on('files-upload', () => { if (!FILES.busy) filesInput?.click(); });
+  if (filesInput) filesInput.addEventListener('change', () => {
+    const picked = Array.from(filesInput.files || []);
+    filesInput.value = '';
+    if (picked.length) uploadFiles(picked);
+  });
+
   on('btn-screenshot', () => {
     if (!canvas.width || !canvas.height) return;
     try {
@@ -1063,14 +2000,32 @@
   qualSlider.addEventListener('input', () => { qualVal.textContent = qualSlider.value + '%'; });
   qualSlider.addEventListener('change', () => {
     S.currentQuality = +qualSlider.value;
-    S.socket?.emit('update-quality', { quality: S.currentQuality });
+    setProfile('manual');
   });
   fpsSlider.addEventListener('input', () => { fpsVal.textContent = fpsSlider.value; });
   fpsSlider.addEventListener('change', () => {
     S.currentFPSSetting = +fpsSlider.value;
-    S.socket?.emit('update-fps', { fps: S.currentFPSSetting });
+    setProfile('manual');
   });
 
+  // Adaptive profile — moving a slider switches to manual (no button lit)
+  profileBtns.forEach(b => b.addEventListener('click', () => setProfile(b.dataset.profile)));
+
+  function setProfile(profile) {
+    S.profile = profile;
+    localStorage.setItem('loginto_profile', profile);
+    renderProfile();
+    if (profile === 'manual') {
+      S.socket?.emit('update-quality', { quality: S.currentQuality });
+      S.socket?.emit('update-fps', { fps: S.currentFPSSetting });
+    }
+    sendFeedback();
+  }
+
+  function renderProfile() {
+    profileBtns.forEach(b => b.classList.toggle('active', b.dataset.profile === S.profile));
+  }
+
   $$('.panel-close').forEach(b => b.addEventListener('click', closeAllPanels));
 
   // Helpers
@@ -1112,6 +2067,236 @@
     });
   }
 
+  function renderWindows(windows) {
+    if (!windowsList) return;
+    if (!windows || windows.length === 0) {
+      windowsList.innerHTML = '<p class="text-muted text-sm">No windows found</p>';
+      return;
+    }
+    windowsList.innerHTML = '';
+    windows.forEach(w => {
+      const btn = document.createElement('button');
+      btn.className = 'display-btn' + (w.active ? ' active' : '');
+      // Window titles come from other apps — DOM API only, never innerHTML
+      const iconSpan = document.createElement('span');
+      iconSpan.className = 'display-icon';
+      iconSpan.textContent = w.active ? '🟢' : '🪟';
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'display-name';
+      nameSpan.textContent = w.name || w.id;
+      const sizeSpan = document.createElement('span');
+      sizeSpan.className = 'display-size';
+      sizeSpan.textContent = w.width + '×' + w.height;
+      btn.appendChild(iconSpan);
+      btn.appendChild(nameSpan);
+      btn.appendChild(sizeSpan);
+      btn.addEventListener('click', () => {
+        if (w.active) { closeAllPanels(); return; }
+        displaysPanel.querySelectorAll('.display-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        iconSpan.textContent = '⏳';
+        S.socket?.emit('switch-window', { windowId: w.id });
+        setTimeout(closeAllPanels, 600);
+      });
+      windowsList.appendChild(btn);
+    });
+  }
+
+  // ───────────────────────────────────────────────────────
+  //  FILE TRANSFER
+  //  The agent's shared folder (agent/files.js). Each request is answered
+  //  through a Socket.IO ack; files move one FILE_CHUNK at a time.
+  // ───────────────────────────────────────────────────────
+
+  const FILE_CHUNK = 256 * 1024;      // agent/files.js CHUNK_BYTES
+  const FILE_TIMEOUT = 35000;         // the server gives the agent 30s
+  const FILES = { path: '', busy: false };
+
+  // Resolves to the agent's answer or rejects with its error. In E2E mode
+  // both directions are sealed, file bytes as base64 inside the JSON.
+  function fileRequest(event, data) {
+    return new Promise((resolve, reject) => {
+      if (!S.socket || !S.connected) return reject(new Error('Not connected'));
+      const send = payload => S.socket.timeout(FILE_TIMEOUT).emit(event, payload, (err, res) => {
+        if (err) reject(new Error('No response from the machine'));
+        else resolve(res);
+      });
+      if (!E2E.required) return send(data);
+      if (!E2E.key) return reject(new Error('Enter the pairing secret first'));
+      const msg = Object.assign({}, data, { t: Date.now() + E2E.offset });
+      if (msg.data) msg.data = bytesToB64(msg.data);
+      e2eSeal(event, te.encode(JSON.stringify(msg))).then(sealed => send({ e2e: sealed }), reject);
+    }).then(res => {
+      if (res && res.e2e) return e2eOpenJson(event, res.e2e);
+      // Errors from the server are plaintext; anything else must be sealed
+      return E2E.required && !(res && res.error) ? null : res;
+    }).then(res => {
+      if (!res) throw new Error('Unreadable response');
+      if (res.error) throw new Error(res.error);
+      if (typeof res.data === 'string') res.data = b64ToBytes(res.data);
+      return res;
+    });
+  }
+
+  function filePath(name) {
+    return FILES.path ? FILES.path + '/' + name : name;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  function loadFiles(path) {
+    if (!filesList) return;
+    filesList.innerHTML = '<p class="text-muted text-sm">Loading files...</p>';
+    fileRequest('file-list', { path }).then(renderFiles).catch(err => {
+      const p = document.createElement('p');
+      p.className = 'text-muted text-sm';
+      p.textContent = err.message;
+      filesList.innerHTML = '';
+      filesList.appendChild(p);
+    });
+  }
+
+  function renderFiles(res) {
+    FILES.path = res.path || '';
+    if (filesPath) filesPath.textContent = '/' + FILES.path;
+    const up = $('#files-up');
+    if (up) up.disabled = !FILES.path;
+
+    filesList.innerHTML = '';
+    if (!res.entries.length) {
+      filesList.innerHTML = '<p class="text-muted text-sm">This folder is empty</p>';
+      return;
+    }
+    res.entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'file-row';
+
+      // Built with textContent — names come from the remote file system
+      const btn = document.createElement('button');
+      btn.className = 'display-btn';
+      const iconSpan = document.createElement('span');
+      iconSpan.className = 'display-icon';
+      iconSpan.textContent = entry.type === 'dir' ? '📁' : '📄';
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'display-name';
+      nameSpan.textContent = entry.name;
+      btn.appendChild(iconSpan);
+      btn.appendChild(nameSpan);
+      if (entry.type === 'file') {
+        const sizeSpan = document.createElement('span');
+        sizeSpan.className = 'display-size';
+        sizeSpan.textContent = formatSize(entry.size);
+        btn.appendChild(sizeSpan);
+      }
+      btn.addEventListener('click', () => {
+        if (entry.type === 'dir') loadFiles(filePath(entry.name));
+        else downloadFile(filePath(entry.name), entry.name);
+      });
+      row.appendChild(btn);
+
+      const rename = document.createElement('button');
+      rename.className = 'file-action';
+      rename.title = 'Rename';
+      rename.textContent = '✏️';
+      rename.addEventListener('click', () => renameFile(entry.name));
+      row.appendChild(rename);
+
+      const del = document.createElement('button');
+      del.className = 'file-action';
+      del.title = 'Delete';
+      del.textContent = '🗑️';
+      del.addEventListener('click', () => deleteFile(entry));
+      row.appendChild(del);
+
+      filesList.appendChild(row);
+    });
+    if (res.truncated) {
+      const more = document.createElement('p');
+      more.className = 'text-muted text-sm';
+      more.textContent = 'Only the first ' + res.entries.length + ' entries are shown';
+      filesList.appendChild(more);
+    }
+  }
+
+  async function downloadFile(path, name) {
+    if (FILES.busy) return;
+    FILES.busy = true;
+    const parts = [];
+    let offset = 0, size = null;
+    try {
+      for (;;) {
+        const res = await fileRequest('file-download', { path, offset });
+        if (size !== null && res.size !== size) throw new Error('File changed while downloading');
+        size = res.size;
+        parts.push(res.data);
+        offset += res.data.byteLength;
+        if (res.done) break;
+        if (!res.data.byteLength) throw new Error('Download stalled');
+        showToast('Downloading ' + name + ' — ' + Math.floor(offset * 100 / size) + '%', true);
+      }
+      const url = URL.createObjectURL(new Blob(parts));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      showToast('Downloaded ' + name);
+    } catch (e) {
+      showToast('Download failed: ' + e.message);
+    } finally {
+      FILES.busy = false;
+    }
+  }
+
+  async function uploadFiles(picked) {
+    if (FILES.busy) return;
+    FILES.busy = true;
+    const dir = FILES.path;
+    let done = 0;
+    try {
+      for (const file of picked) {
+        let id = null, offset = 0;
+        do {
+          const data = new Uint8Array(await file.slice(offset, offset + FILE_CHUNK).arrayBuffer());
+          const res = await fileRequest('file-upload', id
+            ? { id, offset, data }
+            : { dir, name: file.name, size: file.size, offset, data });
+          id = res.id;
+          offset += data.length;
+          if (!res.done) showToast('Uploading ' + file.name + ' — ' + Math.floor(offset * 100 / file.size) + '%', true);
+        } while (offset < file.size);
+        done++;
+      }
+      showToast(picked.length === 1 ? 'Uploaded ' + picked[0].name : 'Uploaded ' + done + ' files');
+    } catch (e) {
+      showToast('Upload failed: ' + e.message);
+    } finally {
+      FILES.busy = false;
+      if (S.panelOpen === 'files' && FILES.path === dir) loadFiles(dir);
+    }
+  }
+
+  function renameFile(name) {
+    const to = prompt('Rename "' + name + '" to:', name);
+    if (!to || to === name) return;
+    fileRequest('file-rename', { path: filePath(name), name: to })
+      .then(() => loadFiles(FILES.path))
+      .catch(e => showToast('Rename failed: ' + e.message));
+  }
+
+  function deleteFile(entry) {
+    if (!confirm('Delete ' + (entry.type === 'dir' ? 'folder' : 'file') + ' "' + entry.name + '" on the remote machine?')) return;
+    fileRequest('file-delete', { path: filePath(entry.name) })
+      .then(() => loadFiles(FILES.path))
+      .catch(e => showToast('Delete failed: ' + e.message));
+  }
+
   // ───────────────────────────────────────────────────────
   //  TOAST NOTIFICATIONS
   // ───────────────────────────────────────────────────────
@@ -1167,7 +2352,8 @@
     if (document.visibilityState === 'hidden') {
       S.socket.emit('update-fps', { fps: 1 });   // drop to 1 FPS when hidden
     } else {
-      S.socket.emit('update-fps', { fps: S.currentFPSSetting }); // restore
+      if (S.profile === 'manual') S.socket.emit('update-fps', { fps: S.currentFPSSetting }); // restore
+      else sendFeedback();   // bitrate controller puts its own FPS back
       requestWakeLock();
     }
   });
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * LogInTo — Export a Recording
+ *
+ * Converts a session recording to MP4 or WebM with ffmpeg, keeping the
+ * recorded frame timing (see src/export.js).
+ *
+ *   node scripts/export-recording.js <recording id | file.lrec> [output.mp4 | output.webm]
+ *
+ * A recording id is looked up in data/recordings/. The format follows the
+ * output extension; with no output given the result is <id>.mp4 in the current
+ * directory. FFMPEG_PATH in .env points at ffmpeg if it isn't on the PATH.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const recordings = require('../src/recordings');
+const { exportRecording, FORMATS } = require('../src/export');
+
+function usage() {
+  console.log('Usage: node scripts/export-recording.js <recording id | file.lrec> [output.mp4 | output.webm]');
+  process.exit(1);
+}
+
+function formatTime(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+async function main() {
+  const [source, target] = process.argv.slice(2);
+  if (!source || source === '-h' || source === '--help') usage();
+
+  let input = source;
+  if (!fs.existsSync(input)) {
+    if (!/^[a-f0-9]+$/i.test(source)) {
+      console.error(`❌ No such recording: ${source}`);
+      process.exit(1);
+    }
+    input = recordings.filePath(source);
+    if (!fs.existsSync(input)) {
+      console.error(`❌ No recording ${source} in data/recordings/`);
+      process.exit(1);
+    }
+  }
+
+  const output = target || path.basename(input, '.lrec') + '.mp4';
+  const format = path.extname(output).slice(1).toLowerCase();
+  if (!FORMATS[format]) {
+    console.error(`❌ Output must end in ${Object.keys(FORMATS).map(f => '.' + f).join(' or ')}`);
+    process.exit(1);
+  }
+
+  console.log(`🎞️  Exporting ${input} → ${output}`);
+  const result = await exportRecording(recordings.read(input), output, {
+    format,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    onProgress: (ms) => process.stdout.write(`\r   ${formatTime(ms)} exported`)
+  });
+  process.stdout.write('\n');
+
+  const skipped = result.skipped.encrypted + result.skipped.video + result.skipped.orphaned;
+  console.log(`✅ ${result.frames} frames, ${formatTime(result.durationMs)}, ${result.width}×${result.height}, ` +
+    `${(result.bytes / 1048576).toFixed(1)} MB`);
+  if (skipped) {
+    console.log(`⚠️  Skipped ${skipped} frames (${result.skipped.encrypted} encrypted, ` +
+      `${result.skipped.video} H.264/VP8, ${result.skipped.orphaned} without a keyframe)`);
+  }
+}
+
+main().catch((err) => {
+  process.stdout.write('\n');
+  console.error('❌ Export failed:', err.message);
+  process.exit(1);
+});
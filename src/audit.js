@@ -0,0 +1,104 @@
+/**
+ * LogInTo — Audit Log
+ *
+ * Append-only record of who did what, from where (data/audit.log).
+ * One JSON object per line; entries are never rewritten or deleted by the
+ * server. The most recent entries are also kept in memory for queries.
+ *
+ * Event types:
+ *   login, login-failed, logout,
+ *   viewer-connect, viewer-disconnect, guest-approved, guest-declined,
+ *   invite-create, invite-redeem, invite-revoke,
+ *   wake, machine-add, machine-remove,
+ *   agent-pair, agent-key-rotate, agent-key-revoke,
+ *   recording-enable, recording-disable, recording-start, recording-stop,
+ *   recording-delete, recording-export,
+ *   file-upload, file-download, file-rename, file-delete
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const MEMORY_LIMIT = 10000;   // newest entries kept in memory for GET /api/audit
+const MAX_QUERY_LIMIT = 1000;
+
+class AuditLog {
+  constructor() {
+    this.entries = [];   // oldest → newest, capped at MEMORY_LIMIT
+  }
+
+  /**
+   * Load the tail of the log into memory
+   */
+  init() {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    if (fs.existsSync(AUDIT_FILE)) {
+      const lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n');
+      let skipped = 0;
+      for (const line of lines.slice(-MEMORY_LIMIT - 1)) {
+        if (!line.trim()) continue;
+        try { this.entries.push(JSON.parse(line)); } catch (e) { skipped++; }
+      }
+      if (skipped) console.warn(`⚠️  Skipped ${skipped} unreadable audit entries`);
+    }
+    console.log(`📜 Audit log: ${this.entries.length} recent entries`);
+  }
+
+  /**
+   * Record an event. `fields` may include userId, machineId, machineName,
+   * ip, device and any event-specific details.
+   */
+  record(type, fields = {}) {
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      at: Date.now(),
+      type,
+      ...fields
+    };
+    try {
+      fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (e) {
+      console.error('⚠️  Could not write audit entry:', e.message);
+    }
+    this.entries.push(entry);
+    if (this.entries.length > MEMORY_LIMIT) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Newest-first entries matching the filter.
+   *   userId     only events for this account (null = all)
+   *   types      array of event types
+   *   machineId  only events for this machine
+   *   since/until  ms timestamps (inclusive)
+   *   before     entry id — page backwards from it
+   *   limit      max entries (default 100)
+   */
+  query({ userId = null, types = null, machineId = null, since = null, until = null, before = null, limit = 100 } = {}) {
+    const max = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_QUERY_LIMIT);
+    const out = [];
+    let i = this.entries.length - 1;
+    if (before) {
+      while (i >= 0 && this.entries[i].id !== before) i--;
+      i--;
+    }
+    for (; i >= 0 && out.length < max; i--) {
+      const e = this.entries[i];
+      if (until != null && e.at > until) continue;
+      if (since != null && e.at < since) break;
+      if (userId && e.userId !== userId) continue;
+      if (types && !types.includes(e.type)) continue;
+      if (machineId && e.machineId !== machineId) continue;
+      out.push(e);
+    }
+    return out;
+  }
+}
+
+module.exports = new AuditLog();
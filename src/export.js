@@ -0,0 +1,246 @@
+/**
+ * LogInTo — Recording Export
+ *
+ * Turns the frames of a recording (see ./recordings) into an MP4 (H.264) or
+ * WebM (VP9) file that plays anywhere. JPEG keyframes pass straight through;
+ * delta frames are painted onto the last full picture with sharp and
+ * re-encoded. The result is fed to ffmpeg as Motion-JPEG in a minimal
+ * Matroska stream stamped with the recorded times, so the output keeps the
+ * real frame timing — idle stretches last as long as they did, bursts stay
+ * bursts — instead of being squeezed to a fixed frame rate.
+ *
+ * Frames that can't be turned back into pictures here are skipped: E2E
+ * frames (the server never has the key) and H.264/VP8 video-mode frames.
+ *
+ * Used by the server's export jobs and by scripts/export-recording.js.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const FORMATS = {
+  mp4: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-movflags', '+faststart', '-f', 'mp4'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1', '-f', 'webm']
+};
+
+const DELTA_QUALITY = 90;         // JPEG quality for frames rebuilt from tiles
+const RECT_HEADER_BYTES = 12;     // x, y, width, height (u16), JPEG length (u32)
+
+let sharp = null;
+function loadSharp() {
+  if (!sharp) {
+    try {
+      sharp = require('sharp');
+    } catch (e) {
+      throw new Error('sharp is not installed (npm install sharp)');
+    }
+  }
+  return sharp;
+}
+
+// ─── Matroska writer ─────────────────────────────────────
+// Just enough of the format for ffmpeg to read one MJPEG track with
+// millisecond timestamps from a pipe.
+
+function ebml(id, payload) {
+  const idLen = Math.ceil(Math.log2(id + 1) / 8);
+  const head = Buffer.alloc(idLen + 8);
+  head.writeUIntBE(id, 0, idLen);
+  head[idLen] = 0x01;                           // 8-byte size field
+  head.writeUIntBE(payload.length, idLen + 2, 6);
+  return Buffer.concat([head, payload]);
+}
+
+function uint(id, n) {
+  const bytes = Buffer.alloc(6);
+  bytes.writeUIntBE(n, 0, 6);
+  return ebml(id, bytes);
+}
+
+function str(id, s) {
+  return ebml(id, Buffer.from(s));
+}
+
+function mkvHeader(width, height) {
+  return Buffer.concat([
+    ebml(0x1A45DFA3, Buffer.concat([               // EBML
+      uint(0x4286, 1), uint(0x42F7, 1), uint(0x42F2, 4), uint(0x42F3, 8),
+      str(0x4282, 'matroska'), uint(0x4287, 4), uint(0x4285, 2)
+    ])),
+    Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]),   // Segment, unknown size
+    ebml(0x1549A966, Buffer.concat([               // Info
+      uint(0x2AD7B1, 1000000),                     // TimecodeScale: 1 ms
+      str(0x4D80, 'LogInTo'), str(0x5741, 'LogInTo')
+    ])),
+    ebml(0x1654AE6B, ebml(0xAE, Buffer.concat([    // Tracks › TrackEntry
+      uint(0xD7, 1), uint(0x73C5, 1), uint(0x83, 1), str(0x86, 'V_MJPEG'),
+      ebml(0xE0, Buffer.concat([uint(0xB0, width), uint(0xBA, height)]))
+    ])))
+  ]);
+}
+
+/** One cluster per frame keeps every block's timestamp absolute */
+function mkvFrame(ms, jpeg) {
+  const block = Buffer.concat([Buffer.from([0x81, 0x00, 0x00, 0x80]), jpeg]);   // track 1, +0 ms, keyframe
+  return ebml(0x1F43B675, Buffer.concat([uint(0xE7, ms), ebml(0xA3, block)]));
+}
+
+// ─── Frame reconstruction ────────────────────────────────
+
+class Canvas {
+  constructor() {
+    this.raw = null;   // { data, width, height } RGB
+  }
+
+  async keyframe(jpeg) {
+    const { data, info } = await loadSharp()(jpeg).removeAlpha().toColourspace('srgb')
+      .raw().toBuffer({ resolveWithObject: true });
+    this.raw = { data, width: info.width, height: info.height };
+  }
+
+  /** Paint delta tiles (layout as in agent/capture.js). False if unusable. */
+  async tiles(buf) {
+    const canvas = this.raw;
+    if (!canvas || buf.length < 2) return false;
+    const count = buf.readUInt16BE(0);
+    let off = 2 + count * RECT_HEADER_BYTES;
+    if (off > buf.length) return false;
+    for (let i = 0; i < count; i++) {
+      const h = 2 + i * RECT_HEADER_BYTES;
+      const x = buf.readUInt16BE(h);
+      const y = buf.readUInt16BE(h + 2);
+      const len = buf.readUInt32BE(h + 8);
+      if (off + len > buf.length) return false;
+      const { data, info } = await loadSharp()(buf.subarray(off, off + len)).removeAlpha().toColourspace('srgb')
+        .raw().toBuffer({ resolveWithObject: true });
+      off += len;
+      const w = Math.min(info.width, canvas.width - x);
+      for (let row = 0; row < info.height && y + row < canvas.height && w > 0; row++) {
+        data.copy(canvas.data, ((y + row) * canvas.width + x) * 3, row * info.width * 3, (row * info.width + w) * 3);
+      }
+    }
+    return true;
+  }
+
+  /** The current picture as a JPEG of exactly width × height */
+  jpeg(width, height) {
+    const { data, width: w, height: h } = this.raw;
+    let pipeline = loadSharp()(data, { raw: { width: w, height: h, channels: 3 } });
+    if (w !== width || h !== height) {
+      pipeline = pipeline.resize(width, height, { fit: 'contain', background: { r: 0, g: 0, b: 0 } });
+    }
+    return pipeline.jpeg({ quality: DELTA_QUALITY }).toBuffer();
+  }
+}
+
+// ─── Export ──────────────────────────────────────────────
+
+/**
+ * Write `records` (an async iterable from recordings.read()) to outFile.
+ * The output size is the first keyframe's; later frames of another size are
+ * letterboxed into it. onProgress(ms) reports how far into the recording the
+ * export has got. Resolves { frames, skipped, durationMs, width, height, bytes }.
+ */
+async function exportRecording(records, outFile, { format = 'mp4', ffmpegPath = 'ffmpeg', onProgress } = {}) {
+  if (!FORMATS[format]) throw new Error('Unsupported format: ' + format);
+  const canvas = new Canvas();
+  const skipped = { encrypted: 0, video: 0, orphaned: 0 };
+  let ffmpeg = null;
+  let width = 0;
+  let height = 0;
+  let frames = 0;
+  let lastMs = -1;
+  let endMs = 0;
+
+  const write = async (chunk) => {
+    if (ffmpeg.failed) throw ffmpeg.failed;
+    const stdin = ffmpeg.proc.stdin;
+    if (stdin.write(chunk) || stdin.destroyed) return;
+    await new Promise((resolve) => {
+      const done = () => { stdin.off('drain', done); stdin.off('close', done); resolve(); };
+      stdin.on('drain', done);
+      stdin.on('close', done);
+    });
+  };
+  const emit = async (ms, jpeg) => {
+    ms = Math.max(ms, lastMs + 1);   // equal timestamps would be dropped as duplicates
+    lastMs = ms;
+    await write(mkvFrame(ms, jpeg));
+    frames++;
+  };
+
+  try {
+    for await (const rec of records) {
+      endMs = Math.max(endMs, rec.ms);
+      if (rec.type !== 'frame' || !rec.data) continue;
+      const meta = rec.meta || {};
+      if (meta.encrypted) { skipped.encrypted++; continue; }
+      if (meta.codec) { skipped.video++; continue; }
+
+      if (!meta.delta) {
+        await canvas.keyframe(rec.data);
+      } else if (!await canvas.tiles(rec.data)) {
+        skipped.orphaned++;   // tiles with no keyframe before them
+        continue;
+      }
+
+      if (!ffmpeg) {
+        width = canvas.raw.width;
+        height = canvas.raw.height;
+        ffmpeg = startFfmpeg(ffmpegPath, format, outFile);
+        await write(mkvHeader(width, height));
+      }
+      const passThrough = !meta.delta && canvas.raw.width === width && canvas.raw.height === height;
+      await emit(rec.ms, passThrough ? rec.data : await canvas.jpeg(width, height));
+      if (onProgress) onProgress(rec.ms);
+    }
+
+    if (!ffmpeg) {
+      if (skipped.encrypted) throw new Error('Recording is end-to-end encrypted — play it back in the viewer instead');
+      if (skipped.video) throw new Error('Recording is H.264/VP8 video, which can\'t be exported yet');
+      throw new Error('Recording has no frames');
+    }
+    // Hold the last picture until the recording ended
+    if (endMs > lastMs) await emit(endMs, await canvas.jpeg(width, height));
+
+    ffmpeg.proc.stdin.end();
+    await ffmpeg.done;
+  } catch (err) {
+    if (ffmpeg) {
+      ffmpeg.proc.kill();
+      await ffmpeg.done.catch(() => {});
+      try { fs.unlinkSync(outFile); } catch (e) {}
+    }
+    throw err;
+  }
+
+  return { frames, skipped, durationMs: endMs, width, height, bytes: fs.statSync(outFile).size };
+}
+
+function startFfmpeg(ffmpegPath, format, outFile) {
+  const args = [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', 'matroska', '-i', 'pipe:0',
+    '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',   // 4:2:0 needs even dimensions
+    '-pix_fmt', 'yuv420p',
+    ...FORMATS[format],
+    '-y', outFile
+  ];
+  const proc = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true });
+  const job = { proc, failed: null, done: null };
+  let stderr = '';
+  proc.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+  proc.stdin.on('error', () => {});   // EPIPE if ffmpeg dies — 'exit' reports it
+  job.done = new Promise((resolve, reject) => {
+    const fail = (reason) => {
+      job.failed = job.failed || new Error(reason);
+      reject(job.failed);
+    };
+    proc.on('error', (err) => fail(err.code === 'ENOENT' ? 'ffmpeg not found (set FFMPEG_PATH)' : err.message));
+    proc.on('exit', (code) => (code === 0 ? resolve() : fail(`ffmpeg exited with ${code}: ${stderr.trim()}`)));
+  });
+  job.done.catch(() => {});   // surfaced through job.failed / the final await
+  return job;
+}
+
+module.exports = { exportRecording, FORMATS };
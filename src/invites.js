@@ -0,0 +1,282 @@
+/**
+ * LogInTo — Invite Store
+ *
+ * Persistent share links for a single machine (data/invites.json).
+ *
+ * Like sessions, only a SHA-256 hash of the invite token is kept on disk;
+ * owners list and revoke invites by a short public id. Each invite records
+ * who redeemed it (IP, device) and can be capped to a maximum number of
+ * distinct guests. A first redemption hands the guest a server-issued
+ * guest token (also stored hashed); presenting it again is a reconnect,
+ * anything else uses up another slot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { describeDevice } = require('./sessions');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const INVITES_FILE = path.join(DATA_DIR, 'invites.json');
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;   // 7 days
+const MIN_TTL = 60 * 60 * 1000;                 // 1 hour
+const MAX_TTL = 30 * 24 * 60 * 60 * 1000;       // 30 days
+const MAX_USES_LIMIT = 100;
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+class InviteStore {
+  constructor() {
+    this.invites = new Map();   // sha256(token) → invite record
+    this._saving = false;
+    this._saveQueued = false;
+  }
+
+  /**
+   * Load persisted invites
+   */
+  init() {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    if (fs.existsSync(INVITES_FILE)) {
+      try {
+        const list = JSON.parse(fs.readFileSync(INVITES_FILE, 'utf8'));
+        for (const inv of list) this.invites.set(inv.hash, inv);
+      } catch (e) {
+        console.warn('⚠️  Could not read invites file — starting with no invites');
+      }
+    }
+    const cleaned = this.sweep();
+    console.log(`🔗 Loaded ${this.invites.size} invites` + (cleaned ? ` (${cleaned} expired)` : ''));
+  }
+
+  /**
+   * Save invites to disk
+   */
+  _save() {
+    fs.writeFileSync(INVITES_FILE, JSON.stringify([...this.invites.values()], null, 2), { mode: 0o600 });
+    // A background write still in flight holds an older snapshot — follow it with a fresh one
+    if (this._saving) this._saveQueued = true;
+  }
+
+  /**
+   * Save without blocking — redemptions happen on socket connects.
+   * Calls made while a write is in flight collapse into one more write.
+   */
+  _saveAsync() {
+    if (this._saving) {
+      this._saveQueued = true;
+      return;
+    }
+    this._saving = true;
+    fs.promises.writeFile(INVITES_FILE, JSON.stringify([...this.invites.values()], null, 2), { mode: 0o600 })
+      .catch(err => console.warn('⚠️  Could not save invites:', err.message))
+      .finally(() => {
+        this._saving = false;
+        if (this._saveQueued) {
+          this._saveQueued = false;
+          this._saveAsync();
+        }
+      });
+  }
+
+  /** A lookup-safe key for a bearer invite token */
+  _keyFor(token) {
+    return typeof token === 'string' && token.length <= 64 ? sha256(token) : null;
+  }
+
+  /**
+   * Clamp a requested lifetime (ms) to the allowed range. Returns null if invalid.
+   */
+  normalizeTtl(ttl) {
+    if (ttl == null) return DEFAULT_TTL;
+    if (typeof ttl !== 'number' || !isFinite(ttl) || ttl <= 0) return null;
+    return Math.min(Math.max(Math.round(ttl), MIN_TTL), MAX_TTL);
+  }
+
+  /**
+   * Validate a max-use count: null/undefined = unlimited. Returns undefined if invalid.
+   */
+  normalizeMaxUses(maxUses) {
+    if (maxUses == null) return null;
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT) return undefined;
+    return maxUses;
+  }
+
+  /**
+   * Create an invite. Returns { token, invite } — the token is only ever held by the owner.
+   */
+  create({ userId, machineId, machineName, displayName, permissions, ttl = DEFAULT_TTL, maxUses = null }) {
+    const token = uuidv4();
+    const hash = sha256(token);
+    const now = Date.now();
+    const invite = {
+      id: hash.slice(0, 16),   // public id for listing / revoking
+      hash,
+      userId,
+      machineId,
+      machineName,
+      displayName,
+      permissions,
+      created: now,
+      expiresAt: now + ttl,
+      maxUses,
+      redemptions: []          // { id, guestHash, ip, device, at, lastSeen }
+    };
+    this.invites.set(hash, invite);
+    this._save();
+    return { token, invite };
+  }
+
+  _isUsable(inv, now = Date.now()) {
+    return !!inv && now <= inv.expiresAt;
+  }
+
+  _usesLeft(inv) {
+    return inv.maxUses == null ? null : Math.max(0, inv.maxUses - inv.redemptions.length);
+  }
+
+  /**
+   * Look up a live invite by token (no side effects)
+   */
+  get(token) {
+    const key = this._keyFor(token);
+    const inv = key ? this.invites.get(key) : null;
+    return this._isUsable(inv) ? inv : null;
+  }
+
+  /**
+   * Redeem an invite. A guest presenting the guest token it was issued on
+   * its first redemption reconnects freely; anyone else consumes a use and
+   * gets a new guest token (returned once, only its hash is kept).
+   * Returns { invite, redemptionId, guestToken?, firstUse }, or null if the
+   * invite is unknown, expired or used up.
+   */
+  redeem(token, { guestToken, ip, userAgent } = {}) {
+    const inv = this.get(token);
+    if (!inv) return null;
+    const now = Date.now();
+
+    const guestHash = typeof guestToken === 'string' && guestToken.length <= 64 ? sha256(guestToken) : null;
+    const existing = guestHash && inv.redemptions.find(r => r.guestHash === guestHash);
+    if (existing) {
+      // Not persisted on its own — lastSeen / ip ride along with the next save
+      existing.lastSeen = now;
+      if (ip) existing.ip = ip;
+      return { invite: inv, redemptionId: existing.id, firstUse: false };
+    }
+
+    if (inv.maxUses != null && inv.redemptions.length >= inv.maxUses) return null;
+
+    const newToken = crypto.randomBytes(24).toString('base64url');
+    const redemption = {
+      id: uuidv4(),
+      guestHash: sha256(newToken),
+      ip: ip || null,
+      device: describeDevice(userAgent),
+      at: now,
+      lastSeen: now
+    };
+    inv.redemptions.push(redemption);
+    this._saveAsync();
+    return { invite: inv, redemptionId: redemption.id, guestToken: newToken, firstUse: true };
+  }
+
+  /**
+   * Public view of an invite for the guest landing page
+   */
+  info(token) {
+    const inv = this.get(token);
+    if (!inv) return null;
+    return {
+      userId: inv.userId,
+      displayName: inv.displayName,
+      machineName: inv.machineName,
+      expiresAt: inv.expiresAt,
+      permissions: inv.permissions,
+      usesLeft: this._usesLeft(inv)
+    };
+  }
+
+  /**
+   * A user's live invites, newest first (safe — no hashes or guest ids)
+   */
+  listForUser(userId) {
+    const now = Date.now();
+    return [...this.invites.values()]
+      .filter(inv => inv.userId === userId && this._isUsable(inv, now))
+      .sort((a, b) => b.created - a.created)
+      .map(inv => ({
+        id: inv.id,
+        machineId: inv.machineId,
+        machineName: inv.machineName,
+        permissions: inv.permissions,
+        created: inv.created,
+        expiresAt: inv.expiresAt,
+        maxUses: inv.maxUses,
+        usesLeft: this._usesLeft(inv),
+        redemptions: inv.redemptions.map(r => ({
+          ip: r.ip, device: r.device, at: r.at, lastSeen: r.lastSeen
+        }))
+      }));
+  }
+
+  /**
+   * Revoke one of a user's invites by public id (or by the token itself).
+   * Returns the revoked invite or null.
+   */
+  revoke(userId, idOrToken) {
+    const tokenKey = this._keyFor(idOrToken);
+    for (const [key, inv] of this.invites) {
+      if (inv.userId !== userId) continue;
+      if (inv.id === idOrToken || key === tokenKey) {
+        this.invites.delete(key);
+        this._save();
+        return inv;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Revoke all invites for a user, optionally only for one machine.
+   * Returns the revoked invite ids.
+   */
+  revokeAllForUser(userId, machineId = null) {
+    const revoked = [];
+    for (const [key, inv] of this.invites) {
+      if (inv.userId === userId && (!machineId || inv.machineId === machineId)) {
+        this.invites.delete(key);
+        revoked.push(inv.id);
+      }
+    }
+    if (revoked.length) this._save();
+    return revoked;
+  }
+
+  /**
+   * Drop expired invites. Returns how many were removed.
+   */
+  sweep(now = Date.now()) {
+    let cleaned = 0;
+    for (const [key, inv] of this.invites) {
+      if (now > inv.expiresAt) {
+        this.invites.delete(key);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) this._save();
+    return cleaned;
+  }
+
+  get size() {
+    return this.invites.size;
+  }
+}
+
+module.exports = new InviteStore();
@@ -0,0 +1,104 @@
+/**
+ * LogInTo — Pairing Codes
+ *
+ * Short-lived codes for enrolling a desktop agent without copying its key.
+ * An agent with no AGENT_KEY connects with role 'pairing' and is shown a
+ * code; the owner types it into the dashboard, and the server sends the
+ * agent its key over that same socket.
+ *
+ * Codes only live in memory — they are useless once their socket is gone,
+ * so a restart simply makes waiting agents ask for a new one.
+ */
+
+const crypto = require('crypto');
+
+const CODE_TTL = 10 * 60 * 1000;                  // each code is valid 10 minutes
+const CODE_LENGTH = 8;                            // ~40 bits, shown as XXXX-XXXX
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+const MAX_PENDING = 1000;                         // waiting agents across all users
+
+/** Codes are compared without dashes/spaces and case-insensitively */
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function formatCode(code) {
+  return code.slice(0, 4) + '-' + code.slice(4);
+}
+
+class PairingStore {
+  constructor() {
+    this.codes = new Map();   // normalized code → { socketId, hostname, platform, ip, expiresAt }
+  }
+
+  /**
+   * Issue a code for a waiting agent socket, replacing any code it had.
+   * Returns { code, expiresAt }, or null if too many agents are waiting.
+   */
+  create(socketId, { hostname, platform, ip } = {}) {
+    this.release(socketId);
+    if (this.codes.size >= MAX_PENDING) this.sweep();
+    if (this.codes.size >= MAX_PENDING) return null;
+
+    let code;
+    do {
+      const bytes = crypto.randomBytes(CODE_LENGTH);
+      code = '';
+      for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    } while (this.codes.has(code));
+
+    const expiresAt = Date.now() + CODE_TTL;
+    this.codes.set(code, {
+      socketId,
+      hostname: typeof hostname === 'string' ? hostname.slice(0, 64) : null,
+      platform: typeof platform === 'string' ? platform.slice(0, 16) : null,
+      ip: ip || null,
+      expiresAt
+    });
+    return { code: formatCode(code), expiresAt };
+  }
+
+  /**
+   * Redeem a code (single use). Returns the pending entry, or null if unknown or expired.
+   */
+  claim(code) {
+    const key = normalizeCode(code);
+    const entry = this.codes.get(key);
+    if (!entry) return null;
+    this.codes.delete(key);
+    return Date.now() <= entry.expiresAt ? entry : null;
+  }
+
+  /**
+   * Forget the code held by a socket (it disconnected or got a new one)
+   */
+  release(socketId) {
+    for (const [key, entry] of this.codes) {
+      if (entry.socketId === socketId) this.codes.delete(key);
+    }
+  }
+
+  /**
+   * Drop expired codes. Returns how many were removed.
+   */
+  sweep(now = Date.now()) {
+    let cleaned = 0;
+    for (const [key, entry] of this.codes) {
+      if (now > entry.expiresAt) {
+        this.codes.delete(key);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  get ttl() {
+    return CODE_TTL;
+  }
+
+  get size() {
+    return this.codes.size;
+  }
+}
+
+module.exports = new PairingStore();
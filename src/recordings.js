@@ -0,0 +1,276 @@
+/**
+ * LogInTo — Session Recordings
+ *
+ * Machines with recording turned on have every session written to
+ * data/recordings/<id>.lrec while anyone is watching: screen-info, every
+ * frame the agent sends (before per-viewer pacing, so nothing is skipped)
+ * and the input viewers send. The index (owner, machine, start/end, size)
+ * lives in data/recordings.json.
+ *
+ * .lrec layout (big-endian):
+ *   header  "LREC" u8 version
+ *   record  u8 type, u32 ms since start, u32 meta bytes, u32 data bytes,
+ *           meta (JSON), data (binary)
+ *   types   1 screen-info  meta = the screen-info object
+ *           2 frame        meta = frame fields except `data`; data = the payload
+ *           3 input        meta = { event, viewer, data } — or, sealed in
+ *                          E2E mode, { event, viewer } with the ciphertext as data
+ * Frames are stored exactly as relayed, so E2E recordings stay encrypted and
+ * need the pairing secret to play back.
+ *
+ * Finished recordings can be exported to MP4/WebM (see ./export); the output
+ * sits next to the .lrec as <id>.mp4 / <id>.webm, with the job's progress
+ * under `exports` in the index entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { exportRecording, FORMATS } = require('./export');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const INDEX_FILE = path.join(DATA_DIR, 'recordings.json');
+const MAGIC = Buffer.from('LREC');
+const VERSION = 1;
+const RECORD_HEADER_BYTES = 13;
+const TYPES = { 'screen-info': 1, frame: 2, input: 3 };
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, n]) => [n, name]));
+const READ_CHUNK = 1024 * 1024;
+
+class Recording {
+  constructor(meta, file) {
+    this.meta = meta;
+    this.startedAt = meta.startedAt;
+    this.stream = fs.createWriteStream(file, { mode: 0o600 });
+    this.stream.on('error', (e) => console.error(`⚠️  Recording ${meta.id} write failed:`, e.message));
+    this.stream.write(Buffer.concat([MAGIC, Buffer.from([VERSION])]));
+    this.meta.bytes = MAGIC.length + 1;
+  }
+
+  _write(type, meta, data = null) {
+    if (!this.stream) return;
+    const json = Buffer.from(JSON.stringify(meta));
+    const header = Buffer.alloc(RECORD_HEADER_BYTES);
+    header.writeUInt8(TYPES[type], 0);
+    header.writeUInt32BE(Math.max(0, Date.now() - this.startedAt), 1);
+    header.writeUInt32BE(json.length, 5);
+    header.writeUInt32BE(data ? data.length : 0, 9);
+    this.stream.write(data ? Buffer.concat([header, json, data]) : Buffer.concat([header, json]));
+    this.meta.bytes += header.length + json.length + (data ? data.length : 0);
+  }
+
+  screenInfo(info) {
+    this._write('screen-info', info || {});
+  }
+
+  frame(frame) {
+    if (!Buffer.isBuffer(frame?.data)) return;
+    const { data, ...fields } = frame;
+    this._write('frame', fields, data);
+    this.meta.frames++;
+  }
+
+  input(event, data, viewer) {
+    if (data && Buffer.isBuffer(data.e2e)) this._write('input', { event, viewer }, data.e2e);
+    else this._write('input', { event, viewer, data });
+    this.meta.events++;
+  }
+}
+
+class RecordingStore {
+  constructor() {
+    this.recordings = new Map();   // id → index entry
+  }
+
+  /**
+   * Load the index. Recordings cut short by a crash are closed with what
+   * made it to disk.
+   */
+  init() {
+    if (!fs.existsSync(RECORDINGS_DIR)) {
+      fs.mkdirSync(RECORDINGS_DIR, { recursive: true, mode: 0o700 });
+    }
+
+    if (fs.existsSync(INDEX_FILE)) {
+      try {
+        for (const rec of JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'))) this.recordings.set(rec.id, rec);
+      } catch (e) {
+        console.warn('⚠️  Could not read recordings index — starting empty');
+      }
+    }
+    let recovered = 0;
+    for (const rec of this.recordings.values()) {
+      if (rec.endedAt) continue;
+      try { rec.bytes = fs.statSync(this.filePath(rec.id)).size; } catch (e) { rec.bytes = 0; }
+      rec.endedAt = rec.startedAt;
+      rec.incomplete = true;
+      recovered++;
+    }
+    for (const rec of this.recordings.values()) {
+      for (const job of Object.values(rec.exports || {})) {
+        if (job.status !== 'running') continue;
+        Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart' });
+        recovered++;
+      }
+    }
+    if (recovered) this._save();
+    console.log(`🎥 Loaded ${this.recordings.size} recordings` + (recovered ? ` (${recovered} incomplete)` : ''));
+  }
+
+  _save() {
+    fs.writeFileSync(INDEX_FILE, JSON.stringify([...this.recordings.values()], null, 2), { mode: 0o600 });
+  }
+
+  filePath(id) {
+    return path.join(RECORDINGS_DIR, id + '.lrec');
+  }
+
+  exportPath(id, format) {
+    return path.join(RECORDINGS_DIR, id + '.' + format);
+  }
+
+  /**
+   * Open a new recording. Returns a Recording to write to; pass it to stop().
+   */
+  start({ userId, machineId, machineName }) {
+    const meta = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      machineId,
+      machineName,
+      startedAt: Date.now(),
+      endedAt: null,
+      bytes: 0,
+      frames: 0,
+      events: 0
+    };
+    this.recordings.set(meta.id, meta);
+    const rec = new Recording(meta, this.filePath(meta.id));
+    this._save();
+    return rec;
+  }
+
+  stop(rec) {
+    if (!rec?.stream) return;
+    rec.stream.end();
+    rec.stream = null;
+    rec.meta.endedAt = Date.now();
+    this._save();
+  }
+
+  get(id) {
+    return typeof id === 'string' ? this.recordings.get(id) || null : null;
+  }
+
+  /**
+   * Newest first. userId null = everyone's.
+   */
+  list({ userId = null, machineId = null } = {}) {
+    return [...this.recordings.values()]
+      .filter(r => (!userId || r.userId === userId) && (!machineId || r.machineId === machineId))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(r => ({ ...r, durationMs: (r.endedAt || Date.now()) - r.startedAt }));
+  }
+
+  /**
+   * Delete a finished recording and its file. Returns false if it doesn't
+   * exist or is still being written.
+   */
+  remove(id) {
+    const rec = this.get(id);
+    if (!rec || !rec.endedAt) return false;
+    this.recordings.delete(id);
+    try { fs.unlinkSync(this.filePath(id)); } catch (e) {}
+    for (const format of Object.keys(rec.exports || {})) {
+      try { fs.unlinkSync(this.exportPath(id, format)); } catch (e) {}
+    }
+    this._save();
+    return true;
+  }
+
+  /**
+   * Iterate the records of a .lrec file as { type, ms, meta, data }.
+   * Stops quietly at a record cut short by a crash.
+   */
+  async *read(file) {
+    const fh = await fs.promises.open(file, 'r');
+    try {
+      let buf = Buffer.alloc(0);
+      let eof = false;
+      const fill = async (n) => {
+        while (buf.length < n && !eof) {
+          const chunk = Buffer.alloc(Math.max(READ_CHUNK, n - buf.length));
+          const { bytesRead } = await fh.read(chunk, 0, chunk.length, null);
+          if (!bytesRead) eof = true;
+          else buf = Buffer.concat([buf, chunk.subarray(0, bytesRead)]);
+        }
+        return buf.length >= n;
+      };
+
+      if (!await fill(MAGIC.length + 1) || !buf.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a LogInTo recording');
+      }
+      if (buf[MAGIC.length] !== VERSION) throw new Error('Unsupported recording version ' + buf[MAGIC.length]);
+      buf = buf.subarray(MAGIC.length + 1);
+
+      while (await fill(RECORD_HEADER_BYTES)) {
+        const metaLen = buf.readUInt32BE(5);
+        const dataLen = buf.readUInt32BE(9);
+        const end = RECORD_HEADER_BYTES + metaLen + dataLen;
+        if (!await fill(end)) return;
+        yield {
+          type: TYPE_NAMES[buf[0]] || null,
+          ms: buf.readUInt32BE(1),
+          meta: JSON.parse(buf.toString('utf8', RECORD_HEADER_BYTES, RECORD_HEADER_BYTES + metaLen)),
+          data: dataLen ? Buffer.from(buf.subarray(RECORD_HEADER_BYTES + metaLen, end)) : null
+        };
+        buf = buf.subarray(end);
+      }
+    } finally {
+      await fh.close();
+    }
+  }
+
+  /**
+   * Export a finished recording to `format` (mp4/webm) in the background.
+   * Returns the job — { status: running/done/failed, progress 0–1, … } — or
+   * null if the recording doesn't exist or is still being written. A job
+   * that's running, or done with its file still there, is returned as is.
+   */
+  startExport(id, format, { ffmpegPath } = {}) {
+    const rec = this.get(id);
+    if (!rec || !rec.endedAt || !FORMATS[format]) return null;
+    rec.exports = rec.exports || {};
+    const existing = rec.exports[format];
+    if (existing?.status === 'running') return existing;
+    if (existing?.status === 'done' && fs.existsSync(this.exportPath(id, format))) return existing;
+
+    const job = { status: 'running', progress: 0, startedAt: Date.now() };
+    rec.exports[format] = job;
+    this._save();
+
+    const durationMs = Math.max(1, rec.endedAt - rec.startedAt);
+    exportRecording(this.read(this.filePath(id)), this.exportPath(id, format), {
+      format,
+      ffmpegPath,
+      onProgress: (ms) => { job.progress = Math.min(1, ms / durationMs); }
+    }).then((result) => {
+      Object.assign(job, { status: 'done', progress: 1, finishedAt: Date.now(), ...result });
+      console.log(`🎞️  Exported recording ${id} to ${format.toUpperCase()} (${result.frames} frames)`);
+    }).catch((err) => {
+      Object.assign(job, { status: 'failed', finishedAt: Date.now(), error: err.message });
+      console.error(`❌ Export of recording ${id} to ${format} failed:`, err.message);
+    }).finally(() => {
+      // Deleted while exporting — don't leave the file behind
+      if (!this.recordings.has(id)) {
+        try { fs.unlinkSync(this.exportPath(id, format)); } catch (e) {}
+      } else {
+        this._save();
+      }
+    });
+    return job;
+  }
+}
+
+module.exports = new RecordingStore();
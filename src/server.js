@@ -21,12 +21,25 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const users = require('./users');
+const sessions = require('./sessions');
+const invites = require('./invites');
+const audit = require('./audit');
+const pairing = require('./pairing');
+const recordings = require('./recordings');
+const { FORMATS: EXPORT_FORMATS } = require('./export');
 const wol = require('wol');
+const QRCode = require('qrcode');
 
 // ─── Config ──────────────────────────────────────────────
 const PORT = process.env.PORT || 3456;
 const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
 const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MFA_TTL = 5 * 60 * 1000;   // time allowed between password and TOTP steps
+const MFA_MAX_ATTEMPTS = 5;
+const MAX_KEY_GRACE_MINUTES = 7 * 24 * 60;   // longest an old agent key may keep working after rotation
+const KEY_ROTATED_REASON = 'Agent key was rotated — run the new setup command from the dashboard';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';   // for recording exports
+const FILE_MAX_BYTES = (parseInt(process.env.FILE_TRANSFER_MAX_MB) || 100) * 1024 * 1024;   // per file, either direction
 
 // ─── App Setup ───────────────────────────────────────────
 const app = express();
@@ -70,6 +83,17 @@ const loginLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Second login step gets its own budget so a 2FA sign-in doesn't spend two
+// password attempts; only wrong codes count (each mfaToken is also capped)
+const totpLimiter = rateLimit({
+  windowMs: LOCKOUT_MINUTES * 60 * 1000,
+  max: MAX_LOGIN_ATTEMPTS,
+  skipSuccessfulRequests: true,
+  message: { error: `Too many login attempts. Try again in ${LOCKOUT_MINUTES} minutes.` },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Rate limit Wake-on-LAN — prevents UDP broadcast spam
 const wakeLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -79,50 +103,118 @@ const wakeLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limit pairing-code attempts — codes are short, so guessing must stay slow
+const pairingLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many pairing attempts. Try again in a few minutes.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // ─── State ───────────────────────────────────────────────
-const sessions = new Map();  // token → { userId, created, lastActive }
+// Sessions live in ./sessions, invite links in ./invites (both persisted, hashed at rest)
+const pendingMfa = new Map(); // mfaToken → { userId, expiresAt, attempts } (password ok, awaiting TOTP)
 const agents = new Map();    // agentKey → { socket, screenInfo, connected, userId, machineId, machineName }
-const invites = new Map();   // inviteToken → { userId, machineId, machineName, displayName, expiresAt }
 // Viewers now tracked via Socket.IO rooms: `viewers:${userId}`
 // No Map needed — rooms handle multi-viewer broadcast efficiently
 
 // ─── Invite Cleanup (every hour, expire after TTL) ────
 setInterval(() => {
-  const now = Date.now();
-  for (const [token, inv] of invites) {
-    if (now > inv.expiresAt) invites.delete(token);
-  }
+  const cleaned = invites.sweep();
+  if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} expired invites (${invites.size} active)`);
 }, 60 * 60 * 1000);
 
-// ─── Session Cleanup (every 10 min, expire after 24h) ────
-const SESSION_TTL = 24 * 60 * 60 * 1000;
+// ─── Agent Key Cleanup (every minute, end of rotation grace periods) ────
+setInterval(() => {
+  const cleaned = users.sweepPreviousAgentKeys();
+  if (cleaned > 0) console.log(`🧹 Retired ${cleaned} previous agent keys`);
+  kickStaleAgents(KEY_ROTATED_REASON);
+}, 60 * 1000);
+
+// ─── Session Cleanup (every 10 min, expire after 24h idle) ────
 setInterval(() => {
   const now = Date.now();
-  let cleaned = 0;
-  for (const [token, session] of sessions) {
-    if (now - session.lastActive > SESSION_TTL) {
-      sessions.delete(token);
-      cleaned++;
-    }
-  }
+  const cleaned = sessions.sweep(now);
   if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} expired sessions (${sessions.size} active)`);
+  for (const [mfaToken, pending] of pendingMfa) {
+    if (now > pending.expiresAt) pendingMfa.delete(mfaToken);
+  }
 }, 10 * 60 * 1000);
 
-function isValidSession(token) {
-  const session = sessions.get(token);
-  if (!session) return false;
-  const now = Date.now();
-  // Expire if inactive for 24h (not just since creation)
-  if (now - session.lastActive > SESSION_TTL) {
-    sessions.delete(token);
-    return false;
-  }
-  session.lastActive = now;
-  return true;
+function createSession(userId, req) {
+  return sessions.create(userId, { ip: req.ip, userAgent: req.get('user-agent') });
+}
+
+// `ip` (req.ip or socketIp) keeps the session's "last seen from" current
+function isValidSession(token, ip) {
+  return sessions.validate(token, { ip });
 }
 
 function getSession(token) {
-  return sessions.get(token) || null;
+  return sessions.get(token);
+}
+
+// Where a request came from, for audit entries
+function requestOrigin(req) {
+  return { ip: req.ip, device: sessions.describeDevice(req.get('user-agent')) };
+}
+
+// Socket equivalent of req.ip — honours one proxy hop like `trust proxy` above
+function socketIp(socket) {
+  const xff = socket.handshake.headers['x-forwarded-for'];
+  return xff ? xff.split(',').pop().trim() : socket.handshake.address;
+}
+
+// Disconnect live sockets (dashboard / viewer) opened with revoked sessions
+function disconnectSessions(sessionIds) {
+  if (!sessionIds.length) return;
+  for (const [, sock] of io.sockets.sockets) {
+    if (sock.sessionId && sessionIds.includes(sock.sessionId)) {
+      sock.emit('session-revoked');
+      sock.disconnect(true);
+    }
+  }
+}
+
+// Disconnect guests who joined through revoked invite links
+function disconnectInviteGuests(inviteIds) {
+  if (!inviteIds.length) return;
+  for (const [, sock] of io.sockets.sockets) {
+    if (sock.inviteId && inviteIds.includes(sock.inviteId)) {
+      sock.emit('invite-revoked');
+      sock.disconnect(true);
+    }
+  }
+}
+
+// Move a machine's live agent and viewers (and their rooms) to its new key
+function rekeyMachine(oldKey, newKey) {
+  const agent = agents.get(oldKey);
+  if (agent) {
+    agents.delete(oldKey);
+    agents.set(newKey, agent);
+  }
+  for (const [, sock] of io.sockets.sockets) {
+    if (sock.agentKey !== oldKey) continue;
+    sock.agentKey = newKey;
+    for (const room of [viewerRoom, frameRoom, clipboardRoom, pendingRoom, audioRoom]) {
+      if (sock.rooms.has(room(oldKey))) {
+        sock.leave(room(oldKey));
+        sock.join(room(newKey));
+      }
+    }
+  }
+}
+
+// Disconnect agents whose key no longer works (rotated without grace, or grace ended)
+function kickStaleAgents(reason) {
+  for (const [, agent] of agents) {
+    if (!users.getByAgentKey(agent.socket.authKey, { allowPrevious: true })) {
+      agent.socket.emit('kicked', { reason });
+      agent.socket.disconnect();
+    }
+  }
 }
 
 // ─── HTTP Routes ─────────────────────────────────────────
@@ -144,49 +236,191 @@ app.get('/', (req, res) => {
 
 // Login endpoint
 app.post('/api/login', loginLimiter, async (req, res) => {
-  const { password } = req.body;
-  if (!password) {
-    return res.status(400).json({ error: 'Password required' });
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
   }
 
-  const user = await users.authenticateByPassword(password);
+  const user = await users.authenticate(username, password);
   if (!user) {
-    return res.status(401).json({ error: 'Wrong password' });
+    audit.record('login-failed', {
+      userId: users.getIdByUsername(username),
+      username: String(username).slice(0, 64),
+      reason: 'password',
+      ...requestOrigin(req)
+    });
+    return res.status(401).json({ error: 'Wrong username or password' });
   }
 
-  const token = uuidv4();
-  sessions.set(token, {
-    userId: user.id,
-    created: Date.now(),
-    lastActive: Date.now()
-  });
+  // Second factor enrolled — hand out a short-lived MFA token instead of a session
+  if (user.totpEnabled) {
+    const mfaToken = uuidv4();
+    pendingMfa.set(mfaToken, { userId: user.id, expiresAt: Date.now() + MFA_TTL, attempts: 0 });
+    return res.json({ mfaRequired: true, mfaToken });
+  }
 
+  const token = createSession(user.id, req);
+  audit.record('login', { userId: user.id, ...requestOrigin(req) });
   console.log(`✅ ${user.displayName} logged in`);
-  res.json({ token, userId: user.id, displayName: user.displayName });
+  res.json({ token, userId: user.id, displayName: user.displayName, role: user.role });
+});
+
+// Login step 2 — TOTP or recovery code
+app.post('/api/login/totp', totpLimiter, (req, res) => {
+  const { mfaToken, code } = req.body;
+  if (!mfaToken || !code) return res.status(400).json({ error: 'Code required' });
+
+  const pending = pendingMfa.get(mfaToken);
+  if (!pending || Date.now() > pending.expiresAt) {
+    pendingMfa.delete(mfaToken);
+    return res.status(401).json({ error: 'Sign-in expired. Start again.' });
+  }
+
+  if (!users.verifySecondFactor(pending.userId, code)) {
+    audit.record('login-failed', { userId: pending.userId, reason: 'totp', ...requestOrigin(req) });
+    pending.attempts++;
+    if (pending.attempts >= MFA_MAX_ATTEMPTS) pendingMfa.delete(mfaToken);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+
+  pendingMfa.delete(mfaToken);
+  const user = users.getById(pending.userId);
+  const token = createSession(user.id, req);
+  audit.record('login', { userId: user.id, mfa: true, ...requestOrigin(req) });
+  console.log(`✅ ${user.displayName} logged in (2FA)`);
+  res.json({
+    token, userId: user.id, displayName: user.displayName, role: user.role,
+    recoveryCodesRemaining: users.getRecoveryCodesRemaining(user.id)
+  });
 });
 
 // Logout endpoint — invalidate session
 app.post('/api/logout', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) sessions.delete(token);
+  const session = token ? sessions.revoke(token) : null;
+  if (session) audit.record('logout', { userId: session.userId, ...requestOrigin(req) });
   res.json({ ok: true });
 });
 
+// ─── Active Sessions ─────────────────────────────────────
+
+// List the current user's sessions (device, IP, last active)
+app.get('/api/sessions', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const list = sessions.listForUser(session.userId).map(s => ({ ...s, current: s.id === session.id }));
+  res.json({ sessions: list });
+});
+
+// Revoke one session
+app.delete('/api/sessions/:sessionId', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const revoked = sessions.revokeById(session.userId, req.params.sessionId);
+  if (!revoked) return res.status(404).json({ error: 'Session not found' });
+  disconnectSessions([revoked.id]);
+  res.json({ ok: true });
+});
+
+// Sign out everywhere — ?keepCurrent=true keeps the calling session
+app.delete('/api/sessions', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const keep = req.query.keepCurrent === 'true' ? session.id : null;
+  const revoked = sessions.revokeAllForUser(session.userId, keep);
+  disconnectSessions(revoked);
+  console.log(`🔒 ${session.userId} signed out ${revoked.length} session(s)`);
+  res.json({ ok: true, revoked: revoked.length });
+});
+
 // Session check
 app.get('/api/session', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) {
+  if (!isValidSession(token, req.ip)) {
     return res.status(401).json({ valid: false });
   }
   const session = getSession(token);
   const user = users.getById(session.userId);
-  res.json({ valid: true, userId: session.userId, displayName: user?.displayName });
+  res.json({
+    valid: true, userId: session.userId, displayName: user?.displayName,
+    role: user?.role, totpEnabled: user?.totpEnabled || false
+  });
+});
+
+// ─── Two-Factor Auth (TOTP) ──────────────────────────────
+
+// Start enrollment — returns the secret + otpauth:// URI for the authenticator app
+app.post('/api/totp/:userId/setup', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  if (users.getById(req.params.userId)?.totpEnabled) {
+    return res.status(409).json({ error: 'Two-factor is already enabled' });
+  }
+  const enrollment = users.beginTotpEnrollment(req.params.userId);
+  if (!enrollment) return res.status(404).json({ error: 'User not found' });
+  // QR as a data: URL so the dashboard can show it without loading anything external
+  const qrDataUrl = await QRCode.toDataURL(enrollment.otpauthUrl, { margin: 1, width: 200 }).catch(() => null);
+  res.json({ ...enrollment, qrDataUrl });
+});
+
+// Confirm enrollment with the first code — returns one-time recovery codes
+app.post('/api/totp/:userId/enable', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const recoveryCodes = users.confirmTotpEnrollment(req.params.userId, req.body.code);
+  if (!recoveryCodes) return res.status(400).json({ error: 'Invalid code — check your authenticator app clock' });
+  console.log(`🔐 Two-factor enabled: ${req.params.userId}`);
+  res.json({ ok: true, recoveryCodes });
+});
+
+// Disable — requires password + a current code (or recovery code)
+app.post('/api/totp/:userId/disable', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const { password, code } = req.body;
+  if (!(await users.verifyPassword(req.params.userId, password))) {
+    return res.status(401).json({ error: 'Wrong password' });
+  }
+  if (!users.verifySecondFactor(req.params.userId, code)) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  users.disableTotp(req.params.userId);
+  console.log(`🔓 Two-factor disabled: ${req.params.userId}`);
+  res.json({ ok: true });
+});
+
+// Regenerate recovery codes — requires a current code
+app.post('/api/totp/:userId/recovery-codes', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  if (!users.verifySecondFactor(req.params.userId, req.body.code)) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  res.json({ recoveryCodes: users.regenerateRecoveryCodes(req.params.userId) });
 });
 
 // Agent status — now returns all machines with status
 app.get('/api/user-status/:userId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -204,7 +438,7 @@ app.get('/api/user-status/:userId', (req, res) => {
 // Machines list
 app.get('/api/machines/:userId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -219,7 +453,7 @@ app.get('/api/machines/:userId', (req, res) => {
 // Add machine
 app.post('/api/machines/:userId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -227,25 +461,34 @@ app.post('/api/machines/:userId', (req, res) => {
   if (name && name.length > 100) return res.status(400).json({ error: 'Name too long (max 100 chars)' });
   const machine = users.addMachine(req.params.userId, name || 'New Machine');
   if (!machine) return res.status(400).json({ error: 'Could not add machine' });
+  audit.record('machine-add', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, ...requestOrigin(req)
+  });
   res.json({ machine });
 });
 
 // Delete machine
 app.delete('/api/machines/:userId/:machineId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
+  const removed = users.getMachine(req.params.userId, req.params.machineId);
   const ok = users.removeMachine(req.params.userId, req.params.machineId);
   if (!ok) return res.status(404).json({ error: 'Machine not found' });
+  audit.record('machine-remove', {
+    userId: req.params.userId, machineId: req.params.machineId, machineName: removed?.name, ...requestOrigin(req)
+  });
+  // Share links for a deleted machine must not fall back to another one
+  disconnectInviteGuests(invites.revokeAllForUser(req.params.userId, req.params.machineId));
   res.json({ ok: true });
 });
 
 // Rename machine
 app.patch('/api/machines/:userId/:machineId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -257,10 +500,136 @@ app.patch('/api/machines/:userId/:machineId', (req, res) => {
   res.json({ ok: true });
 });
 
+// Rotate a machine's agent key. The connected agent is kicked unless a grace
+// period (graceMinutes, up to 7 days) keeps the old key working meanwhile.
+app.post('/api/machines/:userId/:machineId/rotate-key', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const graceMinutes = req.body?.graceMinutes ?? 0;
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_KEY_GRACE_MINUTES) {
+    return res.status(400).json({ error: `graceMinutes must be a whole number from 0 to ${MAX_KEY_GRACE_MINUTES}` });
+  }
+
+  const rotated = users.rotateAgentKey(req.params.userId, req.params.machineId, graceMinutes * 60 * 1000);
+  if (!rotated) return res.status(404).json({ error: 'Machine not found' });
+  const { machine, oldKey } = rotated;
+
+  rekeyMachine(oldKey, machine.agentKey);
+  const agent = agents.get(machine.agentKey);
+  if (graceMinutes === 0) {
+    kickStaleAgents(KEY_ROTATED_REASON);
+  } else if (agent?.connected) {
+    agent.socket.emit('key-rotated', { reason: KEY_ROTATED_REASON, expiresAt: machine.previousKeyExpiresAt });
+  }
+  audit.record('agent-key-rotate', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, graceMinutes,
+    ...requestOrigin(req)
+  });
+  console.log(`🔑 Agent key rotated: ${machine.name}` + (graceMinutes ? ` (old key valid ${graceMinutes} min)` : ''));
+
+  // Keyless installers: the agent prints a pairing code, which the owner
+  // enters via POST /api/pairing/:userId with this machineId
+  const serverURL = setupServerURL(req);
+  res.json({
+    agentKey: machine.agentKey,
+    previousKeyExpiresAt: graceMinutes ? machine.previousKeyExpiresAt : null,
+    setupCommand: {
+      unix:    `curl -sL "${serverURL}/api/setup" | bash`,
+      windows: `powershell -ExecutionPolicy Bypass -Command "irm '${serverURL}/api/setup-win' | iex"`
+    },
+    pairing: { endpoint: `/api/pairing/${req.params.userId}`, machineId: machine.id }
+  });
+});
+
+// Revoke a rotated-out agent key before its grace period ends
+app.delete('/api/machines/:userId/:machineId/previous-key', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const machine = users.getMachine(req.params.userId, req.params.machineId);
+  if (!machine) return res.status(404).json({ error: 'Machine not found' });
+  if (!users.revokePreviousAgentKey(req.params.userId, req.params.machineId)) {
+    return res.status(404).json({ error: 'No previous key to revoke' });
+  }
+  kickStaleAgents('Agent key was revoked — run the new setup command from the dashboard');
+  audit.record('agent-key-revoke', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, ...requestOrigin(req)
+  });
+  res.json({ ok: true });
+});
+
+// Who is watching a machine right now, and how well frames reach each of them
+app.get('/api/machines/:userId/:machineId/viewers', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const machine = users.getMachine(req.params.userId, req.params.machineId);
+  if (!machine) return res.status(404).json({ error: 'Machine not found' });
+  const room = io.sockets.adapter.rooms.get(viewerRoom(machine.agentKey));
+  const viewers = [...(room || [])].map(id => io.sockets.sockets.get(id)).filter(Boolean).map(v => ({
+    id: v.id,
+    guest: !!v.isInvited,
+    device: v.guestDevice || sessions.describeDevice(v.handshake.headers['user-agent']),
+    ip: socketIp(v),
+    since: v.admittedAt,
+    path: v.rooms.has(frameRoom(machine.agentKey)) ? 'relay' : 'p2p',
+    throughput: v.pace.stats,   // last few seconds: fps, kbps, ackMs, dropped, inFlight
+    totals: v.pace.totals
+  }));
+  res.json({ viewers });
+});
+
+// Enroll a waiting agent by the code it printed. It is bound to machineId,
+// or to a new machine named `name` (default: the agent's hostname).
+app.post('/api/pairing/:userId', pairingLimiter, (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const { code, machineId, name } = req.body || {};
+  if (typeof code !== 'string' || !code.trim()) return res.status(400).json({ error: 'Pairing code required' });
+  if (name != null && (typeof name !== 'string' || name.length > 100)) {
+    return res.status(400).json({ error: 'Name too long (max 100 chars)' });
+  }
+  let machine = null;
+  if (machineId) {
+    machine = users.getMachine(req.params.userId, machineId);
+    if (!machine) return res.status(404).json({ error: 'Machine not found' });
+  }
+
+  const pending = pairing.claim(code);
+  const agentSocket = pending ? io.sockets.sockets.get(pending.socketId) : null;
+  if (!agentSocket) return res.status(404).json({ error: 'Invalid or expired pairing code' });
+
+  const newMachine = !machine;
+  if (newMachine) {
+    machine = users.addMachine(req.params.userId, name || pending.hostname || 'New Machine');
+    if (!machine) return res.status(400).json({ error: 'Could not add machine' });
+  }
+
+  // The key only ever travels over the agent's own socket
+  agentSocket.paired = true;
+  agentSocket.emit('paired', { agentKey: machine.agentKey, machineId: machine.id, machineName: machine.name });
+  audit.record('agent-pair', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, newMachine,
+    hostname: pending.hostname, agentIp: pending.ip, ...requestOrigin(req)
+  });
+  console.log(`🤝 Agent paired: ${pending.hostname || 'unknown host'} → ${machine.name}`);
+  res.json({ machine: { id: machine.id, name: machine.name }, newMachine });
+});
+
 // Agent key — returns all machines
 app.get('/api/agent-info/:userId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -269,16 +638,21 @@ app.get('/api/agent-info/:userId', (req, res) => {
   res.json({ agentKey: machines[0]?.agentKey || null, machines });
 });
 
-// Setup script — one-liner install for desktop agent
-app.get('/api/setup/:agentKey', (req, res) => {
-  const user = users.getByAgentKey(req.params.agentKey);
-  if (!user) return res.status(404).send('# Invalid agent key');
+// ─── Agent Setup Scripts ─────────────────────────────────
+// Files the installers download from /agent-files
+const AGENT_FILES = ['agent.js', 'capture.js', 'input.js', 'consent.js', 'e2e.js', 'pairing.js', 'webrtc.js', 'video.js', 'bitrate.js', 'audio.js', 'windows.js', 'wayland.js', 'headless.js', 'vnc.js', 'files.js', 'install-service.js'];
+
+// The installers write agent/package.json itself, so their dependencies can't drift from it
+const AGENT_PACKAGE_JSON = JSON.stringify(require('../agent/package.json'), null, 2);
 
-  // Always use HTTPS (Nginx terminates SSL, so req.protocol might be 'http')
-  const serverURL = `https://${req.get('host')}`;
-  const key = req.params.agentKey;
+// Always use HTTPS (Nginx terminates SSL, so req.protocol might be 'http')
+function setupServerURL(req) {
+  return `https://${req.get('host')}`;
+}
 
-  const script = `#!/bin/bash
+// Bash installer (macOS / Linux). The agent pairs on first start.
+function unixSetupScript(serverURL) {
+  return `#!/bin/bash
 set -e
 
 echo ""
@@ -312,26 +686,12 @@ echo "📁 Agent directory: $AGENT_DIR"
 
 # Write package.json
 cat > package.json << 'PKGJSON'
-{
-  "name": "loginto-agent",
-  "version": "1.0.0",
-  "description": "LogInTo Desktop Agent",
-  "main": "agent.js",
-  "scripts": { "start": "node agent.js", "install-service": "node install-service.js" },
-  "dependencies": {
-    "dotenv": "^16.4.1",
-    "screenshot-desktop": "^1.12.7",
-    "sharp": "^0.33.2",
-    "socket.io-client": "^4.7.4"
-  },
-  "optionalDependencies": { "robotjs": "^0.6.0" }
-}
+${AGENT_PACKAGE_JSON}
 PKGJSON
 
 # Write .env
 cat > .env << ENVFILE
 SERVER_URL=${serverURL}
-AGENT_KEY=${key}
 CAPTURE_QUALITY=92
 CAPTURE_FPS=20
 CAPTURE_SCALE=1.0
@@ -339,10 +699,7 @@ ENVFILE
 
 # Download agent files from server
 echo "📥 Downloading agent files..."
-curl -sfL "${serverURL}/agent-files/agent.js"           -o agent.js
-curl -sfL "${serverURL}/agent-files/capture.js"          -o capture.js
-curl -sfL "${serverURL}/agent-files/input.js"            -o input.js
-curl -sfL "${serverURL}/agent-files/install-service.js"  -o install-service.js
+${AGENT_FILES.map(f => `curl -sfL "${serverURL}/agent-files/${f}" -o ${f}`).join('\n')}
 
 # Install dependencies
 echo "📦 Installing dependencies (this may take a minute)..."
@@ -354,6 +711,7 @@ echo "   ✅ Agent installed successfully!"
 echo "═══════════════════════════════════════════"
 echo ""
 echo "   Starting agent..."
+echo "   Enter the pairing code it shows on your dashboard."
 echo ""
 
 # macOS permissions reminder
@@ -366,19 +724,11 @@ fi
 
 node agent.js
 `;
+}
 
-  res.type('text/plain').send(script);
-});
-
-// ─── Windows Setup Script (PowerShell) ──────────────────
-app.get('/api/setup-win/:agentKey', (req, res) => {
-  const user = users.getByAgentKey(req.params.agentKey);
-  if (!user) return res.status(404).send('# Invalid agent key');
-
-  const serverURL = `https://${req.get('host')}`;
-  const key = req.params.agentKey;
-
-  const script = `
+// PowerShell installer (Windows). The agent pairs on first start.
+function windowsSetupScript(serverURL) {
+  return `
 # LogInTo Agent - Windows PowerShell Installer
 # Run this in PowerShell (as Administrator recommended)
 
@@ -412,25 +762,12 @@ Write-Host "[OK] Agent directory: $agentDir" -ForegroundColor Green
 
 # Write package.json
 @'
-{
-  "name": "loginto-agent",
-  "version": "1.0.0",
-  "description": "LogInTo Desktop Agent",
-  "main": "agent.js",
-  "scripts": { "start": "node agent.js", "install-service": "node install-service.js" },
-  "dependencies": {
-    "dotenv": "^16.4.1",
-    "screenshot-desktop": "^1.12.7",
-    "sharp": "^0.33.2",
-    "socket.io-client": "^4.7.4"
-  }
-}
+${AGENT_PACKAGE_JSON}
 '@ | Set-Content -Path "package.json" -Encoding UTF8
 
 # Write .env
 @"
 SERVER_URL=${serverURL}
-AGENT_KEY=${key}
 CAPTURE_QUALITY=92
 CAPTURE_FPS=20
 CAPTURE_SCALE=1.0
@@ -438,10 +775,7 @@ CAPTURE_SCALE=1.0
 
 # Download agent files
 Write-Host "Downloading agent files..." -ForegroundColor Yellow
-Invoke-WebRequest -Uri "${serverURL}/agent-files/agent.js"           -OutFile "agent.js"           -UseBasicParsing
-Invoke-WebRequest -Uri "${serverURL}/agent-files/capture.js"          -OutFile "capture.js"          -UseBasicParsing
-Invoke-WebRequest -Uri "${serverURL}/agent-files/input.js"            -OutFile "input.js"            -UseBasicParsing
-Invoke-WebRequest -Uri "${serverURL}/agent-files/install-service.js"  -OutFile "install-service.js"  -UseBasicParsing
+${AGENT_FILES.map(f => `Invoke-WebRequest -Uri "${serverURL}/agent-files/${f}" -OutFile "${f}" -UseBasicParsing`).join('\n')}
 
 # Clean any broken sharp install and reinstall everything
 Write-Host "Installing dependencies..." -ForegroundColor Yellow
@@ -461,6 +795,15 @@ if ($LASTEXITCODE -ne 0) {
     Write-Host "[OK] robotjs installed" -ForegroundColor Green
 }
 
+# Try node-datachannel (optional — enables peer-to-peer frames, relay works without it)
+Write-Host "Trying node-datachannel (optional)..." -ForegroundColor Yellow
+& npm install node-datachannel 2>&1 | Out-Null
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "[i] node-datachannel skipped - frames go through the server" -ForegroundColor Yellow
+} else {
+    Write-Host "[OK] node-datachannel installed (peer-to-peer)" -ForegroundColor Green
+}
+
 # Create start script
 @"
 @echo off
@@ -476,12 +819,26 @@ Write-Host "   Agent installed successfully!"              -ForegroundColor Gree
 Write-Host "=============================================" -ForegroundColor Green
 Write-Host ""
 Write-Host "   Starting agent..." -ForegroundColor Cyan
+Write-Host "   Enter the pairing code it shows on your dashboard." -ForegroundColor Cyan
 Write-Host ""
 
 node agent.js
 `;
+}
+
+// Setup script — one-liner install for desktop agent (pairs with a code; no secret in the URL)
+app.get('/api/setup', (req, res) => {
+  res.type('text/plain').send(unixSetupScript(setupServerURL(req)));
+});
+
+app.get('/api/setup-win', (req, res) => {
+  res.type('text/plain').send(windowsSetupScript(setupServerURL(req)));
+});
 
-  res.type('text/plain').send(script);
+// Retired: setup scripts with the agent key in the URL (it leaked into shell history and proxy logs)
+const KEY_IN_URL_GONE = '# This setup link is no longer supported. Copy the current setup command from the dashboard and enter the pairing code the agent prints.\n';
+app.get(['/api/setup/:agentKey', '/api/setup-win/:agentKey'], (req, res) => {
+  res.status(410).type('text/plain').send(KEY_IN_URL_GONE);
 });
 
 // Serve agent source files (for the setup script to download)
@@ -496,7 +853,7 @@ app.use('/agent-files', express.static(path.join(__dirname, '..', 'agent'), {
 // Send WoL magic packet to wake a sleeping machine
 app.post('/api/machines/:userId/:machineId/wake', wakeLimiter, async (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -506,9 +863,14 @@ app.post('/api/machines/:userId/:machineId/wake', wakeLimiter, async (req, res)
     return res.status(400).json({ error: 'No MAC address configured for this machine' });
   }
 
+  const wakeEntry = {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, ...requestOrigin(req)
+  };
+
   // Already online — no need to wake
   const agent = agents.get(machine.agentKey);
   if (agent?.connected) {
+    audit.record('wake', { ...wakeEntry, result: 'already-online' });
     return res.json({ ok: true, alreadyOnline: true, message: 'Machine is already online' });
   }
 
@@ -522,9 +884,11 @@ app.post('/api/machines/:userId/:machineId/wake', wakeLimiter, async (req, res)
       });
     });
     console.log(`WoL: magic packet sent to ${machine.macAddress} via ${broadcastAddress}`);
+    audit.record('wake', { ...wakeEntry, result: 'sent' });
     res.json({ ok: true, message: `Wake-on-LAN packet sent to ${machine.macAddress}` });
   } catch (err) {
     console.error('WoL error:', err);
+    audit.record('wake', { ...wakeEntry, result: 'error' });
     res.status(500).json({ error: 'Failed to send WoL packet: ' + err.message });
   }
 });
@@ -532,7 +896,7 @@ app.post('/api/machines/:userId/:machineId/wake', wakeLimiter, async (req, res)
 // Set or clear Wake-on-LAN MAC address for a machine
 app.patch('/api/machines/:userId/:machineId/mac', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
@@ -562,64 +926,394 @@ app.patch('/api/machines/:userId/:machineId/mac', (req, res) => {
 
 // ─── Invite Links ────────────────────────────────────────
 
-const INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// What a viewer may do besides watching. Owners get everything; invite
+// guests get only what the owner ticked when creating the link.
+const PERMISSION_SCOPES = ['input', 'clipboard', 'displays', 'files', 'audio'];
+const FULL_PERMISSIONS  = { view: true, input: true, clipboard: true, displays: true, files: true, audio: true };
+
+function parsePermissions(p) {
+  const perms = { view: true };
+  for (const scope of PERMISSION_SCOPES) perms[scope] = !!(p && p[scope] === true);
+  return perms;
+}
 
 // Create invite link for a machine
 app.post('/api/invites/:userId/:machineId', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
   if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
 
   const machine = users.getMachine(req.params.userId, req.params.machineId);
   if (!machine) return res.status(404).json({ error: 'Machine not found' });
 
-  const user = users.getById(req.params.userId);
-  const inviteToken = uuidv4();
-  const expiresAt   = Date.now() + INVITE_TTL;
+  // Default is view-only — each extra capability must be granted explicitly
+  const permissions = parsePermissions(req.body?.permissions);
 
-  invites.set(inviteToken, {
+  // Lifetime in hours (default 7 days, clamped to 1h–30d); maxUses = distinct guests (omit for unlimited)
+  const { expiresInHours, maxUses } = req.body || {};
+  const ttl = invites.normalizeTtl(expiresInHours == null ? null : expiresInHours * 60 * 60 * 1000);
+  if (ttl == null) return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+  const uses = invites.normalizeMaxUses(maxUses);
+  if (uses === undefined) return res.status(400).json({ error: 'maxUses must be a whole number from 1 to 100' });
+
+  const user = users.getById(req.params.userId);
+  const { token: inviteToken, invite } = invites.create({
     userId:      req.params.userId,
     machineId:   req.params.machineId,
     machineName: machine.name,
     displayName: user?.displayName || req.params.userId,
-    expiresAt
+    permissions,
+    ttl,
+    maxUses:     uses
+  });
+  audit.record('invite-create', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name,
+    inviteId: invite.id, permissions, expiresAt: invite.expiresAt, maxUses: invite.maxUses,
+    ...requestOrigin(req)
   });
 
   const proto = req.headers['x-forwarded-proto'] || req.protocol;
   const host = `${proto}://${req.get('host')}`;
   res.json({
+    id: invite.id,
     inviteToken,
     inviteUrl: `${host}/viewer.html?invite=${inviteToken}`,
-    expiresAt
+    expiresAt: invite.expiresAt,
+    maxUses:   invite.maxUses,
+    permissions
   });
 });
 
+// List a user's live invites, with who redeemed each one and when
+app.get('/api/invites/:userId', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json({ invites: invites.listForUser(req.params.userId) });
+});
+
 // Public invite info (no auth — viewer page uses this to show whose machine it is)
 app.get('/api/invite-info/:inviteToken', (req, res) => {
-  const inv = invites.get(req.params.inviteToken);
-  if (!inv || Date.now() > inv.expiresAt) {
-    return res.status(404).json({ error: 'Invalid or expired invite link' });
+  const info = invites.info(req.params.inviteToken);
+  if (!info) return res.status(404).json({ error: 'Invalid or expired invite link' });
+  res.json(info);
+});
+
+// Revoke an invite (by the id from the listing, or by its token)
+app.delete('/api/invites/:userId/:inviteId', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const inv = invites.revoke(req.params.userId, req.params.inviteId);
+  if (!inv) return res.status(404).json({ error: 'Invite not found' });
+  audit.record('invite-revoke', {
+    userId: inv.userId, machineId: inv.machineId, machineName: inv.machineName, inviteId: inv.id,
+    ...requestOrigin(req)
+  });
+
+  disconnectInviteGuests([inv.id]);
+  res.json({ ok: true });
+});
+
+// ─── Session Recordings ──────────────────────────────────
+
+// Turn recording on/off for a machine. Applies to a session in progress too.
+app.patch('/api/machines/:userId/:machineId/recording', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+  const machine = users.getMachine(req.params.userId, req.params.machineId);
+  if (!machine || !users.setRecording(req.params.userId, req.params.machineId, enabled)) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  audit.record(enabled ? 'recording-enable' : 'recording-disable', {
+    userId: req.params.userId, machineId: machine.id, machineName: machine.name, ...requestOrigin(req)
+  });
+  updateRecording(machine.agentKey);
+  res.json({ ok: true, record: enabled });
+});
+
+function recordingFileName(rec, ext) {
+  const stamp = new Date(rec.startedAt).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const name = String(rec.machineName || rec.machineId).replace(/[^\w.-]+/g, '_');
+  return `${name}-${stamp}.${ext}`;
+}
+
+// List recordings, newest first. Users see their own; admins may pass
+// ?userId=<id> or ?userId=all. Optional ?machineId filter.
+app.get('/api/recordings', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  let userId = session.userId;
+  const requested = req.query.userId;
+  if (requested && requested !== session.userId) {
+    if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+    userId = requested === 'all' ? null : String(requested);
+  }
+
+  res.json({
+    recordings: recordings.list({
+      userId,
+      machineId: req.query.machineId ? String(req.query.machineId) : null
+    })
+  });
+});
+
+// Download a finished recording (.lrec — see src/recordings.js)
+app.get('/api/recordings/:id', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const rec = recordings.get(req.params.id);
+  if (!rec) return res.status(404).json({ error: 'Recording not found' });
+  if (rec.userId !== session.userId && !users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (!rec.endedAt) return res.status(409).json({ error: 'Recording still in progress' });
+
+  res.download(recordings.filePath(rec.id), recordingFileName(rec, 'lrec'), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Recording file missing' });
+  });
+});
+
+// Export a finished recording to MP4/WebM in the background (see
+// src/export.js). Body: { format: 'mp4' | 'webm' }. Returns the job; poll
+// GET .../export/:format for progress and the file.
+app.post('/api/recordings/:id/export', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const format = req.body?.format;
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: 'format must be mp4 or webm' });
+  const rec = recordings.get(req.params.id);
+  if (!rec) return res.status(404).json({ error: 'Recording not found' });
+  if (rec.userId !== session.userId && !users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (!rec.endedAt) return res.status(409).json({ error: 'Recording still in progress' });
+
+  const started = rec.exports?.[format]?.status !== 'running';
+  const job = recordings.startExport(rec.id, format, { ffmpegPath: FFMPEG_PATH });
+  if (started && job.status === 'running') {
+    audit.record('recording-export', {
+      userId: rec.userId, machineId: rec.machineId, machineName: rec.machineName, recordingId: rec.id,
+      format, by: session.userId, ...requestOrigin(req)
+    });
   }
+  res.status(job.status === 'done' ? 200 : 202).json({ export: job });
+});
+
+// 202 + job while exporting, the file once done, 500 + job if it failed
+app.get('/api/recordings/:id/export/:format', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const rec = recordings.get(req.params.id);
+  if (!rec) return res.status(404).json({ error: 'Recording not found' });
+  if (rec.userId !== session.userId && !users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+  const format = req.params.format;
+  const job = EXPORT_FORMATS[format] ? rec.exports?.[format] : null;
+  if (!job) return res.status(404).json({ error: 'No export in that format' });
+  if (job.status === 'running') return res.status(202).json({ export: job });
+  if (job.status === 'failed') return res.status(500).json({ error: job.error, export: job });
+
+  res.download(recordings.exportPath(rec.id, format), recordingFileName(rec, format), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Export file missing' });
+  });
+});
+
+app.delete('/api/recordings/:id', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  const rec = recordings.get(req.params.id);
+  if (!rec) return res.status(404).json({ error: 'Recording not found' });
+  if (rec.userId !== session.userId && !users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+  if (!recordings.remove(rec.id)) return res.status(409).json({ error: 'Recording still in progress' });
+  audit.record('recording-delete', {
+    userId: rec.userId, machineId: rec.machineId, machineName: rec.machineName, recordingId: rec.id,
+    by: session.userId, ...requestOrigin(req)
+  });
+  res.json({ ok: true });
+});
+
+// ─── Audit Log ───────────────────────────────────────────
+
+// Query the audit log. Users see their own account; admins may pass
+// ?userId=<id> or ?userId=all. Filters: type (comma list), machineId,
+// since / until (ms timestamps), before (entry id, for paging), limit.
+app.get('/api/audit', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+
+  let userId = session.userId;
+  const requested = req.query.userId;
+  if (requested && requested !== session.userId) {
+    if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+    userId = requested === 'all' ? null : String(requested);
+  }
+
+  const since = req.query.since != null ? Number(req.query.since) : null;
+  const until = req.query.until != null ? Number(req.query.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: 'since and until must be timestamps in ms' });
+  }
+
   res.json({
-    userId:      inv.userId,
-    displayName: inv.displayName,
-    machineName: inv.machineName,
-    expiresAt:   inv.expiresAt
+    entries: audit.query({
+      userId,
+      types: req.query.type ? String(req.query.type).split(',') : null,
+      machineId: req.query.machineId ? String(req.query.machineId) : null,
+      since,
+      until,
+      before: req.query.before ? String(req.query.before) : null,
+      limit: req.query.limit
+    })
   });
 });
 
-// Revoke an invite
-app.delete('/api/invites/:userId/:inviteToken', (req, res) => {
+// ─── Admin: User Management ─────────────────────────────
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Drop every session + agent belonging to a user (disable / delete)
+function evictUser(userId) {
+  sessions.revokeAllForUser(userId);
+  disconnectInviteGuests(invites.revokeAllForUser(userId));
+  for (const [, agent] of agents) {
+    if (agent.userId === userId) {
+      agent.socket.emit('kicked', { reason: 'Account disabled' });
+      agent.socket.disconnect();
+    }
+  }
+  io.to(userRoom(userId)).disconnectSockets();
+}
+
+// List all users
+app.get('/api/admin/users', (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!isValidSession(token)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
   const session = getSession(token);
-  if (session.userId !== req.params.userId) return res.status(403).json({ error: 'Forbidden' });
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
 
-  const inv = invites.get(req.params.inviteToken);
-  if (!inv || inv.userId !== req.params.userId) return res.status(404).json({ error: 'Invite not found' });
+  res.json({ users: users.getAllUsers() });
+});
 
-  invites.delete(req.params.inviteToken);
+// Create user
+app.post('/api/admin/users', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+  const { username, password, displayName, role } = req.body;
+  if (!users.isValidUsername(username)) {
+    return res.status(400).json({ error: 'Invalid username (2-32 chars: a-z, 0-9, . _ -)' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (displayName !== undefined && (typeof displayName !== 'string' || displayName.length > 100)) {
+    return res.status(400).json({ error: 'Display name must be a string of at most 100 chars' });
+  }
+  if (role && !['admin', 'user'].includes(role)) return res.status(400).json({ error: 'Role must be admin or user' });
+  if (users.isUsernameTaken(username)) return res.status(409).json({ error: 'Username already taken' });
+
+  const user = await users.createUser({ username, password, displayName, role });
+  if (!user) return res.status(400).json({ error: 'Could not create user' });
+  console.log(`👤 User created: ${user.username} (by ${session.userId})`);
+  res.status(201).json({ user });
+});
+
+// Update user (display name, role, disable/enable)
+app.patch('/api/admin/users/:userId', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+  const target = users.getById(req.params.userId);
+  if (!target) return res.status(404).json({ error: 'User not found' });
+
+  const { displayName, role, disabled } = req.body;
+  if (displayName !== undefined && (typeof displayName !== 'string' || !displayName || displayName.length > 100)) {
+    return res.status(400).json({ error: 'Display name must be 1-100 chars' });
+  }
+  if (role !== undefined && !['admin', 'user'].includes(role)) return res.status(400).json({ error: 'Role must be admin or user' });
+  if (disabled !== undefined && typeof disabled !== 'boolean') return res.status(400).json({ error: 'disabled must be true or false' });
+
+  // Never let the last enabled admin demote or disable themselves out of existence
+  const losesAdmin = (role === 'user' || disabled === true) && users.isAdmin(target.id);
+  if (losesAdmin && users.countActiveAdmins() <= 1) {
+    return res.status(400).json({ error: 'Cannot remove the last active admin' });
+  }
+
+  users.updateUser(target.id, { displayName, role, disabled });
+  if (disabled === true) {
+    evictUser(target.id);
+    console.log(`🚫 User disabled: ${target.id} (by ${session.userId})`);
+  }
+  res.json({ user: users.getAllUsers().find(u => u.id === target.id) });
+});
+
+// Reset a user's password (signs them out everywhere)
+app.post('/api/admin/users/:userId/reset-password', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+  const { password } = req.body;
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  const ok = await users.resetPassword(req.params.userId, password);
+  if (!ok) return res.status(404).json({ error: 'User not found' });
+
+  const keep = req.params.userId === session.userId ? session.id : null;
+  disconnectSessions(sessions.revokeAllForUser(req.params.userId, keep));
+  console.log(`🔑 Password reset: ${req.params.userId} (by ${session.userId})`);
+  res.json({ ok: true });
+});
+
+// Clear a user's two-factor enrollment (lost device and no recovery codes)
+app.delete('/api/admin/users/:userId/totp', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+  const ok = users.disableTotp(req.params.userId);
+  if (!ok) return res.status(404).json({ error: 'User not found' });
+  console.log(`🔓 Two-factor reset: ${req.params.userId} (by ${session.userId})`);
+  res.json({ ok: true });
+});
+
+// Delete user
+app.delete('/api/admin/users/:userId', (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isValidSession(token, req.ip)) return res.status(401).json({ error: 'Unauthorized' });
+  const session = getSession(token);
+  if (!users.isAdmin(session.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+  if (req.params.userId === session.userId) return res.status(400).json({ error: 'You cannot delete your own account' });
+  if (!users.getById(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+
+  evictUser(req.params.userId);
+  users.deleteUser(req.params.userId);
+  console.log(`🗑️  User deleted: ${req.params.userId} (by ${session.userId})`);
   res.json({ ok: true });
 });
 
@@ -634,30 +1328,59 @@ io.use((socket, next) => {
 
   if (role === 'agent') {
     if (!agentKey) return next(new Error('Agent key required'));
-    const user = users.getByAgentKey(agentKey);
+    const user = users.getByAgentKey(agentKey, { allowPrevious: true });
     if (!user) return next(new Error('Invalid agent key'));
     socket.userId = user.id;
     socket.displayName = user.displayName;
-    socket.agentKey = agentKey;
+    // Agents still on a rotated-out key are filed under the machine's current key
+    socket.authKey = agentKey;
+    socket.agentKey = user.agentKey;
+    socket.usingPreviousKey = user.previousKey;
     socket.machineId = user.machineId;
     socket.machineName = user.machineName;
     socket.role = 'agent';
+    // Agents that can answer 'approval-request' are asked before guests get in
+    socket.supportsApproval = socket.handshake.auth.approval === true;
+    // Agents with a WebRTC stack answer viewers' peer-to-peer offers
+    socket.supportsWebRTC = socket.handshake.auth.webrtc === true;
+    next();
+  } else if (role === 'pairing') {
+    // Agent without a key, waiting for its owner to enter a pairing code
+    socket.role = 'pairing';
     next();
   } else if (inviteToken) {
-    const inv = invites.get(inviteToken);
-    if (!inv || Date.now() > inv.expiresAt) return next(new Error('Invalid or expired invite link'));
+    socket.guestDevice = sessions.describeDevice(socket.handshake.headers['user-agent']);
+    const redeemed = invites.redeem(inviteToken, {
+      guestToken: socket.handshake.auth.guestToken,
+      ip: socketIp(socket),
+      userAgent: socket.handshake.headers['user-agent']
+    });
+    if (!redeemed) return next(new Error('Invalid or expired invite link'));
+    const inv = redeemed.invite;
+    if (redeemed.firstUse) {
+      audit.record('invite-redeem', {
+        userId: inv.userId, machineId: inv.machineId, machineName: inv.machineName, inviteId: inv.id,
+        ip: socketIp(socket), device: socket.guestDevice
+      });
+    }
     socket.userId = inv.userId;
     socket.role = 'viewer';
     socket.machineId = inv.machineId;
     socket.isInvited = true;
+    socket.inviteId = inv.id;
+    socket.guestId = redeemed.redemptionId;         // server-issued, stable across this guest's reconnects
+    socket.newGuestToken = redeemed.guestToken;     // handed to the guest once, on first use
+    socket.permissions = inv.permissions || parsePermissions(null);
     next();
   } else {
-    if (!isValidSession(token)) return next(new Error('Authentication required'));
+    if (!isValidSession(token, socketIp(socket))) return next(new Error('Authentication required'));
     const session = getSession(token);
     socket.userId = session.userId;
+    socket.sessionId = session.id;
     socket.role = role || 'viewer';
     // Viewer specifies which machine to connect to
     socket.machineId = socket.handshake.auth.machineId || null;
+    socket.permissions = FULL_PERMISSIONS;
     next();
   }
 });
@@ -665,6 +1388,277 @@ io.use((socket, next) => {
 // ─── Room helpers ────────────────────────────────────────
 function viewerRoom(agentKey) { return `viewers:${agentKey}`; }
 function userRoom(userId)     { return `user:${userId}`; }
+// Subset of a machine's viewers allowed to see its clipboard
+function clipboardRoom(agentKey) { return `clipboard:${agentKey}`; }
+// Invited guests waiting for the owner to approve them
+function pendingRoom(agentKey) { return `pending:${agentKey}`; }
+// Viewers that get frames through the relay (not over a P2P data channel)
+function frameRoom(agentKey)   { return `frames:${agentKey}`; }
+// Viewers that unmuted the machine's audio
+function audioRoom(agentKey)   { return `audio:${agentKey}`; }
+
+// Tell the agent how many viewers still need relayed frames (0 = P2P only, skip the upload)
+function updateRelayDemand(agentKey) {
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (!agent?.connected) return;
+  const room = io.sockets.adapter.rooms.get(frameRoom(agentKey));
+  // A recording needs every frame at the server, even with all viewers on P2P
+  agent.socket.emit('relay-demand', { viewers: (room ? room.size : 0) + (agent.recording ? 1 : 0) });
+}
+
+// Tell the agent how many viewers are listening (0 = stop capturing audio)
+function updateAudioDemand(agentKey) {
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (!agent?.connected) return;
+  const room = io.sockets.adapter.rooms.get(audioRoom(agentKey));
+  agent.socket.emit('audio-demand', { listeners: room ? room.size : 0 });
+}
+
+// ─── Session Recording ───────────────────────────────────
+// Machines with recording turned on are recorded whenever someone is
+// watching — one recording per stretch of viewing (see ./recordings).
+function updateRecording(agentKey) {
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (!agent) return;
+  const room = io.sockets.adapter.rooms.get(viewerRoom(agentKey));
+  const wanted = agent.connected && !!room?.size && !!users.getMachine(agent.userId, agent.machineId)?.record;
+  if (wanted === !!agent.recording) return;
+
+  const fields = { userId: agent.userId, machineId: agent.machineId, machineName: agent.machineName };
+  if (wanted) {
+    agent.recording = recordings.start(fields);
+    if (agent.screenInfo) agent.recording.screenInfo(agent.screenInfo);
+    agent.socket.emit('request-keyframe');   // deltas before the first full frame can't be played back
+    audit.record('recording-start', { ...fields, recordingId: agent.recording.meta.id });
+    console.log(`🎥 Recording ${agent.machineName || agent.machineId}`);
+  } else {
+    const { meta } = agent.recording;
+    recordings.stop(agent.recording);
+    agent.recording = null;
+    audit.record('recording-stop', { ...fields, recordingId: meta.id, durationMs: meta.endedAt - meta.startedAt, bytes: meta.bytes });
+    console.log(`🎥 Recording saved: ${agent.machineName || agent.machineId} (${(meta.bytes / 1048576).toFixed(1)} MB)`);
+  }
+  updateRelayDemand(agentKey);
+}
+
+// Pick the video codec for a machine's stream: the agent's first choice that
+// every admitted viewer can decode, else null (JPEG). Viewers that haven't
+// reported yet count as JPEG-only.
+function updateVideoCodec(agentKey) {
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (!agent?.connected) return;
+  const offered = Array.isArray(agent.screenInfo?.video?.codecs) ? agent.screenInfo.video.codecs : [];
+  const viewers = [...(io.sockets.adapter.rooms.get(viewerRoom(agentKey)) || [])]
+    .map(id => io.sockets.sockets.get(id)).filter(Boolean);
+  const codec = viewers.length
+    ? offered.find(c => viewers.every(v => v.videoCodecs?.includes(c))) || null
+    : null;
+  if (agent.videoCodec === codec) return;
+  agent.videoCodec = codec;
+  agent.socket.emit('video-codec', { codec });
+}
+
+// ─── Frame Pacing ────────────────────────────────────────
+// Relayed viewers ack every frame. A viewer with FRAME_WINDOW frames still
+// unacknowledged is skipped, and when it catches up it gets the newest full
+// frame that arrived meanwhile — a phone on 3G sees fewer, fresher frames
+// while a desktop watching the same machine gets them all. Skipping a delta
+// frame would corrupt the picture, so after that the viewer only gets full
+// frames until the next keyframe (which the relay asks the agent for).
+const FRAME_WINDOW = 2;               // unacknowledged frames per viewer
+const FRAME_ACK_TIMEOUT = 5000;       // an unacked frame stops counting after this
+const RELAY_STATS_INTERVAL = 2000;    // per-viewer throughput window
+const KEYFRAME_ASK_INTERVAL = 1000;   // per viewer, on top of the agent's own limit
+
+function createPace() {
+  return {
+    inFlight: 0,
+    pending: null,          // newest full frame waiting for the window to open
+    pendingStale: false,    // a delta after `pending` was dropped — it needs a keyframe too
+    needKeyframe: false,    // a delta was dropped — hold deltas until a full frame goes out
+    keyframeAskedAt: 0,
+    totals: { sent: 0, acked: 0, dropped: 0, timeouts: 0, bytes: 0 },
+    window: { acked: 0, dropped: 0, bytes: 0, ackMs: 0 },
+    stats: null             // last window's summary (see RELAY_STATS_INTERVAL)
+  };
+}
+
+function paceFrame(viewer, frame, agentSocket) {
+  const pace = viewer.pace;
+  if (pace.inFlight < FRAME_WINDOW && !pace.pending) {
+    if (frame.delta && pace.needKeyframe) return dropPacedFrame(viewer, frame, agentSocket);
+    if (!frame.delta) pace.needKeyframe = false;
+    return sendPacedFrame(viewer, frame);
+  }
+  // Behind — keep only the newest full frame for when it catches up
+  if (frame.delta) {
+    pace.needKeyframe = true;
+    if (pace.pending) pace.pendingStale = true;
+    return dropPacedFrame(viewer, frame, agentSocket);
+  }
+  if (pace.pending) dropPacedFrame(viewer, pace.pending, agentSocket);
+  pace.pending = frame;
+  pace.pendingStale = false;
+}
+
+function dropPacedFrame(viewer, frame, agentSocket) {
+  const pace = viewer.pace;
+  pace.totals.dropped++;
+  pace.window.dropped++;
+  const now = Date.now();
+  if (frame.delta && now - pace.keyframeAskedAt >= KEYFRAME_ASK_INTERVAL) {
+    pace.keyframeAskedAt = now;
+    agentSocket.emit('request-keyframe');
+  }
+}
+
+function sendPacedFrame(viewer, frame) {
+  const pace = viewer.pace;
+  const bytes = frame.data?.length || 0;
+  const sentAt = Date.now();
+  pace.inFlight++;
+  pace.totals.sent++;
+  viewer.timeout(FRAME_ACK_TIMEOUT).emit('frame', frame, (err) => {
+    pace.inFlight--;
+    if (err) {
+      pace.totals.timeouts++;
+    } else {
+      pace.totals.acked++;
+      pace.totals.bytes += bytes;
+      pace.window.acked++;
+      pace.window.bytes += bytes;
+      pace.window.ackMs += Date.now() - sentAt;
+    }
+    if (pace.pending && pace.inFlight < FRAME_WINDOW && viewer.connected) {
+      const next = pace.pending;
+      pace.pending = null;
+      pace.needKeyframe = pace.pendingStale;
+      pace.pendingStale = false;
+      sendPacedFrame(viewer, next);
+    }
+  });
+}
+
+// Close each viewer's throughput window and tell relayed viewers how they're doing
+setInterval(() => {
+  for (const [, sock] of io.sockets.sockets) {
+    if (!sock.pace || !sock.admitted) continue;
+    const pace = sock.pace;
+    const w = pace.window;
+    pace.stats = {
+      fps: Math.round(w.acked * 10000 / RELAY_STATS_INTERVAL) / 10,
+      kbps: Math.round(w.bytes * 8 / RELAY_STATS_INTERVAL),
+      ackMs: w.acked ? Math.round(w.ackMs / w.acked) : null,
+      dropped: w.dropped,
+      inFlight: pace.inFlight,
+      relayed: sock.rooms.has(frameRoom(sock.agentKey))
+    };
+    pace.window = { acked: 0, dropped: 0, bytes: 0, ackMs: 0 };
+    if (pace.stats.relayed) sock.emit('relay-stats', pace.stats);
+  }
+}, RELAY_STATS_INTERVAL);
+
+// ─── Viewer Admission ────────────────────────────────────
+const APPROVAL_TIMEOUT = 90 * 1000; // agent prompts time out after 60s; leave headroom
+
+// File transfer: every request carries at most one chunk (agent/files.js
+// reads and writes 256 KB at a time), so nothing is buffered here beyond it
+const FILE_CHUNK_BYTES = 256 * 1024;
+const FILE_SEALED_BYTES = 400 * 1024;   // E2E: a chunk as base64 in sealed JSON
+const FILE_TIMEOUT = 30 * 1000;
+const FILE_MAX_IN_FLIGHT = 2;           // requests per viewer awaiting the agent
+const FILE_MAX_UPLOADS = 8;             // unfinished multi-chunk uploads per viewer
+const FILE_UPLOAD_IDLE = 2 * 60 * 1000; // same as the agent's UPLOAD_IDLE_MS — it has dropped the upload by then
+
+function viewerAuditFields(socket) {
+  return {
+    userId: socket.userId,
+    machineId: socket.machineId,
+    machineName: socket.machineName,
+    guest: !!socket.isInvited,
+    inviteId: socket.inviteId,
+    ip: socketIp(socket),
+    device: socket.guestDevice || sessions.describeDevice(socket.handshake.headers['user-agent'])
+  };
+}
+
+// Start sending a viewer frames (owners immediately, guests once approved)
+function admitViewer(socket) {
+  const agentKey = socket.agentKey;
+  socket.admitted = true;
+  socket.admittedAt = Date.now();
+  audit.record('viewer-connect', viewerAuditFields(socket));
+  if (agentKey) {
+    socket.leave(pendingRoom(agentKey));
+    socket.join(viewerRoom(agentKey));
+    socket.join(frameRoom(agentKey));
+    if (socket.permissions.clipboard) socket.join(clipboardRoom(agentKey));
+    updateRelayDemand(agentKey);
+    updateVideoCodec(agentKey);
+    updateRecording(agentKey);
+  }
+
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (agent?.connected) {
+    socket.emit('agent-status', { connected: true });
+    agent.socket.emit('start-streaming');
+    if (agent.screenInfo) socket.emit('screen-info', agent.screenInfo);
+  } else {
+    socket.emit('agent-status', { connected: false });
+  }
+}
+
+/**
+ * Ask the machine's agent whether an invited guest may join.
+ * Guests wait in pendingRoom while the agent is offline or the owner decides;
+ * agents that don't support approval admit guests straight away (legacy).
+ */
+function requestGuestApproval(socket) {
+  const agentKey = socket.agentKey;
+  const agent = agentKey ? agents.get(agentKey) : null;
+  if (!agent?.connected) {
+    if (agentKey) socket.join(pendingRoom(agentKey));
+    socket.emit('agent-status', { connected: false });
+    return;
+  }
+  if (!agent.supportsApproval) return admitViewer(socket);
+
+  // Reconnects from a guest the owner already let in don't prompt again
+  const guestKey = socket.guestId ? `${socket.inviteId}:${socket.guestId}` : null;
+  if (guestKey && agent.approvedGuests.has(guestKey)) return admitViewer(socket);
+  if (socket.approvalPending) return;
+
+  socket.approvalPending = true;
+  socket.join(pendingRoom(agentKey));
+  socket.emit('approval-pending');
+  console.log(`🙋 Guest waiting for approval: ${socket.guestDevice} → ${agent.machineName}`);
+
+  agent.socket.timeout(APPROVAL_TIMEOUT).emit('approval-request', {
+    guest: { device: socket.guestDevice, ip: socketIp(socket) },
+    permissions: socket.permissions
+  }, (err, res) => {
+    socket.approvalPending = false;
+    if (!socket.connected) return;
+    // Agent went away mid-prompt — stay pending; its next connect asks again
+    if (err && !agent.socket.connected) return;
+
+    const entry = {
+      userId: socket.userId, machineId: agent.machineId, machineName: agent.machineName,
+      inviteId: socket.inviteId, ip: socketIp(socket), device: socket.guestDevice
+    };
+    if (!err && res?.approved === true) {
+      audit.record('guest-approved', entry);
+      if (guestKey) agent.approvedGuests.add(guestKey);
+      console.log(`✅ Guest approved: ${socket.guestDevice} → ${agent.machineName}`);
+      admitViewer(socket);
+    } else {
+      audit.record('guest-declined', { ...entry, reason: err ? 'timeout' : 'declined' });
+      console.log(`🚫 Guest ${err ? 'not answered' : 'declined'}: ${socket.guestDevice} → ${agent.machineName}`);
+      socket.emit('approval-denied', { reason: err ? 'timeout' : 'declined' });
+      socket.disconnect(true);
+    }
+  });
+}
 
 // ─── Socket.IO Connection Handler ────────────────────────
 io.on('connection', (socket) => {
@@ -685,24 +1679,78 @@ io.on('connection', (socket) => {
       connected: true,
       userId: socket.userId,
       machineId: socket.machineId,
-      machineName: socket.machineName
+      machineName: socket.machineName,
+      supportsApproval: socket.supportsApproval,
+      supportsWebRTC: socket.supportsWebRTC,
+      videoCodec: null,           // negotiated in updateVideoCodec
+      recording: null,            // open Recording while a recorded machine is watched
+      approvedGuests: new Set()   // `${inviteId}:${guestId}` let in during this connection
     });
 
+    if (socket.usingPreviousKey) {
+      const machine = users.getMachine(socket.userId, socket.machineId);
+      socket.emit('key-rotated', {
+        reason: KEY_ROTATED_REASON,
+        expiresAt: machine?.previousKeyExpiresAt
+      });
+    }
+
+    // A new agent process has no P2P links yet — everyone starts on the relay
+    io.in(viewerRoom(socket.agentKey)).socketsJoin(frameRoom(socket.agentKey));
+    updateRelayDemand(socket.agentKey);
+    updateAudioDemand(socket.agentKey);
+
     // Notify viewers watching this machine + dashboard
     io.to(viewerRoom(socket.agentKey)).emit('agent-status', { connected: true });
     io.to(userRoom(socket.userId)).emit('machine-status', {
       machineId: socket.machineId, connected: true
     });
 
+    // Guests who arrived while the machine was offline still need approval
+    const waiting = io.sockets.adapter.rooms.get(pendingRoom(socket.agentKey));
+    for (const id of [...(waiting || [])]) {
+      const guest = io.sockets.sockets.get(id);
+      if (guest) requestGuestApproval(guest);
+    }
+
     socket.on('screen-info', (info) => {
       const agent = agents.get(socket.agentKey);
       if (agent) agent.screenInfo = info;
       io.to(viewerRoom(socket.agentKey)).emit('screen-info', info);
+      updateVideoCodec(socket.agentKey);
+      if (agent?.recording) agent.recording.screenInfo(info);
+      else updateRecording(socket.agentKey);
     });
 
-    // Frame relay — uses volatile + room broadcast (O(1) lookup instead of O(n) forEach)
+    // Frame relay — paced per viewer (see Frame Pacing).
+    // Viewers on a direct P2P channel have left frameRoom.
     socket.on('frame', (frameData) => {
-      io.to(viewerRoom(socket.agentKey)).volatile.emit('frame', frameData);
+      if (!frameData) return;
+      const agent = agents.get(socket.agentKey);
+      if (agent?.recording) agent.recording.frame(frameData);
+      const room = io.sockets.adapter.rooms.get(frameRoom(socket.agentKey));
+      if (!room) return;
+      for (const id of room) {
+        const viewer = io.sockets.sockets.get(id);
+        if (viewer?.pace) paceFrame(viewer, frameData, socket);
+      }
+    });
+
+    // WebRTC answer / ICE → the viewer that made the offer (must be watching this machine)
+    ['rtc-answer', 'rtc-ice'].forEach(event => {
+      socket.on(event, (data) => {
+        const viewer = data && typeof data.viewerId === 'string' ? io.sockets.sockets.get(data.viewerId) : null;
+        if (!viewer?.admitted || viewer.agentKey !== socket.agentKey) return;
+        const { viewerId, ...payload } = data;
+        viewer.emit(event, payload);
+      });
+    });
+
+    // Opus packets (see agent/audio.js) → viewers that unmuted. Late audio is
+    // worthless, so a viewer that can't keep up just misses packets.
+    socket.on('audio', (packet) => {
+      if (!Buffer.isBuffer(packet?.data)) return;
+      io.to(audioRoom(socket.agentKey)).volatile.emit('audio', packet);
     });
 
     // Relay displays-list from agent → viewers
@@ -710,13 +1758,23 @@ io.on('connection', (socket) => {
       io.to(viewerRoom(socket.agentKey)).emit('displays-list', displays);
     });
 
-    // Relay clipboard-content from agent → viewers
+    // Relay windows-list from agent → viewers
+    socket.on('windows-list', (windows) => {
+      io.to(viewerRoom(socket.agentKey)).emit('windows-list', windows);
+    });
+
+    // Relay clipboard-content from agent → viewers with clipboard access
     socket.on('clipboard-content', (data) => {
-      io.to(viewerRoom(socket.agentKey)).emit('clipboard-content', data);
+      io.to(clipboardRoom(socket.agentKey)).emit('clipboard-content', data);
     });
 
     socket.on('disconnect', () => {
       console.log(`🖥️  Agent offline: ${socket.displayName} — ${socket.machineName || socket.agentKey}`);
+      const agent = agents.get(socket.agentKey);
+      if (agent?.socket === socket) {
+        agent.connected = false;
+        updateRecording(socket.agentKey);
+      }
       agents.delete(socket.agentKey);
       io.to(viewerRoom(socket.agentKey)).emit('agent-status', { connected: false });
       io.to(userRoom(socket.userId)).emit('machine-status', {
@@ -728,32 +1786,30 @@ io.on('connection', (socket) => {
   // ═══ VIEWER ═══
   else if (socket.role === 'viewer') {
     // Resolve agentKey from machineId
-    let agentKey = null;
-    if (socket.machineId) {
-      const machine = users.getMachine(socket.userId, socket.machineId);
-      if (machine) agentKey = machine.agentKey;
-    }
-    if (!agentKey) {
-      // Fallback: use first machine's agentKey (legacy / single-machine compat)
-      const machines = users.getMachines(socket.userId);
-      if (machines.length > 0) agentKey = machines[0].agentKey;
+    let machine = socket.machineId ? users.getMachine(socket.userId, socket.machineId) : null;
+    if (!machine) {
+      // Fallback: use first machine (legacy / single-machine compat)
+      machine = users.getMachines(socket.userId)[0] || null;
     }
+    const agentKey = machine ? machine.agentKey : null;
 
     socket.agentKey = agentKey;
+    if (machine) socket.machineId = machine.id;
+    socket.machineName = machine?.name;
+    socket.pace = createPace();
     console.log(`📱 Viewer connected: ${socket.userId} → machine ${socket.machineId || 'default'}`);
 
-    // Join rooms (supports multiple concurrent viewers per machine)
-    if (agentKey) socket.join(viewerRoom(agentKey));
+    // Machine rooms are joined on admission (supports multiple concurrent viewers per machine)
     socket.join(userRoom(socket.userId));
 
-    const agent = agentKey ? agents.get(agentKey) : null;
-    if (agent?.connected) {
-      socket.emit('agent-status', { connected: true });
-      agent.socket.emit('start-streaming');
-      if (agent.screenInfo) socket.emit('screen-info', agent.screenInfo);
-    } else {
-      socket.emit('agent-status', { connected: false });
-    }
+    // Tell the viewer what it may do so it can hide the rest of the UI
+    socket.emit('permissions', socket.permissions);
+    // New guests keep this to reconnect without using up another invite slot
+    if (socket.newGuestToken) socket.emit('guest-token', { guestToken: socket.newGuestToken });
+
+    // Owners go straight in; invited guests may need the owner's approval first
+    if (socket.isInvited) requestGuestApproval(socket);
+    else admitViewer(socket);
 
     // ─── Input Validation Helpers ─────────────────────────
     function validCoord(v) { return typeof v === 'number' && isFinite(v) && v >= -10 && v <= 100000; }
@@ -761,71 +1817,291 @@ io.on('connection', (socket) => {
     function validMouse(d) { return d && validCoord(d.x) && validCoord(d.y); }
     function validScroll(d) { return validMouse(d) && typeof d.deltaX === 'number' && typeof d.deltaY === 'number'; }
     function validKey(d) { return d && typeof d.key === 'string' && d.key.length <= 20; }
+    function can(scope) { return socket.admitted === true && socket.permissions[scope] === true; }
+    // E2E mode: payload is ciphertext the server can't inspect — only bound its size
+    // (the agent authenticates and validates it after decrypting)
+    function sealed(d, maxBytes = 4096) { return d && Buffer.isBuffer(d.e2e) && d.e2e.length <= maxBytes; }
+
+    // Forward input to the agent — and into the recording, if there is one
+    function relayInput(event, data) {
+      const agent = socket.agentKey ? agents.get(socket.agentKey) : null;
+      if (!agent?.connected) return;
+      agent.socket.emit(event, data);
+      if (agent.recording) agent.recording.input(event, data, socket.isInvited ? 'guest' : 'owner');
+    }
 
     // Relay input → agent (with validation)
     ['mouse-move', 'mouse-click', 'mouse-double-click',
      'mouse-right-click', 'mouse-down', 'mouse-up'
     ].forEach(event => {
       socket.on(event, (data) => {
-        if (!validMouse(data)) return;
-        if (data.button && !validButton(data.button)) return;
-        const agent = socket.agentKey ? agents.get(socket.agentKey) : null;
-        if (agent?.connected) agent.socket.emit(event, data);
+        if (!can('input')) return;
+        if (!sealed(data)) {
+          if (!validMouse(data)) return;
+          if (data.button && !validButton(data.button)) return;
+        }
+        relayInput(event, data);
       });
     });
 
     socket.on('mouse-scroll', (data) => {
-      if (!validScroll(data)) return;
-      const agent = socket.agentKey ? agents.get(socket.agentKey) : null;
-      if (agent?.connected) agent.socket.emit('mouse-scroll', data);
+      if (!can('input')) return;
+      if (!sealed(data) && !validScroll(data)) return;
+      relayInput('mouse-scroll', data);
     });
 
     socket.on('key-press', (data) => {
-      if (!validKey(data)) return;
-      if (data.modifiers && !Array.isArray(data.modifiers)) return;
-      const agent = socket.agentKey ? agents.get(socket.agentKey) : null;
-      if (agent?.connected) agent.socket.emit('key-press', data);
+      if (!can('input')) return;
+      if (!sealed(data)) {
+        if (!validKey(data)) return;
+        if (data.modifiers && !Array.isArray(data.modifiers)) return;
+      }
+      relayInput('key-press', data);
     });
 
     socket.on('key-type', (data) => {
-      if (!data || typeof data.text !== 'string' || data.text.length > 500) return;
-      const agent = socket.agentKey ? agents.get(socket.agentKey) : null;
-      if (agent?.connected) agent.socket.emit('key-type', data);
+      if (!can('input')) return;
+      if (!sealed(data) && (!data || typeof data.text !== 'string' || data.text.length > 500)) return;
+      relayInput('key-type', data);
     });
 
+    // Stream tuning changes what every viewer of the machine gets, so it
+    // needs the same control permission as input
     socket.on('update-quality', (data) => {
+      if (!can('input')) return;
       if (!data || typeof data.quality !== 'number' || data.quality < 10 || data.quality > 100) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('update-quality', data);
     });
     socket.on('update-fps', (data) => {
+      if (!can('input')) return;
       if (!data || typeof data.fps !== 'number' || data.fps < 1 || data.fps > 60) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('update-fps', data);
     });
+    // How the stream looks from this viewer's end — the agent's bitrate
+    // controller adapts to the worst one. Relayed viewers get the server's
+    // own delivery numbers for them attached.
+    socket.on('viewer-feedback', (data) => {
+      if (!socket.admitted || !data || typeof data !== 'object') return;
+      const num = (v, max) => (typeof v === 'number' && Number.isFinite(v) && v >= 0 ? Math.min(v, max) : null);
+      const feedback = {
+        viewerId: socket.id,
+        profile: ['smooth', 'balanced', 'sharp', 'manual'].includes(data.profile) ? data.profile : null,
+        rtt: num(data.rtt, 60000),
+        decodeMs: num(data.decodeMs, 60000),
+        received: num(data.received, 10000),
+        dropped: num(data.dropped, 10000)
+      };
+      const relay = socket.pace.stats?.relayed ? socket.pace.stats : null;
+      if (relay) {
+        feedback.ackMs = relay.ackMs;
+        feedback.relayDropped = relay.dropped;
+      }
+      const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+      if (a?.connected) a.socket.emit('viewer-feedback', feedback);
+    });
+    // Delta frames only patch the canvas — a viewer that joined late or
+    // dropped one asks for a full frame. Any viewer may ask (view-only guests
+    // need a picture too), at most once per KEYFRAME_ASK_INTERVAL.
+    socket.on('request-keyframe', () => {
+      if (!socket.admitted) return;
+      const now = Date.now();
+      if (now - socket.pace.keyframeAskedAt < KEYFRAME_ASK_INTERVAL) return;
+      socket.pace.keyframeAskedAt = now;
+      const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+      if (a?.connected) a.socket.emit('request-keyframe');
+    });
 
     // Multi-monitor
     socket.on('list-screens', () => {
+      if (!can('displays')) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('list-screens');
     });
     socket.on('switch-screen', (data) => {
+      if (!can('displays')) return;
       if (!data || data.displayId == null) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('switch-screen', data);
     });
 
+    // Window streaming (X11 agents) — same permission as picking a display
+    socket.on('list-windows', () => {
+      if (!can('displays')) return;
+      const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+      if (a?.connected) a.socket.emit('list-windows');
+    });
+    socket.on('switch-window', (data) => {
+      if (!can('displays')) return;
+      if (!data || (typeof data.windowId !== 'string' && typeof data.windowId !== 'number')) return;
+      const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+      if (a?.connected) a.socket.emit('switch-window', { windowId: String(data.windowId) });
+    });
+
     // Clipboard sync
     socket.on('clipboard-write', (data) => {
-      if (!data || typeof data.text !== 'string' || data.text.length > 50000) return;
+      if (!can('clipboard')) return;
+      if (!sealed(data, 256 * 1024) && (!data || typeof data.text !== 'string' || data.text.length > 50000)) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('clipboard-write', data);
     });
     socket.on('clipboard-read', () => {
+      if (!can('clipboard')) return;
       const a = socket.agentKey ? agents.get(socket.agentKey) : null;
       if (a?.connected) a.socket.emit('clipboard-read');
     });
 
+    // File transfer — request/response over acks, one chunk per request.
+    // Uploads are tracked from their first chunk so later ones can't exceed
+    // the size it announced. E2E requests are opaque: only their size is
+    // bounded here, and they leave no audit entry.
+    const fileUploads = new Map();   // upload id → { size, expiresAt }
+    let fileRequests = 0;
+
+    function liveUpload(id) {
+      const up = typeof id === 'string' ? fileUploads.get(id) : null;
+      if (up && Date.now() > up.expiresAt) {
+        fileUploads.delete(id);
+        return null;
+      }
+      return up;
+    }
+
+    // Room for one more tracked upload, after forgetting ones the agent has given up on
+    function uploadSlotFree() {
+      for (const id of [...fileUploads.keys()]) liveUpload(id);
+      return fileUploads.size < FILE_MAX_UPLOADS;
+    }
+
+    function validFilePath(p) { return p == null || (typeof p === 'string' && p.length <= 4096); }
+    function validFileName(n) { return typeof n === 'string' && n.length > 0 && n.length <= 255; }
+    function validOffset(v) { return Number.isInteger(v) && v >= 0 && v <= FILE_MAX_BYTES; }
+
+    function validFileRequest(event, d) {
+      if (!d || typeof d !== 'object') return false;
+      switch (event) {
+        case 'file-list':     return validFilePath(d.path);
+        case 'file-download': return validFilePath(d.path) && (d.offset == null || validOffset(d.offset));
+        case 'file-rename':   return validFilePath(d.path) && validFileName(d.name);
+        case 'file-delete':   return validFilePath(d.path);
+        case 'file-upload': {
+          if (!Buffer.isBuffer(d.data) || d.data.length > FILE_CHUNK_BYTES || !validOffset(d.offset)) return false;
+          if (d.id == null) return validFilePath(d.dir) && validFileName(d.name) && validOffset(d.size) && d.offset + d.data.length <= d.size;
+          const up = liveUpload(d.id);
+          return !!up && d.offset + d.data.length <= up.size;
+        }
+      }
+      return false;
+    }
+
+    // Check what the agent sent back (plaintext only) and audit finished work
+    function checkFileResponse(event, d, res) {
+      if (res.error) {
+        if (event === 'file-upload' && d.id) fileUploads.delete(d.id);
+        return res;
+      }
+      const entry = () => ({ ...viewerAuditFields(socket), path: res.path || d.path });
+      switch (event) {
+        case 'file-download':
+          if (!Buffer.isBuffer(res.data) || res.data.length > FILE_CHUNK_BYTES) return { error: 'Bad response from machine' };
+          if (!(res.size <= FILE_MAX_BYTES)) return { error: `Larger than ${FILE_MAX_BYTES / 1024 / 1024} MB` };
+          if (!d.offset) audit.record('file-download', { ...entry(), size: res.size });
+          break;
+        case 'file-upload':
+          if (res.done) {
+            fileUploads.delete(res.id);
+            audit.record('file-upload', { ...entry(), size: res.written });
+          } else if (d.id == null && typeof res.id === 'string') {
+            fileUploads.set(res.id, { size: d.size, expiresAt: Date.now() + FILE_UPLOAD_IDLE });
+          } else if (fileUploads.has(d.id)) {
+            fileUploads.get(d.id).expiresAt = Date.now() + FILE_UPLOAD_IDLE;
+          }
+          break;
+        case 'file-rename':
+          audit.record('file-rename', { ...entry(), from: d.path });
+          break;
+        case 'file-delete':
+          audit.record('file-delete', entry());
+          break;
+      }
+      return res;
+    }
+
+    for (const event of ['file-list', 'file-download', 'file-upload', 'file-rename', 'file-delete']) {
+      socket.on(event, (data, ack) => {
+        if (typeof ack !== 'function') return;
+        if (!can('files')) return ack({ error: 'Not allowed' });
+        const encrypted = sealed(data, FILE_SEALED_BYTES);
+        if (!encrypted && !validFileRequest(event, data)) return ack({ error: 'Bad request' });
+        const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+        if (!a?.connected) return ack({ error: 'Machine is offline' });
+        if (!a.screenInfo?.files) return ack({ error: 'File transfer is off on this machine' });
+        if (fileRequests >= FILE_MAX_IN_FLIGHT) return ack({ error: 'Busy — try again' });
+        // A first chunk that isn't the whole file would need tracking — refuse it rather than lose track
+        if (!encrypted && event === 'file-upload' && data.id == null && data.data.length < data.size && !uploadSlotFree()) {
+          return ack({ error: 'Too many unfinished uploads — try again shortly' });
+        }
+
+        fileRequests++;
+        a.socket.timeout(FILE_TIMEOUT).emit(event, data, (err, res) => {
+          fileRequests--;
+          if (err || !res || typeof res !== 'object') {
+            if (!encrypted && event === 'file-upload' && data.id != null) fileUploads.delete(data.id);
+            return ack({ error: 'Machine did not respond' });
+          }
+          ack(encrypted ? res : checkFileResponse(event, data, res));
+        });
+      });
+    }
+
+    // WebRTC signaling — offer / ICE go to the agent tagged with this viewer's id;
+    // the media itself then flows peer-to-peer, never through the server
+    function rtcAgent() {
+      const a = socket.agentKey ? agents.get(socket.agentKey) : null;
+      return socket.admitted && a?.connected && a.supportsWebRTC ? a : null;
+    }
+    socket.on('rtc-offer', (data) => {
+      const a = rtcAgent();
+      if (!a || !data || typeof data.sdp !== 'string' || data.sdp.length > 20000) return;
+      a.socket.emit('rtc-offer', { viewerId: socket.id, sdp: data.sdp });
+    });
+    socket.on('rtc-ice', (data) => {
+      const a = rtcAgent();
+      const c = data?.candidate;
+      if (!a || !c || typeof c.candidate !== 'string' || c.candidate.length > 1000) return;
+      a.socket.emit('rtc-ice', {
+        viewerId: socket.id,
+        candidate: { candidate: c.candidate, sdpMid: typeof c.sdpMid === 'string' ? c.sdpMid.slice(0, 32) : '0' }
+      });
+    });
+    // Viewer reports whether frames now arrive over its data channel
+    socket.on('rtc-state', (data) => {
+      if (!socket.admitted || !socket.agentKey) return;
+      if (data?.p2p === true && rtcAgent()) {
+        socket.leave(frameRoom(socket.agentKey));
+        socket.pace.pending = null;
+      } else {
+        socket.join(frameRoom(socket.agentKey));
+      }
+      updateRelayDemand(socket.agentKey);
+    });
+
+    // Video codecs this viewer can decode (WebCodecs) — empty = JPEG only
+    socket.on('video-codecs', (data) => {
+      if (!socket.admitted || !socket.agentKey || !Array.isArray(data?.codecs)) return;
+      socket.videoCodecs = data.codecs.filter(c => typeof c === 'string' && c.length <= 16).slice(0, 8);
+      updateVideoCodec(socket.agentKey);
+    });
+
+    // Viewer muted / unmuted the machine's audio
+    socket.on('audio-listen', (data) => {
+      if (!can('audio') || !socket.agentKey) return;
+      if (data?.enabled === true) socket.join(audioRoom(socket.agentKey));
+      else socket.leave(audioRoom(socket.agentKey));
+      updateAudioDemand(socket.agentKey);
+    });
+
     // Latency ping — viewer sends 'latency-ping', server echoes back immediately
     socket.on('latency-ping', (data) => {
       socket.emit('latency-pong', data);
@@ -833,18 +2109,49 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
       console.log(`📱 Viewer disconnected: ${socket.userId}`);
+      if (socket.admitted) {
+        audit.record('viewer-disconnect', {
+          ...viewerAuditFields(socket), durationMs: Date.now() - socket.admittedAt
+        });
+      }
       // Room membership auto-cleaned by Socket.IO on disconnect
       // Stop streaming only if no viewers left in the room
       if (socket.agentKey) {
+        const agent = agents.get(socket.agentKey);
+        if (agent?.connected && agent.supportsWebRTC) agent.socket.emit('rtc-close', { viewerId: socket.id });
+        updateRelayDemand(socket.agentKey);
+        updateAudioDemand(socket.agentKey);
+        updateVideoCodec(socket.agentKey);
+        updateRecording(socket.agentKey);
         const room = io.sockets.adapter.rooms.get(viewerRoom(socket.agentKey));
         if (!room || room.size === 0) {
-          const agent = agents.get(socket.agentKey);
           if (agent?.connected) agent.socket.emit('stop-streaming');
         }
       }
     });
   }
 
+  // ═══ PAIRING (keyless agent waiting to be enrolled) ═══
+  else if (socket.role === 'pairing') {
+    const { hostname, platform } = socket.handshake.auth;
+    const issue = () => {
+      if (socket.paired) return;
+      const issued = pairing.create(socket.id, { hostname, platform, ip: socketIp(socket) });
+      if (!issued) {
+        socket.emit('pairing-error', { error: 'Too many devices waiting to pair — try again later' });
+        return socket.disconnect(true);
+      }
+      socket.emit('pairing-code', issued);
+    };
+    issue();
+    // Codes are short-lived — hand out a fresh one as each expires
+    const refresh = setInterval(issue, pairing.ttl);
+    socket.on('disconnect', () => {
+      clearInterval(refresh);
+      pairing.release(socket.id);
+    });
+  }
+
   // ═══ DASHBOARD (lightweight status listener) ═══
   else if (socket.role === 'dashboard') {
     socket.join(userRoom(socket.userId));
@@ -864,6 +2171,10 @@ io.on('connection', (socket) => {
 // ─── Start Server ────────────────────────────────────────
 async function start() {
   await users.init();
+  sessions.init();
+  invites.init();
+  audit.init();
+  recordings.init();
 
   server.listen(PORT, '0.0.0.0', () => {
     const os = require('os');
@@ -886,7 +2197,7 @@ async function start() {
     console.log(`   Local:   http://localhost:${PORT}`);
     console.log(`   Network: http://${localIP}:${PORT}`);
     console.log('');
-    console.log('   Users: kingpin, tez');
+    console.log(`   Users: ${users.getAllUsers().map(u => u.username).join(', ')}`);
     console.log('');
     console.log('═══════════════════════════════════════════');
     console.log('');
@@ -900,6 +2211,7 @@ function shutdown(signal) {
   console.log(`\n🛑 ${signal} received — shutting down gracefully...`);
   // Notify all connected sockets
   io.emit('server-shutdown', { message: 'Server restarting' });
+  sessions.flush();
   // Stop accepting new connections
   server.close(() => {
     console.log('   HTTP server closed');
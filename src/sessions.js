@@ -0,0 +1,249 @@
+/**
+ * LogInTo — Session Store
+ *
+ * Persistent, revocable login sessions (data/sessions.json).
+ *
+ * Tokens handed to browsers are `<random>.<hmac>`: the HMAC (keyed by
+ * SESSION_SECRET) rejects forged tokens without a lookup, and only a
+ * SHA-256 hash of the random part is stored on disk — a leaked sessions
+ * file can't be replayed as a bearer token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SECRET_FILE = path.join(DATA_DIR, '.session-secret');
+const SESSION_TTL = 24 * 60 * 60 * 1000;   // expire after 24h of inactivity
+const TOUCH_PERSIST_MS = 60 * 1000;         // lastActive is flushed to disk at most once a minute
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+/**
+ * Short human label for a User-Agent ("iPhone · Safari", "Windows · Chrome")
+ */
+function describeDevice(ua) {
+  if (!ua) return 'Unknown device';
+  const os =
+    /iPhone/.test(ua) ? 'iPhone' :
+    /iPad/.test(ua) ? 'iPad' :
+    /Android/.test(ua) ? 'Android' :
+    /Windows/.test(ua) ? 'Windows' :
+    /Mac OS X|Macintosh/.test(ua) ? 'Mac' :
+    /Linux/.test(ua) ? 'Linux' : 'Unknown OS';
+  const browser =
+    /Edg\//.test(ua) ? 'Edge' :
+    /OPR\//.test(ua) ? 'Opera' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Chrome\//.test(ua) ? 'Chrome' :
+    /Safari\//.test(ua) ? 'Safari' :
+    /node|curl/i.test(ua) ? 'Script' : 'Browser';
+  return `${os} · ${browser}`;
+}
+
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();   // sha256(token) → { id, userId, created, lastActive, ip, device }
+    this.secret = null;
+    this._saveTimer = null;
+  }
+
+  /**
+   * Load persisted sessions and the signing secret
+   */
+  init() {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    this.secret = process.env.SESSION_SECRET;
+    if (!this.secret || this.secret === 'change-this-to-a-random-string') {
+      // No configured secret — generate one and keep it so sessions survive restarts
+      if (fs.existsSync(SECRET_FILE)) {
+        this.secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+      } else {
+        this.secret = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(SECRET_FILE, this.secret, { mode: 0o600 });
+        console.log('🔑 Generated session secret (set SESSION_SECRET in .env to override)');
+      }
+    }
+
+    if (fs.existsSync(SESSIONS_FILE)) {
+      try {
+        const list = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+        for (const s of list) this.sessions.set(s.hash, s);
+      } catch (e) {
+        console.warn('⚠️  Could not read sessions file — starting with no sessions');
+      }
+    }
+    const cleaned = this.sweep();
+    console.log(`🔐 Loaded ${this.sessions.size} sessions` + (cleaned ? ` (${cleaned} expired)` : ''));
+  }
+
+  /**
+   * Save sessions to disk
+   */
+  _save() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify([...this.sessions.values()], null, 2), { mode: 0o600 });
+  }
+
+  /** Debounced save — used for lastActive bumps so every request doesn't hit the disk */
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this._save(), TOUCH_PERSIST_MS);
+    this._saveTimer.unref();
+  }
+
+  _sign(raw) {
+    return crypto.createHmac('sha256', this.secret).update(raw).digest('base64url');
+  }
+
+  /** Verify the signature and return the storage key, or null */
+  _keyFor(token) {
+    if (typeof token !== 'string') return null;
+    const [raw, sig] = token.split('.');
+    if (!raw || !sig) return null;
+    const expected = Buffer.from(this._sign(raw));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return sha256(raw);
+  }
+
+  /**
+   * Create a session. Returns the bearer token (only ever held by the client).
+   */
+  create(userId, { ip, userAgent } = {}) {
+    const raw = crypto.randomBytes(32).toString('base64url');
+    const hash = sha256(raw);
+    const now = Date.now();
+    this.sessions.set(hash, {
+      id: hash.slice(0, 16),   // public id for listing / revoking
+      hash,
+      userId,
+      created: now,
+      lastActive: now,
+      ip: ip || null,
+      device: describeDevice(userAgent)
+    });
+    this._save();
+    return `${raw}.${this._sign(raw)}`;
+  }
+
+  /**
+   * Look up a session without touching it
+   */
+  get(token) {
+    const key = this._keyFor(token);
+    return key ? this.sessions.get(key) || null : null;
+  }
+
+  /**
+   * Validate + touch: returns false for unknown, forged or expired tokens.
+   * Expiry is measured from last activity (not creation).
+   */
+  validate(token, { ip } = {}) {
+    const key = this._keyFor(token);
+    if (!key) return false;
+    const session = this.sessions.get(key);
+    if (!session) return false;
+    const now = Date.now();
+    if (now - session.lastActive > SESSION_TTL) {
+      this.sessions.delete(key);
+      this._save();
+      return false;
+    }
+    session.lastActive = now;
+    if (ip) session.ip = ip;
+    this._scheduleSave();
+    return true;
+  }
+
+  /**
+   * Active sessions for a user (safe — no hashes)
+   */
+  listForUser(userId) {
+    return [...this.sessions.values()]
+      .filter(s => s.userId === userId)
+      .sort((a, b) => b.lastActive - a.lastActive)
+      .map(s => ({
+        id: s.id,
+        device: s.device,
+        ip: s.ip,
+        created: s.created,
+        lastActive: s.lastActive
+      }));
+  }
+
+  /** Revoke by bearer token (logout). Returns the revoked session or null. */
+  revoke(token) {
+    const key = this._keyFor(token);
+    const session = key ? this.sessions.get(key) : null;
+    if (!session) return null;
+    this.sessions.delete(key);
+    this._save();
+    return session;
+  }
+
+  /** Revoke one of a user's sessions by its public id */
+  revokeById(userId, id) {
+    for (const [key, s] of this.sessions) {
+      if (s.userId === userId && s.id === id) {
+        this.sessions.delete(key);
+        this._save();
+        return s;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one (by public id).
+   * Returns the revoked session ids.
+   */
+  revokeAllForUser(userId, exceptId = null) {
+    const revoked = [];
+    for (const [key, s] of this.sessions) {
+      if (s.userId === userId && s.id !== exceptId) {
+        this.sessions.delete(key);
+        revoked.push(s.id);
+      }
+    }
+    if (revoked.length) this._save();
+    return revoked;
+  }
+
+  /**
+   * Drop sessions idle longer than SESSION_TTL. Returns how many were removed.
+   */
+  sweep(now = Date.now()) {
+    let cleaned = 0;
+    for (const [key, s] of this.sessions) {
+      if (now - s.lastActive > SESSION_TTL) {
+        this.sessions.delete(key);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) this._save();
+    return cleaned;
+  }
+
+  /** Flush pending lastActive updates (graceful shutdown) */
+  flush() {
+    if (this._saveTimer) this._save();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = new SessionStore();
+module.exports.describeDevice = describeDevice;
@@ -0,0 +1,107 @@
+/**
+ * LogInTo — TOTP (RFC 6238) helpers
+ *
+ * Time-based one-time passwords for the optional login second factor.
+ * Pure Node crypto, no network. Every time-dependent function takes an
+ * optional `now` (ms since epoch) so codes can be checked against a fixed clock.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;       // seconds per code
+const SECRET_BYTES = 20; // 160-bit secret (RFC 4226 recommendation)
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** Generate a new random base32 secret. */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/** Time-step counter for a given moment. */
+function counterAt(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+/** HOTP code for a specific counter value. */
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = ((hmac[offset] & 0x7f) << 24) |
+              (hmac[offset + 1] << 16) |
+              (hmac[offset + 2] << 8) |
+              hmac[offset + 3];
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/** Current TOTP code. */
+function generate(secret, now = Date.now()) {
+  return hotp(secret, counterAt(now));
+}
+
+/**
+ * Verify a code, allowing ±`window` steps of clock drift.
+ * Returns the matching counter (so callers can reject replays), or null.
+ */
+function verify(secret, code, { now = Date.now(), window = 1 } = {}) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token)) return null;
+  const current = counterAt(now);
+  for (let i = -window; i <= window; i++) {
+    const candidate = Buffer.from(hotp(secret, current + i));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(token))) return current + i;
+  }
+  return null;
+}
+
+/** otpauth:// provisioning URI (what authenticator apps encode in their QR codes). */
+function provisioningUri(secret, accountName, issuer = 'LogInTo') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generate,
+  verify,
+  counterAt,
+  provisioningUri,
+  base32Encode,
+  base32Decode
+};
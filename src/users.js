@@ -2,17 +2,31 @@
  * LogInTo — User Store
  *
  * JSON file-based user management.
- * Password IS the identity — no usernames needed.
+ * Users sign in with username + password. Admins can create, disable,
+ * reset and delete accounts via the /api/admin/users endpoints.
  * Each user can have multiple machines, each with a unique agentKey.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const totp = require('./totp');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const BCRYPT_ROUNDS = 12;
+const USERNAME_RE = /^[a-z0-9._-]{2,32}$/;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_KEY_GRACE = 7 * 24 * 60 * 60 * 1000;   // old agent key may outlive a rotation by at most 7 days
+
+// Compared against when the username is unknown, so a miss costs as much as a wrong password
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
 
 class UserStore {
   constructor() {
@@ -43,6 +57,14 @@ class UserStore {
         if (!user.machines) {
           user.machines = [];
         }
+        // Migrate: password-as-identity → username accounts.
+        // Legacy ids (kingpin, tez) double as their usernames; kingpin is the admin.
+        if (!user.username) {
+          user.username = String(user.id).toLowerCase();
+          user.role = user.id === 'kingpin' ? 'admin' : 'user';
+          user.disabled = false;
+          migrated = true;
+        }
       }
       if (migrated) this._save();
       console.log(`👥 Loaded ${this.users.length} users`);
@@ -60,14 +82,20 @@ class UserStore {
     this.users = [
       {
         id: 'kingpin',
+        username: 'kingpin',
         displayName: 'Kingpin',
-        passwordHash: await bcrypt.hash('kingpin', 12),
+        role: 'admin',
+        disabled: false,
+        passwordHash: await bcrypt.hash('kingpin', BCRYPT_ROUNDS),
         machines: [{ id: 'm1', name: 'My Laptop', agentKey: uuidv4() }]
       },
       {
         id: 'tez',
+        username: 'tez',
         displayName: 'Tez',
-        passwordHash: await bcrypt.hash('tez', 12),
+        role: 'user',
+        disabled: false,
+        passwordHash: await bcrypt.hash('tez', BCRYPT_ROUNDS),
         machines: [{ id: 'm1', name: 'My Laptop', agentKey: uuidv4() }]
       }
     ];
@@ -85,31 +113,44 @@ class UserStore {
   }
 
   /**
-   * Authenticate by password (password IS the identity)
+   * Authenticate by username + password (single bcrypt compare).
+   * Disabled accounts never authenticate. Unknown usernames still pay for a
+   * compare so response time doesn't reveal which usernames exist.
    */
-  async authenticateByPassword(password) {
-    for (const user of this.users) {
-      const match = await bcrypt.compare(password, user.passwordHash);
-      if (match) {
-        return { id: user.id, displayName: user.displayName };
-      }
-    }
-    return null;
+  async authenticate(username, password) {
+    const user = this._findByUsername(username);
+    const match = await bcrypt.compare(String(password ?? ''), user ? user.passwordHash : DUMMY_HASH);
+    if (!user || user.disabled || !match) return null;
+    return { id: user.id, displayName: user.displayName, role: user.role, totpEnabled: !!user.totp?.enabled };
+  }
+
+  _findByUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return this.users.find(u => u.username === name) || null;
   }
 
   /**
    * Authenticate a desktop agent by its key
-   * Returns user + machine info, or null
+   * Returns user + machine info, or null.
+   * With allowPrevious, a key replaced by rotateAgentKey() is still accepted
+   * until its grace period ends; agentKey is always the machine's current key.
    */
-  getByAgentKey(agentKey) {
+  getByAgentKey(agentKey, { allowPrevious = false } = {}) {
+    if (!agentKey) return null;
+    const now = Date.now();
     for (const user of this.users) {
-      const machine = (user.machines || []).find(m => m.agentKey === agentKey);
-      if (machine) {
+      if (user.disabled) continue;
+      for (const machine of user.machines || []) {
+        const previous = allowPrevious && machine.previousAgentKey === agentKey &&
+          now <= (machine.previousKeyExpiresAt || 0);
+        if (machine.agentKey !== agentKey && !previous) continue;
         return {
           id: user.id,
           displayName: user.displayName,
           machineId: machine.id,
-          machineName: machine.name
+          machineName: machine.name,
+          agentKey: machine.agentKey,
+          previousKey: previous
         };
       }
     }
@@ -122,7 +163,20 @@ class UserStore {
   getById(id) {
     const user = this.users.find(u => u.id === id);
     if (!user) return null;
-    return { id: user.id, displayName: user.displayName };
+    return {
+      id: user.id,
+      displayName: user.displayName,
+      role: user.role,
+      totpEnabled: !!user.totp?.enabled
+    };
+  }
+
+  /**
+   * Check whether a user has the admin role (disabled admins don't count)
+   */
+  isAdmin(id) {
+    const user = this.users.find(u => u.id === id);
+    return !!user && !user.disabled && user.role === 'admin';
   }
 
   /**
@@ -136,7 +190,9 @@ class UserStore {
       name: m.name,
       agentKey: m.agentKey,
       macAddress: m.macAddress || null,
-      broadcastAddress: m.broadcastAddress || null
+      broadcastAddress: m.broadcastAddress || null,
+      record: !!m.record,
+      previousKeyExpiresAt: m.previousAgentKey ? m.previousKeyExpiresAt : null
     }));
   }
 
@@ -193,6 +249,59 @@ class UserStore {
     return true;
   }
 
+  /**
+   * Issue a new agent key for a machine. With graceMs > 0 the old key keeps
+   * working until then (so a remote machine can be re-provisioned over its
+   * own session); otherwise it stops working immediately. A key still in an
+   * earlier grace period is dropped. Returns { machine, oldKey } or null.
+   */
+  rotateAgentKey(userId, machineId, graceMs = 0) {
+    const machine = this.getMachine(userId, machineId);
+    if (!machine) return null;
+    const oldKey = machine.agentKey;
+    machine.agentKey = uuidv4();
+    if (graceMs > 0) {
+      machine.previousAgentKey = oldKey;
+      machine.previousKeyExpiresAt = Date.now() + Math.min(graceMs, MAX_KEY_GRACE);
+    } else {
+      delete machine.previousAgentKey;
+      delete machine.previousKeyExpiresAt;
+    }
+    this._save();
+    return { machine, oldKey };
+  }
+
+  /**
+   * End a machine's grace period now. Returns the revoked key, or null if there was none.
+   */
+  revokePreviousAgentKey(userId, machineId) {
+    const machine = this.getMachine(userId, machineId);
+    if (!machine || !machine.previousAgentKey) return null;
+    const key = machine.previousAgentKey;
+    delete machine.previousAgentKey;
+    delete machine.previousKeyExpiresAt;
+    this._save();
+    return key;
+  }
+
+  /**
+   * Forget previous agent keys whose grace period has ended. Returns how many.
+   */
+  sweepPreviousAgentKeys(now = Date.now()) {
+    let cleaned = 0;
+    for (const user of this.users) {
+      for (const machine of user.machines || []) {
+        if (machine.previousAgentKey && now > (machine.previousKeyExpiresAt || 0)) {
+          delete machine.previousAgentKey;
+          delete machine.previousKeyExpiresAt;
+          cleaned++;
+        }
+      }
+    }
+    if (cleaned > 0) this._save();
+    return cleaned;
+  }
+
   /**
    * Set or clear Wake-on-LAN MAC address for a machine.
    * Pass null/empty macAddress to remove WoL config.
@@ -216,6 +325,21 @@ class UserStore {
     return true;
   }
 
+  /**
+   * Turn session recording on or off for a machine
+   */
+  setRecording(userId, machineId, enabled) {
+    const machine = this.getMachine(userId, machineId);
+    if (!machine) return false;
+    if (enabled) {
+      machine.record = true;
+    } else {
+      delete machine.record;
+    }
+    this._save();
+    return true;
+  }
+
   /**
    * Legacy compat — get first agent key for a user
    */
@@ -230,9 +354,186 @@ class UserStore {
   getAllUsers() {
     return this.users.map(u => ({
       id: u.id,
-      displayName: u.displayName
+      username: u.username,
+      displayName: u.displayName,
+      role: u.role,
+      disabled: !!u.disabled,
+      totpEnabled: !!u.totp?.enabled,
+      machineCount: (u.machines || []).length
     }));
   }
+
+  // ─── Account management (admin API) ─────────────────────
+
+  /**
+   * Validate a username: 2-32 chars of a-z, 0-9, dot, dash, underscore
+   */
+  isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_RE.test(username.trim().toLowerCase());
+  }
+
+  isUsernameTaken(username) {
+    return !!this._findByUsername(username);
+  }
+
+  /** Account id for a username (audit of failed logins), or null */
+  getIdByUsername(username) {
+    return this._findByUsername(username)?.id || null;
+  }
+
+  /**
+   * Create a new account. Returns the safe user record, or null if the
+   * username is invalid or already taken.
+   */
+  async createUser({ username, password, displayName, role }) {
+    if (!this.isValidUsername(username) || this.isUsernameTaken(username)) return null;
+    const name = username.trim().toLowerCase();
+    const user = {
+      id: 'u' + uuidv4().replace(/-/g, '').slice(0, 12),
+      username: name,
+      displayName: displayName || name,
+      role: role === 'admin' ? 'admin' : 'user',
+      disabled: false,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      machines: []
+    };
+    this.users.push(user);
+    this._save();
+    return this.getAllUsers().find(u => u.id === user.id);
+  }
+
+  /**
+   * Update display name / role / disabled flag. Unspecified fields are kept.
+   */
+  updateUser(id, { displayName, role, disabled } = {}) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) return false;
+    if (displayName !== undefined) user.displayName = displayName;
+    if (role !== undefined) user.role = role === 'admin' ? 'admin' : 'user';
+    if (disabled !== undefined) user.disabled = !!disabled;
+    this._save();
+    return true;
+  }
+
+  async resetPassword(id, password) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) return false;
+    user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Delete an account and all its machines
+   */
+  deleteUser(id) {
+    const idx = this.users.findIndex(u => u.id === id);
+    if (idx === -1) return false;
+    this.users.splice(idx, 1);
+    this._save();
+    return true;
+  }
+
+  // ─── Two-factor (TOTP) ──────────────────────────────────
+
+  /**
+   * Start enrollment: store a pending secret (not enforced until confirmed).
+   * Returns { secret, otpauthUrl } or null.
+   */
+  beginTotpEnrollment(id) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) return null;
+    const secret = totp.generateSecret();
+    user.totpPending = secret;
+    this._save();
+    return { secret, otpauthUrl: totp.provisioningUri(secret, user.username) };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app.
+   * Returns fresh recovery codes (plaintext, shown once), or null if the code is wrong.
+   */
+  confirmTotpEnrollment(id, code, now = Date.now()) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || !user.totpPending) return null;
+    const counter = totp.verify(user.totpPending, code, { now });
+    if (counter === null) return null;
+    user.totp = { secret: user.totpPending, enabled: true, lastCounter: counter, recoveryCodes: [] };
+    delete user.totpPending;
+    return this._issueRecoveryCodes(user);
+  }
+
+  /**
+   * Verify a login second factor: a TOTP code or an unused recovery code.
+   * TOTP codes can't be replayed; recovery codes are single-use.
+   */
+  verifySecondFactor(id, code, now = Date.now()) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || !user.totp?.enabled) return false;
+
+    const counter = totp.verify(user.totp.secret, code, { now });
+    if (counter !== null) {
+      if (counter <= (user.totp.lastCounter ?? -1)) return false;
+      user.totp.lastCounter = counter;
+      this._save();
+      return true;
+    }
+
+    const hash = hashRecoveryCode(String(code || ''));
+    const idx = user.totp.recoveryCodes.indexOf(hash);
+    if (idx === -1) return false;
+    user.totp.recoveryCodes.splice(idx, 1);
+    this._save();
+    return true;
+  }
+
+  /** Replace all recovery codes. Returns the new plaintext codes. */
+  regenerateRecoveryCodes(id) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || !user.totp?.enabled) return null;
+    return this._issueRecoveryCodes(user);
+  }
+
+  getRecoveryCodesRemaining(id) {
+    const user = this.users.find(u => u.id === id);
+    return user?.totp?.enabled ? user.totp.recoveryCodes.length : 0;
+  }
+
+  disableTotp(id) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) return false;
+    delete user.totp;
+    delete user.totpPending;
+    this._save();
+    return true;
+  }
+
+  _issueRecoveryCodes(user) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const hex = crypto.randomBytes(5).toString('hex');
+      codes.push(hex.slice(0, 5) + '-' + hex.slice(5));
+    }
+    user.totp.recoveryCodes = codes.map(hashRecoveryCode);
+    this._save();
+    return codes;
+  }
+
+  /**
+   * Check a user's password without logging in (re-auth for sensitive changes)
+   */
+  async verifyPassword(id, password) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || typeof password !== 'string') return false;
+    return bcrypt.compare(password, user.passwordHash);
+  }
+
+  /**
+   * Count enabled admins — used to stop the last admin locking everyone out
+   */
+  countActiveAdmins() {
+    return this.users.filter(u => u.role === 'admin' && !u.disabled).length;
+  }
 }
 
 module.exports = new UserStore();
@@ -0,0 +1,49 @@
+/**
+ * LogInTo — Agent installer file list
+ *
+ * The setup scripts only download the files named in AGENT_FILES
+ * (src/server.js). Every module the agent loads must be on that list,
+ * or freshly installed agents die with MODULE_NOT_FOUND.
+ *
+ *   node --test tests/agent-files.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const AGENT_DIR = path.join(ROOT, 'agent');
+
+// Read the list from source — requiring server.js would start the server
+function agentFiles() {
+  const src = fs.readFileSync(path.join(ROOT, 'src', 'server.js'), 'utf8');
+  const match = src.match(/const AGENT_FILES = \[([^\]]*)\]/);
+  assert.ok(match, 'AGENT_FILES not found in src/server.js');
+  return [...match[1].matchAll(/'([^']+)'/g)].map(m => m[1]);
+}
+
+// Local modules reachable from an entry point
+function localRequires(entry, seen = new Set()) {
+  if (seen.has(entry)) return seen;
+  seen.add(entry);
+  const src = fs.readFileSync(path.join(AGENT_DIR, entry), 'utf8');
+  for (const [, name] of src.matchAll(/require\(['"]\.\/([\w.-]+?)(?:\.js)?['"]\)/g)) {
+    localRequires(name + '.js', seen);
+  }
+  return seen;
+}
+
+test('every file on the list exists in agent/', () => {
+  for (const file of agentFiles()) {
+    assert.ok(fs.existsSync(path.join(AGENT_DIR, file)), `${file} is listed but missing`);
+  }
+});
+
+test('every module the agent loads is downloaded by the installers', () => {
+  const listed = new Set(agentFiles());
+  const needed = new Set([...localRequires('agent.js'), ...localRequires('install-service.js')]);
+  const missing = [...needed].filter(f => !listed.has(f));
+  assert.deepEqual(missing, [], `add to AGENT_FILES: ${missing.join(', ')}`);
+});
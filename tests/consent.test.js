@@ -0,0 +1,74 @@
+/**
+ * LogInTo — Guest approval tests
+ *
+ * Drives agent/consent.js with a stubbed prompt: allow, deny, no answer
+ * before the timeout, and the AUTO_ACCEPT policies that skip the prompt.
+ *
+ *   node --test tests/consent.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApprover, parsePolicy, describeRequest } = require('../agent/consent');
+
+const GUEST = { guest: { device: 'iPhone · Safari', ip: '203.0.113.7' }, permissions: { view: true, input: true } };
+const VIEW_ONLY = { guest: { device: 'iPhone · Safari' }, permissions: { view: true } };
+
+test('owner allows — guest is admitted', async () => {
+  const asked = [];
+  const approve = createApprover({
+    policy: 'false',
+    prompt: async (message) => { asked.push(message); return true; }
+  });
+  assert.equal(await approve(GUEST), true);
+  assert.equal(asked.length, 1);
+  assert.equal(asked[0], describeRequest(GUEST));
+  assert.match(asked[0], /iPhone · Safari from 203\.0\.113\.7/);
+  assert.match(asked[0], /control the mouse and keyboard/);
+});
+
+test('owner denies — guest is refused', async () => {
+  const approve = createApprover({ policy: 'false', prompt: async () => false });
+  assert.equal(await approve(GUEST), false);
+});
+
+test('no answer before the timeout — guest is refused', async () => {
+  let promptOptions;
+  const approve = createApprover({
+    policy: 'false',
+    timeoutMs: 50,
+    prompt: (message, opts) => { promptOptions = opts; return new Promise(() => {}); }
+  });
+  const started = Date.now();
+  assert.equal(await approve(GUEST), false);
+  assert.ok(Date.now() - started >= 45);
+  assert.deepEqual(promptOptions, { timeoutMs: 50 });
+});
+
+test('a prompt that fails or answers with a non-boolean counts as deny', async () => {
+  const throws = createApprover({ policy: 'false', prompt: async () => { throw new Error('no display'); } });
+  assert.equal(await throws(GUEST), false);
+  const truthy = createApprover({ policy: 'false', prompt: async () => 'yes' });
+  assert.equal(await truthy(GUEST), false);
+});
+
+test('AUTO_ACCEPT policies decide when to ask', async () => {
+  let asked = 0;
+  const prompt = async () => { asked++; return false; };
+
+  assert.equal(await createApprover({ policy: 'true', prompt })(GUEST), true);
+  assert.equal(await createApprover({ policy: undefined, prompt })(GUEST), true);
+  assert.equal(asked, 0);
+
+  const viewOnly = createApprover({ policy: 'view-only', prompt });
+  assert.equal(await viewOnly(VIEW_ONLY), true);
+  assert.equal(asked, 0);
+  assert.equal(await viewOnly(GUEST), false);
+  assert.equal(asked, 1);
+  assert.equal(await viewOnly({ permissions: { view: true, audio: true } }), false);
+  assert.equal(asked, 2);
+
+  assert.equal(parsePolicy('ask'), 'ask');
+  assert.equal(parsePolicy('ViewOnly'), 'view-only');
+  assert.equal(parsePolicy('yes'), 'accept');
+});
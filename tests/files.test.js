@@ -0,0 +1,138 @@
+/**
+ * LogInTo — File share sandbox tests
+ *
+ * Runs agent/files.js against a temp folder with a sibling "outside"
+ * folder: traversal and symlinks that lead out are refused for list,
+ * read and write, rename/delete of such a link touch only the link, and
+ * uploads never overwrite, never exceed the size limit and are dropped
+ * on an out-of-order chunk.
+ *
+ *   node --test tests/files.test.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileShare, FileError } = require('../agent/files');
+
+let tmp, root, outside, share;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'loginto-files-'));
+  root = path.join(tmp, 'share');
+  outside = path.join(tmp, 'outside');
+  fs.mkdirSync(path.join(root, 'docs'), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, 'docs', 'note.txt'), 'inside');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'outside');
+  fs.symlinkSync(outside, path.join(root, 'out-dir'));
+  fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'out-file'));
+  fs.symlinkSync(path.join(root, 'docs', 'note.txt'), path.join(root, 'in-file'));
+  share = new FileShare({ root, maxMB: 1 });
+});
+
+after(() => {
+  share.stop();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const viewerError = (message) => (err) => err instanceof FileError && err.message === message;
+
+// _discard removes the temp file without waiting for it
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const tempFiles = (dir) => fs.readdirSync(dir).filter(n => n.startsWith('.loginto-upload-'));
+
+test('".." and absolute paths never leave the shared folder', async () => {
+  for (const rel of ['..', '../outside', 'docs/../../outside/secret.txt', '..\\outside', 'docs/..']) {
+    await assert.rejects(share.read(rel), viewerError('Bad path'), rel);
+    await assert.rejects(share.list(rel), viewerError('Bad path'), rel);
+  }
+  // A leading "/" is just the shared folder's own root
+  await assert.rejects(share.read(path.join(outside, 'secret.txt')), { code: 'ENOENT' });
+  assert.deepEqual((await share.list('/docs')).entries.map(e => e.name), ['note.txt']);
+  assert.equal((await share.read('/docs/note.txt')).data.toString(), 'inside');
+});
+
+test('symlinks out of the folder are hidden from listings and refused', async () => {
+  const { entries } = await share.list('');
+  assert.deepEqual(entries.map(e => e.name), ['docs', 'in-file']);
+
+  await assert.rejects(share.list('out-dir'), viewerError('Outside the shared folder'));
+  await assert.rejects(share.read('out-file'), viewerError('Outside the shared folder'));
+  await assert.rejects(share.read('out-dir/secret.txt'), viewerError('Outside the shared folder'));
+  await assert.rejects(
+    share.write({ dir: 'out-dir', name: 'dropped.txt', size: 1, offset: 0, data: Buffer.from('x') }),
+    viewerError('Outside the shared folder'));
+  assert.deepEqual(fs.readdirSync(outside), ['secret.txt']);
+
+  // A link that stays inside is followed
+  assert.equal((await share.read('in-file')).data.toString(), 'inside');
+});
+
+test('rename and delete of an outward symlink change only the link', async () => {
+  assert.deepEqual(await share.rename('out-file', 'renamed-link'), { path: 'renamed-link' });
+  assert.ok(fs.lstatSync(path.join(root, 'renamed-link')).isSymbolicLink());
+  assert.equal(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'outside');
+
+  await share.remove('renamed-link');
+  await share.remove('out-dir');
+  assert.equal(fs.existsSync(path.join(root, 'renamed-link')), false);
+  assert.equal(fs.existsSync(path.join(root, 'out-dir')), false);
+  assert.deepEqual(fs.readdirSync(outside), ['secret.txt']);
+  assert.equal(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'outside');
+
+  await assert.rejects(share.remove(''), viewerError("Can't change the shared folder itself"));
+  await assert.rejects(share.rename('docs/note.txt', '../note.txt'), viewerError('Bad name'));
+});
+
+test('an upload onto a taken name is saved as "name (n)"', async () => {
+  const dir = path.join(root, 'docs');
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'first');
+
+  const second = await share.write({ dir: 'docs', name: 'a.txt', size: 6, offset: 0, data: Buffer.from('second') });
+  assert.equal(second.done, true);
+  assert.equal(second.name, 'a (1).txt');
+  assert.equal(second.path, 'docs/a (1).txt');
+
+  const third = await share.write({ dir: 'docs', name: 'a.txt', size: 5, offset: 0, data: Buffer.from('third') });
+  assert.equal(third.name, 'a (2).txt');
+
+  assert.equal(fs.readFileSync(path.join(dir, 'a.txt'), 'utf8'), 'first');
+  assert.equal(fs.readFileSync(path.join(dir, 'a (1).txt'), 'utf8'), 'second');
+  assert.deepEqual(tempFiles(dir), []);
+});
+
+test('a chunk at the wrong offset discards the upload', async () => {
+  const first = await share.write({ dir: '', name: 'big.bin', size: 10, offset: 0, data: Buffer.alloc(4) });
+  assert.equal(first.done, false);
+  assert.equal(tempFiles(root).length, 1);
+
+  await assert.rejects(
+    share.write({ id: first.id, offset: 6, data: Buffer.alloc(4) }),
+    viewerError('Bad offset'));
+  await settle();
+  assert.deepEqual(tempFiles(root), []);
+  assert.equal(fs.existsSync(path.join(root, 'big.bin')), false);
+
+  // The id is gone — even the right offset can't resume it
+  await assert.rejects(
+    share.write({ id: first.id, offset: 4, data: Buffer.alloc(6) }),
+    viewerError('Upload expired — start again'));
+});
+
+test('uploads over the size limit are refused before anything is written', async () => {
+  await assert.rejects(
+    share.write({ dir: '', name: 'huge.bin', size: 1024 * 1024 + 1, offset: 0, data: Buffer.alloc(1) }),
+    viewerError('Larger than 1 MB'));
+  // …and a chunk can't run past the size the first one announced
+  const first = await share.write({ dir: '', name: 'small.bin', size: 2, offset: 0, data: Buffer.alloc(1) });
+  await assert.rejects(
+    share.write({ id: first.id, offset: 1, data: Buffer.alloc(2) }),
+    viewerError('Bad offset'));
+  await settle();
+  assert.deepEqual(tempFiles(root), []);
+  assert.equal(fs.existsSync(path.join(root, 'huge.bin')), false);
+});
@@ -0,0 +1,55 @@
+/**
+ * LogInTo — Headless smoke test
+ *
+ * Starts a virtual display with agent/headless.js and captures one frame
+ * from it the way the agent does. Needs Xvfb plus the agent's capture
+ * dependencies (cd agent && npm install); skipped where either is missing.
+ *
+ *   node --test tests/headless.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { VirtualDisplay } = require('../agent/headless');
+
+const DISPLAY = ':97';
+const [WIDTH, HEIGHT] = [640, 480];
+
+function skipReason() {
+  if (process.platform !== 'linux') return 'needs Linux';
+  try {
+    execFileSync('which', ['Xvfb'], { stdio: 'ignore' });
+  } catch (e) {
+    return 'Xvfb is not installed';
+  }
+  for (const dep of ['screenshot-desktop', 'sharp']) {
+    try {
+      require.resolve(dep, { paths: [require('path').join(__dirname, '..', 'agent')] });
+    } catch (e) {
+      return `${dep} is not installed (cd agent && npm install)`;
+    }
+  }
+  return null;
+}
+
+const skip = skipReason();
+
+test('captures a frame from an Xvfb display', { skip: skip || false, timeout: 30000 }, async () => {
+  const previousDisplay = process.env.DISPLAY;
+  const display = new VirtualDisplay({ server: 'xvfb', display: DISPLAY, resolution: `${WIDTH}x${HEIGHT}` }).start();
+  try {
+    assert.equal(process.env.DISPLAY, DISPLAY);
+    const ScreenCapture = require('../agent/capture');
+    const capture = new ScreenCapture({ video: false });
+    await capture.ready;
+    const frame = await capture._captureFrame();
+    assert.equal(frame.width, WIDTH);
+    assert.equal(frame.height, HEIGHT);
+    assert.equal(frame.data.length, WIDTH * HEIGHT * 3);
+  } finally {
+    display.stop();
+    if (previousDisplay === undefined) delete process.env.DISPLAY;
+    else process.env.DISPLAY = previousDisplay;
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * LogInTo — Input worker coalescing tests
+ *
+ * Drives agent/input.js against a fake worker stdin (no Python, no display):
+ * a burst of mouse-moves collapses to the last position, a backed-up stdin
+ * is waited out via 'drain', and a pending move is written before a click.
+ *
+ *   node --test tests/input-coalesce.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const InputHandler = require('../agent/input');
+
+function fakeWorker() {
+  const stdin = new EventEmitter();
+  stdin.writable = true;
+  stdin.writableNeedDrain = false;
+  stdin.lines = [];
+  stdin.write = (chunk) => { stdin.lines.push(String(chunk).trimEnd()); return true; };
+  return { stdin };
+}
+
+// Skip the constructor: it probes robotjs and spawns the real worker
+function handlerWith(worker) {
+  const input = Object.create(InputHandler.prototype);
+  Object.assign(input, {
+    backend: null, robot: null, useRobot: false, platform: 'linux',
+    _winPs: null, _worker: worker, _pendingMove: null, _offsetX: 0, _offsetY: 0
+  });
+  return input;
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+test('a burst of moves is written once, at the last position', async () => {
+  const worker = fakeWorker();
+  const input = handlerWith(worker);
+  for (let i = 1; i <= 50; i++) input.moveMouse(i, i * 2);
+  assert.deepEqual(worker.stdin.lines, []);
+  await nextTick();
+  assert.deepEqual(worker.stdin.lines, ['MOVE|50|100']);
+  await nextTick();
+  assert.deepEqual(worker.stdin.lines, ['MOVE|50|100']);
+});
+
+test('a pending move is flushed before a click, and not again after', async () => {
+  const worker = fakeWorker();
+  const input = handlerWith(worker);
+  for (let i = 1; i <= 20; i++) input.moveMouse(100 + i, 200 + i);
+  input.click(120, 220, 'left');
+  assert.deepEqual(worker.stdin.lines, ['MOVE|120|220', 'CLICK|120|220|left']);
+  await nextTick();
+  assert.deepEqual(worker.stdin.lines, ['MOVE|120|220', 'CLICK|120|220|left']);
+});
+
+test('moves wait for drain while the worker is backed up', async () => {
+  const worker = fakeWorker();
+  const input = handlerWith(worker);
+  worker.stdin.writableNeedDrain = true;
+  input.moveMouse(1, 1);
+  await nextTick();
+  input.moveMouse(2, 2);
+  input.moveMouse(3, 3);
+  await nextTick();
+  assert.deepEqual(worker.stdin.lines, []);
+
+  worker.stdin.writableNeedDrain = false;
+  worker.stdin.emit('drain');
+  assert.deepEqual(worker.stdin.lines, ['MOVE|3|3']);
+  await nextTick();
+  assert.deepEqual(worker.stdin.lines, ['MOVE|3|3']);
+});
@@ -4,12 +4,17 @@
  *
  * Tests:
  *  1. HTTP endpoint load (login, session check)
- *  2. Socket.IO connections (agent + viewer)
- *  3. Frame relay throughput (simulated frames)
- *  4. Input event flood (mouse-move at 60Hz)
- *  5. Concurrent connections / disconnections
- *  6. Memory leak detection
- *  7. Reconnection storm
+ *  2. Socket.IO frame relay (agent + viewer, simulated frames)
+ *  3. Input event flood (mouse-move at 60Hz)
+ *  4. Keyboard events
+ *  5. Rapid reconnection storm
+ *  6. Large frames / edge cases
+ *  7. Multi-viewer concurrent streaming
+ *  8. Latency ping/pong
+ *  9. Per-viewer pacing (fast vs slow viewer on the same machine)
+ *
+ * Usage (socket.io-client is a dev dependency — run `npm install` first):
+ *   node tests/stress-test.js [server] [password] [username]
  */
 
 const { io } = require('socket.io-client');
@@ -19,11 +24,15 @@ const https = require('https');
 // ─── Config ────────────────────────────────────────────
 const SERVER = process.argv[2] || 'https://loginto.kingpinstrategies.com';
 const PASSWORD = process.argv[3] || 'kingpin';
+const USERNAME = process.argv[4] || 'kingpin';
 const FRAME_SIZE_KB = 80;           // Typical JPEG frame size
 const FRAME_RATE = 20;              // FPS to simulate
 const INPUT_RATE_HZ = 60;           // Mouse move events/sec
 const TEST_DURATION_MS = 15000;     // Each test phase duration
 const CONCURRENT_VIEWERS = 5;       // Simulated extra viewer connections
+const PACE_SLOW_ACK_MS = 300;       // Simulated slow viewer (3G phone) acks this late
+const PACE_DURATION_MS = 6000;
+const FRAME_WINDOW = 2;             // Server's unacked frames per viewer (src/server.js)
 
 const isHttps = SERVER.startsWith('https');
 const httpModule = isHttps ? https : http;
@@ -95,7 +104,7 @@ async function testHTTPEndpoints() {
 
   // Get a valid token first (single request)
   const loginStart = process.hrtime.bigint();
-  const loginRes = await request('POST', `${SERVER}/api/login`, { password: PASSWORD });
+  const loginRes = await request('POST', `${SERVER}/api/login`, { username: USERNAME, password: PASSWORD });
   const loginTime = hrMs(loginStart);
 
   if (loginRes.status === 429) {
@@ -106,7 +115,7 @@ async function testHTTPEndpoints() {
     try {
       const fs = require('fs');
       const usersData = JSON.parse(fs.readFileSync('/Users/ballout/Desktop/loginto/data/users.json', 'utf8'));
-      const user = usersData.find(u => u.id === 'kingpin');
+      const user = usersData.find(u => u.username === USERNAME);
       if (user) {
         log('🔧', 'Got agent key from local data file');
         // We need a valid session — start server locally to get one
@@ -253,7 +262,9 @@ async function testSocketFrameRelay(token, userId) {
       log('📐', `Screen info received: ${info.scaledWidth}x${info.scaledHeight}`);
     });
 
-    viewer.on('frame', (data) => {
+    // Frames are acked — the server paces each viewer by its unacked frames
+    viewer.on('frame', (data, ack) => {
+      if (ack) ack();
       const now = Date.now();
       if (!firstFrameTime) firstFrameTime = now;
       if (lastFrameTime) frameTimes.push(now - lastFrameTime);
@@ -318,7 +329,7 @@ async function testSocketFrameRelay(token, userId) {
     log('📊', `Dropped: ${droppedFrames} frames (${dropRate.toFixed(1)}%)`);
 
     if (dropRate > 90) log('❌', 'Extreme frame drop — check server/network');
-    else if (dropRate > 50) log('⚠️', 'High drops — expected with volatile.emit over WAN');
+    else if (dropRate > 50) log('⚠️', 'High drops — the relay skips frames a slow link can\'t absorb');
     else if (dropRate > 20) log('⚠️', 'Moderate frame drops');
     else log('✅', 'Frame relay is excellent');
 
@@ -460,7 +471,7 @@ async function testSocketFrameRelay(token, userId) {
     let v2Connected = false;
     let largeFrameReceived = false;
     viewer2.on('connect', () => { v2Connected = true; });
-    viewer2.on('frame', () => { largeFrameReceived = true; });
+    viewer2.on('frame', (data, ack) => { if (ack) ack(); largeFrameReceived = true; });
 
     await new Promise(r => {
       const check = setInterval(() => { if (v2Connected) { clearInterval(check); r(); } }, 100);
@@ -519,7 +530,7 @@ async function testSocketFrameRelay(token, userId) {
         reconnection: false,
       });
       mv.on('connect', () => { allConnected++; });
-      mv.on('frame', () => { multiFrameCounts[i]++; });
+      mv.on('frame', (data, ack) => { if (ack) ack(); multiFrameCounts[i]++; });
       multiViewers.push(mv);
     }
 
@@ -633,9 +644,108 @@ async function testSocketFrameRelay(token, userId) {
       log('⚠️', 'Could not connect for latency test');
     }
 
+    // ═══════════════════════════════════════════════════════
+    //  TEST 9: Per-Viewer Pacing
+    // ═══════════════════════════════════════════════════════
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('  TEST 9: Per-Viewer Pacing');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    // Park the main viewer so only the two test viewers are relayed to
+    viewer.disconnect();
+
+    const paced = [
+      { name: 'fast', ackDelay: 0 },
+      { name: 'slow', ackDelay: PACE_SLOW_ACK_MS }
+    ].map(p => {
+      const sock = io(SERVER, {
+        auth: { token, role: 'viewer' },
+        transports: ['websocket'],
+        rejectUnauthorized: false,
+        reconnection: false,
+      });
+      const pv = { ...p, sock, connected: false, frames: [], stats: [] };
+      sock.on('connect', () => { pv.connected = true; });
+      sock.on('frame', (data, ack) => {
+        pv.frames.push(data.frame);
+        if (!ack) return;
+        if (pv.ackDelay) setTimeout(ack, pv.ackDelay);
+        else ack();
+      });
+      sock.on('relay-stats', (st) => pv.stats.push(st));
+      return pv;
+    });
+
+    await new Promise(r => {
+      const check = setInterval(() => { if (paced.every(p => p.connected)) { clearInterval(check); r(); } }, 100);
+      setTimeout(() => { clearInterval(check); r(); }, 5000);
+    });
+
+    const failures = [];
+    const check = (ok, msg) => { log(ok ? '✅' : '❌', msg); if (!ok) failures.push(msg); };
+    const [fast, slow] = paced;
+    let paceSent = 0;
+
+    if (paced.every(p => p.connected)) {
+      await sleep(300);
+      log('🎬', `Streaming ${FRAME_RATE} FPS for ${PACE_DURATION_MS / 1000}s — slow viewer acks after ${PACE_SLOW_ACK_MS}ms...`);
+      const paceFrame = generateFakeFrame(FRAME_SIZE_KB);
+      const paceTimer = setInterval(() => {
+        agent.emit('frame', {
+          data: paceFrame,
+          width: 1280, height: 720,
+          timestamp: Date.now(), frame: ++paceSent, quality: 92
+        });
+      }, 1000 / FRAME_RATE);
+      await sleep(PACE_DURATION_MS);
+      clearInterval(paceTimer);
+      await sleep(PACE_SLOW_ACK_MS * (FRAME_WINDOW + 1) + 500);
+
+      log('📊', `Sent: ${paceSent} frames — fast got ${fast.frames.length}, slow got ${slow.frames.length}`);
+      check(fast.frames.length >= paceSent * 0.9, `Fast viewer kept up (${fast.frames.length}/${paceSent})`);
+      check(slow.frames.length > 0 && slow.frames.length < fast.frames.length * 0.6,
+        `Slow viewer was paced down (${slow.frames.length} vs ${fast.frames.length})`);
+      const maxSlow = (Math.ceil(PACE_DURATION_MS / PACE_SLOW_ACK_MS) + 1) * FRAME_WINDOW + 1;   // + the pending frame
+      check(slow.frames.length <= maxSlow, `Slow viewer never exceeded its window (${slow.frames.length} ≤ ${maxSlow})`);
+      const slowLag = paceSent - (slow.frames[slow.frames.length - 1] || 0);
+      check(slowLag <= FRAME_WINDOW + 2, `Slow viewer ended on a fresh frame, not a backlog (${slowLag} behind)`);
+      const inOrder = slow.frames.every((n, i) => i === 0 || n > slow.frames[i - 1]);
+      check(inOrder, 'Slow viewer frames arrived in order');
+
+      // Throughput reports: pushed to each viewer and listed for the owner
+      const peakFps = (p) => Math.max(0, ...p.stats.map(st => st.fps));
+      check(fast.stats.length > 0 && slow.stats.length > 0,
+        `relay-stats pushed to both viewers (${fast.stats.length} / ${slow.stats.length})`);
+      check(peakFps(fast) >= FRAME_RATE * 0.75, `Fast viewer reported ${peakFps(fast)} FPS`);
+      check(peakFps(slow) <= (1000 / PACE_SLOW_ACK_MS) * FRAME_WINDOW + 1, `Slow viewer reported ${peakFps(slow)} FPS`);
+      check(slow.stats.some(st => st.dropped > 0), 'Slow viewer reported skipped frames');
+
+      try {
+        const machines = await request('GET', `${SERVER}/api/machines/${userId}`, null, { Authorization: `Bearer ${token}` });
+        const machineId = machines.data.machines?.[0]?.id;
+        const res = await request('GET', `${SERVER}/api/machines/${userId}/${machineId}/viewers`, null, { Authorization: `Bearer ${token}` });
+        const listed = res.data.viewers || [];
+        const byId = (p) => listed.find(v => v.id === p.sock.id);
+        check(res.status === 200 && byId(fast) && byId(slow), `Viewers endpoint lists both viewers (${listed.length} total)`);
+        if (byId(fast) && byId(slow)) {
+          const ft = byId(fast).totals, st = byId(slow).totals;
+          log('📊', `Totals — fast: ${ft.acked} acked, ${ft.dropped} skipped; slow: ${st.acked} acked, ${st.dropped} skipped`);
+          check(st.dropped > ft.dropped && st.acked < ft.acked, 'Per-viewer totals show the slow viewer was skipped');
+        }
+      } catch (e) {
+        check(false, `Viewers endpoint failed: ${e.message}`);
+      }
+    } else {
+      check(false, 'Pacing viewers failed to connect');
+    }
+
+    results.pacing = {
+      sent: paceSent, fast: fast.frames.length, slow: slow.frames.length, failures
+    };
+    paced.forEach(p => p.sock.disconnect());
+
     // Cleanup
     agent.disconnect();
-    viewer.disconnect();
     resolve();
   });
 }
@@ -717,6 +827,15 @@ function printSummary() {
     console.log(`  ${status}  Latency            avg ${l.avg.toFixed(0)}ms, p95 ${(l.p95 || 0).toFixed(0)}ms`);
   }
 
+  // Pacing
+  if (results.pacing) {
+    const p = results.pacing;
+    const status = p.failures.length ? '❌' : '✅';
+    if (status === '✅') passed++; else failed++;
+    console.log(`  ${status}  Pacing             fast ${p.fast}/${p.sent}, slow ${p.slow}/${p.sent}` +
+      (p.failures.length ? ` — ${p.failures.length} check(s) failed` : ''));
+  }
+
   console.log('');
   console.log(`  Score: ${passed} passed, ${warnings} warnings, ${failed} failed`);
   console.log('');
@@ -732,6 +851,7 @@ function printSummary() {
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
   console.log('');
+  return failed;
 }
 
 // ─── Main ──────────────────────────────────────────────
@@ -760,8 +880,8 @@ async function main() {
     console.error(err.stack);
   }
 
-  printSummary();
-  process.exit(0);
+  const failed = printSummary();
+  process.exit(failed > 0 ? 1 : 0);
 }
 
 main();
@@ -0,0 +1,81 @@
+/**
+ * LogInTo — TOTP tests
+ *
+ * Runs against a fixed clock: RFC 6238 test vectors, the ±1 step drift
+ * window, and replay rejection in the user store's second-factor check.
+ *
+ *   node --test tests/totp.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../src/totp');
+const users = require('../src/users');
+
+// RFC 6238 Appendix B: SHA-1 seed is the ASCII string "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+// [unix seconds, 8-digit code from the RFC] — we issue the low 6 digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('generate matches the RFC 6238 SHA-1 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totp.generate(RFC_SECRET, seconds * 1000), code.slice(-6), `T=${seconds}`);
+  }
+});
+
+test('base32 round-trips the secret', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('verify accepts one step of drift either way and nothing beyond', () => {
+  const now = 1111111111 * 1000;
+  const step = 30 * 1000;
+  const current = totp.counterAt(now);
+
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now), { now }), current);
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now - step), { now }), current - 1);
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now + step), { now }), current + 1);
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now - 2 * step), { now }), null);
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now + 2 * step), { now }), null);
+  assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now - 2 * step), { now, window: 2 }), current - 2);
+});
+
+test('verify rejects malformed codes', () => {
+  const now = 59 * 1000;
+  assert.equal(totp.verify(RFC_SECRET, '', { now }), null);
+  assert.equal(totp.verify(RFC_SECRET, '12345', { now }), null);
+  assert.equal(totp.verify(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(totp.verify(RFC_SECRET, '287 082', { now }), totp.counterAt(now));
+});
+
+test('second factor rejects a replayed or older code at a fixed clock', () => {
+  // In-memory store only — never touch data/users.json
+  users.users = [{ id: 'u-test', username: 'tester', machines: [] }];
+  users._save = () => {};
+
+  const enrolledAt = 1234567890 * 1000;
+  users.beginTotpEnrollment('u-test');
+  const secret = users.users[0].totpPending;
+  assert.ok(users.confirmTotpEnrollment('u-test', totp.generate(secret, enrolledAt), enrolledAt));
+
+  // The enrollment code itself can't be reused for login
+  assert.equal(users.verifySecondFactor('u-test', totp.generate(secret, enrolledAt), enrolledAt), false);
+
+  const later = enrolledAt + 60 * 1000;
+  const code = totp.generate(secret, later);
+  assert.equal(users.verifySecondFactor('u-test', code, later), true);
+  assert.equal(users.verifySecondFactor('u-test', code, later), false, 'same code twice');
+  // A still-in-window code from the previous step is older than the last accepted one
+  assert.equal(users.verifySecondFactor('u-test', totp.generate(secret, later - 30 * 1000), later), false);
+  // Next step works again
+  assert.equal(users.verifySecondFactor('u-test', totp.generate(secret, later + 30 * 1000), later + 30 * 1000), true);
+});